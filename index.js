@@ -4,41 +4,369 @@ const fs = require('fs');
 const path = require('path');
 const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
+const packageInfo = require('./package.json');
+const { validateWindow, processPpgWindow } = require('./lib/ppg');
+const { createStorage } = require('./lib/storage');
+const { createAuth } = require('./lib/auth');
+const createDevicesRouter = require('./routes/devices');
+const createDeviceGroupsRouter = require('./routes/deviceGroups');
+const createTokensRouter = require('./routes/tokens');
+const createStreamRouter = require('./routes/stream');
+const createAlertsRouter = require('./routes/alerts');
+const createModelsRouter = require('./routes/models');
+const createRecordsRouter = require('./routes/records');
+const createHrvRouter = require('./routes/hrv');
+const createFhirRouter = require('./routes/fhir');
+const createPatientsRouter = require('./routes/patients');
+const createAnomaliesRouter = require('./routes/anomalies');
+const createHealthScoreRouter = require('./routes/healthScore');
+const createSimulatorRouter = require('./routes/simulator');
+const createReplaysRouter = require('./routes/replays');
+const createExportRouter = require('./routes/export');
+const createReportsRouter = require('./routes/reports');
+const { createEventHub } = require('./lib/events');
+const { attachWebSocketServer } = require('./lib/websocket');
+const { createAlertEngine } = require('./lib/alerts');
+const { createPresenceTracker } = require('./lib/presence');
+const { createDeviceConfigService } = require('./lib/deviceConfig');
+const { createWebhookDispatcher, isWebhookUrl } = require('./lib/webhooks');
+const { createModelRegistry } = require('./lib/models');
+const { PROVENANCES, validateRecord, describeErrors, typedCollection } = require('./lib/schemas');
+const { createApiRegistry, PAGINATION_QUERY, DATE_RANGE_QUERY, UNITS_QUERY } = require('./lib/api');
+const { createRateLimiter, createIngestionGate } = require('./lib/rateLimit');
+const { measurementTime, dedupKeyFor, isTimestampKey, payloadHashFor, readingTimeOf } = require('./lib/ingestion');
+const { INTERVALS, DEFAULT_PERCENTILES, summarizeValues, aggregateBuckets } = require('./lib/aggregate');
+const { computeHrv, describeHrv } = require('./lib/hrv');
+const { patientSegments, querySegments, countSegments, toPublicPatient, ageOf } = require('./lib/patients');
+const { scoreQuality, qualityOf } = require('./lib/quality');
+const { buildBaseline, scoreAnomaly } = require('./lib/baseline');
+const { scoreHealth, createWeightRegistry } = require('./lib/healthScore');
+const { createReplayManager } = require('./lib/replay');
+const { REPORT_PERIODS, createReportService } = require('./lib/reports');
+const {
+  PROFILES,
+  UNITS,
+  unitOf,
+  resolveReference,
+  unitsFromQuery,
+  convertGlucose,
+  convertTemperature,
+  convertTemperatureDelta,
+  glucoseStandards,
+  normalRanges,
+  describeReference,
+  interpretGlucose,
+  interpretVitals,
+  readingInUnits,
+  predictionInUnits
+} = require('./lib/reference');
 const app = express();
 require('dotenv').config();
 
+// Every route is declared with its request schema (see lib/api.js)
+const api = createApiRegistry(app);
+
 const PORT = process.env.PORT || 3000;
 
+// Minimum PPG window confidence (0-1) for server-derived heart rate and SpO2 to count as valid
+const PPG_MIN_CONFIDENCE = parseFloat(process.env.PPG_MIN_CONFIDENCE) || 0.5;
+
+// Readings without an idempotencyKey are deduplicated by timestamp only against readings received in the
+// last DEDUP_WINDOW_MINUTES, since uptime timestamps repeat after a reboot
+const DEDUP_WINDOW_MINUTES = parseFloat(process.env.DEDUP_WINDOW_MINUTES) || 10;
+
+// Largest number of readings accepted by POST /api/sensor-data/batch
+const BATCH_MAX_READINGS = parseInt(process.env.BATCH_MAX_READINGS) || 500;
+
+// Largest number of readings one scenario simulator run may write (across all its virtual devices)
+const SIMULATOR_MAX_READINGS = parseInt(process.env.SIMULATOR_MAX_READINGS) || 10000;
+
+// Recorded sessions for replay are JSON files in REPLAY_DIR (by default the app directory, where
+// sensor_data.json is); one replay holds at most REPLAY_MAX_READINGS readings
+const REPLAY_DIR = process.env.REPLAY_DIR || __dirname;
+const REPLAY_MAX_READINGS = parseInt(process.env.REPLAY_MAX_READINGS) || 50000;
+
+// Reports generated automatically for the latest completed day and week (REPORT_SCHEDULE=daily,weekly;
+// 'off' for on-demand reports only), checked every REPORT_CHECK_MINUTES
+const REPORT_SCHEDULE = (process.env.REPORT_SCHEDULE || 'daily,weekly').split(',')
+  .map(period => period.trim())
+  .filter(period => REPORT_PERIODS[period]);
+const REPORT_CHECK_MINUTES = parseInt(process.env.REPORT_CHECK_MINUTES) || 60;
+
+// Readings scoring below this signal quality (0-100) are left out of statistics, interpretations and
+// alert rules by default; endpoints accept ?minQuality= to override it
+const QUALITY_MIN_SCORE = process.env.QUALITY_MIN_SCORE !== undefined ? parseFloat(process.env.QUALITY_MIN_SCORE) : 50;
+
+// Rolling window (seconds) of beat-to-beat intervals that HRV is computed over
+const HRV_WINDOW_SECONDS = parseInt(process.env.HRV_WINDOW_SECONDS) || 300;
+
+// Per-device baselines are learned from the last BASELINE_DAYS of a device's readings and relearned
+// every BASELINE_REFRESH_MINUTES; a vital is scored once its baseline has BASELINE_MIN_SAMPLES readings
+const BASELINE_DAYS = parseInt(process.env.BASELINE_DAYS) || 14;
+const BASELINE_REFRESH_MINUTES = parseInt(process.env.BASELINE_REFRESH_MINUTES) || 60;
+const BASELINE_MIN_SAMPLES = parseInt(process.env.BASELINE_MIN_SAMPLES) || 20;
+
+// Rate limits (token buckets, see lib/rateLimit.js): each device may sustain RATE_LIMIT_DEVICE_PER_MINUTE
+// requests with bursts of RATE_LIMIT_DEVICE_BURST (admins may set a device's own quota), each admin or owner
+// token RATE_LIMIT_CLIENT_PER_MINUTE with bursts of RATE_LIMIT_CLIENT_BURST, as is each IP address for
+// requests with refused credentials; 0 per minute turns a limit off
+const numberFromEnv = (name, fallback) => (process.env[name] !== undefined && process.env[name] !== '' ? parseFloat(process.env[name]) : fallback);
+const RATE_LIMITS = {
+  deviceQuota: { perMinute: numberFromEnv('RATE_LIMIT_DEVICE_PER_MINUTE', 120), burst: parseInt(process.env.RATE_LIMIT_DEVICE_BURST) || 30 },
+  clientQuota: { perMinute: numberFromEnv('RATE_LIMIT_CLIENT_PER_MINUTE', 600), burst: parseInt(process.env.RATE_LIMIT_CLIENT_BURST) || 120 }
+};
+const describeQuota = (quota) => (quota.perMinute > 0 ? `${quota.perMinute}/min (bursts of ${quota.burst})` : 'unlimited');
+
+// Ingestion requests are refused with 503 while more than INGESTION_MAX_PENDING readings (or
+// INGESTION_MAX_PENDING_PER_DEVICE from one device) are waiting to be stored
+const INGESTION_MAX_PENDING = parseInt(process.env.INGESTION_MAX_PENDING) || 1000;
+const INGESTION_MAX_PENDING_PER_DEVICE = parseInt(process.env.INGESTION_MAX_PENDING_PER_DEVICE) || 200;
+
+// Units of responses unless a patient, device or request prefers others (mg/dL or mmol/L, °C or °F)
+const DEFAULT_UNITS = {
+  glucose: unitOf('glucose', process.env.GLUCOSE_UNIT) || 'mg/dL',
+  temperature: unitOf('temperature', process.env.TEMPERATURE_UNIT) || '°C'
+};
+
+// Glucose categories of the default (adult) reference ranges, as shown in server-wide messages
+const DEFAULT_GLUCOSE_STANDARDS = glucoseStandards(resolveReference().profile.thresholds, DEFAULT_UNITS.glucose);
+
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'] }));
 app.use(express.json({ limit: '10mb' }));
 
-// Data storage - In production, use a proper database
-let sensorData = [];
-const DATA_FILE = path.join(__dirname, 'sensor_data.json');
+// Data storage - JSON files or SQLite (STORAGE_DRIVER), kept in DATA_DIR
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const LEGACY_DATA_FILE = path.join(__dirname, 'sensor_data.json');
 
-// Function to get the last stored values for a device to ensure variation
-const getLastStoredValues = (deviceId) => {
-  const deviceRecords = sensorData
-    .filter(record => record.deviceId === deviceId)
-    .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt));
-  
-  if (deviceRecords.length > 0) {
-    const lastRecord = deviceRecords[0];
-    return {
-      heartRate: lastRecord.heartRate || 72,
-      spo2: lastRecord.spo2 || 98,
-      temperature: lastRecord.temperature || 36.5,
-      glucose: lastRecord.lastGlucose || 85
-    };
+const storage = createStorage({
+  driver: process.env.STORAGE_DRIVER || 'json',
+  dataDir: DATA_DIR,
+  sqliteFile: process.env.SQLITE_FILE,
+  retentionDays: parseFloat(process.env.RETENTION_DAYS) || 0
+});
+
+// Collections, opened in startServer(); record types are defined in lib/schemas.js
+const stores = {
+  sensorData: null,
+  glucosePredictions: null,
+  derivedMetrics: null,
+  devices: null,
+  ownerTokens: null,
+  alertRules: null,
+  alerts: null,
+  patients: null,
+  deviceAssignments: null,
+  devicePresence: null,
+  deviceConfigs: null,
+  deviceConfigState: null,
+  reports: null
+};
+
+// Derived metrics are keyed by the time they describe (an HRV window's end), not by when they were computed
+const derivedTimeOf = (record) => new Date(record.timestamp).getTime();
+
+// Admin token for management routes; without ADMIN_TOKEN a random one is generated per run
+let ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+if (!ADMIN_TOKEN) {
+  ADMIN_TOKEN = crypto.randomBytes(24).toString('base64url');
+  console.warn(`ADMIN_TOKEN is not set - generated a temporary admin token for this run: ${ADMIN_TOKEN}`);
+}
+
+const rateLimiter = createRateLimiter(RATE_LIMITS);
+const ingestionGate = createIngestionGate({
+  maxPending: INGESTION_MAX_PENDING,
+  maxPendingPerDevice: INGESTION_MAX_PENDING_PER_DEVICE
+});
+
+const auth = createAuth({ adminToken: ADMIN_TOKEN, stores, rateLimiter });
+
+// Live event hub behind /api/stream (SSE) and /api/ws (WebSocket)
+const events = createEventHub({ bufferSize: parseInt(process.env.STREAM_BUFFER_SIZE) || 1000 });
+
+// Latest interpretation per device and vital, so only changes are published
+const lastInterpretations = new Map();
+
+// Alert rules engine; every alert is also POSTed to ALERT_WEBHOOK_URLS (comma separated)
+const ALERT_WEBHOOK_URLS = (process.env.ALERT_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(url => {
+  if (!url) return false;
+  if (!isWebhookUrl(url)) console.warn(`Ignoring invalid alert webhook URL "${url}"`);
+  return isWebhookUrl(url);
+});
+
+// Glucose models exported to JSON in models/ (see models/export_model.py); GLUCOSE_MODEL picks the default version
+const models = createModelRegistry({
+  modelsDir: path.join(__dirname, 'models'),
+  stateFile: path.join(DATA_DIR, 'active_model.json'),
+  preferredVersion: process.env.GLUCOSE_MODEL
+});
+
+// Versioned health score weights (see lib/healthScore.js); HEALTH_SCORE_WEIGHTS picks the default version
+const healthScoreWeights = createWeightRegistry({
+  stateFile: path.join(DATA_DIR, 'health_score_weights.json'),
+  preferredVersion: process.env.HEALTH_SCORE_WEIGHTS
+});
+
+const alerts = createAlertEngine({
+  stores,
+  events,
+  webhooks: createWebhookDispatcher({
+    maxAttempts: parseInt(process.env.ALERT_WEBHOOK_MAX_ATTEMPTS) || 5
+  }),
+  defaultWebhookUrls: ALERT_WEBHOOK_URLS
+});
+
+// Acquisition settings delivered to device firmware, per device group and per device
+const deviceConfig = createDeviceConfigService({ stores });
+
+// Device presence: a device is stale once silent for PRESENCE_STALE_INTERVALS of its usual reporting
+// intervals and offline after PRESENCE_OFFLINE_INTERVALS (its configured upload interval once applied,
+// else PRESENCE_DEFAULT_INTERVAL_SECONDS until its interval is observed); silent devices are looked for
+// every PRESENCE_CHECK_SECONDS
+const presence = createPresenceTracker({
+  stores,
+  events,
+  defaultIntervalSeconds: parseFloat(process.env.PRESENCE_DEFAULT_INTERVAL_SECONDS) || 60,
+  staleIntervals: parseFloat(process.env.PRESENCE_STALE_INTERVALS) || 2,
+  offlineIntervals: parseFloat(process.env.PRESENCE_OFFLINE_INTERVALS) || 10,
+  checkIntervalMs: (parseFloat(process.env.PRESENCE_CHECK_SECONDS) || 15) * 1000,
+  configuredIntervalOf: deviceConfig.uploadIntervalOf
+});
+
+// Ingestion modes:
+//   raw       - store the firmware values exactly as received (sentinels included)
+//   simulated - replace every reading with generated healthy values (legacy behaviour)
+//   corrected - keep valid firmware values, simulate only the ones the firmware flagged invalid
+// Readings are stored raw unless simulation is opted into (INGESTION_MODE, PUT /api/ingestion-mode or a
+// device override)
+const INGESTION_MODES = ['raw', 'simulated', 'corrected'];
+const INGESTION_MODES_FILE = path.join(DATA_DIR, 'ingestion_modes.json');
+
+let ingestionModes = {
+  default: 'raw',
+  // When an admin last chose the default; only a chosen default is restored on startup
+  defaultSetAt: null,
+  devices: {}
+};
+
+if (process.env.INGESTION_MODE) {
+  if (INGESTION_MODES.includes(process.env.INGESTION_MODE)) {
+    ingestionModes.default = process.env.INGESTION_MODE;
+  } else {
+    console.warn(`Ignoring unknown INGESTION_MODE "${process.env.INGESTION_MODE}", expected one of: ${INGESTION_MODES.join(', ')}`);
   }
-  
-  // Default values for first reading
+}
+
+// Firmware sentinel for "no reading" (the MAX30102 algorithm reports spo2: -999)
+const SENSOR_SENTINEL = -999;
+const VITAL_FIELDS = ['heartRate', 'spo2', 'temperature'];
+
+// Check whether a vital in a record is a usable measurement rather than a sentinel or flagged value
+const isValidVital = (vital, record) => {
+  const value = record[vital];
+  if (typeof value !== 'number' || !Number.isFinite(value) || value === SENSOR_SENTINEL) {
+    return false;
+  }
+
+  // Firmware flags describe the measurement, so they do not apply to a value the server substituted
+  const flagsApply = !(record.fieldProvenance && record.fieldProvenance[vital] === 'simulated');
+
+  switch (vital) {
+    case 'heartRate':
+      return value > 0 && (!flagsApply || (record.heartRateValid !== false && record.fingerDetected !== false));
+    case 'spo2':
+      return value > 0 && value <= 100 && (!flagsApply || (record.spo2Valid !== false && record.fingerDetected !== false));
+    case 'temperature':
+      return value > 0;
+    default:
+      return true;
+  }
+};
+
+// Record-level provenance (raw, simulated, corrected, or derived by server-side PPG processing);
+// records stored before ingestion modes existed only carry simulatedHealthy
+const getProvenance = (record) => {
+  if (record.provenance) return record.provenance;
+  return record.simulatedHealthy ? 'simulated' : 'raw';
+};
+
+// Provenance of a single field ('raw', 'derived' or 'simulated')
+const getFieldProvenance = (record, field) => {
+  if (record.fieldProvenance && record.fieldProvenance[field]) {
+    return record.fieldProvenance[field];
+  }
+  return getProvenance(record) === 'simulated' ? 'simulated' : 'raw';
+};
+
+// A valid vital from a reading of sufficient signal quality. Quality describes the measurement,
+// so it does not apply to a value the server substituted.
+const isReliableVital = (vital, record, minQuality = QUALITY_MIN_SCORE) =>
+  isValidVital(vital, record) &&
+  (getFieldProvenance(record, vital) === 'simulated' || qualityOf(record, { minPpgConfidence: PPG_MIN_CONFIDENCE }).score >= minQuality);
+
+// ?minQuality= as a 0-100 score (checked by the route's QUALITY_QUERY), or the fallback when absent
+const parseMinQuality = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+const QUALITY_QUERY = {
+  minQuality: { type: 'number', min: 0, max: 100, description: 'Lowest signal quality score (0-100) of readings to use' }
+};
+
+// Quality of a new reading, judged against the device's previous reading for stability
+const assessQuality = async (record) => {
+  const [previous] = await stores.sensorData.query({
+    deviceId: record.deviceId,
+    end: readingTimeOf(record) - 1,
+    order: 'desc',
+    limit: 1
+  });
+  return scoreQuality(record, previous || null, { minPpgConfidence: PPG_MIN_CONFIDENCE });
+};
+
+// Patient a device is assigned to at a point in time, or null
+const assignedPatient = async (deviceId, at) => {
+  const time = at.getTime();
+  const assignments = await stores.deviceAssignments.query({ where: { deviceId } });
+  const current = assignments.find(assignment =>
+    new Date(assignment.start).getTime() <= time && (!assignment.end || time < new Date(assignment.end).getTime())
+  );
+  return current ? stores.patients.get(current.patientId) : null;
+};
+
+// Reference ranges and units (see lib/reference.js) for a patient, or for a device at a point in time:
+// the settings of the patient it is assigned to, then the device's own, then the defaults
+const referenceFor = async ({ deviceId, patient, at = new Date() }) => {
+  const device = !patient && deviceId ? await stores.devices.get(deviceId) : null;
+  const subject = patient || (deviceId ? await assignedPatient(deviceId, at) : null);
+  return resolveReference({
+    device,
+    patient: subject,
+    age: subject ? ageOf(subject, at) : null,
+    defaultUnits: DEFAULT_UNITS
+  });
+};
+
+const invalidUnits = (res) => res.status(400).json({
+  error: 'Invalid units',
+  message: `glucoseUnit must be one of: ${UNITS.glucose.join(', ')}; temperatureUnit must be one of: ${UNITS.temperature.join(', ')}`
+});
+
+// Rejects unrecognized ?glucoseUnit= and ?temperatureUnit= before a router that converts units
+const requireValidUnits = (req, res, next) => (unitsFromQuery(req.query, DEFAULT_UNITS) ? next() : invalidUnits(res));
+
+const resolveIngestionMode = (deviceId) => ingestionModes.devices[deviceId] || ingestionModes.default;
+
+// Function to get the last stored values for a device to ensure variation
+const getLastStoredValues = async (deviceId) => {
+  const [lastRecord] = await stores.sensorData.query({ deviceId, order: 'desc', limit: 1 });
+  const [lastPrediction] = await stores.glucosePredictions.query({ deviceId, order: 'desc', limit: 1 });
+
+  // Defaults for the first reading or prediction
   return {
-    heartRate: 72,
-    spo2: 98,
-    temperature: 36.5,
-    glucose: 85
+    heartRate: lastRecord && isValidVital('heartRate', lastRecord) ? lastRecord.heartRate : 72,
+    spo2: lastRecord && isValidVital('spo2', lastRecord) ? lastRecord.spo2 : 98,
+    temperature: lastRecord && isValidVital('temperature', lastRecord) ? lastRecord.temperature : 36.5,
+    glucose: lastPrediction ? lastPrediction.lastGlucose : 85
   };
 };
 
@@ -72,9 +400,9 @@ const applyControlledVariation = (currentValue, lastValue, range) => {
 };
 
 // Function to generate realistic healthy sensor values with guaranteed variation
-const generateHealthyValues = (originalData) => {
+const generateHealthyValues = async (originalData) => {
   const deviceId = originalData.deviceId;
-  const lastValues = getLastStoredValues(deviceId);
+  const lastValues = await getLastStoredValues(deviceId);
   
   // Get current time for natural variation
   const timeOfDay = new Date().getHours();
@@ -163,8 +491,8 @@ const generateHealthyValues = (originalData) => {
 };
 
 // Function to simulate healthy glucose levels with medical standards and guaranteed variation
-const simulateHealthyGlucose = (heartRate, heartRateAvg, spo2, temperature, deviceId) => {
-  const lastValues = getLastStoredValues(deviceId);
+const simulateHealthyGlucose = async (heartRate, heartRateAvg, spo2, temperature, deviceId) => {
+  const lastValues = await getLastStoredValues(deviceId);
   
   // Get current time for natural variation
   const timeOfDay = new Date().getHours();
@@ -224,184 +552,1171 @@ const simulateHealthyGlucose = (heartRate, heartRateAvg, spo2, temperature, devi
   return parseFloat(clampedGlucose.toFixed(1));
 };
 
-// Function to interpret glucose levels using medical standards
-const interpretGlucose = (glucoseLevel) => {
-  if (glucoseLevel < 70) {
-    return { category: 'Low (Hypoglycemia)', status: 'warning', message: 'Below normal - consult healthcare provider' };
-  } else if (glucoseLevel >= 70 && glucoseLevel <= 99) {
-    return { category: 'Normal', status: 'good', message: 'Normal fasting glucose level' };
-  } else if (glucoseLevel >= 100 && glucoseLevel <= 125) {
-    return { category: 'Prediabetes', status: 'caution', message: 'Prediabetic range - monitor closely' };
-  } else if (glucoseLevel >= 126) {
-    return { category: 'Diabetes', status: 'warning', message: 'Diabetic range - consult healthcare provider immediately' };
+// Glucose model inputs of a reading; the average heart rate falls back to the heart rate when the device
+// sent none (or null)
+const modelInputsOf = ({ heartRate, heartRateAvg, spo2, temperature }) => ({
+  heartRate,
+  heartRateAvg: Number.isFinite(heartRateAvg) ? heartRateAvg : heartRate,
+  spo2,
+  temperature
+});
+
+// Glucose estimate from the active model; falls back to the legacy simulation when no model is loaded.
+// Resolves to null when the model cannot estimate from these vitals.
+const estimateGlucose = async (vitals, deviceId) => {
+  const { heartRate, heartRateAvg, spo2, temperature } = modelInputsOf(vitals);
+  let prediction;
+  try {
+    prediction = models.predict({ heartRate, heartRateAvg, spo2, temperature });
+  } catch (error) {
+    console.warn(`Glucose model could not estimate for ${deviceId}: ${error.message}`);
+    return null;
+  }
+  if (prediction) {
+    return { ...prediction, source: 'model', simulatedGlucose: false };
+  }
+
+  return {
+    glucoseLevel: await simulateHealthyGlucose(heartRate, heartRateAvg, spo2, temperature, deviceId),
+    unit: 'mg/dL',
+    range: null,
+    standardDeviation: null,
+    outOfRange: [],
+    model: null,
+    source: 'simulation',
+    simulatedGlucose: true
+  };
+};
+
+// Count sensor readings by provenance
+const countProvenance = (records) => {
+  const counts = { raw: 0, derived: 0, simulated: 0, corrected: 0 };
+  records.forEach(record => {
+    const provenance = getProvenance(record);
+    counts[provenance] = (counts[provenance] || 0) + 1;
+  });
+  return counts;
+};
+
+// Summarize one vital over a device's records (oldest first), using valid readings of sufficient quality only
+const summarizeVital = (records, vital, decimals, minQuality = QUALITY_MIN_SCORE) => {
+  const validRecords = records.filter(record => isReliableVital(vital, record, minQuality));
+  const values = validRecords.map(record => record[vital]);
+  const summary = summarizeValues(values, { decimals, percentiles: [] });
+  const latest = records[records.length - 1];
+
+  return {
+    current: latest[vital],
+    currentValid: isReliableVital(vital, latest, minQuality),
+    min: summary.min,
+    max: summary.max,
+    avg: summary.mean,
+    validReadings: values.length,
+    invalidReadings: records.length - values.length,
+    lowQualityReadings: records.filter(record => isValidVital(vital, record) && !isReliableVital(vital, record, minQuality)).length,
+    simulatedReadings: validRecords.filter(record => getFieldProvenance(record, vital) === 'simulated').length,
+    variations: values.slice(1).map((value, i) => +(value - values[i]).toFixed(1))
+  };
+};
+
+// Function to apply the device's ingestion mode to an incoming reading and label its provenance
+const applyIngestionMode = async (originalData, mode) => {
+  if (mode === 'simulated') {
+    const healthyData = await generateHealthyValues(originalData);
+    return {
+      ...healthyData,
+      ingestionMode: mode,
+      provenance: 'simulated',
+      fieldProvenance: {
+        heartRate: 'simulated',
+        heartRateAvg: 'simulated',
+        spo2: 'simulated',
+        temperature: 'simulated',
+        red: 'simulated',
+        ir: 'simulated'
+      }
+    };
+  }
+
+  const fieldProvenance = {
+    heartRate: 'raw',
+    heartRateAvg: 'raw',
+    spo2: 'raw',
+    temperature: 'raw',
+    red: 'raw',
+    ir: 'raw'
+  };
+
+  const invalidVitals = mode === 'corrected' ?
+    VITAL_FIELDS.filter(vital => !isValidVital(vital, originalData)) :
+    [];
+
+  if (invalidVitals.length === 0) {
+    return {
+      ...originalData,
+      ingestionMode: mode,
+      provenance: 'raw',
+      fieldProvenance,
+      simulatedHealthy: false
+    };
+  }
+
+  // Corrected mode: only the invalid vitals are replaced, validity flags keep the firmware's verdict
+  const healthyData = await generateHealthyValues(originalData);
+  const correctedData = { ...originalData };
+  const originalValues = {};
+
+  invalidVitals.forEach(vital => {
+    originalValues[vital] = originalData[vital];
+    correctedData[vital] = healthyData[vital];
+    fieldProvenance[vital] = 'simulated';
+  });
+
+  if (invalidVitals.includes('heartRate')) {
+    originalValues.heartRateAvg = originalData.heartRateAvg;
+    correctedData.heartRateAvg = healthyData.heartRateAvg;
+    fieldProvenance.heartRateAvg = 'simulated';
   }
+
+  return {
+    ...correctedData,
+    ingestionMode: mode,
+    provenance: 'corrected',
+    fieldProvenance,
+    simulatedHealthy: false,
+    lastValues: healthyData.lastValues,
+    originalValues
+  };
 };
 
-// Load existing data on startup
-const loadData = () => {
+// Load per-device ingestion modes on startup (INGESTION_MODE env takes precedence for the default)
+const loadIngestionModes = () => {
   try {
-    if (fs.existsSync(DATA_FILE)) {
-      const data = fs.readFileSync(DATA_FILE, 'utf8');
-      sensorData = JSON.parse(data);
-      console.log(`Loaded ${sensorData.length} existing records`);
+    if (fs.existsSync(INGESTION_MODES_FILE)) {
+      const saved = JSON.parse(fs.readFileSync(INGESTION_MODES_FILE, 'utf8'));
+      if (!INGESTION_MODES.includes(process.env.INGESTION_MODE) && INGESTION_MODES.includes(saved.default)) {
+        // Older versions saved their 'simulated' default along with any device override
+        if (saved.defaultSetAt) {
+          ingestionModes.default = saved.default;
+          ingestionModes.defaultSetAt = saved.defaultSetAt;
+        } else if (saved.default !== 'raw') {
+          console.warn(`Ignoring saved default ingestion mode "${saved.default}" that was never chosen; readings are stored raw until PUT /api/ingestion-mode sets another mode`);
+        }
+      }
+      ingestionModes.devices = saved.devices || {};
     }
   } catch (error) {
-    console.error('Error loading data:', error);
-    sensorData = [];
+    console.error('Error loading ingestion modes:', error);
   }
 };
 
-// Save data to file
-const saveData = () => {
+// Save ingestion modes to file
+const saveIngestionModes = () => {
   try {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(sensorData, null, 2));
+    fs.writeFileSync(INGESTION_MODES_FILE, JSON.stringify(ingestionModes, null, 2));
   } catch (error) {
-    console.error('Error saving data:', error);
+    console.error('Error saving ingestion modes:', error);
+  }
+};
+
+// Publish interpretation changes for a device; `current` maps vital -> { status, category, message }
+const publishInterpretationChanges = (deviceId, recordId, current) => {
+  const previous = lastInterpretations.get(deviceId) || {};
+  const changedVitals = Object.keys(current).filter(vital =>
+    !previous[vital] ||
+    previous[vital].category !== current[vital].category ||
+    previous[vital].status !== current[vital].status
+  );
+
+  lastInterpretations.set(deviceId, { ...previous, ...current });
+
+  if (changedVitals.length > 0) {
+    events.publish('interpretation', deviceId, {
+      recordId: recordId,
+      changed: changedVitals,
+      previous: changedVitals.reduce((acc, vital) => ({ ...acc, [vital]: previous[vital] || null }), {}),
+      current: changedVitals.reduce((acc, vital) => ({ ...acc, [vital]: current[vital] }), {})
+    });
+  }
+};
+
+// Publish a newly accepted sensor record and any interpretation change it causes, and note the device
+// as heard from; thresholds are the device's reference ranges. Replayed and scenario readings were not
+// sent by the device, so they leave its presence alone.
+const publishReading = (record, thresholds) => {
+  events.publish('reading', record.deviceId, record);
+  if (!record.replay && !record.scenario) presence.recordReading(record);
+
+  publishInterpretationChanges(record.deviceId, record.id, interpretVitals(
+    isReliableVital('heartRate', record) ? record.heartRate : null,
+    isReliableVital('spo2', record) ? record.spo2 : null,
+    isReliableVital('temperature', record) ? record.temperature : null,
+    thresholds
+  ));
+};
+
+// Valid metrics of a stored record with their interpretation, as evaluated by alert rules
+// (vitals from low-quality readings are left out; predictions carry their own interpretation)
+const recordMetrics = (record, thresholds) => {
+  if (record.prediction) {
+    return {
+      glucose: {
+        value: record.prediction.glucoseLevel,
+        category: record.prediction.category,
+        status: record.prediction.status
+      }
+    };
+  }
+
+  const interpretations = interpretVitals(record.heartRate, record.spo2, record.temperature, thresholds);
+  return VITAL_FIELDS.filter(vital => isReliableVital(vital, record)).reduce((metrics, vital) => ({
+    ...metrics,
+    [vital]: {
+      value: record[vital],
+      category: interpretations[vital].category,
+      status: interpretations[vital].status
+    }
+  }), {});
+};
+
+// Recompute HRV over the rolling window ending at a reading that brought beat-to-beat intervals,
+// either from the firmware (interBeatIntervals) or from a PPG window (its ppg-signal metrics).
+// Stores the result as a derived metrics record of kind 'hrv'; resolves to it, or null with too few beats.
+const updateHrv = async (record) => {
+  const end = readingTimeOf(record);
+  const start = end - HRV_WINDOW_SECONDS * 1000;
+
+  const readings = await stores.sensorData.query({
+    deviceId: record.deviceId,
+    start,
+    end,
+    filter: reading => Array.isArray(reading.interBeatIntervals) || Boolean(reading.derivedMetricsId)
+  });
+
+  const segments = (await Promise.all(readings.map(async reading => {
+    if (Array.isArray(reading.interBeatIntervals)) {
+      return { source: 'device', end: readingTimeOf(reading), intervals: reading.interBeatIntervals };
+    }
+    const signal = await stores.derivedMetrics.get(reading.derivedMetricsId);
+    return signal && Array.isArray(signal.metrics.interBeatIntervals) ?
+      { source: 'ppg', end: readingTimeOf(reading), intervals: signal.metrics.interBeatIntervals } :
+      null;
+  }))).filter(Boolean);
+
+  const hrv = computeHrv(segments);
+  if (!hrv) return null;
+
+  const sources = [...new Set(segments.map(segment => segment.source))];
+  const createdAt = new Date().toISOString();
+  const hrvRecord = {
+    id: Date.now() + Math.random().toString(36).substr(2, 9),
+    deviceId: record.deviceId,
+    timestamp: new Date(end).toISOString(),
+    kind: 'hrv',
+    sourceRecordId: record.id,
+    metrics: {
+      ...hrv,
+      windowSeconds: HRV_WINDOW_SECONDS,
+      windowStart: new Date(start).toISOString(),
+      windowEnd: new Date(end).toISOString(),
+      segments: segments.length,
+      source: sources.length === 1 ? sources[0] : 'mixed'
+    },
+    createdAt
+  };
+
+  await stores.derivedMetrics.insert(hrvRecord);
+  return hrvRecord;
+};
+
+// Measured vitals of a reading that baselines learn from and compare with: valid, of sufficient
+// quality and not substituted by the server
+const baselineValues = (record) => VITAL_FIELDS
+  .filter(vital => isReliableVital(vital, record) && getFieldProvenance(record, vital) !== 'simulated')
+  .reduce((values, vital) => ({ ...values, [vital]: record[vital] }), {});
+
+// Baseline in effect at a point in time: the latest one learned at or before it, relearned from the
+// preceding BASELINE_DAYS once it is older than BASELINE_REFRESH_MINUTES.
+// Stored as a derived metrics record of kind 'baseline'.
+const baselineAt = async (deviceId, time) => {
+  const [latest] = await stores.derivedMetrics.query({ deviceId, where: { kind: 'baseline' }, end: time, order: 'desc', limit: 1 });
+  if (latest && time - derivedTimeOf(latest) <= BASELINE_REFRESH_MINUTES * 60 * 1000) {
+    return latest;
+  }
+
+  const start = time - BASELINE_DAYS * 24 * 60 * 60 * 1000;
+  const readings = await stores.sensorData.query({ deviceId, start, end: time - 1 });
+  const samples = readings
+    .map(reading => ({ time: readingTimeOf(reading), values: baselineValues(reading) }))
+    .filter(sample => Object.keys(sample.values).length > 0);
+
+  const baselineRecord = {
+    id: Date.now() + Math.random().toString(36).substr(2, 9),
+    deviceId: deviceId,
+    timestamp: new Date(time).toISOString(),
+    kind: 'baseline',
+    sourceRecordId: null,
+    metrics: {
+      ...buildBaseline(samples),
+      days: BASELINE_DAYS,
+      windowStart: new Date(start).toISOString(),
+      windowEnd: new Date(time).toISOString()
+    },
+    createdAt: new Date().toISOString()
+  };
+
+  await stores.derivedMetrics.insert(baselineRecord);
+  return baselineRecord;
+};
+
+// Anomaly of a new reading against its device's own baseline; null without measured vitals to compare
+const assessAnomaly = async (record) => {
+  const values = baselineValues(record);
+  if (Object.keys(values).length === 0) return null;
+
+  const time = readingTimeOf(record);
+  const baseline = await baselineAt(record.deviceId, time);
+  return {
+    ...scoreAnomaly(values, time, baseline.metrics, { minSamples: BASELINE_MIN_SAMPLES }),
+    baselineId: baseline.id
+  };
+};
+
+// Health score of a new reading with the active weights, stored as a derived metrics record of kind
+// 'health-score' with the interpretations it was computed from. Scored like the latest reading in health
+// data, except that glucose counts only when the active model can estimate it (simulated glucose is not
+// scored). Readings without all three vitals (e.g. PPG windows without temperature) are not scored.
+const recordHealthScore = async (record, profile) => {
+  if (VITAL_FIELDS.some(vital => record[vital] === undefined)) return null;
+
+  const reliable = VITAL_FIELDS.filter(vital => isReliableVital(vital, record));
+  const { thresholds } = profile;
+  const inputs = interpretVitals(
+    reliable.includes('heartRate') ? record.heartRate : null,
+    reliable.includes('spo2') ? record.spo2 : null,
+    reliable.includes('temperature') ? record.temperature : null,
+    thresholds
+  );
+
+  let estimate = null;
+  if (reliable.length === VITAL_FIELDS.length) {
+    try {
+      estimate = models.predict(modelInputsOf(record));
+    } catch (error) {
+      console.warn(`Glucose model could not estimate for reading ${record.id}: ${error.message}`);
+    }
   }
+  inputs.glucose = estimate ? { value: estimate.glucoseLevel, ...interpretGlucose(estimate.glucoseLevel, thresholds) } : null;
+
+  const scoreRecord = {
+    id: Date.now() + Math.random().toString(36).substr(2, 9),
+    deviceId: record.deviceId,
+    timestamp: new Date(readingTimeOf(record)).toISOString(),
+    kind: 'health-score',
+    sourceRecordId: record.id,
+    metrics: {
+      ...scoreHealth(inputs, healthScoreWeights.active()),
+      inputs: inputs,
+      referenceProfile: profile.name,
+      provenance: getProvenance(record)
+    },
+    createdAt: new Date().toISOString()
+  };
+
+  await stores.derivedMetrics.insert(scoreRecord);
+  return scoreRecord;
+};
+
+// Record types that can be merged into a device timeline
+const TIMELINE_TYPES = {
+  readings: { store: 'sensorData', type: 'sensorReading', timeOf: record => record.measuredAt || record.receivedAt },
+  predictions: { store: 'glucosePredictions', type: 'glucosePrediction', timeOf: record => record.timestamp },
+  derived: { store: 'derivedMetrics', type: 'derivedMetrics', timeOf: record => record.timestamp }
+};
+
+// Newest-first merge of several record types for one device; each entry is { type, time, record }
+const buildTimeline = async (deviceId, types, { start, end, limit }) => {
+  const lists = await Promise.all(types.map(async name => {
+    const records = await stores[TIMELINE_TYPES[name].store].query({ deviceId, start, end, order: 'desc', limit });
+    return records.map(record => ({
+      type: TIMELINE_TYPES[name].type,
+      time: TIMELINE_TYPES[name].timeOf(record),
+      record: record
+    }));
+  }));
+
+  return [].concat(...lists)
+    .sort((a, b) => new Date(b.time) - new Date(a.time))
+    .slice(0, limit);
 };
 
-// Initialize data
-loadData();
+// 403 for a device the caller named but may not access
+const deviceAccessDenied = (res, deviceId) => res.status(403).json({
+  error: 'Access denied',
+  message: `Not authorized for device ${deviceId}`,
+  deviceId: deviceId
+});
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', { summary: 'Server health, storage, ingestion mode and ingestion queue' }, async (req, res) => {
   res.json({
     status: 'OK',
     timestamp: new Date().toISOString(),
-    totalRecords: sensorData.length,
+    totalRecords: await stores.sensorData.count(),
+    storage: {
+      driver: storage.driver,
+      retentionDays: storage.retentionDays || null
+    },
     uptime: process.uptime(),
-    glucoseStandards: 'Medical Standard - Normal: 70-99mg/dL, Prediabetes: 100-125mg/dL, Diabetes: ≥126mg/dL',
-    variationEnabled: true,
-    healthySimulation: true
+    glucoseStandards: `Medical Standard - Normal: ${DEFAULT_GLUCOSE_STANDARDS.normal}, Prediabetes: ${DEFAULT_GLUCOSE_STANDARDS.prediabetes}, Diabetes: ${DEFAULT_GLUCOSE_STANDARDS.diabetes}`,
+    ingestionMode: ingestionModes.default,
+    deviceIngestionModes: Object.keys(ingestionModes.devices).length,
+    variationEnabled: ingestionModes.default === 'simulated',
+    healthySimulation: ingestionModes.default === 'simulated',
+    ingestionQueue: ingestionGate.status(),
+    rateLimits: rateLimiter.settings()
+  });
+});
+
+const INGESTION_MODE_BODY = {
+  mode: { type: 'string', required: true, values: INGESTION_MODES }
+};
+
+// GET endpoint to inspect ingestion modes
+app.get('/api/ingestion-mode', { summary: 'Global and per-device ingestion modes' }, auth.requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    availableModes: INGESTION_MODES,
+    default: ingestionModes.default,
+    devices: ingestionModes.devices
+  });
+});
+
+// PUT endpoint to change the global ingestion mode
+app.put('/api/ingestion-mode', {
+  summary: 'Set the global ingestion mode',
+  body: { fields: INGESTION_MODE_BODY }
+}, auth.requireAdmin, (req, res) => {
+  const { mode } = req.body;
+
+  ingestionModes.default = mode;
+  ingestionModes.defaultSetAt = new Date().toISOString();
+  saveIngestionModes();
+
+  console.log(`Global ingestion mode set to ${mode}`);
+
+  res.json({
+    success: true,
+    default: ingestionModes.default,
+    devices: ingestionModes.devices
+  });
+});
+
+// PUT endpoint to override the ingestion mode for one device
+app.put('/api/ingestion-mode/:deviceId', {
+  summary: 'Override the ingestion mode of one device',
+  body: { fields: INGESTION_MODE_BODY }
+}, auth.requireDeviceAccess, (req, res) => {
+  const { deviceId } = req.params;
+  const { mode } = req.body;
+
+  ingestionModes.devices[deviceId] = mode;
+  saveIngestionModes();
+
+  console.log(`Ingestion mode for ${deviceId} set to ${mode}`);
+
+  res.json({
+    success: true,
+    deviceId: deviceId,
+    mode: mode
   });
 });
 
-// POST endpoint to receive sensor data (UPDATED with guaranteed variation)
-app.post('/api/sensor-data', (req, res) => {
+// DELETE endpoint to drop a device override so it follows the global mode again
+app.delete('/api/ingestion-mode/:deviceId', { summary: 'Drop a device\'s ingestion mode override' }, auth.requireDeviceAccess, (req, res) => {
+  const { deviceId } = req.params;
+
+  if (!ingestionModes.devices[deviceId]) {
+    return res.status(404).json({
+      error: 'No ingestion mode override for device',
+      deviceId: deviceId
+    });
+  }
+
+  delete ingestionModes.devices[deviceId];
+  saveIngestionModes();
+
+  res.json({
+    success: true,
+    deviceId: deviceId,
+    mode: ingestionModes.default
+  });
+});
+
+// Readings being stored right now (dedup key -> payload hash), so concurrent retries cannot both pass
+// the duplicate check
+const pendingDedupKeys = new Map();
+
+// Run store() unless the device already has a reading with this dedup key (or one is being stored); keys
+// without an idempotency key only match readings received within DEDUP_WINDOW_MINUTES (see
+// lib/ingestion.js). Resolves to { status: 'duplicate', record } for a retry of the same payload,
+// { status: 'conflict', record } for a different payload under the same key, or to store()'s result.
+const withDeduplication = async (deviceId, { dedupKey, payloadHash }, store) => {
+  const pendingKey = JSON.stringify([deviceId, dedupKey]);
+  if (pendingDedupKeys.has(pendingKey)) {
+    return { status: pendingDedupKeys.get(pendingKey) === payloadHash ? 'duplicate' : 'conflict', record: null };
+  }
+
+  pendingDedupKeys.set(pendingKey, payloadHash);
   try {
-    const originalData = req.body;
-    
-    // Validate required fields
-    const requiredFields = ['deviceId', 'timestamp'];
-    const missingFields = requiredFields.filter(field => !(field in originalData));
-    
-    if (missingFields.length > 0) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        missingFields: missingFields
-      });
+    const windowStart = Date.now() - DEDUP_WINDOW_MINUTES * 60 * 1000;
+    const [existing] = await stores.sensorData.query({
+      deviceId,
+      where: { dedupKey },
+      filter: isTimestampKey(dedupKey) ? record => new Date(record.receivedAt).getTime() >= windowStart : undefined,
+      order: 'desc',
+      limit: 1
+    });
+    if (existing) {
+      // Readings stored before payloads were hashed count as the same payload
+      const samePayload = !existing.payloadHash || existing.payloadHash === payloadHash;
+      return { status: samePayload ? 'duplicate' : 'conflict', record: existing };
     }
+    return await store();
+  } finally {
+    pendingDedupKeys.delete(pendingKey);
+  }
+};
+
+// 409 for a reading sent under the dedup key of a different stored reading
+const sendDedupConflict = (res, deviceId, dedupKey, outcome) => res.status(409).json({
+  error: 'Duplicate key conflict',
+  message: isTimestampKey(dedupKey) ?
+    `Device ${deviceId} sent a different reading with the same timestamp moments ago; send an idempotencyKey to tell readings apart` :
+    `Device ${deviceId} already stored a different reading under this idempotencyKey`,
+  dedupKey: dedupKey,
+  recordId: outcome.record ? outcome.record.id : null
+});
+
+// Runs a step that follows storing a reading; once a reading is stored, a step that fails is logged and
+// resolves to null rather than failing the request, which the device would retry
+const afterStored = async (record, step, run) => {
+  try {
+    return await run();
+  } catch (error) {
+    console.error(`Error ${step} reading ${record.id} from ${record.deviceId}:`, error);
+    return null;
+  }
+};
+
+// Ingestion pipeline shared by the single and batch endpoints: deduplication, ingestion mode,
+// measurement time, schema validation, storage, live events and alert rules.
+// Resolves to { status: 'accepted', record, ingestionMode }, { status: 'duplicate' | 'conflict', record }
+// or { status: 'rejected', error, missingFields | validationErrors }
+const ingestReading = async (originalData, { receivedAt = new Date().toISOString(), deviceTime } = {}) => {
+  const missingFields = ['deviceId', 'timestamp'].filter(field => !(field in originalData));
+  if (missingFields.length > 0) {
+    return { status: 'rejected', error: 'Missing required fields', missingFields };
+  }
+
+  const dedupKey = dedupKeyFor(originalData);
+  const payloadHash = payloadHashFor(originalData);
 
-    // Generate healthy values with guaranteed variation
-    const healthyData = generateHealthyValues(originalData);
+  return withDeduplication(originalData.deviceId, { dedupKey, payloadHash }, async () => {
+    // Apply the ingestion mode configured for this device (raw, simulated or corrected)
+    const ingestionMode = resolveIngestionMode(originalData.deviceId);
+    const processedData = await applyIngestionMode(originalData, ingestionMode);
 
-    // Add server timestamp and unique ID
+    // Server-assigned fields come last so a client cannot override them
     const record = {
+      ...processedData,
       id: Date.now() + Math.random().toString(36).substr(2, 9),
-      receivedAt: new Date().toISOString(),
-      ...healthyData
+      receivedAt: receivedAt,
+      ...measurementTime(originalData.timestamp, { receivedAt, deviceTime }),
+      dedupKey: dedupKey,
+      payloadHash: payloadHash
     };
+    record.quality = await assessQuality(record);
+    record.anomaly = await assessAnomaly(record);
 
-    // Add to array
-    sensorData.push(record);
-
-    // Keep only last 10000 records to prevent memory issues
-    if (sensorData.length > 10000) {
-      sensorData = sensorData.slice(-10000);
+    const validationErrors = validateRecord('sensorReading', record);
+    if (validationErrors.length > 0) {
+      return { status: 'rejected', error: 'Invalid sensor reading', validationErrors };
     }
 
-    // Save to file every 10 records
-    if (sensorData.length % 10 === 0) {
-      saveData();
+    await stores.sensorData.insert(record);
+    const profile = await afterStored(record, 'publishing', async () => {
+      const reference = await referenceFor({ deviceId: record.deviceId, at: new Date(readingTimeOf(record)) });
+      publishReading(record, reference.profile.thresholds);
+      await alerts.evaluate(record, recordMetrics(record, reference.profile.thresholds));
+      return reference.profile;
+    });
+    if (profile) await afterStored(record, 'scoring', () => recordHealthScore(record, profile));
+
+    const hrv = Array.isArray(record.interBeatIntervals) && record.interBeatIntervals.length > 0 ?
+      await afterStored(record, 'updating HRV for', () => updateHrv(record)) :
+      null;
+
+    return { status: 'accepted', record, ingestionMode, hrv };
+  });
+};
+
+// Bulk path of the scenario simulator: a reading stored as measured with its quality score, without the
+// rest of ingestion (anomaly and health scores, HRV, live events and alert rules)
+const storeBulkReading = async (data, { receivedAt = new Date().toISOString() } = {}) => {
+  const dedupKey = dedupKeyFor(data);
+  const payloadHash = payloadHashFor(data);
+
+  return withDeduplication(data.deviceId, { dedupKey, payloadHash }, async () => {
+    const record = {
+      ...(await applyIngestionMode(data, 'raw')),
+      id: Date.now() + Math.random().toString(36).substr(2, 9),
+      receivedAt: receivedAt,
+      ...measurementTime(data.timestamp, { receivedAt }),
+      dedupKey: dedupKey,
+      payloadHash: payloadHash
+    };
+    record.quality = await assessQuality(record);
+
+    const validationErrors = validateRecord('sensorReading', record);
+    if (validationErrors.length > 0) {
+      return { status: 'rejected', error: 'Invalid sensor reading', validationErrors };
     }
 
-    console.log(`Received data from ${healthyData.deviceId} - HEALTHY SIMULATION WITH VARIATION:`);
-    console.log(`  HR: ${healthyData.heartRate} BPM (prev: ${healthyData.lastValues.heartRate}) Δ${(healthyData.heartRate - healthyData.lastValues.heartRate).toFixed(1)}`);
-    console.log(`  SPO2: ${healthyData.spo2}% (prev: ${healthyData.lastValues.spo2}) Δ${(healthyData.spo2 - healthyData.lastValues.spo2).toFixed(1)}`);
-    console.log(`  Temp: ${healthyData.temperature}°C (prev: ${healthyData.lastValues.temperature}) Δ${(healthyData.temperature - healthyData.lastValues.temperature).toFixed(1)}`);
+    await stores.sensorData.insert(record);
+    return { status: 'accepted', record, ingestionMode: 'raw', hrv: null };
+  });
+};
 
-    res.status(201).json({
-      success: true,
-      message: 'Data received and converted to healthy values with guaranteed variation',
-      recordId: record.id,
-      totalRecords: sensorData.length,
-      simulatedHealthy: true,
-      variationApplied: true,
-      healthyValues: {
-        heartRate: healthyData.heartRate,
-        spo2: healthyData.spo2,
-        temperature: healthyData.temperature,
-        red: healthyData.red,
-        ir: healthyData.ir
-      },
-      previousValues: healthyData.lastValues,
-      variations: {
-        heartRate: +(healthyData.heartRate - healthyData.lastValues.heartRate).toFixed(1),
-        spo2: +(healthyData.spo2 - healthyData.lastValues.spo2).toFixed(1),
-        temperature: +(healthyData.temperature - healthyData.lastValues.temperature).toFixed(1)
-      },
-      originalValues: healthyData.originalValues
-    });
+// One step of a scenario simulator run (see lib/simulator.js) for a virtual device: the reading through
+// the ingestion pipeline, or stored in bulk, and the scenario's glucose as a glucose prediction record of
+// source 'scenario' (evaluated by alert rules unless bulk). Resolves to the reading's ingestion outcome
+// with the stored prediction, if any.
+const writeSimulatedStep = async ({ reading, glucose, previousGlucose }, { deviceId, scenario, bulk }) => {
+  const data = { ...reading, deviceId, scenario };
+  const outcome = bulk ? await storeBulkReading(data) : await ingestReading(data);
+  if (outcome.status !== 'accepted' || glucose === null) return outcome;
+
+  const { record } = outcome;
+  const { profile } = await referenceFor({ deviceId, at: new Date(readingTimeOf(record)) });
+  const interpretation = interpretGlucose(glucose, profile.thresholds);
+
+  const predictionRecord = {
+    id: Date.now() + Math.random().toString(36).substr(2, 9),
+    timestamp: new Date(readingTimeOf(record)).toISOString(),
+    deviceId: deviceId,
+    lastGlucose: glucose,
+    input: {
+      heartRate: record.heartRate,
+      heartRateAvg: record.heartRateAvg,
+      spo2: record.spo2,
+      temperature: record.temperature
+    },
+    prediction: {
+      glucoseLevel: glucose,
+      range: null,
+      standardDeviation: null,
+      category: interpretation.category,
+      status: interpretation.status,
+      message: interpretation.message,
+      source: 'scenario',
+      modelVersion: null,
+      outOfRange: []
+    },
+    previousGlucose: previousGlucose,
+    glucoseVariation: previousGlucose !== null ? +(glucose - previousGlucose).toFixed(1) : null,
+    medicalStandards: glucoseStandards(profile.thresholds, 'mg/dL'),
+    referenceProfile: profile.name,
+    simulatedGlucose: true,
+    sourceRecordId: record.id,
+    scenario: scenario
+  };
 
-  } catch (error) {
-    console.error('Error processing sensor data:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
+  await stores.glucosePredictions.insert(predictionRecord);
+
+  if (!bulk) {
+    events.publish('glucose-prediction', deviceId, predictionRecord);
+    publishInterpretationChanges(deviceId, predictionRecord.id, {
+      glucose: {
+        status: interpretation.status,
+        category: interpretation.category,
+        message: interpretation.message
+      }
     });
+    await alerts.evaluate(predictionRecord, recordMetrics(predictionRecord));
   }
-});
 
-// POST endpoint to predict glucose level (UPDATED with medical standards and variation)
-app.post('/api/predict-glucose', async (req, res) => {
+  return { ...outcome, prediction: predictionRecord };
+};
+
+// Fields of a firmware reading; firmware may send further metadata, which is kept
+const READING_FIELDS = {
+  deviceId: { type: 'string', required: true },
+  timestamp: { type: 'timestamp', required: true, description: 'Device clock (epoch ms or ISO 8601) or uptime in ms' },
+  idempotencyKey: { type: 'string', description: 'Identifies retries of the same reading (or the Idempotency-Key header)' },
+  heartRate: { type: 'number', nullable: true },
+  heartRateAvg: { type: 'number', nullable: true },
+  heartRateValid: { type: 'boolean' },
+  spo2: { type: 'number', nullable: true },
+  spo2Valid: { type: 'boolean' },
+  temperature: { type: 'number', nullable: true, description: '°C' },
+  red: { type: 'number', nullable: true },
+  ir: { type: 'number', nullable: true },
+  fingerDetected: { type: 'boolean' },
+  battery: { type: 'number', nullable: true, description: '%' },
+  rssi: { type: 'number', nullable: true, description: 'dBm' },
+  interBeatIntervals: { type: 'array', items: 'number', description: 'Beat-to-beat intervals in ms' }
+};
+
+const INGESTION_RESPONSE = {
+  description: 'Stored, or a retry of a reading already stored (200, duplicate: true)',
+  fields: {
+    recordId: { type: 'string' },
+    duplicate: { type: 'boolean' },
+    config: { type: 'object', description: 'Configuration the device has not acknowledged yet' }
+  }
+};
+
+// POST endpoint to receive sensor data (stored according to the device's ingestion mode)
+app.post('/api/sensor-data', {
+  summary: 'Store one reading',
+  body: { fields: READING_FIELDS },
+  response: INGESTION_RESPONSE,
+  errors: { 409: 'A different reading was already stored under this idempotencyKey or timestamp' }
+}, auth.requireDeviceKey, ingestionGate.admit(), async (req, res) => {
   try {
-    const { heartRate, heartRateAvg, spo2, temperature, deviceId } = req.body;
-    
-    // Validate required fields for prediction
-    const requiredFields = ['heartRate', 'spo2', 'temperature'];
-    const missingFields = requiredFields.filter(field => !(field in req.body));
-    
-    if (missingFields.length > 0) {
-      return res.status(400).json({
-        error: 'Missing required fields for prediction',
-        missingFields: missingFields,
-        requiredFields: ['heartRate', 'heartRateAvg', 'spo2', 'temperature', 'deviceId']
-      });
+    const originalData = { ...req.body };
+
+    // Retries may carry their idempotency key as a header instead of in the body
+    if (originalData.idempotencyKey === undefined && req.get('idempotency-key')) {
+      originalData.idempotencyKey = req.get('idempotency-key');
     }
 
-    // Use heartRateAvg if provided, otherwise use heartRate
-    const avgHeartRate = heartRateAvg !== undefined ? heartRateAvg : heartRate;
+    const outcome = await ingestReading(originalData);
 
-    // Validate input ranges
-    if (heartRate < 0 || heartRate > 200) {
+    if (outcome.status === 'rejected') {
       return res.status(400).json({
-        error: 'Invalid heart rate',
-        message: 'Heart rate should be between 0-200 BPM'
+        error: outcome.error,
+        missingFields: outcome.missingFields,
+        validationErrors: outcome.validationErrors
       });
     }
-    
-    if (spo2 < 70 || spo2 > 100) {
-      return res.status(400).json({
-        error: 'Invalid SpO2',
-        message: 'SpO2 should be between 70-100%'
+
+    if (outcome.status === 'conflict') {
+      return sendDedupConflict(res, originalData.deviceId, dedupKeyFor(originalData), outcome);
+    }
+
+    // A retry of a reading that is already stored succeeds without storing it again
+    if (outcome.status === 'duplicate') {
+      console.log(`Duplicate reading from ${originalData.deviceId} ignored (${dedupKeyFor(originalData)})`);
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: 'Reading was already stored',
+        recordId: outcome.record ? outcome.record.id : null
       });
     }
-    
-    if (temperature < 30 || temperature > 45) {
+
+    const { record, ingestionMode, hrv } = outcome;
+
+    const simulatedFields = Object.keys(record.fieldProvenance)
+      .filter(field => record.fieldProvenance[field] === 'simulated');
+
+    console.log(`Received data from ${record.deviceId} - ${ingestionMode.toUpperCase()} mode (provenance: ${record.provenance}):`);
+    console.log(`  HR: ${record.heartRate} BPM [${record.fieldProvenance.heartRate}]`);
+    console.log(`  SPO2: ${record.spo2}% [${record.fieldProvenance.spo2}]`);
+    console.log(`  Temp: ${record.temperature}°C [${record.fieldProvenance.temperature}]`);
+
+    const response = {
+      success: true,
+      message: record.provenance === 'raw' ?
+        'Data received and stored as measured' :
+        `Data received and stored with simulated values for: ${simulatedFields.join(', ')}`,
+      recordId: record.id,
+      duplicate: false,
+      measuredAt: record.measuredAt,
+      totalRecords: await stores.sensorData.count(),
+      ingestionMode: ingestionMode,
+      provenance: record.provenance,
+      fieldProvenance: record.fieldProvenance,
+      quality: record.quality,
+      anomaly: record.anomaly,
+      simulatedHealthy: record.provenance === 'simulated',
+      storedValues: {
+        heartRate: record.heartRate,
+        spo2: record.spo2,
+        temperature: record.temperature,
+        red: record.red,
+        ir: record.ir
+      }
+    };
+
+    // Variation details only exist when values were simulated
+    if (record.lastValues) {
+      response.variationApplied = true;
+      response.previousValues = record.lastValues;
+      response.variations = {
+        heartRate: +(record.heartRate - record.lastValues.heartRate).toFixed(1),
+        spo2: +(record.spo2 - record.lastValues.spo2).toFixed(1),
+        temperature: +(record.temperature - record.lastValues.temperature).toFixed(1)
+      };
+      response.originalValues = record.originalValues;
+    }
+
+    // HRV over the rolling window, when the reading brought beat-to-beat intervals
+    if (record.interBeatIntervals) {
+      response.hrv = describeHrv(hrv);
+    }
+
+    // Kept for clients written against the simulated-only API
+    if (record.provenance === 'simulated') {
+      response.healthyValues = response.storedValues;
+    }
+
+    // A configuration the device has not acknowledged yet (see lib/deviceConfig.js)
+    const config = deviceConfig.pendingFor(req.device);
+    if (config) {
+      response.config = config;
+    }
+
+    res.status(201).json(response);
+
+  } catch (error) {
+    console.error('Error processing sensor data:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST endpoint for readings buffered on the device while it was offline.
+// Body: { deviceId, deviceTime?, readings: [{ timestamp, idempotencyKey?, heartRate, ... }] }
+// deviceTime is the device's uptime counter at sending, which places uptime timestamps on the clock.
+app.post('/api/sensor-data/batch', {
+  summary: 'Store readings buffered while the device was offline',
+  description: 'Readings are stored one by one; each gets its own result, so one invalid reading does not reject the batch.',
+  body: {
+    fields: {
+      deviceId: { type: 'string', required: true },
+      deviceTime: { type: 'number', description: 'Device uptime (ms) when the batch was sent' },
+      readings: { type: 'array', required: true, description: `1-${BATCH_MAX_READINGS} readings` }
+    }
+  },
+  response: { description: 'Result of every reading', fields: { results: { type: 'array' } } }
+}, auth.requireDeviceKey, ingestionGate.admit(req => (Array.isArray(req.body.readings) ? req.body.readings.length : 1)), async (req, res) => {
+  try {
+    const { deviceId, deviceTime, readings } = req.body;
+
+    if (readings.length === 0 || readings.length > BATCH_MAX_READINGS) {
+      return res.status(400).json({
+        error: 'Invalid batch size',
+        message: `A batch holds 1-${BATCH_MAX_READINGS} readings`,
+        received: readings.length
+      });
+    }
+
+    const receivedAt = new Date().toISOString();
+    const results = new Array(readings.length);
+    const items = [];
+
+    readings.forEach((reading, index) => {
+      if (typeof reading !== 'object' || reading === null || Array.isArray(reading)) {
+        results[index] = { index, status: 'rejected', error: 'Reading must be an object' };
+      } else if (reading.deviceId !== undefined && reading.deviceId !== deviceId) {
+        results[index] = { index, status: 'rejected', error: `Reading belongs to device ${reading.deviceId}, not ${deviceId}` };
+      } else {
+        const data = { ...reading, deviceId };
+        items.push({ index, data, measuredAt: measurementTime(data.timestamp, { receivedAt, deviceTime }).measuredAt });
+      }
+    });
+
+    // Store in measurement order so late readings land where they were taken,
+    // and simulated variation and alert streaks follow the device's own timeline
+    items.sort((a, b) => new Date(a.measuredAt) - new Date(b.measuredAt) || a.index - b.index);
+
+    for (const { index, data } of items) {
+      const outcome = await ingestReading(data, { receivedAt, deviceTime });
+      results[index] = {
+        index,
+        status: outcome.status,
+        recordId: outcome.record ? outcome.record.id : null,
+        dedupKey: 'timestamp' in data ? dedupKeyFor(data) : null,
+        measuredAt: outcome.status === 'accepted' ? outcome.record.measuredAt : undefined,
+        error: outcome.status === 'conflict' ? 'Duplicate key conflict: a different reading was stored under this key' : outcome.error,
+        missingFields: outcome.missingFields,
+        validationErrors: outcome.validationErrors
+      };
+    }
+
+    const summary = {
+      received: readings.length,
+      accepted: results.filter(result => result.status === 'accepted').length,
+      duplicates: results.filter(result => result.status === 'duplicate').length,
+      conflicts: results.filter(result => result.status === 'conflict').length,
+      rejected: results.filter(result => result.status === 'rejected').length
+    };
+
+    console.log(`Batch from ${deviceId}: ${summary.received} readings - ${summary.accepted} accepted, ${summary.duplicates} duplicates, ${summary.conflicts} conflicts, ${summary.rejected} rejected`);
+
+    res.status(summary.accepted > 0 ? 201 : 200).json({
+      success: summary.rejected + summary.conflicts < summary.received,
+      deviceId: deviceId,
+      ...summary,
+      ingestionMode: resolveIngestionMode(deviceId),
+      results: results,
+      config: deviceConfig.pendingFor(req.device)
+    });
+
+  } catch (error) {
+    console.error('Error processing sensor data batch:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST endpoint to receive a window of raw red/IR samples; heart rate and SpO2 are derived on the server
+app.post('/api/sensor-data/ppg', {
+  summary: 'Store a reading derived from a window of raw red/IR samples',
+  body: {
+    fields: {
+      deviceId: { type: 'string', required: true },
+      timestamp: { type: 'timestamp', required: true },
+      sampleRate: { type: 'number', required: true, description: 'Hz' },
+      red: { type: 'array', required: true, items: 'number' },
+      ir: { type: 'array', required: true, items: 'number' }
+    }
+  },
+  response: INGESTION_RESPONSE,
+  errors: { 409: 'A different window was already stored under this idempotencyKey or timestamp' }
+}, auth.requireDeviceKey, ingestionGate.admit(), async (req, res) => {
+  try {
+    const { deviceId, timestamp, sampleRate, red, ir } = req.body;
+
+    const windowError = validateWindow({ red, ir, sampleRate });
+    if (windowError) {
       return res.status(400).json({
-        error: 'Invalid temperature',
-        message: 'Temperature should be between 30-45°C'
+        error: 'Invalid PPG window',
+        message: windowError
       });
     }
 
-    // Get last glucose value for this device to ensure variation
-    const lastValues = getLastStoredValues(deviceId || 'unknown');
+    const result = processPpgWindow({ red, ir, sampleRate });
+    const confident = result.confidence >= PPG_MIN_CONFIDENCE;
+
+    // Shape the derived values like a firmware reading so the rest of the API can use them unchanged
+    const metadata = { ...req.body };
+    delete metadata.red;
+    delete metadata.ir;
+    delete metadata.sampleRate;
+
+    const recordId = Date.now() + Math.random().toString(36).substr(2, 9);
+    const receivedAt = new Date().toISOString();
+
+    // Full signal metrics are kept as a derived metrics record (keyed by the window's measurement time once
+    // it is known, below); the reading carries a summary
+    const derivedMetrics = {
+      id: Date.now() + Math.random().toString(36).substr(2, 9),
+      deviceId,
+      kind: 'ppg-signal',
+      sourceRecordId: recordId,
+      metrics: {
+        confidence: result.confidence,
+        beats: result.beats,
+        interBeatIntervals: result.interBeatIntervals,
+        ratio: result.ratio,
+        perfusionIndex: result.perfusionIndex,
+        ac: result.ac,
+        dc: result.dc,
+        sampleRate: result.sampleRate,
+        samples: result.samples,
+        durationSeconds: result.durationSeconds
+      },
+      createdAt: receivedAt
+    };
+
+    const derivedReading = {
+      ...metadata,
+      deviceId,
+      timestamp,
+      red: result.dc.red,
+      ir: result.dc.ir,
+      heartRate: result.heartRate !== null ? result.heartRate : SENSOR_SENTINEL,
+      heartRateAvg: result.heartRateAvg !== null ? result.heartRateAvg : SENSOR_SENTINEL,
+      heartRateValid: result.heartRate !== null && confident,
+      spo2: result.spo2 !== null ? result.spo2 : SENSOR_SENTINEL,
+      spo2Valid: result.spo2 !== null && result.spo2 >= 70 && confident,
+      fingerDetected: result.fingerDetected,
+      ppg: {
+        confidence: result.confidence,
+        beats: result.beats,
+        ratio: result.ratio,
+        perfusionIndex: result.perfusionIndex,
+        sampleRate: result.sampleRate,
+        durationSeconds: result.durationSeconds
+      },
+      derivedMetricsId: derivedMetrics.id
+    };
+
+    const ingestionMode = resolveIngestionMode(deviceId);
+    const dedupKey = dedupKeyFor(req.body);
+    const payloadHash = payloadHashFor(req.body);
+
+    // A retried window is not processed twice: scoring (which may learn a baseline) and storage only run
+    // for a window not seen before, as in ingestReading
+    const outcome = await withDeduplication(deviceId, { dedupKey, payloadHash }, async () => {
+      const processedData = await applyIngestionMode(derivedReading, ingestionMode);
+
+      // Values computed from the samples are 'derived' rather than 'raw' firmware values
+      ['heartRate', 'heartRateAvg', 'spo2', 'red', 'ir'].forEach(field => {
+        if (processedData.fieldProvenance[field] === 'raw') {
+          processedData.fieldProvenance[field] = 'derived';
+        }
+      });
+      if (processedData.provenance === 'raw') {
+        processedData.provenance = 'derived';
+      }
+
+      const record = {
+        ...processedData,
+        id: recordId,
+        receivedAt: receivedAt,
+        ...measurementTime(timestamp, { receivedAt }),
+        dedupKey: dedupKey,
+        payloadHash: payloadHash
+      };
+      record.quality = await assessQuality(record);
+      record.anomaly = await assessAnomaly(record);
+
+      const validationErrors = validateRecord('sensorReading', record);
+      if (validationErrors.length > 0) {
+        return { status: 'rejected', error: 'Invalid sensor reading', validationErrors };
+      }
+
+      await stores.sensorData.insert(record);
+      derivedMetrics.timestamp = new Date(readingTimeOf(record)).toISOString();
+      await afterStored(record, 'storing signal metrics of', () => stores.derivedMetrics.insert(derivedMetrics));
+      const profile = await afterStored(record, 'publishing', async () => {
+        const reference = await referenceFor({ deviceId, at: new Date(readingTimeOf(record)) });
+        publishReading(record, reference.profile.thresholds);
+        await alerts.evaluate(record, recordMetrics(record, reference.profile.thresholds));
+        return reference.profile;
+      });
+      if (profile) await afterStored(record, 'scoring', () => recordHealthScore(record, profile));
+      const hrv = result.interBeatIntervals.length > 0 ?
+        await afterStored(record, 'updating HRV for', () => updateHrv(record)) :
+        null;
+      return { status: 'accepted', record, hrv };
+    });
+
+    if (outcome.status === 'rejected') {
+      return res.status(400).json({
+        error: outcome.error,
+        validationErrors: outcome.validationErrors
+      });
+    }
+    if (outcome.status === 'conflict') {
+      return sendDedupConflict(res, deviceId, dedupKey, outcome);
+    }
+    if (outcome.status === 'duplicate') {
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: 'PPG window was already processed',
+        recordId: outcome.record ? outcome.record.id : null
+      });
+    }
+
+    const { record } = outcome;
+    console.log(`Processed PPG window from ${deviceId}: ${result.samples} samples @ ${sampleRate} Hz, HR=${result.heartRate} BPM, SpO2=${result.spo2}%, confidence=${result.confidence} (stored as ${record.provenance})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'PPG window processed',
+      recordId: record.id,
+      duplicate: false,
+      measuredAt: record.measuredAt,
+      totalRecords: await stores.sensorData.count(),
+      ingestionMode: ingestionMode,
+      provenance: record.provenance,
+      fieldProvenance: record.fieldProvenance,
+      quality: record.quality,
+      anomaly: record.anomaly,
+      derived: {
+        heartRate: result.heartRate,
+        heartRateAvg: result.heartRateAvg,
+        heartRateValid: derivedReading.heartRateValid,
+        spo2: result.spo2,
+        spo2Valid: derivedReading.spo2Valid,
+        confidence: result.confidence,
+        minConfidence: PPG_MIN_CONFIDENCE
+      },
+      storedValues: {
+        heartRate: record.heartRate,
+        spo2: record.spo2,
+        temperature: record.temperature
+      },
+      signal: derivedMetrics.metrics,
+      derivedMetricsId: derivedMetrics.id,
+      hrv: describeHrv(outcome.hrv),
+      config: deviceConfig.pendingFor(req.device)
+    });
+
+  } catch (error) {
+    console.error('Error processing PPG window:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST endpoint to predict glucose level with the active model
+app.post('/api/predict-glucose', {
+  summary: 'Estimate glucose from vitals with the active model',
+  query: UNITS_QUERY,
+  body: {
+    fields: {
+      heartRate: { type: 'number', required: true, min: 0, max: 200, description: 'BPM' },
+      heartRateAvg: { type: 'number', min: 0, max: 200, description: 'BPM (default: heartRate)' },
+      spo2: { type: 'number', required: true, min: 70, max: 100, description: '%' },
+      temperature: { type: 'number', required: true, min: 30, max: 45, description: '°C' },
+      deviceId: { type: 'string' }
+    }
+  },
+  status: 200
+}, auth.requireDeviceKeyOrUser, async (req, res) => {
+  try {
+    const { heartRate, spo2, temperature, deviceId } = req.body;
+
+    // Use heartRateAvg if provided, otherwise use heartRate
+    const avgHeartRate = modelInputsOf(req.body).heartRateAvg;
+
+    // The device's reference ranges interpret the estimate; the response uses its unit preference
+    const reference = await referenceFor({ deviceId });
+    const units = unitsFromQuery(req.query, reference.units);
+    if (!units) {
+      return invalidUnits(res);
+    }
+    const { thresholds } = reference.profile;
+
+    // Previous glucose value for this device, reported as variation
+    const lastValues = await getLastStoredValues(deviceId || 'unknown');
     
-    // Simulate healthy glucose level with medical standards and guaranteed variation
-    const predictedGlucose = simulateHealthyGlucose(heartRate, avgHeartRate, spo2, temperature, deviceId || 'unknown');
-    const interpretation = interpretGlucose(predictedGlucose);
+    // Run the active glucose model (legacy simulation only when no model is loaded)
+    const estimate = await estimateGlucose({ heartRate, heartRateAvg: avgHeartRate, spo2, temperature }, deviceId || 'unknown');
+    if (!estimate) {
+      return res.status(400).json({
+        error: 'Invalid model inputs',
+        message: 'The active glucose model cannot estimate from these vitals'
+      });
+    }
+    const predictedGlucose = estimate.glucoseLevel;
+    const interpretation = interpretGlucose(predictedGlucose, thresholds);
 
-    // Store the glucose value for future variation calculations
+    // Store the glucose value as history for the device
     const predictionRecord = {
       id: Date.now() + Math.random().toString(36).substr(2, 9),
       timestamp: new Date().toISOString(),
@@ -415,283 +1730,354 @@ app.post('/api/predict-glucose', async (req, res) => {
       },
       prediction: {
         glucoseLevel: predictedGlucose,
+        range: estimate.range,
+        standardDeviation: estimate.standardDeviation,
         category: interpretation.category,
         status: interpretation.status,
-        message: interpretation.message
+        message: interpretation.message,
+        source: estimate.source,
+        modelVersion: estimate.model ? estimate.model.version : null,
+        outOfRange: estimate.outOfRange
       },
       previousGlucose: lastValues.glucose,
       glucoseVariation: +(predictedGlucose - lastValues.glucose).toFixed(1),
-      medicalStandards: {
-        normal: '70-99 mg/dL',
-        prediabetes: '100-125 mg/dL',
-        diabetes: '≥126 mg/dL'
-      },
-      simulatedGlucose: true
+      medicalStandards: glucoseStandards(thresholds, 'mg/dL'),
+      referenceProfile: reference.profile.name,
+      simulatedGlucose: estimate.simulatedGlucose
     };
 
-    // Add this record to sensorData to maintain glucose history
-    sensorData.push(predictionRecord);
-
-    console.log(`Glucose simulation for ${deviceId || 'unknown'}: ${predictedGlucose} mg/dL (${interpretation.category}) - Previous: ${lastValues.glucose} mg/dL, Variation: ${(predictedGlucose - lastValues.glucose).toFixed(1)}`);
+    // Predictions have their own collection, separate from sensor readings
+    await stores.glucosePredictions.insert(predictionRecord);
 
+    events.publish('glucose-prediction', predictionRecord.deviceId, predictionRecord);
+    publishInterpretationChanges(predictionRecord.deviceId, predictionRecord.id, {
+      glucose: {
+        status: interpretation.status,
+        category: interpretation.category,
+        message: interpretation.message
+      }
+    });
+    await alerts.evaluate(predictionRecord, recordMetrics(predictionRecord));
+
+    console.log(`Glucose ${estimate.source === 'model' ? `prediction (model ${estimate.model.version})` : 'simulation'} for ${deviceId || 'unknown'}: ${predictedGlucose} mg/dL (${interpretation.category})` +
+      `${estimate.range ? ` range ${estimate.range.low}-${estimate.range.high}` : ''} - Previous: ${lastValues.glucose} mg/dL, Variation: ${(predictedGlucose - lastValues.glucose).toFixed(1)}`);
+
+    const disclaimers = estimate.source === 'model' ?
+      [
+        `Glucose is estimated from vital signs by model ${estimate.model.version}, not measured`,
+        `The range covers ${estimate.range.coverage * 100}% of the model's trees and is not a clinical confidence interval`
+      ] :
+      [
+        'No glucose model is loaded - this glucose value is simulated using medical standards for demonstration',
+        'Values are guaranteed to vary from previous readings'
+      ];
+    if (estimate.outOfRange.length > 0) {
+      disclaimers.push(`Inputs outside the model's training data (${estimate.outOfRange.map(entry => entry.feature).join(', ')}) make this estimate unreliable`);
+    }
+    const standards = glucoseStandards(thresholds, units.glucose);
+    disclaimers.push(
+      `Normal fasting glucose: ${standards.normal}`,
+      `Prediabetes: ${standards.prediabetes}`,
+      `Diabetes: ${standards.diabetes}`,
+      'Not a substitute for professional medical diagnosis',
+      'Consult healthcare provider for medical decisions'
+    );
+
+    const displayed = predictionInUnits(predictionRecord, units);
     res.json({
       success: true,
       timestamp: predictionRecord.timestamp,
       deviceId: predictionRecord.deviceId,
       input: predictionRecord.input,
-      prediction: predictionRecord.prediction,
+      prediction: { ...displayed.prediction, unit: units.glucose },
+      model: estimate.model,
       variationInfo: {
-        previousGlucose: lastValues.glucose,
-        currentGlucose: predictedGlucose,
-        variation: predictionRecord.glucoseVariation
+        previousGlucose: displayed.previousGlucose,
+        currentGlucose: displayed.lastGlucose,
+        variation: displayed.glucoseVariation
       },
-      medicalStandards: predictionRecord.medicalStandards,
-      simulatedGlucose: true,
-      disclaimers: [
-        'This glucose value is simulated using medical standards for demonstration',
-        'Normal fasting glucose: 70-99 mg/dL',
-        'Prediabetes: 100-125 mg/dL',
-        'Diabetes: ≥126 mg/dL',
-        'Values are guaranteed to vary from previous readings',
-        'Not a substitute for professional medical diagnosis',
-        'Consult healthcare provider for medical decisions'
-      ]
+      medicalStandards: standards,
+      referenceRanges: describeReference(reference.profile, units),
+      simulatedGlucose: estimate.simulatedGlucose,
+      disclaimers: disclaimers
     });
 
   } catch (error) {
-    console.error('Error simulating glucose:', error);
+    console.error('Error predicting glucose:', error);
     res.status(500).json({
-      error: 'Simulation failed',
+      error: 'Prediction failed',
       message: error.message
     });
   }
 });
 
-// Comprehensive health data endpoint - UPDATED with medical standards
-app.get('/api/health-data/:deviceId', async (req, res) => {
-  try {
-    const { deviceId } = req.params;
-    const { includeHistory = false, historyLimit = 10 } = req.query;
-    
-    // Find latest valid reading for the device
-    const latestReading = sensorData
-      .filter(record => 
-        record.deviceId === deviceId && 
-        record.heartRate !== undefined && 
-        record.spo2 !== undefined && 
-        record.temperature !== undefined
-      )
-      .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt))[0];
-
-    if (!latestReading) {
-      return res.status(404).json({
-        error: 'No sensor data found',
-        message: `No valid sensor readings found for device ${deviceId}`,
-        deviceId: deviceId
-      });
-    }
-
-    // Extract biometric data
-    const { heartRate, heartRateAvg, spo2, temperature, red, ir, fingerDetected } = latestReading;
-    const avgHeartRate = heartRateAvg !== undefined ? heartRateAvg : heartRate;
-
-    // Interpret vital signs
-    const interpretVitals = (hr, spo2, temp) => {
-      const interpretations = {};
-      
-      // Heart Rate interpretation
-      if (hr === 0) {
-        interpretations.heartRate = { status: 'error', message: 'Sensor not detecting heartbeat', category: 'No Reading' };
-      } else if (hr < 60) {
-        interpretations.heartRate = { status: 'caution', message: 'Below normal range (bradycardia)', category: 'Low' };
-      } else if (hr >= 60 && hr <= 100) {
-        interpretations.heartRate = { status: 'good', message: 'Normal heart rate', category: 'Normal' };
-      } else if (hr > 100 && hr <= 120) {
-        interpretations.heartRate = { status: 'caution', message: 'Slightly elevated', category: 'Elevated' };
-      } else {
-        interpretations.heartRate = { status: 'warning', message: 'High heart rate (tachycardia)', category: 'High' };
-      }
-
-      // SpO2 interpretation
-      if (spo2 >= 95) {
-        interpretations.spo2 = { status: 'good', message: 'Normal oxygen saturation', category: 'Normal' };
-      } else if (spo2 >= 90 && spo2 < 95) {
-        interpretations.spo2 = { status: 'caution', message: 'Below normal range', category: 'Low Normal' };
-      } else {
-        interpretations.spo2 = { status: 'warning', message: 'Low oxygen saturation - seek medical attention', category: 'Low' };
-      }
+// Comprehensive health data from the newest reading in a set of segments: one device ([{ deviceId }])
+// or the devices assigned to a patient (see lib/patients.js). Resolves to the response body, or null
+// when there is no reading.
+// Vitals of a latest reading below minQuality are reported as "No Reading" rather than interpreted.
+// reference is the resolved reference ranges (see referenceFor) and units the units to respond in.
+const buildHealthData = async (segments, { includeHistory = false, historyLimit = 10, minQuality = QUALITY_MIN_SCORE, reference, units }) => {
+  // Find latest valid reading
+  const [latestReading] = await querySegments(stores.sensorData, segments, {
+    filter: record =>
+      record.heartRate !== undefined &&
+      record.spo2 !== undefined &&
+      record.temperature !== undefined,
+    order: 'desc',
+    limit: 1
+  }, readingTimeOf);
+
+  if (!latestReading) {
+    return null;
+  }
 
-      // Temperature interpretation (Celsius)
-      if (temp < 35.0) {
-        interpretations.temperature = { status: 'warning', message: 'Below normal body temperature', category: 'Hypothermia' };
-      } else if (temp >= 35.0 && temp <= 37.2) {
-        interpretations.temperature = { status: 'good', message: 'Normal body temperature', category: 'Normal' };
-      } else if (temp > 37.2 && temp <= 38.0) {
-        interpretations.temperature = { status: 'caution', message: 'Slightly elevated temperature', category: 'Mild Fever' };
-      } else if (temp > 38.0 && temp <= 39.0) {
-        interpretations.temperature = { status: 'warning', message: 'Moderate fever', category: 'Fever' };
-      } else {
-        interpretations.temperature = { status: 'warning', message: 'High fever - seek medical attention', category: 'High Fever' };
-      }
+  const { deviceId } = latestReading;
 
-      return interpretations;
-    };
+  // Extract biometric data
+  const { heartRate, spo2, temperature, red, ir, fingerDetected } = latestReading;
+  const avgHeartRate = modelInputsOf(latestReading).heartRateAvg;
 
-    const vitalInterpretations = interpretVitals(heartRate, spo2, temperature);
+  // Sentinels, readings the firmware flagged invalid and low-quality readings are reported as "No Reading"
+  const quality = qualityOf(latestReading, { minPpgConfidence: PPG_MIN_CONFIDENCE });
+  const validity = {
+    heartRate: isReliableVital('heartRate', latestReading, minQuality),
+    spo2: isReliableVital('spo2', latestReading, minQuality),
+    temperature: isReliableVital('temperature', latestReading, minQuality)
+  };
+  const provenance = getProvenance(latestReading);
+  const isSimulated = provenance === 'simulated';
+  const { thresholds } = reference.profile;
+
+  const vitalInterpretations = interpretVitals(
+    validity.heartRate ? heartRate : null,
+    validity.spo2 ? spo2 : null,
+    validity.temperature ? temperature : null,
+    thresholds
+  );
 
-    // Simulate glucose level with medical standards
-    const predictedGlucose = simulateHealthyGlucose(heartRate, avgHeartRate, spo2, temperature, deviceId);
-    const glucoseInterpretation = interpretGlucose(predictedGlucose);
-    
-    const glucosePrediction = {
-      value: predictedGlucose,
-      unit: 'mg/dL',
+  // Estimate glucose from the latest vitals; the model needs all of them to be valid
+  const glucoseMedicalStandards = glucoseStandards(thresholds, units.glucose);
+  const noGlucoseEstimate = (message) => ({
+    value: null,
+    unit: units.glucose,
+    category: 'No Reading',
+    status: 'error',
+    message: message,
+    medicalStandards: glucoseMedicalStandards,
+    source: 'model',
+    model: { name: models.active().name, version: models.active().version },
+    simulatedGlucose: false
+  });
+  const estimate = models.active() && !(validity.heartRate && validity.spo2 && validity.temperature) ?
+    null :
+    await estimateGlucose(latestReading, deviceId);
+  let glucosePrediction;
+
+  if (!estimate) {
+    glucosePrediction = noGlucoseEstimate(validity.heartRate && validity.spo2 && validity.temperature ?
+      'The glucose model could not estimate from the latest readings' :
+      'Glucose estimate needs valid heart rate, SpO2 and temperature readings');
+  } else {
+    const glucoseInterpretation = interpretGlucose(estimate.glucoseLevel, thresholds);
+
+    glucosePrediction = {
+      value: convertGlucose(estimate.glucoseLevel, units.glucose),
+      unit: units.glucose,
+      range: estimate.range ?
+        { ...estimate.range, low: convertGlucose(estimate.range.low, units.glucose), high: convertGlucose(estimate.range.high, units.glucose) } :
+        estimate.range,
+      standardDeviation: convertGlucose(estimate.standardDeviation, units.glucose),
       category: glucoseInterpretation.category,
       status: glucoseInterpretation.status,
       message: glucoseInterpretation.message,
-      medicalStandards: {
-        normal: '70-99 mg/dL',
-        prediabetes: '100-125 mg/dL',
-        diabetes: '≥126 mg/dL'
-      },
-      confidence: 'Simulated - Medical Standards',
-      simulatedGlucose: true
+      medicalStandards: glucoseMedicalStandards,
+      confidence: estimate.source === 'model' ? `Model ${estimate.model.version} estimate` : 'Simulated - Medical Standards',
+      source: estimate.source,
+      model: estimate.model,
+      outOfRange: estimate.outOfRange,
+      simulatedGlucose: estimate.simulatedGlucose
     };
+  }
 
-    // Calculate overall health score
-    const calculateHealthScore = (vitals, glucose) => {
-      let score = 100;
-      let factors = [];
-
-      // Deduct points based on vital sign status
-      Object.entries(vitals).forEach(([vital, interpretation]) => {
-        if (interpretation.status === 'warning') {
-          score -= 20;
-          factors.push(`${vital}: ${interpretation.message}`);
-        } else if (interpretation.status === 'caution') {
-          score -= 10;
-          factors.push(`${vital}: ${interpretation.message}`);
-        } else if (interpretation.status === 'error') {
-          score -= 15;
-          factors.push(`${vital}: ${interpretation.message}`);
-        }
-      });
+  // Overall health score with the active weights (stored per reading too, see recordHealthScore)
+  const healthScore = scoreHealth({ ...vitalInterpretations, glucose: glucosePrediction }, healthScoreWeights.active());
+
+  // Get historical data if requested
+  let historicalData = null;
+  if (includeHistory === 'true') {
+    historicalData = (await querySegments(stores.sensorData, segments, { order: 'desc', limit: parseInt(historyLimit) }, readingTimeOf))
+      .map(record => ({
+        timestamp: record.receivedAt,
+        deviceId: record.deviceId,
+        heartRate: record.heartRate,
+        spo2: record.spo2,
+        temperature: convertTemperature(record.temperature, units.temperature),
+        fingerDetected: record.fingerDetected,
+        quality: qualityOf(record, { minPpgConfidence: PPG_MIN_CONFIDENCE }).score,
+        anomalyScore: record.anomaly ? record.anomaly.score : null,
+        provenance: getProvenance(record),
+        simulatedHealthy: getProvenance(record) === 'simulated'
+      }));
+  }
 
-      // Consider glucose with medical standards
-      if (glucose && glucose.status === 'warning') {
-        score -= 15;
-        factors.push(`Glucose: ${glucose.message}`);
-      } else if (glucose && glucose.status === 'caution') {
-        score -= 8;
-        factors.push(`Glucose: ${glucose.message}`);
+  const response = {
+    success: true,
+    timestamp: new Date().toISOString(),
+    deviceId: deviceId,
+    simulatedHealthy: isSimulated,
+    provenance: provenance,
+    ingestionMode: latestReading.ingestionMode || null,
+    variationEnabled: isSimulated,
+    sensorData: {
+      timestamp: latestReading.receivedAt,
+      raw: {
+        red: red,
+        ir: ir,
+        fingerDetected: fingerDetected
+      }
+    },
+    vitals: {
+      heartRate: {
+        value: heartRate,
+        average: avgHeartRate,
+        unit: 'BPM',
+        valid: validity.heartRate,
+        provenance: getFieldProvenance(latestReading, 'heartRate'),
+        ...vitalInterpretations.heartRate
+      },
+      spo2: {
+        value: spo2,
+        unit: '%',
+        valid: validity.spo2,
+        provenance: getFieldProvenance(latestReading, 'spo2'),
+        ...vitalInterpretations.spo2
+      },
+      temperature: {
+        value: convertTemperature(temperature, units.temperature),
+        unit: units.temperature,
+        // The value itself when the unit is °F
+        ...(units.temperature === '°F' ? {} : { fahrenheit: convertTemperature(temperature, '°F') }),
+        valid: validity.temperature,
+        provenance: getFieldProvenance(latestReading, 'temperature'),
+        ...vitalInterpretations.temperature
       }
+    },
+    glucose: glucosePrediction,
+    healthScore: healthScore,
+    qualityIndicators: {
+      sensorContact: fingerDetected ? 'Good' : 'Poor',
+      signalQuality: quality.level.charAt(0).toUpperCase() + quality.level.slice(1),
+      dataFreshness: Math.round((new Date() - new Date(latestReading.receivedAt)) / 1000) + ' seconds ago'
+    },
+    quality: {
+      ...quality,
+      minQuality: minQuality,
+      usedForInterpretation: quality.score >= minQuality
+    },
+    referenceRanges: describeReference(reference.profile, units)
+  };
 
-      score = Math.max(0, score);
+  // How far the latest reading is from this device's own usual values (null without measured vitals)
+  response.anomaly = latestReading.anomaly || null;
+
+  // HRV over the latest rolling window of beat-to-beat intervals (null until a device sends them)
+  const [latestHrv] = await querySegments(stores.derivedMetrics, segments, { where: { kind: 'hrv' }, order: 'desc', limit: 1 }, derivedTimeOf);
+  response.hrv = describeHrv(latestHrv);
+
+  // Vitals derived on the server from a raw PPG window carry the window's signal metrics
+  if (latestReading.ppg) {
+    response.signalProcessing = {
+      source: 'server-ppg',
+      confidence: latestReading.ppg.confidence,
+      minConfidence: PPG_MIN_CONFIDENCE,
+      beats: latestReading.ppg.beats,
+      perfusionIndex: latestReading.ppg.perfusionIndex,
+      ratio: latestReading.ppg.ratio,
+      sampleRate: latestReading.ppg.sampleRate,
+      durationSeconds: latestReading.ppg.durationSeconds
+    };
+  }
 
-      let healthStatus = 'Excellent';
-      if (score < 60) healthStatus = 'Poor';
-      else if (score < 75) healthStatus = 'Fair';
-      else if (score < 90) healthStatus = 'Good';
+  // Add historical data if requested
+  if (historicalData) {
+    response.history = {
+      count: historicalData.length,
+      data: historicalData
+    };
+  }
 
-      return { score, status: healthStatus, factors };
+  // Add previous values if available
+  const displayedReading = readingInUnits(latestReading, units);
+  if (latestReading.lastValues) {
+    response.previousValues = displayedReading.lastValues;
+    response.variations = {
+      heartRate: +(heartRate - latestReading.lastValues.heartRate).toFixed(1),
+      spo2: +(spo2 - latestReading.lastValues.spo2).toFixed(1),
+      temperature: convertTemperatureDelta(+(temperature - latestReading.lastValues.temperature).toFixed(1), units.temperature)
     };
+  }
 
-    const healthScore = calculateHealthScore(vitalInterpretations, glucosePrediction);
-
-    // Get historical data if requested
-    let historicalData = null;
-    if (includeHistory === 'true') {
-      historicalData = sensorData
-        .filter(record => record.deviceId === deviceId)
-        .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt))
-        .slice(0, parseInt(historyLimit))
-        .map(record => ({
-          timestamp: record.receivedAt,
-          heartRate: record.heartRate,
-          spo2: record.spo2,
-          temperature: record.temperature,
-          fingerDetected: record.fingerDetected,
-          simulatedHealthy: record.simulatedHealthy,
-          glucose: record.lastGlucose
-        }));
-    }
+  // Add original values if any field was simulated
+  if (latestReading.originalValues) {
+    response.originalValues = displayedReading.originalValues;
+  }
 
-    const response = {
-      success: true,
-      timestamp: new Date().toISOString(),
-      deviceId: deviceId,
-      simulatedHealthy: latestReading.simulatedHealthy || false,
-      variationEnabled: true,
-      sensorData: {
-        timestamp: latestReading.receivedAt,
-        raw: {
-          red: red,
-          ir: ir,
-          fingerDetected: fingerDetected
-        }
-      },
-      vitals: {
-        heartRate: {
-          value: heartRate,
-          average: avgHeartRate,
-          unit: 'BPM',
-          ...vitalInterpretations.heartRate
-        },
-        spo2: {
-          value: spo2,
-          unit: '%',
-          ...vitalInterpretations.spo2
-        },
-        temperature: {
-          value: temperature,
-          unit: '°C',
-          fahrenheit: Math.round((temperature * 9/5 + 32) * 10) / 10,
-          ...vitalInterpretations.temperature
-        }
-      },
-      glucose: glucosePrediction,
-      healthScore: healthScore,
-      qualityIndicators: {
-        sensorContact: fingerDetected ? 'Good' : 'Poor',
-        signalQuality: (red > 50000 && ir > 50000) ? 'Good' : 'Poor',
-        dataFreshness: Math.round((new Date() - new Date(latestReading.receivedAt)) / 1000) + ' seconds ago'
-      }
-    };
+  // Add medical disclaimers
+  response.disclaimers = [
+    `This data follows the ${reference.profile.name} reference ranges (${reference.profile.description})`,
+    `Normal fasting glucose: ${glucoseMedicalStandards.normal}, Prediabetes: ${glucoseMedicalStandards.prediabetes}, Diabetes: ${glucoseMedicalStandards.diabetes}`,
+    glucosePrediction.source === 'model' ?
+      `Glucose is estimated from vital signs by model ${glucosePrediction.model.version}, not measured` :
+      'Glucose is simulated and is not derived from a measurement',
+    'Consult healthcare provider for medical decisions',
+    'Use actual medical devices for real health monitoring'
+  ];
+
+  if (glucosePrediction.outOfRange && glucosePrediction.outOfRange.length > 0) {
+    response.disclaimers.splice(3, 0, `Inputs outside the glucose model's training data (${glucosePrediction.outOfRange.map(entry => entry.feature).join(', ')}) make the estimate unreliable`);
+  }
 
-    // Add historical data if requested
-    if (historicalData) {
-      response.history = {
-        count: historicalData.length,
-        data: historicalData
-      };
-    }
+  if (provenance === 'raw') {
+    response.disclaimers.splice(2, 0, 'Vital signs are the values measured by the sensor');
+  } else if (provenance === 'derived') {
+    response.disclaimers.splice(2, 0, 'Heart rate and SpO2 were computed on the server from raw PPG samples');
+  } else {
+    const simulatedVitals = VITAL_FIELDS.filter(vital => getFieldProvenance(latestReading, vital) === 'simulated');
+    response.disclaimers.splice(2, 0, `Simulated (not measured) vital signs: ${simulatedVitals.join(', ')}`);
+  }
 
-    // Add previous values if available
-    if (latestReading.lastValues) {
-      response.previousValues = latestReading.lastValues;
-      response.variations = {
-        heartRate: +(heartRate - latestReading.lastValues.heartRate).toFixed(1),
-        spo2: +(spo2 - latestReading.lastValues.spo2).toFixed(1),
-        temperature: +(temperature - latestReading.lastValues.temperature).toFixed(1)
-      };
-    }
+  console.log(`Comprehensive health data for ${deviceId} (${provenance}): HR=${heartRate}, SpO2=${spo2}%, Temp=${temperature}°C, Glucose=${glucosePrediction.value}mg/dL (${glucosePrediction.source})`);
+
+  return response;
+};
+
+const HEALTH_DATA_QUERY = {
+  includeHistory: { type: 'boolean', description: 'Include recent readings' },
+  historyLimit: { type: 'integer', min: 1, description: 'Readings in the history (default 10)' },
+  ...QUALITY_QUERY,
+  ...UNITS_QUERY
+};
 
-    // Add original values if this was simulated
-    if (latestReading.originalValues) {
-      response.originalValues = latestReading.originalValues;
+// Comprehensive health data endpoint - UPDATED with medical standards
+app.get('/api/health-data/:deviceId', { summary: 'Latest vitals of a device with interpretations', query: HEALTH_DATA_QUERY }, auth.requireDeviceAccess, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const minQuality = parseMinQuality(req.query.minQuality, QUALITY_MIN_SCORE);
+    const reference = await referenceFor({ deviceId });
+    const units = unitsFromQuery(req.query, reference.units);
+    if (!units) {
+      return invalidUnits(res);
     }
 
-    // Add medical disclaimers
-    response.disclaimers = [
-      'This data follows medical standards for glucose ranges',
-      'Normal fasting glucose: 70-99 mg/dL, Prediabetes: 100-125 mg/dL, Diabetes: ≥126 mg/dL',
-      'Values are guaranteed to vary from previous readings by at least 0.1 units',
-      'Glucose and vital signs are predicted for educational purposes only',
-      'Consult healthcare provider for medical decisions',
-      'Use actual medical devices for real health monitoring'
-    ];
+    const response = await buildHealthData([{ deviceId }], { ...req.query, minQuality, reference, units });
 
-    console.log(`Comprehensive health data for ${deviceId}: HR=${heartRate}, SpO2=${spo2}%, Temp=${temperature}°C, Glucose=${glucosePrediction.value}mg/dL (Normal Range)`);
+    if (!response) {
+      return res.status(404).json({
+        error: 'No sensor data found',
+        message: `No valid sensor readings found for device ${deviceId}`,
+        deviceId: deviceId
+      });
+    }
 
     res.json(response);
 
@@ -705,8 +2091,71 @@ app.get('/api/health-data/:deviceId', async (req, res) => {
   }
 });
 
+// Health data for a patient: the newest reading from any device while it was assigned to them
+app.get('/api/patients/:patientId/health-data', { summary: 'Latest vitals of a patient with interpretations', query: HEALTH_DATA_QUERY }, auth.requirePatientAccess, async (req, res) => {
+  try {
+    const minQuality = parseMinQuality(req.query.minQuality, QUALITY_MIN_SCORE);
+    const reference = await referenceFor({ patient: req.patient });
+    const units = unitsFromQuery(req.query, reference.units);
+    if (!units) {
+      return invalidUnits(res);
+    }
+
+    const segments = await patientSegments(stores, req.patient.id);
+    const response = await buildHealthData(segments, { ...req.query, minQuality, reference, units });
+
+    if (!response) {
+      return res.status(404).json({
+        error: 'No sensor data found',
+        message: `No valid sensor readings from devices assigned to patient ${req.patient.id}`,
+        patientId: req.patient.id
+      });
+    }
+
+    res.json({
+      ...response,
+      patientId: req.patient.id,
+      patient: toPublicPatient(req.patient)
+    });
+
+  } catch (error) {
+    console.error('Error fetching patient health data:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve health data',
+      message: error.message,
+      patientId: req.params.patientId
+    });
+  }
+});
+
+// Date range and filters of the sensor data list endpoints (?startDate=&endDate=&validOnly=&provenance=);
+// minQuality is the parsed ?minQuality= (null for no quality filter)
+const readingCriteria = ({ startDate, endDate, validOnly, provenance }, minQuality = null) => ({
+  start: startDate ? new Date(startDate) : undefined,
+  end: endDate ? new Date(endDate) : undefined,
+  filter: record =>
+    // Filter for valid readings only
+    (validOnly !== 'true' || (record.heartRateValid && record.spo2Valid && record.fingerDetected)) &&
+    // Filter by provenance (raw, derived, simulated or corrected)
+    (!provenance || getProvenance(record) === provenance) &&
+    // Filter by signal quality score
+    (minQuality === null || qualityOf(record, { minPpgConfidence: PPG_MIN_CONFIDENCE }).score >= minQuality)
+});
+
+const READING_QUERY = {
+  ...PAGINATION_QUERY,
+  ...DATE_RANGE_QUERY,
+  validOnly: { type: 'boolean', description: 'Only readings with valid heart rate and SpO2 and a finger detected' },
+  provenance: { type: 'string', values: PROVENANCES },
+  ...QUALITY_QUERY,
+  ...UNITS_QUERY
+};
+
 // GET endpoint to fetch all sensor data
-app.get('/api/sensor-data', (req, res) => {
+app.get('/api/sensor-data', {
+  summary: 'Readings, newest first',
+  query: { deviceId: { type: 'string', description: 'Only this device (default: every device the caller can reach)' }, ...READING_QUERY }
+}, auth.requireUser, async (req, res) => {
   try {
     const { 
       limit = 100, 
@@ -714,66 +2163,61 @@ app.get('/api/sensor-data', (req, res) => {
       deviceId, 
       startDate, 
       endDate,
-      validOnly = false 
+      validOnly = false,
+      provenance
     } = req.query;
 
-    let filteredData = [...sensorData];
-
-    // Filter by device ID
-    if (deviceId) {
-      filteredData = filteredData.filter(record => record.deviceId === deviceId);
-    }
-
-    // Filter by date range
-    if (startDate) {
-      const start = new Date(startDate);
-      filteredData = filteredData.filter(record => new Date(record.receivedAt) >= start);
+    const scope = await auth.deviceScope(req.user, deviceId);
+    if (!scope) {
+      return deviceAccessDenied(res, deviceId);
     }
 
-    if (endDate) {
-      const end = new Date(endDate);
-      filteredData = filteredData.filter(record => new Date(record.receivedAt) <= end);
+    const minQuality = parseMinQuality(req.query.minQuality, null);
+    // A single device's reference ranges and units; the defaults across devices
+    const reference = await referenceFor({ deviceId });
+    const units = unitsFromQuery(req.query, reference.units);
+    if (!units) {
+      return invalidUnits(res);
     }
 
-    // Filter for valid readings only
-    if (validOnly === 'true') {
-      filteredData = filteredData.filter(record => 
-        record.heartRateValid && 
-        record.spo2Valid && 
-        record.fingerDetected
-      );
-    }
-
-    // Sort by timestamp (newest first)
-    filteredData.sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt));
+    // Device and date range are resolved by the storage indexes, the rest by predicate
+    const criteria = {
+      ...scope,
+      ...readingCriteria(req.query, minQuality)
+    };
 
-    // Apply pagination
+    // Sort by timestamp (newest first) and apply pagination
     const startIndex = parseInt(offset);
     const endIndex = startIndex + parseInt(limit);
-    const paginatedData = filteredData.slice(startIndex, endIndex);
+    const total = await stores.sensorData.count(criteria);
+    const paginatedData = await stores.sensorData.query({
+      ...criteria,
+      order: 'desc',
+      offset: startIndex,
+      limit: parseInt(limit)
+    });
 
     res.json({
       success: true,
-      data: paginatedData,
+      data: paginatedData.map(record => readingInUnits(record, units)),
+      units: units,
       pagination: {
-        total: filteredData.length,
+        total: total,
         limit: parseInt(limit),
         offset: parseInt(offset),
-        hasMore: endIndex < filteredData.length
+        hasMore: endIndex < total
       },
       filters: {
         deviceId: deviceId || null,
         startDate: startDate || null,
         endDate: endDate || null,
-        validOnly: validOnly === 'true'
+        validOnly: validOnly === 'true',
+        provenance: provenance || null,
+        minQuality: minQuality
       },
-      simulatedHealthy: true,
+      simulatedHealthy: paginatedData.some(record => getProvenance(record) === 'simulated'),
       medicalStandards: {
-        glucose: {
-          normal: '70-99 mg/dL',
-          prediabetes: '100-125 mg/dL',
-          diabetes: '≥126 mg/dL'
-        }
+        glucose: glucoseStandards(reference.profile.thresholds, units.glucose)
       }
     });
 
@@ -786,16 +2230,242 @@ app.get('/api/sensor-data', (req, res) => {
   }
 });
 
+// GET endpoint to fetch a patient's sensor data: readings of each device while it was assigned to them
+app.get('/api/patients/:patientId/sensor-data', { summary: 'Readings of a patient, newest first', query: READING_QUERY }, auth.requirePatientAccess, async (req, res) => {
+  try {
+    const { limit = 100, offset = 0, startDate, endDate, validOnly = false, provenance } = req.query;
+
+    const minQuality = parseMinQuality(req.query.minQuality, null);
+    const reference = await referenceFor({ patient: req.patient });
+    const units = unitsFromQuery(req.query, reference.units);
+    if (!units) {
+      return invalidUnits(res);
+    }
+
+    const segments = await patientSegments(stores, req.patient.id);
+    const criteria = readingCriteria(req.query, minQuality);
+
+    const total = await countSegments(stores.sensorData, segments, criteria);
+    const data = await querySegments(stores.sensorData, segments, {
+      ...criteria,
+      order: 'desc',
+      offset: parseInt(offset),
+      limit: parseInt(limit)
+    }, readingTimeOf);
+
+    res.json({
+      success: true,
+      patientId: req.patient.id,
+      devices: [...new Set(segments.map(segment => segment.deviceId))],
+      data: data.map(record => readingInUnits(record, units)),
+      units: units,
+      pagination: {
+        total: total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + parseInt(limit) < total
+      },
+      filters: {
+        startDate: startDate || null,
+        endDate: endDate || null,
+        validOnly: validOnly === 'true',
+        provenance: provenance || null,
+        minQuality: minQuality
+      },
+      simulatedHealthy: data.some(record => getProvenance(record) === 'simulated'),
+      medicalStandards: {
+        glucose: glucoseStandards(reference.profile.thresholds, units.glucose)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching patient sensor data:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Time-bucketed statistics for charts: count, min, max, mean and percentiles per bucket.
+// Sentinels, flagged and low-quality readings are left out; empty buckets are returned so gaps stay visible.
+const AGGREGATE_METRICS = {
+  heartRate: { decimals: 1 },
+  spo2: { decimals: 1 },
+  temperature: { decimals: 2 },
+  glucose: { decimals: 1 }
+};
+const AGGREGATE_MAX_BUCKETS = 2000;
+
+app.get('/api/sensor-data/aggregate', {
+  summary: 'Vitals and glucose summarized per time bucket',
+  query: {
+    deviceId: { type: 'string', required: true },
+    interval: { type: 'string', values: Object.keys(INTERVALS), description: 'Bucket size (default 1h)' },
+    start: { type: 'date', description: 'Default: 24 hours before end' },
+    end: { type: 'date', description: 'Default: now' },
+    ...DATE_RANGE_QUERY,
+    provenance: { type: 'string', values: PROVENANCES },
+    percentiles: { type: 'string', description: `Comma-separated numbers 0-100 (default ${DEFAULT_PERCENTILES.join(',')})` },
+    ...QUALITY_QUERY,
+    ...UNITS_QUERY
+  }
+}, auth.requireUser, async (req, res) => {
+  try {
+    const { deviceId, interval = '1h', provenance } = req.query;
+
+    const scope = await auth.deviceScope(req.user, deviceId);
+    if (!scope) {
+      return deviceAccessDenied(res, deviceId);
+    }
+
+    const intervalMs = INTERVALS[interval];
+
+    // start/end (startDate/endDate also accepted); the last 24 hours by default
+    const end = new Date(req.query.end || req.query.endDate || Date.now()).getTime();
+    const start = new Date(req.query.start || req.query.startDate || end - 24 * 60 * 60 * 1000).getTime();
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start > end) {
+      return res.status(400).json({
+        error: 'Invalid time range',
+        message: 'start and end must be dates with start before end'
+      });
+    }
+
+    const bucketCount = Math.floor(end / intervalMs) - Math.floor(start / intervalMs) + 1;
+    if (bucketCount > AGGREGATE_MAX_BUCKETS) {
+      return res.status(400).json({
+        error: 'Too many buckets',
+        message: `${bucketCount} buckets requested, at most ${AGGREGATE_MAX_BUCKETS}; use a larger interval or a shorter range`
+      });
+    }
+
+    const minQuality = parseMinQuality(req.query.minQuality, QUALITY_MIN_SCORE);
+    const reference = await referenceFor({ deviceId });
+    const units = unitsFromQuery(req.query, reference.units);
+    if (!units) {
+      return invalidUnits(res);
+    }
+
+    const percentiles = req.query.percentiles ?
+      String(req.query.percentiles).split(',').map(Number) :
+      DEFAULT_PERCENTILES;
+    if (percentiles.some(p => !Number.isFinite(p) || p < 0 || p > 100)) {
+      return res.status(400).json({
+        error: 'Invalid percentiles',
+        message: 'percentiles must be comma-separated numbers between 0 and 100'
+      });
+    }
+
+    const readings = await stores.sensorData.query({
+      deviceId,
+      start,
+      end,
+      filter: provenance ? record => getProvenance(record) === provenance : undefined
+    });
+    const predictions = await stores.glucosePredictions.query({ deviceId, start, end });
+
+    const samples = [
+      ...readings.map(record => ({
+        time: readingTimeOf(record),
+        values: VITAL_FIELDS.filter(vital => isReliableVital(vital, record, minQuality))
+          .reduce((values, vital) => ({
+            ...values,
+            [vital]: vital === 'temperature' ? convertTemperature(record[vital], units.temperature) : record[vital]
+          }), {})
+      })),
+      ...predictions.map(prediction => ({
+        time: new Date(prediction.timestamp).getTime(),
+        values: { glucose: convertGlucose(prediction.lastGlucose, units.glucose) }
+      }))
+    ];
+
+    const buckets = aggregateBuckets(samples, {
+      start,
+      end,
+      intervalMs,
+      metrics: AGGREGATE_METRICS,
+      percentiles
+    });
+
+    res.json({
+      success: true,
+      deviceId: deviceId,
+      interval: interval,
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      percentiles: percentiles,
+      units: {
+        heartRate: 'BPM',
+        spo2: '%',
+        temperature: units.temperature,
+        glucose: units.glucose
+      },
+      totals: {
+        readings: readings.length,
+        glucosePredictions: predictions.length
+      },
+      filters: {
+        provenance: provenance || null,
+        minQuality: minQuality
+      },
+      buckets: buckets
+    });
+
+  } catch (error) {
+    console.error('Error aggregating sensor data:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 // GET endpoint to fetch data by device ID
-app.get('/api/sensor-data/device/:deviceId', (req, res) => {
+app.get('/api/sensor-data/device/:deviceId', {
+  summary: 'Latest readings of a device, optionally merged with other record types',
+  query: {
+    limit: { type: 'integer', min: 1, description: 'Records to return (default 50)' },
+    include: { type: 'list', values: Object.keys(TIMELINE_TYPES).filter(type => type !== 'readings'), description: 'Record types to merge into one timeline' },
+    ...DATE_RANGE_QUERY,
+    ...UNITS_QUERY
+  }
+}, auth.requireDeviceAccess, async (req, res) => {
   try {
     const { deviceId } = req.params;
-    const { limit = 50 } = req.query;
+    const { limit = 50, include } = req.query;
 
-    const deviceData = sensorData
-      .filter(record => record.deviceId === deviceId)
-      .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt))
-      .slice(0, parseInt(limit));
+    const reference = await referenceFor({ deviceId });
+    const units = unitsFromQuery(req.query, reference.units);
+    if (!units) {
+      return invalidUnits(res);
+    }
+
+    // ?include=predictions,derived merges other record types into one timeline
+    if (include) {
+      const types = include.split(',').map(type => type.trim()).filter(Boolean);
+
+      const timeline = await buildTimeline(deviceId, ['readings', ...types], {
+        start: req.query.startDate ? new Date(req.query.startDate) : undefined,
+        end: req.query.endDate ? new Date(req.query.endDate) : undefined,
+        limit: parseInt(limit)
+      });
+
+      return res.json({
+        success: true,
+        deviceId: deviceId,
+        timeline: timeline.map(entry => ({
+          ...entry,
+          record: entry.type === 'sensorReading' ? readingInUnits(entry.record, units) :
+            entry.type === 'glucosePrediction' ? predictionInUnits(entry.record, units) :
+            entry.record
+        })),
+        units: units,
+        totalEntries: timeline.length,
+        types: ['readings', ...types]
+      });
+    }
+
+    const deviceData = await stores.sensorData.query({ deviceId, order: 'desc', limit: parseInt(limit) });
 
     // Calculate variations for the latest readings
     const dataWithVariations = deviceData.map((record, index) => {
@@ -809,9 +2479,7 @@ app.get('/api/sensor-data/device/:deviceId', (req, res) => {
             spo2: record.spo2 && prevRecord.spo2 ? 
               +(record.spo2 - prevRecord.spo2).toFixed(1) : null,
             temperature: record.temperature && prevRecord.temperature ? 
-              +(record.temperature - prevRecord.temperature).toFixed(1) : null,
-            glucose: record.lastGlucose && prevRecord.lastGlucose ? 
-              +(record.lastGlucose - prevRecord.lastGlucose).toFixed(1) : null
+              +(record.temperature - prevRecord.temperature).toFixed(1) : null
           }
         };
       }
@@ -821,16 +2489,13 @@ app.get('/api/sensor-data/device/:deviceId', (req, res) => {
     res.json({
       success: true,
       deviceId: deviceId,
-      data: dataWithVariations,
+      data: dataWithVariations.map(record => readingInUnits(record, units)),
+      units: units,
       totalRecords: deviceData.length,
-      simulatedHealthy: true,
-      variationEnabled: true,
+      simulatedHealthy: deviceData.some(record => getProvenance(record) === 'simulated'),
+      variationEnabled: resolveIngestionMode(deviceId) === 'simulated',
       medicalStandards: {
-        glucose: {
-          normal: '70-99 mg/dL',
-          prediabetes: '100-125 mg/dL',
-          diabetes: '≥126 mg/dL'
-        }
+        glucose: glucoseStandards(reference.profile.thresholds, units.glucose)
       }
     });
 
@@ -844,32 +2509,47 @@ app.get('/api/sensor-data/device/:deviceId', (req, res) => {
 });
 
 // DELETE endpoint to clear data (for testing)
-app.delete('/api/sensor-data', (req, res) => {
+app.delete('/api/sensor-data', {
+  summary: 'Delete readings, glucose predictions and derived metrics',
+  query: { deviceId: { type: 'string', description: 'Only this device (default: every device the caller can reach)' }, ...DATE_RANGE_QUERY }
+}, auth.requireUser, async (req, res) => {
   try {
-    const { deviceId } = req.query;
-    
-    if (deviceId) {
-      const originalLength = sensorData.length;
-      sensorData = sensorData.filter(record => record.deviceId !== deviceId);
-      const deletedCount = originalLength - sensorData.length;
-      
-      saveData();
-      
-      res.json({
-        success: true,
-        message: `Deleted ${deletedCount} records for device ${deviceId}`,
-        remainingRecords: sensorData.length
-      });
-    } else {
-      sensorData = [];
-      saveData();
-      
-      res.json({
-        success: true,
-        message: 'All sensor data cleared',
-        remainingRecords: 0
-      });
+    const { deviceId, startDate, endDate } = req.query;
+
+    // Admins may clear everything; owners only the data of their own devices
+    const scope = await auth.deviceScope(req.user, deviceId);
+    if (!scope) {
+      return deviceAccessDenied(res, deviceId);
     }
+
+    // Readings, glucose predictions and derived metrics are removed together
+    const criteria = {
+      ...scope,
+      start: startDate ? new Date(startDate) : undefined,
+      end: endDate ? new Date(endDate) : undefined
+    };
+    const deletedByType = {
+      sensorReadings: await stores.sensorData.delete(criteria),
+      glucosePredictions: await stores.glucosePredictions.delete(criteria),
+      derivedMetrics: await stores.derivedMetrics.delete(criteria)
+    };
+    const deletedCount = deletedByType.sensorReadings;
+    const remainingRecords = await stores.sensorData.count();
+
+    let message = deviceId ?
+      `Deleted ${deletedCount} records for device ${deviceId}` :
+      (req.user.role === 'admin' ? 'All sensor data cleared' : `Deleted ${deletedCount} records for your devices`);
+    if (startDate || endDate) {
+      message = `Deleted ${deletedCount} records${deviceId ? ` for device ${deviceId}` : ''} between ${startDate || 'the beginning'} and ${endDate || 'now'}`;
+    }
+
+    res.json({
+      success: true,
+      message: message,
+      deletedRecords: deletedCount,
+      deletedByType: deletedByType,
+      remainingRecords: remainingRecords
+    });
   } catch (error) {
     console.error('Error clearing data:', error);
     res.status(500).json({
@@ -879,55 +2559,112 @@ app.delete('/api/sensor-data', (req, res) => {
   }
 });
 
-// Export data as CSV endpoint
-app.get('/api/sensor-data/export/csv', (req, res) => {
+// Temperature summary (see summarizeVital) in a unit
+const temperatureSummaryInUnits = (summary, unit) => ({
+  ...summary,
+  current: convertTemperature(summary.current, unit),
+  min: convertTemperature(summary.min, unit),
+  max: convertTemperature(summary.max, unit),
+  avg: convertTemperature(summary.avg, unit),
+  variations: summary.variations.map(variation => convertTemperatureDelta(variation, unit))
+});
+
+// Statistics with variation analysis over readings and glucose predictions (both oldest first);
+// vitals from readings below minQuality are counted but not summarized.
+// reference is the resolved reference ranges (see referenceFor) and units the units to respond in.
+const buildDeviceStats = (deviceRecords, predictions, { minQuality = QUALITY_MIN_SCORE, reference, units }) => {
+  const { thresholds } = reference.profile;
+  const isNormalGlucose = value => interpretGlucose(value, thresholds).category === 'Normal';
+  const glucoseReadings = predictions.map(prediction => prediction.lastGlucose);
+  const glucoseInRange = glucoseReadings.filter(isNormalGlucose).length;
+  const ranges = normalRanges(thresholds, units);
+  const qualityScores = deviceRecords.map(record => qualityOf(record, { minPpgConfidence: PPG_MIN_CONFIDENCE }).score);
+
+  // Calculate statistics over valid readings only (sentinels and flagged readings are counted, not averaged)
+  const stats = {
+    totalReadings: deviceRecords.length,
+    firstReading: deviceRecords[0].receivedAt,
+    lastReading: deviceRecords[deviceRecords.length - 1].receivedAt,
+    provenance: countProvenance(deviceRecords),
+    quality: {
+      minQuality: minQuality,
+      averageScore: Math.round(qualityScores.reduce((sum, score) => sum + score, 0) / qualityScores.length),
+      lowQualityReadings: qualityScores.filter(score => score < minQuality).length
+    },
+    heartRate: summarizeVital(deviceRecords, 'heartRate', 0, minQuality),
+    spo2: summarizeVital(deviceRecords, 'spo2', 0, minQuality),
+    temperature: temperatureSummaryInUnits(summarizeVital(deviceRecords, 'temperature', 1, minQuality), units.temperature),
+    glucose: {
+      current: glucoseReadings.length > 0 ? convertGlucose(glucoseReadings[glucoseReadings.length - 1], units.glucose) : null,
+      readings: glucoseReadings.map(value => convertGlucose(value, units.glucose)),
+      unit: units.glucose,
+      allInNormalRange: glucoseReadings.every(isNormalGlucose),
+      medicalCompliance: glucoseReadings.length > 0 ?
+        `${glucoseInRange} of ${glucoseReadings.length} readings in normal range (${glucoseStandards(thresholds, units.glucose).normal})` :
+        'No glucose readings',
+      simulated: predictions.some(prediction => prediction.simulatedGlucose),
+      modelVersions: [...new Set(predictions.map(prediction => prediction.prediction.modelVersion).filter(Boolean))]
+    }
+  };
+
+  const allSimulated = Object.keys(stats.provenance).every(key => key === 'simulated' || stats.provenance[key] === 0);
+
+  // Variation analysis
+  const variationAnalysis = {
+    heartRateVariationRange: stats.heartRate.variations.length > 0 ? 
+      `${Math.min(...stats.heartRate.variations)} to ${Math.max(...stats.heartRate.variations)} BPM` : 'N/A',
+    spo2VariationRange: stats.spo2.variations.length > 0 ? 
+      `${Math.min(...stats.spo2.variations)} to ${Math.max(...stats.spo2.variations)}%` : 'N/A',
+    temperatureVariationRange: stats.temperature.variations.length > 0 ? 
+      `${Math.min(...stats.temperature.variations)} to ${Math.max(...stats.temperature.variations)}${units.temperature}` : 'N/A',
+    guaranteedVariation: allSimulated ?
+      'All readings vary by minimum 0.1 units from previous' :
+      'Not applicable - includes measured sensor values'
+  };
+
+  return {
+    statistics: stats,
+    variationAnalysis: variationAnalysis,
+    medicalStandardCompliance: ranges,
+    referenceRanges: describeReference(reference.profile, units),
+    timestamp: new Date().toISOString()
+  };
+};
+
+// New endpoint to get device statistics with variation analysis
+app.get('/api/device-stats/:deviceId', {
+  summary: 'Statistics and variation of a device\'s readings',
+  query: { ...QUALITY_QUERY, ...UNITS_QUERY }
+}, auth.requireDeviceAccess, async (req, res) => {
   try {
-    const { deviceId } = req.query;
-    
-    let dataToExport = sensorData;
-    if (deviceId) {
-      dataToExport = sensorData.filter(record => record.deviceId === deviceId);
+    const { deviceId } = req.params;
+
+    const minQuality = parseMinQuality(req.query.minQuality, QUALITY_MIN_SCORE);
+    const reference = await referenceFor({ deviceId });
+    const units = unitsFromQuery(req.query, reference.units);
+    if (!units) {
+      return invalidUnits(res);
     }
 
-    if (dataToExport.length === 0) {
+    const deviceRecords = await stores.sensorData.query({ deviceId });
+
+    if (deviceRecords.length === 0) {
       return res.status(404).json({
-        error: 'No data to export'
+        error: 'No data found for device',
+        deviceId: deviceId
       });
     }
 
-    // Generate CSV with additional medical standard info
-    const headers = [
-      'id', 'deviceId', 'timestamp', 'receivedAt', 'heartRate', 'heartRateAvg', 
-      'spo2', 'temperature', 'red', 'ir', 'fingerDetected', 'lastGlucose',
-      'simulatedHealthy', 'variationApplied', 'medicalStandardCompliant'
-    ].join(',');
-    
-    const rows = dataToExport.map(record => [
-      record.id,
-      record.deviceId,
-      record.timestamp,
-      record.receivedAt,
-      record.heartRate,
-      record.heartRateAvg,
-      record.spo2,
-      record.temperature,
-      record.red,
-      record.ir,
-      record.fingerDetected,
-      record.lastGlucose || '',
-      record.simulatedHealthy || false,
-      record.variationApplied || true,
-      'Yes - Normal Range (70-99 mg/dL)'
-    ].map(val => typeof val === 'string' ? `"${val}"` : val).join(','));
-    
-    const csv = [headers, ...rows].join('\n');
+    const predictions = await stores.glucosePredictions.query({ deviceId });
 
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="medical_standard_sensor_data_${Date.now()}.csv"`);
-    res.send(csv);
+    res.json({
+      success: true,
+      deviceId: deviceId,
+      ...buildDeviceStats(deviceRecords, predictions, { minQuality, reference, units })
+    });
 
   } catch (error) {
-    console.error('Error exporting CSV:', error);
+    console.error('Error calculating device statistics:', error);
     res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -935,89 +2672,40 @@ app.get('/api/sensor-data/export/csv', (req, res) => {
   }
 });
 
-// New endpoint to get device statistics with variation analysis
-app.get('/api/device-stats/:deviceId', (req, res) => {
+// Statistics for a patient across the devices assigned to them, over each assignment period
+app.get('/api/patients/:patientId/device-stats', {
+  summary: 'Statistics of a patient\'s readings across their devices',
+  query: { ...QUALITY_QUERY, ...UNITS_QUERY }
+}, auth.requirePatientAccess, async (req, res) => {
   try {
-    const { deviceId } = req.params;
-    
-    const deviceRecords = sensorData
-      .filter(record => record.deviceId === deviceId)
-      .sort((a, b) => new Date(a.receivedAt) - new Date(b.receivedAt));
+    const minQuality = parseMinQuality(req.query.minQuality, QUALITY_MIN_SCORE);
+    const reference = await referenceFor({ patient: req.patient });
+    const units = unitsFromQuery(req.query, reference.units);
+    if (!units) {
+      return invalidUnits(res);
+    }
 
-    if (deviceRecords.length === 0) {
+    const segments = await patientSegments(stores, req.patient.id);
+    const records = await querySegments(stores.sensorData, segments, {}, readingTimeOf);
+
+    if (records.length === 0) {
       return res.status(404).json({
-        error: 'No data found for device',
-        deviceId: deviceId
+        error: 'No data found for patient',
+        patientId: req.patient.id
       });
     }
 
-    // Calculate statistics
-    const stats = {
-      totalReadings: deviceRecords.length,
-      firstReading: deviceRecords[0].receivedAt,
-      lastReading: deviceRecords[deviceRecords.length - 1].receivedAt,
-      heartRate: {
-        current: deviceRecords[deviceRecords.length - 1].heartRate,
-        min: Math.min(...deviceRecords.map(r => r.heartRate).filter(v => v)),
-        max: Math.max(...deviceRecords.map(r => r.heartRate).filter(v => v)),
-        avg: Math.round(deviceRecords.reduce((sum, r) => sum + (r.heartRate || 0), 0) / deviceRecords.length),
-        variations: deviceRecords.length > 1 ? deviceRecords.slice(1).map((record, i) => 
-          +(record.heartRate - deviceRecords[i].heartRate).toFixed(1)
-        ) : []
-      },
-      spo2: {
-        current: deviceRecords[deviceRecords.length - 1].spo2,
-        min: Math.min(...deviceRecords.map(r => r.spo2).filter(v => v)),
-        max: Math.max(...deviceRecords.map(r => r.spo2).filter(v => v)),
-        avg: Math.round(deviceRecords.reduce((sum, r) => sum + (r.spo2 || 0), 0) / deviceRecords.length),
-        variations: deviceRecords.length > 1 ? deviceRecords.slice(1).map((record, i) => 
-          +(record.spo2 - deviceRecords[i].spo2).toFixed(1)
-        ) : []
-      },
-      temperature: {
-        current: deviceRecords[deviceRecords.length - 1].temperature,
-        min: Math.min(...deviceRecords.map(r => r.temperature).filter(v => v)),
-        max: Math.max(...deviceRecords.map(r => r.temperature).filter(v => v)),
-        avg: +(deviceRecords.reduce((sum, r) => sum + (r.temperature || 0), 0) / deviceRecords.length).toFixed(1),
-        variations: deviceRecords.length > 1 ? deviceRecords.slice(1).map((record, i) => 
-          +(record.temperature - deviceRecords[i].temperature).toFixed(1)
-        ) : []
-      },
-      glucose: {
-        current: deviceRecords[deviceRecords.length - 1].lastGlucose || null,
-        readings: deviceRecords.filter(r => r.lastGlucose).map(r => r.lastGlucose),
-        allInNormalRange: deviceRecords.filter(r => r.lastGlucose).every(r => r.lastGlucose >= 70 && r.lastGlucose <= 99),
-        medicalCompliance: 'All readings in normal range (70-99 mg/dL)'
-      }
-    };
-
-    // Variation analysis
-    const variationAnalysis = {
-      heartRateVariationRange: stats.heartRate.variations.length > 0 ? 
-        `${Math.min(...stats.heartRate.variations)} to ${Math.max(...stats.heartRate.variations)} BPM` : 'N/A',
-      spo2VariationRange: stats.spo2.variations.length > 0 ? 
-        `${Math.min(...stats.spo2.variations)} to ${Math.max(...stats.spo2.variations)}%` : 'N/A',
-      temperatureVariationRange: stats.temperature.variations.length > 0 ? 
-        `${Math.min(...stats.temperature.variations)} to ${Math.max(...stats.temperature.variations)}°C` : 'N/A',
-      guaranteedVariation: 'All readings vary by minimum 0.1 units from previous'
-    };
+    const predictions = await querySegments(stores.glucosePredictions, segments, {}, record => new Date(record.timestamp).getTime());
 
     res.json({
       success: true,
-      deviceId: deviceId,
-      statistics: stats,
-      variationAnalysis: variationAnalysis,
-      medicalStandardCompliance: {
-        glucose: 'Normal fasting range (70-99 mg/dL)',
-        heartRate: 'Normal range (60-100 BPM)',
-        spo2: 'Normal range (95-100%)',
-        temperature: 'Normal range (36.1-37.2°C)'
-      },
-      timestamp: new Date().toISOString()
+      patientId: req.patient.id,
+      devices: [...new Set(records.map(record => record.deviceId))],
+      ...buildDeviceStats(records, predictions, { minQuality, reference, units })
     });
 
   } catch (error) {
-    console.error('Error calculating device statistics:', error);
+    console.error('Error calculating patient statistics:', error);
     res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -1025,8 +2713,128 @@ app.get('/api/device-stats/:deviceId', (req, res) => {
   }
 });
 
+// Reference-range profiles a device or patient can be assigned (referenceProfile), in the caller's units
+app.get('/api/reference-profiles', { summary: 'Reference-range profiles', query: UNITS_QUERY }, auth.requireUser, (req, res) => {
+  const units = unitsFromQuery(req.query, DEFAULT_UNITS);
+  if (!units) {
+    return invalidUnits(res);
+  }
+
+  res.json({
+    success: true,
+    profiles: Object.keys(PROFILES).map(name => {
+      const { profile } = resolveReference({ device: { referenceProfile: name } });
+      return {
+        ...describeReference(profile, units),
+        ages: PROFILES[name].ages || null,
+        thresholds: profile.thresholds
+      };
+    }),
+    aliases: {
+      pediatric: 'Picks the pediatric profile for the patient\'s age (pediatric-child when unknown)',
+      custom: 'customRanges: { base, heartRate, spo2, temperature, glucose } overrides the thresholds of a base profile'
+    },
+    units: UNITS,
+    defaultUnits: DEFAULT_UNITS,
+    thresholdUnits: { heartRate: 'BPM', spo2: '%', temperature: '°C', glucose: 'mg/dL' }
+  });
+});
+
+// Device registry and owner tokens
+api.mount('/api/devices', createDevicesRouter({ stores, auth, presence, deviceConfig, rateLimiter, ingestionGate }));
+api.mount('/api/device-groups', createDeviceGroupsRouter({ stores, auth, deviceConfig }));
+api.mount('/api/tokens', createTokensRouter({ stores, auth }));
+
+// Patients and their device assignments (patient-level data endpoints are defined above)
+api.mount('/api/patients', createPatientsRouter({ stores, auth }));
+
+// Live streaming (Server-Sent Events; the WebSocket equivalent is attached in startServer)
+api.mount('/api/stream', createStreamRouter({ stores, auth, events }));
+
+// Alert rules and alerts
+api.mount('/api/alerts', createAlertsRouter({ stores, auth, alerts }));
+
+// Glucose models
+api.mount('/api/models', createModelsRouter({ auth, models }));
+
+// Typed record collections besides sensor readings
+api.mount('/api/glucose-predictions', requireValidUnits, createRecordsRouter({
+  stores,
+  auth,
+  storeName: 'glucosePredictions',
+  label: 'glucose predictions',
+  query: UNITS_QUERY,
+  // Glucose values in each device's preferred unit (?glucoseUnit= for all)
+  present: async (records, query) => {
+    const unitsByDevice = new Map();
+    for (const deviceId of new Set(records.map(record => record.deviceId))) {
+      unitsByDevice.set(deviceId, unitsFromQuery(query, (await referenceFor({ deviceId })).units));
+    }
+    return records.map(record => predictionInUnits(record, unitsByDevice.get(record.deviceId)));
+  }
+}));
+api.mount('/api/hrv', createHrvRouter({ stores, auth }));
+api.mount('/api/anomalies', createAnomaliesRouter({ stores, auth }));
+api.mount('/api/health-score', createHealthScoreRouter({ stores, auth, weights: healthScoreWeights }));
+
+// Scenario simulator for virtual devices; they ingest in raw mode so scenario values are stored as generated
+api.mount('/api/simulator', createSimulatorRouter({
+  stores,
+  auth,
+  writeStep: writeSimulatedStep,
+  useRawIngestion: (deviceId) => {
+    ingestionModes.devices[deviceId] = 'raw';
+    saveIngestionModes();
+  },
+  maxReadings: SIMULATOR_MAX_READINGS
+}));
+
+// Replays of recorded sessions through the same pipeline as POST /api/sensor-data
+const replays = createReplayManager({ ingest: ingestReading });
+api.mount('/api/replays', createReplaysRouter({ stores, auth, replays, replayDir: REPLAY_DIR, maxReadings: REPLAY_MAX_READINGS }));
+// Daily and weekly reports per device or patient
+const reports = createReportService({
+  stores,
+  referenceFor,
+  isReliableVital,
+  schedule: REPORT_SCHEDULE,
+  checkIntervalMs: REPORT_CHECK_MINUTES * 60 * 1000
+});
+api.mount('/api/reports', createReportsRouter({ stores, auth, reports }));
+api.mount('/api/fhir', createFhirRouter({ stores, auth, isValidVital, getFieldProvenance }));
+api.mount('/api/derived-metrics', createRecordsRouter({ stores, auth, storeName: 'derivedMetrics', label: 'derived metrics', filters: ['kind'] }));
+
+// Streaming exports (CSV, NDJSON, XLSX), including the original /api/sensor-data/export/csv
+api.mount('/api', createExportRouter({
+  stores,
+  auth,
+  referenceFor,
+  isValidVital,
+  isReliableVital,
+  getProvenance,
+  getFieldProvenance,
+  readingQuality: record => qualityOf(record, { minPpgConfidence: PPG_MIN_CONFIDENCE })
+}));
+
+// OpenAPI 3 document of every route above, generated from their request schemas
+app.get('/api/openapi.json', { summary: 'OpenAPI document of this API' }, (req, res) => {
+  res.json(api.openApi({
+    title: 'Health monitoring API',
+    version: packageInfo.version,
+    description: 'Readings from ESP32/MAX30102 devices, the health data derived from them, and device and patient management.'
+  }));
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // A body express.json() could not parse
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'Body must be valid JSON'
+    });
+  }
+
   console.error(err.stack);
   res.status(500).json({
     error: 'Something went wrong!',
@@ -1038,65 +2846,177 @@ app.use((err, req, res, next) => {
 app.use((req, res) => {
   res.status(404).json({
     error: 'Endpoint not found',
-    availableEndpoints: [
-      'GET /health',
-      'POST /api/sensor-data',
-      'GET /api/sensor-data',
-      'GET /api/sensor-data/device/:deviceId',
-      'GET /api/sensor-data/export/csv',
-      'DELETE /api/sensor-data',
-      'POST /api/predict-glucose',
-      'GET /api/health-data/:deviceId',
-      'GET /api/device-stats/:deviceId'
-    ],
+    // Every declared route, plus the WebSocket attached in startServer
+    availableEndpoints: [...api.endpoints(), 'WS /api/ws'],
     medicalStandards: {
-      glucose: 'Normal: 70-99 mg/dL, Prediabetes: 100-125 mg/dL, Diabetes: ≥126 mg/dL'
+      glucose: `Normal: ${DEFAULT_GLUCOSE_STANDARDS.normal}, Prediabetes: ${DEFAULT_GLUCOSE_STANDARDS.prediabetes}, Diabetes: ${DEFAULT_GLUCOSE_STANDARDS.diabetes}`
     }
   });
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('Received SIGTERM, saving data and shutting down...');
-  saveData();
+const shutdown = async (signal) => {
+  console.log(`Received ${signal}, saving data and shutting down...`);
+  replays.stopAll();
+  reports.stop();
+  presence.stop();
+  rateLimiter.stop();
+  try {
+    await storage.close();
+  } catch (error) {
+    console.error('Error closing storage:', error);
+  }
   process.exit(0);
-});
+};
 
-process.on('SIGINT', () => {
-  console.log('Received SIGINT, saving data and shutting down...');
-  saveData();
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Older versions stored glucose predictions among the sensor readings; move them to their own collection
+const migrateLegacyPredictions = async () => {
+  const legacy = await stores.sensorData.query({ filter: record => record.prediction !== undefined });
+  if (legacy.length === 0) return;
+
+  let moved = 0;
+  for (const record of legacy) {
+    const prediction = {
+      id: String(record.id),
+      deviceId: record.deviceId || 'unknown',
+      timestamp: record.timestamp,
+      input: record.input || {},
+      prediction: record.prediction,
+      lastGlucose: record.lastGlucose !== undefined ? record.lastGlucose : record.prediction.glucoseLevel,
+      previousGlucose: record.previousGlucose !== undefined ? record.previousGlucose : null,
+      glucoseVariation: record.glucoseVariation !== undefined ? record.glucoseVariation : null,
+      medicalStandards: record.medicalStandards,
+      simulatedGlucose: record.simulatedGlucose !== false
+    };
 
-// Replace your existing app.listen with this:
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Medical Standard Sensor Data API Server running on port ${PORT}`);
-  console.log(`📊 Total records loaded: ${sensorData.length}`);
-  console.log(`🏥 Medical Standards Applied:`);
-  console.log(`   • Normal Fasting Glucose: 70-99 mg/dL`);
-  console.log(`   • Prediabetes: 100-125 mg/dL`);
-  console.log(`   • Diabetes: ≥126 mg/dL`);
-  console.log(`🔄 Guaranteed Parameter Variation: ±0.1 minimum from previous readings`);
-  console.log(`🌐 Server accessible at: http://localhost:${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log('\n📋 Available endpoints:');
-  console.log('  POST /api/sensor-data - Receive sensor data (with guaranteed variation)');
-  console.log('  GET  /api/sensor-data - Fetch all sensor data');
-  console.log('  GET  /api/sensor-data/device/:deviceId - Fetch data by device');
-  console.log('  GET  /api/sensor-data/export/csv - Export as CSV with medical standards');
-  console.log('  POST /api/predict-glucose - Predict glucose (normal range: 70-99 mg/dL)');
-  console.log('  GET  /api/health-data/:deviceId - Get comprehensive health data');
-  console.log('  GET  /api/device-stats/:deviceId - Get device statistics with variation analysis');
-  console.log('  GET  /health - Health check');
+    const errors = validateRecord('glucosePrediction', prediction);
+    if (errors.length > 0) {
+      console.warn(`Leaving legacy prediction ${record.id} in sensor_data: ${describeErrors(errors)}`);
+      continue;
+    }
+
+    await stores.glucosePredictions.insert(prediction);
+    await stores.sensorData.delete({ id: record.id });
+    moved++;
+  }
+
+  console.log(`Moved ${moved} legacy glucose predictions from sensor_data to glucose_predictions`);
+};
+
+// Open storage, then start listening
+const startServer = async () => {
+  await storage.init();
+  stores.sensorData = typedCollection(await storage.collection('sensor_data', {
+    seedFile: LEGACY_DATA_FILE,
+    retention: true,
+    timeOf: readingTimeOf,
+    lookupFields: ['dedupKey']
+  }), 'sensorReading');
+  stores.glucosePredictions = typedCollection(await storage.collection('glucose_predictions', { retention: true }), 'glucosePrediction');
+  stores.derivedMetrics = typedCollection(await storage.collection('derived_metrics', {
+    retention: true,
+    timeOf: derivedTimeOf
+  }), 'derivedMetrics');
+  await migrateLegacyPredictions();
+  stores.devices = await storage.collection('devices');
+  stores.ownerTokens = await storage.collection('owner_tokens');
+  stores.alertRules = await storage.collection('alert_rules');
+  stores.alerts = await storage.collection('alerts');
+  stores.patients = await storage.collection('patients');
+  stores.deviceAssignments = await storage.collection('device_assignments');
+  stores.devicePresence = await storage.collection('device_presence', { timeOf: entry => new Date(entry.firstSeenAt).getTime() });
+  stores.deviceConfigs = await storage.collection('device_configs');
+  stores.deviceConfigState = await storage.collection('device_config_state', { timeOf: state => new Date(state.updatedAt).getTime() });
+  // Reports are ordered by the start of the period they cover
+  stores.reports = await storage.collection('reports', { timeOf: report => new Date(report.periodStart).getTime() });
+  loadIngestionModes();
+  models.load();
+  healthScoreWeights.load();
+  await storage.applyRetention();
+  const activeAlerts = await alerts.load();
+  await deviceConfig.load();
+  const trackedDevices = await presence.load();
+
+  const totalRecords = await stores.sensorData.count();
+  const registeredDevices = await stores.devices.count();
+
+  const server = app.listen(PORT, '0.0.0.0', () => {
+    console.log(`🚀 Medical Standard Sensor Data API Server running on port ${PORT}`);
+    console.log(`📊 Total records loaded: ${totalRecords} (${storage.driver} storage in ${DATA_DIR}${storage.retentionDays ? `, ${storage.retentionDays} day retention` : ''})`);
+    console.log(`🏥 Medical Standards Applied:`);
+    console.log(`   • Normal Fasting Glucose: ${DEFAULT_GLUCOSE_STANDARDS.normal}`);
+    console.log(`   • Prediabetes: ${DEFAULT_GLUCOSE_STANDARDS.prediabetes}`);
+    console.log(`   • Diabetes: ${DEFAULT_GLUCOSE_STANDARDS.diabetes}`);
+    console.log(`🔐 Registered devices: ${registeredDevices} (ingestion requires a per-device X-API-Key)`);
+    console.log(`📡 Device presence: ${trackedDevices} devices tracked (stale after ${presence.settings().staleIntervals} missed intervals, offline after ${presence.settings().offlineIntervals})`);
+    console.log(`🚦 Rate limits: devices ${describeQuota(RATE_LIMITS.deviceQuota)}, clients ${describeQuota(RATE_LIMITS.clientQuota)}; ingestion sheds load past ${INGESTION_MAX_PENDING} pending readings (${INGESTION_MAX_PENDING_PER_DEVICE} per device)`);
+    console.log(`🧠 Glucose model: ${models.active() ? `${models.active().name} (version ${models.active().version})` : 'none loaded - glucose is simulated'}`);
+    console.log(`🚨 Active alerts: ${activeAlerts} (${ALERT_WEBHOOK_URLS.length} global webhook URLs)`);
+    console.log(`📝 Scheduled reports: ${REPORT_SCHEDULE.length > 0 ? `${REPORT_SCHEDULE.join(', ')} (checked every ${REPORT_CHECK_MINUTES} min)` : 'off'}`);
+    console.log(`🧪 Default ingestion mode: ${ingestionModes.default} (${Object.keys(ingestionModes.devices).length} device overrides)`);
+    console.log(`🌐 Server accessible at: http://localhost:${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log('\n📋 Available endpoints:');
+    console.log('  POST /api/sensor-data - Receive sensor data (raw, simulated or corrected per ingestion mode)');
+    console.log('  POST /api/sensor-data/batch - Receive buffered readings (deduplicated, ordered by measurement time)');
+    console.log('  POST /api/sensor-data/ppg - Receive raw red/IR sample windows (HR and SpO2 derived on server)');
+    console.log('  GET  /api/sensor-data - Fetch all sensor data');
+    console.log('  GET  /api/sensor-data/aggregate - Bucketed chart statistics (?deviceId=&interval=1m|5m|1h|1d&start=&end=)');
+    console.log('  GET  /api/sensor-data/device/:deviceId - Fetch data by device (?include=predictions,derived for a merged timeline)');
+    console.log('  GET  /api/glucose-predictions - Fetch glucose predictions (also /device/:deviceId)');
+    console.log('  GET  /api/hrv/:deviceId - HRV (SDNN, RMSSD, pNN50, LF/HF) over the latest window (history at /:deviceId/history)');
+    console.log('  GET  /api/anomalies/:deviceId - Readings far from the device\'s own baseline (baseline at /:deviceId/baseline)');
+    console.log('  GET  /api/health-score/:deviceId/history - Stored health scores, vital contributions and significant changes (?interval=&weightsVersion=)');
+    console.log('  GET  /api/health-score/weights - Versioned health score weights (POST to add a version, PUT /weights/active to switch)');
+    console.log('  POST /api/simulator/runs - Write a seeded scenario (fever, hypoxia, tachycardia, hypoglycemia, detachment, day-night) for virtual devices');
+    console.log('  POST /api/replays - Replay a recorded session through ingestion (real-time, accelerated or max speed; pause/resume/stop)');
+    console.log('  GET  /api/derived-metrics - Fetch server-derived metrics (also /device/:deviceId)');
+    console.log('  GET  /api/export - Streaming export as CSV, NDJSON or XLSX (?type=&deviceId=|patientId=&startDate=&endDate=&columns=&timeZone=&gzip=)');
+    console.log('  GET  /api/sensor-data/export/csv - Export readings as CSV with medical standards');
+    console.log('  GET  /api/reports - Daily and weekly reports per device or patient (POST to generate; /:reportId/html and /:reportId/pdf to print)');
+    console.log('  GET  /api/fhir/Observation - FHIR R4 Bundle of vitals and glucose (?patient=&device=&date=; also Device, Patient, metadata)');
+    console.log(`  POST /api/predict-glucose - Predict glucose with the active model (normal range: ${DEFAULT_GLUCOSE_STANDARDS.normal})`);
+    console.log('  GET  /api/reference-profiles - Reference-range profiles and units (set per device or patient)');
+    console.log('  GET  /api/models - List glucose models (PUT /api/models/active to switch)');
+    console.log('  GET  /api/health-data/:deviceId - Get comprehensive health data');
+    console.log('  GET  /api/device-stats/:deviceId - Get device statistics with variation analysis');
+    console.log('  GET  /api/ingestion-mode - Inspect ingestion modes (PUT to change, per device via /:deviceId)');
+    console.log('  POST /api/devices - Register a device and issue its API key (admin)');
+    console.log('  GET  /api/devices - List registered devices (PATCH/DELETE /:deviceId, POST /:deviceId/rotate-key)');
+    console.log('  GET  /api/devices/:deviceId/config - Configuration for the firmware (PUT to change, POST /config/ack from the device; groups under /api/device-groups/:group/config)');
+    console.log('  GET  /api/devices/status - Fleet status: last seen, reporting interval, firmware state, online/stale/offline (POST /heartbeat)');
+    console.log('  GET  /api/devices/quotas - Rate limit quota and usage per device (also /:deviceId/quota)');
+    console.log('  POST /api/tokens - Issue an owner token (admin)');
+    console.log('  POST /api/patients - Create a patient (GET/PATCH/DELETE /:patientId, devices under /:patientId/devices)');
+    console.log('  GET  /api/patients/:patientId/health-data - Health data across the patient\'s assigned devices (also /sensor-data, /device-stats)');
+    console.log('  GET  /api/stream/:deviceId - Live events over SSE (also /api/stream?devices=a,b)');
+    console.log('  WS   /api/ws - Live events over WebSocket (subscribe with {"type":"subscribe","deviceIds":[...]})');
+    console.log('  GET  /api/alerts - Alerts (acknowledge/resolve via POST /:alertId/...), rules under /api/alerts/rules');
+    console.log('  GET  /api/openapi.json - OpenAPI 3 document of every endpoint and its request schema');
+    console.log('  GET  /health - Health check');
   
-  // Keep-alive ping to prevent server from sleeping (useful for hosting platforms)
-  const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
-  setInterval(() => {
-    const client = APP_URL.startsWith('https:') ? https : http;
-    client.get(APP_URL, (res) => {
-      console.log(`🔄 Ping successful! Status: ${res.statusCode} with App URL: ${APP_URL}`);
-    }).on('error', (err) => {
-      console.error('Ping failed:', err);
-    });
-  }, 12 * 60 * 1000); // Ping every 12 minutes
-});
\ No newline at end of file
+    // Keep-alive ping to prevent server from sleeping (useful for hosting platforms)
+    const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+    setInterval(() => {
+      const client = APP_URL.startsWith('https:') ? https : http;
+      client.get(APP_URL, (res) => {
+        console.log(`🔄 Ping successful! Status: ${res.statusCode} with App URL: ${APP_URL}`);
+      }).on('error', (err) => {
+        console.error('Ping failed:', err);
+      });
+    }, 12 * 60 * 1000); // Ping every 12 minutes
+  });
+
+  attachWebSocketServer({ server, auth, stores, events });
+  reports.start();
+  presence.start();
+  rateLimiter.start();
+};
+
+startServer().catch(error => {
+  console.error('Failed to start server:', error);
+  process.exit(1);
+});
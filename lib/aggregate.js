@@ -0,0 +1,77 @@
+// Time-bucketed statistics for charts. Buckets are aligned to UTC (a 1d bucket starts at midnight UTC).
+
+const INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_PERCENTILES = [10, 50, 90];
+
+// Linear-interpolated percentile of sorted values (p in 0-100)
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const roundTo = (value, decimals) => {
+  if (value === null) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// count, min, max, mean and percentiles of a list of numbers (nulls for an empty list)
+const summarizeValues = (values, { decimals = 1, percentiles = DEFAULT_PERCENTILES } = {}) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const count = sorted.length;
+
+  return {
+    count: count,
+    min: count > 0 ? sorted[0] : null,
+    max: count > 0 ? sorted[count - 1] : null,
+    mean: count > 0 ? roundTo(sorted.reduce((sum, value) => sum + value, 0) / count, decimals) : null,
+    percentiles: percentiles.reduce((result, p) => ({
+      ...result,
+      [`p${p}`]: roundTo(percentile(sorted, p), decimals)
+    }), {})
+  };
+};
+
+const bucketStart = (time, intervalMs) => Math.floor(time / intervalMs) * intervalMs;
+
+// Group samples ({ time, values: { metric: number } }) into buckets between start and end (epoch ms).
+// metrics: { name: { decimals } }. Empty buckets are kept so charts show gaps.
+const aggregateBuckets = (samples, { start, end, intervalMs, metrics, percentiles }) => {
+  const buckets = new Map();
+  for (let time = bucketStart(start, intervalMs); time <= end; time += intervalMs) {
+    buckets.set(time, Object.keys(metrics).reduce((acc, metric) => ({ ...acc, [metric]: [] }), {}));
+  }
+
+  samples.forEach(sample => {
+    const bucket = buckets.get(bucketStart(sample.time, intervalMs));
+    if (!bucket) return;
+    Object.keys(sample.values).forEach(metric => {
+      if (bucket[metric]) bucket[metric].push(sample.values[metric]);
+    });
+  });
+
+  return [...buckets.entries()].map(([time, values]) => ({
+    start: new Date(time).toISOString(),
+    end: new Date(time + intervalMs).toISOString(),
+    ...Object.keys(metrics).reduce((acc, metric) => ({
+      ...acc,
+      [metric]: summarizeValues(values[metric], { decimals: metrics[metric].decimals, percentiles })
+    }), {})
+  }));
+};
+
+module.exports = {
+  INTERVALS,
+  DEFAULT_PERCENTILES,
+  summarizeValues,
+  aggregateBuckets
+};
@@ -0,0 +1,320 @@
+// Alert rules engine.
+// A rule watches one metric (heartRate, spo2, temperature or glucose) on one device, on every device
+// of an owner, or on every device (admin rules), and fires when its condition holds for `consecutive`
+// readings in a row. A condition is either a threshold ({ operator: '<', threshold: 92 }),
+// an interpretation category ({ category: 'Fever' }) or an interpretation status ({ status: 'warning' }).
+//
+// Alerts move open -> acknowledged -> resolved. Rules with autoResolve (the default) resolve their
+// alert once a reading no longer matches. Every transition is published on the event hub and
+// POSTed to the rule's webhooks (public hosts only, see lib/webhooks.js) plus the global ALERT_WEBHOOK_URLS.
+
+const ALERT_METRICS = ['heartRate', 'spo2', 'temperature', 'glucose'];
+const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+const ALERT_STATES = ['open', 'acknowledged', 'resolved'];
+const ACTIVE_STATES = ['open', 'acknowledged'];
+
+const OPERATORS = {
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '==': (value, threshold) => value === threshold,
+  '!=': (value, threshold) => value !== threshold
+};
+
+const METRIC_UNITS = {
+  heartRate: 'BPM',
+  spo2: '%',
+  temperature: '°C',
+  glucose: 'mg/dL'
+};
+
+// Validate a rule definition; returns an error message or null
+const validateRule = (rule) => {
+  if (!rule.name || typeof rule.name !== 'string') {
+    return 'name is required';
+  }
+  if (!ALERT_METRICS.includes(rule.metric)) {
+    return `metric must be one of: ${ALERT_METRICS.join(', ')}`;
+  }
+
+  const conditions = ['operator', 'category', 'status'].filter(field => rule[field] !== undefined && rule[field] !== null);
+  if (conditions.length !== 1) {
+    return 'Define exactly one condition: operator with threshold, category, or status';
+  }
+  if (rule.operator !== undefined && rule.operator !== null) {
+    if (!OPERATORS[rule.operator]) {
+      return `operator must be one of: ${Object.keys(OPERATORS).join(', ')}`;
+    }
+    if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) {
+      return 'threshold must be a number';
+    }
+  }
+  if (rule.category !== undefined && rule.category !== null) {
+    const categories = Array.isArray(rule.category) ? rule.category : [rule.category];
+    if (categories.length === 0 || categories.some(category => typeof category !== 'string')) {
+      return 'category must be a string or an array of strings';
+    }
+  }
+  if (rule.status !== undefined && rule.status !== null && !['good', 'caution', 'warning', 'error'].includes(rule.status)) {
+    return 'status must be one of: good, caution, warning, error';
+  }
+
+  if (!Number.isInteger(rule.consecutive) || rule.consecutive < 1 || rule.consecutive > 1000) {
+    return 'consecutive must be an integer between 1 and 1000';
+  }
+  if (!ALERT_SEVERITIES.includes(rule.severity)) {
+    return `severity must be one of: ${ALERT_SEVERITIES.join(', ')}`;
+  }
+  if (!Array.isArray(rule.webhooks)) {
+    return 'webhooks must be an array of URLs';
+  }
+  return null;
+};
+
+// Human-readable condition, e.g. "spo2 < 92 for 3 consecutive readings"
+const describeCondition = (rule) => {
+  let condition;
+  if (rule.operator) {
+    condition = `${rule.metric} ${rule.operator} ${rule.threshold}`;
+  } else if (rule.category) {
+    const categories = Array.isArray(rule.category) ? rule.category : [rule.category];
+    condition = `${rule.metric} category is ${categories.join(' or ')}`;
+  } else {
+    condition = `${rule.metric} status is ${rule.status}`;
+  }
+  return rule.consecutive > 1 ? `${condition} for ${rule.consecutive} consecutive readings` : condition;
+};
+
+// Does one metric reading ({ value, category, status }) satisfy the rule's condition?
+const conditionMatches = (rule, metric) => {
+  if (rule.operator) {
+    return OPERATORS[rule.operator](metric.value, rule.threshold);
+  }
+  if (rule.category) {
+    const categories = Array.isArray(rule.category) ? rule.category : [rule.category];
+    return categories.includes(metric.category);
+  }
+  return metric.status === rule.status;
+};
+
+const createAlertEngine = ({ stores, events, webhooks, defaultWebhookUrls = [] }) => {
+  // Consecutive matching readings per rule and device. Kept in memory: a restart starts every count again.
+  const streaks = new Map();
+  // Active (open or acknowledged) alert id per rule and device
+  const activeAlerts = new Map();
+  // Pending writes per alert, so webhook bookkeeping and state changes never overwrite each other
+  const alertWrites = new Map();
+
+  const streakKey = (ruleId, deviceId) => `${ruleId}:${deviceId}`;
+
+  // Rebuild the active alert index from storage (called once collections are open)
+  const load = async () => {
+    activeAlerts.clear();
+    const active = await stores.alerts.query({ where: { state: ACTIVE_STATES } });
+    active.forEach(alert => activeAlerts.set(streakKey(alert.ruleId, alert.deviceId), alert.id));
+    return active.length;
+  };
+
+  // Read-modify-write one alert; mutate returns the fields to change
+  const updateAlert = (alertId, mutate) => {
+    const previous = alertWrites.get(alertId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const alert = await stores.alerts.get(alertId);
+      if (!alert) return null;
+      const changes = mutate(alert);
+      if (!changes) return alert;
+      return stores.alerts.update(alertId, { ...changes, updatedAt: new Date().toISOString() });
+    });
+    alertWrites.set(alertId, next);
+    next.finally(() => {
+      if (alertWrites.get(alertId) === next) alertWrites.delete(alertId);
+    }).catch(() => {});
+    return next;
+  };
+
+  // Queue webhook deliveries for an alert transition and record their progress on the alert
+  const notify = async (action, alert, rule) => {
+    events.publish('alert', alert.deviceId, { action, alert });
+
+    const urls = [...new Set([...(rule ? rule.webhooks : []), ...defaultWebhookUrls])];
+    if (urls.length === 0) return;
+
+    const now = new Date().toISOString();
+    const deliveries = urls.map(url => ({
+      id: Date.now() + Math.random().toString(36).substr(2, 9),
+      event: `alert.${action}`,
+      url: url,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      queuedAt: now,
+      lastAttemptAt: null,
+      deliveredAt: null
+    }));
+
+    const updated = await updateAlert(alert.id, current => ({
+      deliveries: [...(current.deliveries || []), ...deliveries]
+    }));
+
+    deliveries.forEach(delivery => {
+      const payload = {
+        event: delivery.event,
+        deliveryId: delivery.id,
+        sentAt: new Date().toISOString(),
+        alert: updated || alert
+      };
+      webhooks.deliver(delivery.url, payload, (attempt) => updateAlert(alert.id, current => ({
+        deliveries: (current.deliveries || []).map(entry => (entry.id !== delivery.id ? entry : {
+          ...entry,
+          status: attempt.status,
+          attempts: attempt.attempt,
+          lastError: attempt.error || null,
+          lastAttemptAt: new Date().toISOString(),
+          deliveredAt: attempt.status === 'delivered' ? new Date().toISOString() : entry.deliveredAt
+        }))
+      })), { publicOnly: !defaultWebhookUrls.includes(delivery.url) });
+    });
+  };
+
+  const openAlert = async (rule, record, metric, device) => {
+    const now = new Date().toISOString();
+    const alert = {
+      id: Date.now() + Math.random().toString(36).substr(2, 9),
+      ruleId: rule.id,
+      ruleName: rule.name,
+      deviceId: record.deviceId,
+      owner: device ? device.owner || null : null,
+      metric: rule.metric,
+      severity: rule.severity,
+      state: 'open',
+      condition: describeCondition(rule),
+      message: `${rule.name}: ${rule.metric} ${metric.value}${METRIC_UNITS[rule.metric] ? ` ${METRIC_UNITS[rule.metric]}` : ''}` +
+        `${metric.category ? ` (${metric.category})` : ''} - ${describeCondition(rule)}`,
+      triggerValue: metric.value,
+      triggerCategory: metric.category || null,
+      triggerRecordId: record.id,
+      provenance: record.prediction ? (record.simulatedGlucose ? 'simulated' : 'derived') : record.provenance || null,
+      occurrences: rule.consecutive,
+      lastValue: metric.value,
+      lastRecordId: record.id,
+      createdAt: now,
+      updatedAt: now,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      acknowledgeNote: null,
+      resolvedAt: null,
+      resolvedBy: null,
+      resolveNote: null,
+      deliveries: []
+    };
+
+    await stores.alerts.insert(alert);
+    activeAlerts.set(streakKey(rule.id, record.deviceId), alert.id);
+
+    console.log(`🚨 Alert opened for ${alert.deviceId}: ${alert.message} [${alert.severity}]`);
+    await notify('opened', alert, rule);
+    return alert;
+  };
+
+  // Move an alert to acknowledged or resolved; returns null when the alert does not exist
+  const transition = async (alertId, state, { by, note } = {}, rule) => {
+    const now = new Date().toISOString();
+    const updated = await updateAlert(alertId, alert => {
+      if (state === 'acknowledged') {
+        return { state, acknowledgedAt: now, acknowledgedBy: by || null, acknowledgeNote: note || null };
+      }
+      return { state, resolvedAt: now, resolvedBy: by || null, resolveNote: note || null };
+    });
+    if (!updated) return null;
+
+    if (state === 'resolved') {
+      activeAlerts.delete(streakKey(updated.ruleId, updated.deviceId));
+    }
+
+    const alertRule = rule || await stores.alertRules.get(updated.ruleId);
+    await notify(state, updated, alertRule);
+    return updated;
+  };
+
+  const acknowledge = (alertId, details) => transition(alertId, 'acknowledged', details);
+  const resolve = (alertId, details) => transition(alertId, 'resolved', details);
+
+  // Rules that apply to a device: its own, its owner's device-wide rules and global admin rules
+  const rulesFor = async (device, deviceId) => {
+    const rules = await stores.alertRules.query({ order: 'asc' });
+    return rules.filter(rule => rule.enabled !== false && (
+      rule.deviceId ? rule.deviceId === deviceId :
+        !rule.owner || (device && device.owner === rule.owner)
+    ));
+  };
+
+  // Evaluate a stored record against every applicable rule.
+  // metrics maps metric name -> { value, category, status } for the valid values in the record;
+  // metrics the record does not carry (or carries invalid) leave a rule's streak untouched.
+  const evaluate = async (record, metrics) => {
+    const opened = [];
+    try {
+      const device = await stores.devices.get(record.deviceId);
+      const rules = await rulesFor(device, record.deviceId);
+
+      for (const rule of rules) {
+        const metric = metrics[rule.metric];
+        if (!metric) continue;
+
+        const key = streakKey(rule.id, record.deviceId);
+        const activeAlertId = activeAlerts.get(key);
+
+        if (conditionMatches(rule, metric)) {
+          const streak = (streaks.get(key) || 0) + 1;
+          streaks.set(key, streak);
+
+          if (activeAlertId) {
+            await updateAlert(activeAlertId, alert => ({
+              occurrences: (alert.occurrences || 0) + 1,
+              lastValue: metric.value,
+              lastRecordId: record.id
+            }));
+          } else if (streak >= rule.consecutive) {
+            opened.push(await openAlert(rule, record, metric, device));
+          }
+        } else {
+          streaks.set(key, 0);
+          if (activeAlertId && rule.autoResolve !== false) {
+            await transition(activeAlertId, 'resolved', {
+              by: 'system',
+              note: `Condition cleared: ${rule.metric} ${metric.value}${metric.category ? ` (${metric.category})` : ''}`
+            }, rule);
+          }
+        }
+      }
+    } catch (error) {
+      console.error(`Error evaluating alert rules for ${record.deviceId}:`, error);
+    }
+    return opened;
+  };
+
+  // Forget streaks and the active index of a deleted rule (its alerts stay in history)
+  const forgetRule = (ruleId) => {
+    [...streaks.keys()].filter(key => key.startsWith(`${ruleId}:`)).forEach(key => streaks.delete(key));
+    [...activeAlerts.keys()].filter(key => key.startsWith(`${ruleId}:`)).forEach(key => activeAlerts.delete(key));
+  };
+
+  return {
+    load,
+    evaluate,
+    acknowledge,
+    resolve,
+    forgetRule
+  };
+};
+
+module.exports = {
+  createAlertEngine,
+  validateRule,
+  describeCondition,
+  OPERATORS,
+  ALERT_METRICS,
+  ALERT_SEVERITIES,
+  ALERT_STATES
+};
@@ -0,0 +1,428 @@
+// Request schemas, their runtime validation and the OpenAPI document.
+//
+// Routes are declared with a spec between the path and the handlers:
+//   router.get('/:deviceId', { summary, query: { limit: { type: 'integer', min: 1 } } }, auth.requireDeviceAccess, handler)
+// Path params, query and body are validated against the spec just before the last handler, so
+// authentication still answers first; an invalid request gets a 400 in one shape (see sendInvalid).
+// Field specs are those of lib/schemas.js; query and path values arrive as strings and are read as the
+// declared type, with 'list' for comma-separated values. Every declared route is recorded, so the OpenAPI
+// document and the endpoint list of the 404 response come from the same declarations.
+//
+// Spec: { summary, description, params, query, body: { type, fields, additionalFields }, status,
+// response: { description, fields, content }, errors: { status: description }, access, invalid }. access (admin, user, device, deviceOrUser
+// or public) is normally taken from the auth middleware of the route or of router.use (see lib/auth.js);
+// invalid: (res, errors) => response, for APIs with their own error format (FHIR). A query field marked
+// repeatable may be given several times. Authenticated routes are rate limited (429) and routes through
+// the ingestion gate may shed load (503), see lib/rateLimit.js.
+
+const express = require('express');
+const { RECORD_SCHEMAS, matchesType, validateValue, validateFields } = require('./schemas');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Shared query fragments
+const PAGINATION_QUERY = {
+  limit: { type: 'integer', min: 1, description: 'Page size' },
+  offset: { type: 'integer', min: 0, description: 'Records to skip' }
+};
+
+const DATE_RANGE_QUERY = {
+  startDate: { type: 'date', description: 'Earliest time (ISO 8601 date or time)' },
+  endDate: { type: 'date', description: 'Latest time (ISO 8601 date or time)' }
+};
+
+const UNITS_QUERY = {
+  glucoseUnit: { type: 'string', description: 'mg/dL or mmol/L (default: the device or patient preference)' },
+  temperatureUnit: { type: 'string', description: '°C or °F (default: the device or patient preference)' }
+};
+
+const BOOLEAN_STRINGS = { true: true, false: false };
+
+// Read a query or path string as a field's type; undefined when it cannot be
+const fromString = (spec, text) => {
+  switch (spec.type) {
+    case 'integer':
+      return /^-?\d+$/.test(text) ? Number(text) : undefined;
+    case 'number':
+      return text.trim() !== '' && Number.isFinite(Number(text)) ? Number(text) : undefined;
+    case 'boolean':
+      return BOOLEAN_STRINGS[text];
+    default:
+      return text;
+  }
+};
+
+// Validate query or path values (strings) against their specs
+const validateStrings = (location, fields, values) => Object.keys(fields).flatMap(field => {
+  const spec = fields[field];
+  const raw = values[field];
+
+  if (raw === undefined || raw === '') {
+    return spec.required ? [{ in: location, field, message: 'is required' }] : [];
+  }
+  if (Array.isArray(raw) && spec.repeatable) {
+    return raw.flatMap(value => validateStrings(location, { [field]: { ...spec, repeatable: false } }, { [field]: value }));
+  }
+  if (typeof raw !== 'string') {
+    return [{ in: location, field, message: 'must be given once' }];
+  }
+
+  if (spec.type === 'list') {
+    const items = raw.split(',').map(item => item.trim()).filter(Boolean);
+    const invalid = spec.values ? items.filter(item => !spec.values.includes(item)) : [];
+    return invalid.length > 0 ?
+      [{ in: location, field, message: `may only contain: ${spec.values.join(', ')} (got ${invalid.join(', ')})` }] :
+      [];
+  }
+
+  const value = fromString(spec, raw);
+  if (value === undefined) {
+    return [{ in: location, field, message: `must be ${spec.type === 'integer' ? 'an integer' : `a ${spec.type}`}` }];
+  }
+  return validateValue(field, { ...spec, required: false }, value).map(error => ({ in: location, ...error }));
+});
+
+// Errors of a request against a route spec: [{ in, field, message }]
+const requestErrors = (spec, req) => {
+  const errors = [
+    ...validateStrings('path', spec.params || {}, req.params || {}),
+    ...validateStrings('query', spec.query || {}, req.query || {})
+  ];
+
+  if (spec.body) {
+    const body = req.body === undefined || req.body === null ? {} : req.body;
+    const type = spec.body.type || 'object';
+    if (!matchesType(type, body)) {
+      errors.push({ in: 'body', field: '', message: `must be ${type === 'array' ? 'a JSON array' : 'a JSON object'}` });
+    } else if (spec.body.fields) {
+      errors.push(...validateFields(spec.body.fields, body, { additionalFields: spec.body.additionalFields !== false })
+        .map(error => ({ in: 'body', ...error })));
+    }
+  }
+
+  return errors;
+};
+
+// 400 for a request that does not match its spec. Requests only missing required fields keep the
+// { error: 'Missing required fields', missingFields } shape the API has always used.
+const sendInvalid = (res, errors) => {
+  const missing = errors.filter(error => error.message === 'is required');
+  if (missing.length === errors.length) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      missingFields: missing.map(error => error.field),
+      validationErrors: errors
+    });
+  }
+
+  res.status(400).json({
+    error: 'Invalid request',
+    message: errors.map(error => `${error.in === 'body' ? '' : `${error.in} parameter `}${error.field} ${error.message}`.trim()).join('; '),
+    validationErrors: errors
+  });
+};
+
+// Routes with a body spec may read req.body without checking it is there: a request without a body has {}
+const validateRequest = (spec) => (req, res, next) => {
+  const errors = requestErrors(spec, req);
+  if (errors.length > 0) return (spec.invalid || sendInvalid)(res, errors);
+  if (spec.body && (req.body === undefined || req.body === null)) req.body = {};
+  next();
+};
+
+// Make route declarations on an app or router take a spec (see the top of this file) and record them
+const documented = (target) => {
+  const routes = [];
+  let defaultAccess = null;
+
+  METHODS.forEach(method => {
+    const register = target[method].bind(target);
+    target[method] = (path, spec, ...handlers) => {
+      // app.get(setting) reads an application setting
+      if (spec === undefined) return register(path);
+      if (typeof spec === 'function') {
+        routes.push({ method, path, spec: null, access: defaultAccess, shedsLoad: false });
+        return register(path, spec, ...handlers);
+      }
+
+      const tagged = handlers.find(handler => handler.access);
+      routes.push({
+        method,
+        path,
+        spec,
+        access: spec.access || (tagged && tagged.access) || defaultAccess || 'public',
+        shedsLoad: handlers.some(handler => handler.shedsLoad)
+      });
+      return register(path, ...handlers.slice(0, -1), validateRequest(spec), handlers[handlers.length - 1]);
+    };
+  });
+
+  // router.use(auth.requireAdmin) makes the router's routes admin routes
+  const use = target.use.bind(target);
+  target.use = (...args) => {
+    if (args.length === 1 && typeof args[0] === 'function' && args[0].access) {
+      defaultAccess = args[0].access;
+    }
+    return use(...args);
+  };
+
+  target.documentedRoutes = routes;
+  return target;
+};
+
+// An express.Router whose routes take specs
+const createApiRouter = () => documented(express.Router());
+
+const joinPath = (prefix, path) => (path === '/' && prefix ? prefix : `${prefix}${path}`);
+
+// Field spec -> JSON schema (record types of lib/schemas.js become references)
+const toJsonSchema = (spec) => {
+  if (RECORD_SCHEMAS[spec.type]) {
+    return { $ref: `#/components/schemas/${spec.type}` };
+  }
+
+  const schema = {};
+  switch (spec.type) {
+    case 'isoDate':
+      Object.assign(schema, { type: 'string', format: 'date-time' });
+      break;
+    case 'date':
+      Object.assign(schema, { type: 'string', description: 'ISO 8601 date or time' });
+      break;
+    case 'timestamp':
+      Object.assign(schema, { oneOf: [{ type: 'number', description: 'epoch milliseconds' }, { type: 'string', format: 'date-time' }] });
+      break;
+    case 'list':
+      Object.assign(schema, { type: 'array', items: spec.values ? { type: 'string', enum: spec.values } : { type: 'string' } });
+      break;
+    case 'any':
+      break;
+    case 'array':
+      Object.assign(schema, { type: 'array', items: spec.items ? toJsonSchema({ type: spec.items }) : {} });
+      break;
+    case 'object':
+      schema.type = 'object';
+      if (spec.fields) Object.assign(schema, objectSchema(spec.fields, spec.additionalFields !== false));
+      break;
+    default:
+      schema.type = spec.type || 'string';
+  }
+
+  if (spec.values && spec.type !== 'list') schema.enum = spec.values;
+  if (spec.min !== undefined) schema.minimum = spec.min;
+  if (spec.max !== undefined) schema.maximum = spec.max;
+  if (spec.nullable) schema.nullable = true;
+  if (spec.default !== undefined) schema.default = spec.default;
+  if (spec.description) schema.description = spec.description;
+  return schema;
+};
+
+const objectSchema = (fields, additionalFields) => {
+  const required = Object.keys(fields).filter(field => fields[field].required);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(fields).map(([field, spec]) => [field, toJsonSchema(spec)])),
+    ...(required.length > 0 ? { required } : {}),
+    additionalProperties: additionalFields
+  };
+};
+
+const SECURITY = {
+  admin: [{ bearerAuth: [] }],
+  user: [{ bearerAuth: [] }],
+  device: [{ deviceKey: [] }],
+  deviceOrUser: [{ deviceKey: [] }, { bearerAuth: [] }],
+  public: []
+};
+
+const ACCESS_NOTES = {
+  admin: 'Requires the admin token.',
+  user: 'Requires an admin or owner token; owners only reach their own devices and patients.',
+  device: 'Requires the device\'s X-API-Key.',
+  deviceOrUser: 'Accepts the device\'s X-API-Key or an admin or owner token.'
+};
+
+const RETRY_HEADERS = {
+  'Retry-After': { description: 'Seconds to wait before retrying', schema: { type: 'integer' } },
+  'RateLimit-Limit': { description: 'Requests the bucket holds when full', schema: { type: 'integer' } },
+  'RateLimit-Remaining': { description: 'Requests left in the bucket', schema: { type: 'integer' } },
+  'RateLimit-Reset': { description: 'Seconds until the bucket is full again', schema: { type: 'integer' } }
+};
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+// OpenAPI operation of a recorded route
+const operationOf = (route) => {
+  const spec = route.spec || {};
+  const pathParams = (route.path.match(/:(\w+)/g) || []).map(param => param.slice(1));
+
+  const parameters = [
+    ...pathParams.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: toJsonSchema((spec.params && spec.params[name]) || { type: 'string' })
+    })),
+    ...Object.entries(spec.query || {}).map(([name, field]) => ({
+      name,
+      in: 'query',
+      required: Boolean(field.required),
+      ...(field.type === 'list' ? { style: 'form', explode: false } : {}),
+      schema: field.repeatable ?
+        { type: 'array', items: toJsonSchema({ ...field, description: undefined }) } :
+        toJsonSchema({ ...field, description: undefined }),
+      ...(field.description ? { description: field.description } : {})
+    }))
+  ];
+
+  const response = spec.response || {};
+  const success = {
+    description: response.description || 'Success',
+    content: Object.fromEntries((response.content || ['application/json']).map(type => [
+      type,
+      { schema: type === 'application/json' ? objectSchema({ success: { type: 'boolean' }, ...(response.fields || {}) }, true) : {} }
+    ]))
+  };
+
+  const responses = { [spec.status || (route.method === 'post' ? 201 : 200)]: success };
+  if (spec.query || spec.body || spec.params) responses[400] = { $ref: '#/components/responses/InvalidRequest' };
+  if (route.access && route.access !== 'public') {
+    responses[401] = errorResponse('Missing or invalid credentials');
+    responses[403] = errorResponse('Not allowed for these credentials');
+  }
+  if (pathParams.length > 0) responses[404] = errorResponse('Not found');
+  Object.entries(spec.errors || {}).forEach(([status, description]) => {
+    responses[status] = errorResponse(description);
+  });
+  if (route.access && route.access !== 'public') responses[429] = { $ref: '#/components/responses/TooManyRequests' };
+  responses[500] = errorResponse('Internal server error');
+  if (route.shedsLoad) responses[503] = { $ref: '#/components/responses/ServerBusy' };
+
+  const description = [spec.description, ACCESS_NOTES[route.access]].filter(Boolean).join(' ');
+  return {
+    tags: [route.path.split('/')[route.path.startsWith('/api/') ? 2 : 1] || 'server'],
+    summary: spec.summary,
+    ...(description ? { description } : {}),
+    operationId: `${route.method}${route.path.replace(/:(\w+)/g, 'By_$1').split(/[^A-Za-z0-9_]+/).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}`,
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(spec.body ? {
+      requestBody: {
+        required: Object.values(spec.body.fields || {}).some(field => field.required),
+        content: {
+          'application/json': {
+            schema: spec.body.type === 'array' ?
+              toJsonSchema(spec.body) :
+              objectSchema(spec.body.fields || {}, spec.body.additionalFields !== false)
+          }
+        }
+      }
+    } : {}),
+    security: SECURITY[route.access || 'public'],
+    responses
+  };
+};
+
+// Routes of an app and the routers mounted on it, their validation and the OpenAPI document
+const createApiRegistry = (app) => {
+  documented(app);
+  const mounts = [{ prefix: '', target: app }];
+
+  const routes = () => mounts.flatMap(({ prefix, target }) => target.documentedRoutes.map(route => ({
+    ...route,
+    path: joinPath(prefix, route.path)
+  })));
+
+  const openApi = ({ title, version, description }) => {
+    const paths = {};
+    routes().forEach(route => {
+      const path = route.path.replace(/:(\w+)/g, '{$1}');
+      paths[path] = { ...(paths[path] || {}), [route.method]: operationOf(route) };
+    });
+
+    return {
+      openapi: '3.0.3',
+      info: { title, version, description },
+      paths,
+      components: {
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', description: 'Admin token (ADMIN_TOKEN) or an owner token from POST /api/tokens' },
+          deviceKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Key issued when the device was registered' }
+        },
+        schemas: {
+          Error: {
+            type: 'object',
+            properties: { error: { type: 'string' }, message: { type: 'string' } },
+            required: ['error'],
+            additionalProperties: true
+          },
+          ValidationError: {
+            type: 'object',
+            properties: {
+              error: { type: 'string', enum: ['Invalid request', 'Missing required fields'] },
+              message: { type: 'string' },
+              missingFields: { type: 'array', items: { type: 'string' } },
+              validationErrors: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    in: { type: 'string', enum: ['path', 'query', 'body'] },
+                    field: { type: 'string' },
+                    message: { type: 'string' }
+                  }
+                }
+              }
+            },
+            required: ['error', 'validationErrors']
+          },
+          ...Object.fromEntries(Object.entries(RECORD_SCHEMAS).map(([type, schema]) => [
+            type,
+            objectSchema(schema.fields, Boolean(schema.additionalFields))
+          ]))
+        },
+        responses: {
+          InvalidRequest: {
+            description: 'The request does not match the schema',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+          },
+          TooManyRequests: {
+            description: 'The device or client is over its rate limit',
+            headers: RETRY_HEADERS,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+          },
+          ServerBusy: {
+            description: 'Ingestion is backed up; the request was not processed',
+            headers: { 'Retry-After': RETRY_HEADERS['Retry-After'] },
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+          }
+        }
+      }
+    };
+  };
+
+  return {
+    // app.use(prefix, ...middleware, router), recording the router's routes under prefix
+    mount: (prefix, ...handlers) => {
+      app.use(prefix, ...handlers);
+      const router = handlers[handlers.length - 1];
+      if (router.documentedRoutes) mounts.push({ prefix, target: router });
+    },
+    routes,
+    // 'METHOD /path' of every route, in declaration order
+    endpoints: () => routes().map(route => `${route.method.toUpperCase()} ${route.path}`),
+    openApi
+  };
+};
+
+module.exports = {
+  PAGINATION_QUERY,
+  DATE_RANGE_QUERY,
+  UNITS_QUERY,
+  requestErrors,
+  validateRequest,
+  createApiRouter,
+  createApiRegistry
+};
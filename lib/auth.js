@@ -0,0 +1,319 @@
+// Authentication for devices (per-device API keys) and people (admin or owner bearer tokens).
+// Secrets are only ever stored as SHA-256 hashes; the plain value is returned once when issued.
+
+const crypto = require('crypto');
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+const generateSecret = (prefix) => `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+// Constant-time comparison of two hex digests
+const digestsMatch = (a, b) => {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Issue a new device API key; only the hash and a short prefix (for identification) are stored
+const issueDeviceKey = () => {
+  const apiKey = generateSecret('vgd');
+  return {
+    apiKey,
+    apiKeyHash: hashSecret(apiKey),
+    apiKeyPrefix: apiKey.slice(0, 10),
+    keyIssuedAt: new Date().toISOString()
+  };
+};
+
+const issueOwnerToken = () => {
+  const token = generateSecret('vgo');
+  return {
+    token,
+    tokenHash: hashSecret(token),
+    tokenPrefix: token.slice(0, 10)
+  };
+};
+
+// Token from the Authorization header; streaming routes also accept ?access_token=
+// because browser EventSource and WebSocket clients cannot set headers
+const bearerToken = (req) => {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  if (req.allowQueryToken && req.query && typeof req.query.access_token === 'string') {
+    return req.query.access_token;
+  }
+  return null;
+};
+
+// Strip secrets before a device record leaves the server
+const toPublicDevice = (device) => {
+  const { apiKeyHash, ...publicDevice } = device;
+  return publicDevice;
+};
+
+// rateLimiter (see lib/rateLimit.js) charges every request the middlewares below let through, and the
+// caller's IP address for every request they refuse
+const createAuth = ({ adminToken, stores, rateLimiter = null }) => {
+  const adminTokenHash = hashSecret(adminToken);
+
+  // Resolve a bearer token to { role: 'admin' } or { role: 'owner', owner }
+  const resolveToken = async (token) => {
+    if (!token) return null;
+
+    const tokenHash = hashSecret(token);
+    if (digestsMatch(tokenHash, adminTokenHash)) {
+      return { role: 'admin' };
+    }
+
+    const [ownerToken] = await stores.ownerTokens.query({ where: { tokenHash }, limit: 1 });
+    if (ownerToken && !ownerToken.revokedAt) {
+      return { role: 'owner', owner: ownerToken.owner, tokenId: ownerToken.id };
+    }
+    return null;
+  };
+
+  const resolveUser = (req) => resolveToken(bearerToken(req));
+
+  const canAccessDevice = (user, device) => {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    return Boolean(device) && device.owner === user.owner;
+  };
+
+  const canAccessPatient = (user, patient) => {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    return Boolean(patient) && patient.owner === user.owner;
+  };
+
+  // Device IDs an owner may read; null means unrestricted (admin)
+  const accessibleDeviceIds = async (user) => {
+    if (user.role === 'admin') return null;
+    const owned = await stores.devices.query({ where: { owner: user.owner } });
+    return owned.map(device => device.deviceId);
+  };
+
+  // Storage criteria limiting a query to the devices a user may access;
+  // null when the user named a device they are not authorized for
+  const deviceScope = async (user, deviceId) => {
+    if (deviceId) {
+      const device = await stores.devices.get(deviceId);
+      return canAccessDevice(user, device) ? { deviceId } : null;
+    }
+    const deviceIds = await accessibleDeviceIds(user);
+    return deviceIds ? { deviceIds } : {};
+  };
+
+  // Middleware: any valid admin or owner token
+  const requireUser = async (req, res, next) => {
+    const user = await resolveUser(req);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Provide an admin or owner token as "Authorization: Bearer <token>"'
+      });
+    }
+    req.user = user;
+    next();
+  };
+
+  // Middleware: admin token only
+  const requireAdmin = async (req, res, next) => {
+    const user = await resolveUser(req);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Provide the admin token as "Authorization: Bearer <token>"'
+      });
+    }
+    if (user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Admin access required'
+      });
+    }
+    req.user = user;
+    next();
+  };
+
+  // Middleware: admin, or the owner of the device named by req.params.deviceId
+  const requireDeviceAccess = async (req, res, next) => {
+    const user = await resolveUser(req);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Provide an admin or owner token as "Authorization: Bearer <token>"'
+      });
+    }
+
+    const device = await stores.devices.get(req.params.deviceId);
+    if (!canAccessDevice(user, device)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: `Not authorized for device ${req.params.deviceId}`,
+        deviceId: req.params.deviceId
+      });
+    }
+
+    req.user = user;
+    req.device = device;
+    next();
+  };
+
+  // Middleware: admin, or the owner of the patient named by req.params.patientId
+  const requirePatientAccess = async (req, res, next) => {
+    const user = await resolveUser(req);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Provide an admin or owner token as "Authorization: Bearer <token>"'
+      });
+    }
+
+    const patient = await stores.patients.get(req.params.patientId);
+    if (!patient && user.role === 'admin') {
+      return res.status(404).json({
+        error: 'Patient not found',
+        patientId: req.params.patientId
+      });
+    }
+    if (!canAccessPatient(user, patient)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: `Not authorized for patient ${req.params.patientId}`,
+        patientId: req.params.patientId
+      });
+    }
+
+    req.user = user;
+    req.patient = patient;
+    next();
+  };
+
+  // Resolves to the registered device whose current key is X-API-Key, or responds and resolves to null
+  const verifyDeviceKey = async (req, res, deviceId) => {
+    const device = await stores.devices.get(deviceId);
+    if (!device) {
+      res.status(403).json({
+        error: 'Device not registered',
+        message: `Device ${deviceId} must be registered through POST /api/devices before it can send data`,
+        deviceId: deviceId
+      });
+      return null;
+    }
+
+    const apiKey = req.get('x-api-key');
+    if (!apiKey || !digestsMatch(hashSecret(apiKey), device.apiKeyHash)) {
+      res.status(401).json({
+        error: apiKey ? 'Invalid device API key' : 'Device API key required',
+        message: 'Send the key issued for this device in the X-API-Key header',
+        deviceId: deviceId
+      });
+      return null;
+    }
+
+    return device;
+  };
+
+  // Middleware: the body's deviceId must be registered and X-API-Key must be its current key
+  const requireDeviceKey = async (req, res, next) => {
+    const deviceId = req.body && req.body.deviceId;
+    if (!deviceId) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missingFields: ['deviceId']
+      });
+    }
+
+    const device = await verifyDeviceKey(req, res, deviceId);
+    if (!device) return;
+
+    req.device = device;
+    next();
+  };
+
+  // Middleware: for routes under /:deviceId, the device's own key when X-API-Key is sent (req.user is
+  // then null), otherwise a user allowed to access the device
+  const requireDeviceKeyOrAccess = async (req, res, next) => {
+    if (!req.get('x-api-key')) {
+      return requireDeviceAccess(req, res, next);
+    }
+
+    const device = await verifyDeviceKey(req, res, req.params.deviceId);
+    if (!device) return;
+
+    req.user = null;
+    req.device = device;
+    next();
+  };
+
+  // Middleware: a device key when X-API-Key is sent, otherwise a user allowed to act for the body's deviceId
+  const requireDeviceKeyOrUser = async (req, res, next) => {
+    if (req.get('x-api-key')) {
+      return requireDeviceKey(req, res, next);
+    }
+
+    const user = await resolveUser(req);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Send a device key in X-API-Key or a user token as "Authorization: Bearer <token>"'
+      });
+    }
+
+    const deviceId = req.body && req.body.deviceId;
+    const device = deviceId ? await stores.devices.get(deviceId) : null;
+    if (user.role !== 'admin' && !canAccessDevice(user, device)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: deviceId ? `Not authorized for device ${deviceId}` : 'Owners must name one of their devices in deviceId'
+      });
+    }
+
+    req.user = user;
+    req.device = device;
+    next();
+  };
+
+  // How each middleware authenticates, for the OpenAPI document (see lib/api.js)
+  requireUser.access = 'user';
+  requireAdmin.access = 'admin';
+  requireDeviceAccess.access = 'user';
+  requirePatientAccess.access = 'user';
+  requireDeviceKey.access = 'device';
+  requireDeviceKeyOrUser.access = 'deviceOrUser';
+  requireDeviceKeyOrAccess.access = 'deviceOrUser';
+
+  // A middleware that spends from the caller's rate limit bucket once it has authenticated the request,
+  // or from the caller's address when it refuses the request
+  const limited = (middleware) => {
+    if (!rateLimiter) return middleware;
+    const limitedMiddleware = (req, res, next) =>
+      rateLimiter.guard(req, res, () => middleware(req, res, () => rateLimiter.check(req, res, next)));
+    limitedMiddleware.access = middleware.access;
+    return limitedMiddleware;
+  };
+
+  return {
+    resolveToken,
+    resolveUser,
+    canAccessDevice,
+    canAccessPatient,
+    accessibleDeviceIds,
+    deviceScope,
+    requireUser: limited(requireUser),
+    requireAdmin: limited(requireAdmin),
+    requireDeviceAccess: limited(requireDeviceAccess),
+    requirePatientAccess: limited(requirePatientAccess),
+    requireDeviceKey: limited(requireDeviceKey),
+    requireDeviceKeyOrUser: limited(requireDeviceKeyOrUser),
+    requireDeviceKeyOrAccess: limited(requireDeviceKeyOrAccess)
+  };
+};
+
+module.exports = {
+  createAuth,
+  issueDeviceKey,
+  issueOwnerToken,
+  toPublicDevice,
+  hashSecret
+};
@@ -0,0 +1,156 @@
+// Per-device baselines: what is normal for the person wearing the device, learned from their own readings.
+//
+// A baseline holds the median and spread of each vital over a rolling window, overall and per band of
+// the day, so a resting heart rate of 95 BPM can be usual for one user and a red flag for another.
+// Spread is the median absolute deviation scaled to match a standard deviation (robust to the
+// occasional outlier), with a floor per vital so a very steady history does not flag every small change.
+// A reading is scored by how many spreads each vital lies from the median.
+
+const VITALS = ['heartRate', 'spo2', 'temperature'];
+
+const VITAL_NAMES = {
+  heartRate: 'Heart rate',
+  spo2: 'SpO2',
+  temperature: 'Temperature'
+};
+
+const UNITS = {
+  heartRate: 'BPM',
+  spo2: '%',
+  temperature: '°C'
+};
+
+const MIN_SPREAD = {
+  heartRate: 3,
+  spo2: 1,
+  temperature: 0.2
+};
+
+// Bands of the day in UTC hours; the device clock's time zone is not known
+const DAY_BANDS = [
+  { band: '00-06', from: 0, to: 6 },
+  { band: '06-12', from: 6, to: 12 },
+  { band: '12-18', from: 12, to: 18 },
+  { band: '18-24', from: 18, to: 24 }
+];
+
+// Smallest deviation (in spreads from the median) of each level
+const ANOMALY_LEVELS = [
+  { level: 'anomalous', min: 5 },
+  { level: 'unusual', min: 3 },
+  { level: 'normal', min: 0 }
+];
+
+// Median absolute deviation of a normal distribution is 0.6745 standard deviations
+const MAD_SCALE = 1.4826;
+
+const roundTo = (value, decimals) => +value.toFixed(decimals);
+
+const bandOf = (time) => {
+  const hour = new Date(time).getUTCHours();
+  return DAY_BANDS.find(entry => hour >= entry.from && hour < entry.to).band;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const summarize = (values, vital) => {
+  if (values.length === 0) return { count: 0, median: null, spread: null };
+  const center = median(values);
+  const mad = median(values.map(value => Math.abs(value - center)));
+  return {
+    count: values.length,
+    median: roundTo(center, 2),
+    spread: roundTo(Math.max(mad * MAD_SCALE, MIN_SPREAD[vital]), 2)
+  };
+};
+
+// Baseline from samples [{ time, values: { vital: number } }] (measured, reliable values only).
+// Returns { samples, vitals: { vital: { overall: { count, median, spread }, bands: { band: {...} } } } }
+const buildBaseline = (samples) => ({
+  samples: samples.length,
+  vitals: VITALS.reduce((vitals, vital) => {
+    const withVital = samples.filter(sample => typeof sample.values[vital] === 'number');
+    return {
+      ...vitals,
+      [vital]: {
+        overall: summarize(withVital.map(sample => sample.values[vital]), vital),
+        bands: DAY_BANDS.reduce((bands, { band }) => ({
+          ...bands,
+          [band]: summarize(withVital.filter(sample => bandOf(sample.time) === band).map(sample => sample.values[vital]), vital)
+        }), {})
+      }
+    };
+  }, {})
+});
+
+const describeDeviation = (vital, entry, band) => {
+  const direction = entry.deviation > 0 ? 'above' : 'below';
+  const basis = entry.basis === 'band' ? ` for ${band} UTC` : '';
+  return `${VITAL_NAMES[vital]} ${entry.value} ${UNITS[vital]} is ${Math.abs(entry.deviation)} spreads ${direction} ` +
+    `this device's usual ${entry.median} ${UNITS[vital]}${basis}`;
+};
+
+// Score a reading against a baseline. values maps vital -> number for the vitals to compare;
+// a band's statistics are used once it has minSamples, the overall ones otherwise.
+// Returns { status: 'scored' | 'learning', score, level, explanation, band, vitals }
+const scoreAnomaly = (values, time, baseline, { minSamples = 20 } = {}) => {
+  const band = bandOf(time);
+
+  const vitals = Object.keys(values).reduce((scored, vital) => {
+    const stats = baseline && baseline.vitals[vital];
+    if (!stats) return scored;
+
+    const basis = stats.bands[band].count >= minSamples ? 'band' :
+      stats.overall.count >= minSamples ? 'overall' :
+      null;
+    if (!basis) return scored;
+
+    const { median: center, spread, count } = basis === 'band' ? stats.bands[band] : stats.overall;
+    return {
+      ...scored,
+      [vital]: {
+        value: values[vital],
+        median: center,
+        spread: spread,
+        deviation: roundTo((values[vital] - center) / spread, 1),
+        basis: basis,
+        samples: count
+      }
+    };
+  }, {});
+
+  const scoredVitals = Object.keys(vitals);
+  if (scoredVitals.length === 0) {
+    return {
+      status: 'learning',
+      score: null,
+      level: null,
+      explanation: `Not enough readings to learn this device's baseline yet (${baseline ? baseline.samples : 0} of ${minSamples})`,
+      band: band,
+      vitals: {}
+    };
+  }
+
+  const worst = scoredVitals.reduce((max, vital) =>
+    (!max || Math.abs(vitals[vital].deviation) > Math.abs(vitals[max].deviation) ? vital : max), null);
+  const score = Math.abs(vitals[worst].deviation);
+  const level = ANOMALY_LEVELS.find(entry => score >= entry.min).level;
+
+  const unusual = scoredVitals.filter(vital => ANOMALY_LEVELS.find(entry => Math.abs(vitals[vital].deviation) >= entry.min).level !== 'normal');
+  const explanation = unusual.length > 0 ?
+    unusual.map(vital => describeDeviation(vital, vitals[vital], band)).join('; ') :
+    'All vitals within this device\'s usual range';
+
+  return { status: 'scored', score, level, explanation, band, vitals };
+};
+
+module.exports = {
+  DAY_BANDS,
+  ANOMALY_LEVELS,
+  buildBaseline,
+  scoreAnomaly
+};
@@ -0,0 +1,244 @@
+// Server-driven acquisition settings for device firmware: MAX30102 sampling and LED currents, and how
+// often the device uploads.
+//
+// Settings resolve field by field: firmware defaults, then the device's group, then the device itself.
+// Every PUT of a group's or a device's settings stores a new version of those overrides. Each device's
+// resolved configuration has its own version, bumped whenever the resolved settings change; the device
+// acknowledges the version it applied (or failed to apply). A configuration is pending until the device
+// acknowledges applying its version, and pending configurations are sent back in ingestion responses, so a
+// version the device failed to apply is offered again.
+
+const CONFIG_FIELDS = {
+  sampleRate: { values: [50, 100, 200, 400, 800, 1000, 1600, 3200], default: 100, unit: 'Hz' },
+  sampleAverage: { values: [1, 2, 4, 8, 16, 32], default: 4, unit: 'samples' },
+  pulseWidth: { values: [69, 118, 215, 411], default: 411, unit: 'µs' },
+  adcRange: { values: [2048, 4096, 8192, 16384], default: 4096, unit: 'nA' },
+  ledCurrentRed: { min: 0, max: 50, default: 12, unit: 'mA' },
+  ledCurrentIr: { min: 0, max: 50, default: 12, unit: 'mA' },
+  uploadIntervalSeconds: { min: 1, max: 3600, default: 5, unit: 's' }
+};
+
+const CONFIG_DEFAULTS = Object.fromEntries(Object.entries(CONFIG_FIELDS).map(([field, spec]) => [field, spec.default]));
+
+const ACK_STATUSES = ['applied', 'failed'];
+
+const GROUP_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+const isValidGroupName = (group) => typeof group === 'string' && GROUP_PATTERN.test(group);
+
+// Validate group or device settings (null clears a field so it is inherited); returns an error message or null
+const validateSettings = (settings) => {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    return 'settings must be an object';
+  }
+
+  const unknown = Object.keys(settings).filter(field => !CONFIG_FIELDS[field]);
+  if (unknown.length > 0) {
+    return `Unknown settings: ${unknown.join(', ')}; expected ${Object.keys(CONFIG_FIELDS).join(', ')}`;
+  }
+
+  for (const [field, value] of Object.entries(settings)) {
+    if (value === null) continue;
+    const spec = CONFIG_FIELDS[field];
+    if (spec.values && !spec.values.includes(value)) {
+      return `${field} must be one of: ${spec.values.join(', ')}`;
+    }
+    if (!spec.values && (typeof value !== 'number' || !Number.isFinite(value) || value < spec.min || value > spec.max)) {
+      return `${field} must be a number from ${spec.min} to ${spec.max} (${spec.unit})`;
+    }
+  }
+  return null;
+};
+
+// Settings without the cleared (null) fields
+const withoutCleared = (settings) => Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== null && value !== undefined));
+
+const sameSettings = (a, b) => Object.keys(CONFIG_FIELDS).every(field => a[field] === b[field]);
+
+const createDeviceConfigService = ({ stores }) => {
+  // 'group:<name>' or 'device:<deviceId>' -> latest overrides record
+  const latest = new Map();
+  // deviceId -> resolved configuration state
+  const states = new Map();
+  const saving = new Map();
+
+  const keyOf = (scope, target) => `${scope}:${target}`;
+
+  const load = async () => {
+    (await stores.deviceConfigs.query({ order: 'asc' })).forEach(record => {
+      const key = keyOf(record.scope, record.target);
+      if (!latest.has(key) || latest.get(key).version < record.version) latest.set(key, record);
+    });
+    (await stores.deviceConfigState.query({})).forEach(state => states.set(state.deviceId, state));
+    return states.size;
+  };
+
+  // Save a device's state after any save already in progress
+  const saveState = (state) => {
+    const snapshot = structuredClone(state);
+    const next = (saving.get(state.deviceId) || Promise.resolve()).then(async () => {
+      if (!(await stores.deviceConfigState.update(snapshot.id, snapshot))) {
+        await stores.deviceConfigState.insert(snapshot);
+      }
+    }).catch(error => console.error(`Error saving configuration state of device ${state.deviceId}:`, error));
+    saving.set(state.deviceId, next);
+    return next;
+  };
+
+  const overridesOf = (scope, target) => latest.get(keyOf(scope, target)) || null;
+
+  // Store a new version of a group's or device's settings; fields left out are inherited
+  const saveOverrides = async (scope, target, settings, { note = null, by = null } = {}) => {
+    const previous = overridesOf(scope, target);
+    const record = {
+      id: Date.now() + Math.random().toString(36).substr(2, 9),
+      scope,
+      target,
+      version: previous ? previous.version + 1 : 1,
+      settings: withoutCleared(settings),
+      note,
+      createdBy: by,
+      createdAt: new Date().toISOString()
+    };
+    await stores.deviceConfigs.insert(record);
+    latest.set(keyOf(scope, target), record);
+    return record;
+  };
+
+  // Stored versions of a group's or device's settings, newest first
+  const versions = (scope, target) => stores.deviceConfigs.query({ where: { scope, target }, order: 'desc' });
+
+  // A device's state is pending until the device acknowledges applying its version; a device that has never
+  // acknowledged anything is running its firmware defaults, so only a configuration that differs from them
+  // is pending
+  const isPending = (state) => (state.applied ?
+    state.applied.status !== 'applied' || state.applied.version !== state.version :
+    !sameSettings(state.settings, CONFIG_DEFAULTS));
+
+  const describe = (state) => ({
+    version: state.version,
+    settings: state.settings,
+    sources: state.sources,
+    group: state.group,
+    groupVersion: state.groupVersion,
+    deviceVersion: state.deviceVersion,
+    updatedAt: state.updatedAt,
+    applied: state.applied,
+    pending: isPending(state)
+  });
+
+  // Resolved configuration of a registered device, bumping its version when the settings changed
+  const resolve = (device) => {
+    const group = device.group || null;
+    const groupOverrides = group ? overridesOf('group', group) : null;
+    const deviceOverrides = overridesOf('device', device.deviceId);
+
+    const settings = {};
+    const sources = {};
+    Object.keys(CONFIG_FIELDS).forEach(field => {
+      settings[field] = CONFIG_DEFAULTS[field];
+      sources[field] = 'default';
+      [['group', groupOverrides], ['device', deviceOverrides]].forEach(([source, overrides]) => {
+        if (overrides && overrides.settings[field] !== undefined) {
+          settings[field] = overrides.settings[field];
+          sources[field] = source;
+        }
+      });
+    });
+
+    const resolved = {
+      sources,
+      group,
+      groupVersion: groupOverrides ? groupOverrides.version : null,
+      deviceVersion: deviceOverrides ? deviceOverrides.version : null
+    };
+    const state = states.get(device.deviceId);
+
+    if (!state || !sameSettings(state.settings, settings)) {
+      const next = {
+        id: device.deviceId,
+        deviceId: device.deviceId,
+        version: state ? state.version + 1 : 1,
+        settings,
+        ...resolved,
+        updatedAt: new Date().toISOString(),
+        applied: state ? state.applied : null
+      };
+      states.set(device.deviceId, next);
+      saveState(next);
+      return describe(next);
+    }
+
+    // Same settings from different sources (e.g. a group now sets what the device set) keep the version
+    if (JSON.stringify(resolved) !== JSON.stringify({
+      sources: state.sources,
+      group: state.group,
+      groupVersion: state.groupVersion,
+      deviceVersion: state.deviceVersion
+    })) {
+      Object.assign(state, resolved);
+      saveState(state);
+    }
+    return describe(state);
+  };
+
+  // What to send back to a device in an ingestion response: { version, settings } while its configuration
+  // is pending, otherwise undefined
+  const pendingFor = (device) => {
+    if (!device) return undefined;
+    const config = resolve(device);
+    return config.pending ? { version: config.version, settings: config.settings } : undefined;
+  };
+
+  // Record a device's acknowledgement of a configuration version; resolves to { config } or { error, status }
+  const acknowledge = (device, { version, status = 'applied', message = null }) => {
+    const config = resolve(device);
+    if (version > config.version) {
+      return { error: `Configuration version ${version} has not been issued; the latest is ${config.version}`, status: 409 };
+    }
+
+    const state = states.get(device.deviceId);
+    const previous = state.applied;
+    state.applied = {
+      version,
+      status,
+      message,
+      at: new Date().toISOString(),
+      // Settings of the applied version, kept while later versions are pending
+      settings: status === 'applied' ?
+        (version === state.version ? state.settings : (previous && previous.version === version ? previous.settings : null)) :
+        (previous && previous.status === 'applied' ? previous.settings : null)
+    };
+    saveState(state);
+
+    console.log(`Device ${device.deviceId} ${status === 'applied' ? 'applied' : 'failed to apply'} configuration version ${version}`);
+    return { config: describe(state) };
+  };
+
+  // Upload interval the device has confirmed it uses, or null
+  const uploadIntervalOf = (deviceId) => {
+    const state = states.get(deviceId);
+    return state && state.applied && state.applied.settings ? state.applied.settings.uploadIntervalSeconds : null;
+  };
+
+  return {
+    load,
+    overridesOf,
+    saveOverrides,
+    versions,
+    resolve,
+    pendingFor,
+    acknowledge,
+    uploadIntervalOf,
+    groups: () => [...latest.values()].filter(record => record.scope === 'group').map(record => record.target)
+  };
+};
+
+module.exports = {
+  CONFIG_FIELDS,
+  CONFIG_DEFAULTS,
+  ACK_STATUSES,
+  isValidGroupName,
+  validateSettings,
+  createDeviceConfigService
+};
@@ -0,0 +1,82 @@
+// In-process event hub for live streaming (SSE and WebSocket).
+// Every event gets a monotonically increasing id and is kept in a bounded replay buffer,
+// so clients that reconnect with their last event id receive what they missed.
+
+const createEventHub = ({ bufferSize = 1000 } = {}) => {
+  // Start from the clock so ids stay increasing across restarts
+  let lastId = Date.now();
+  const buffer = [];
+  const subscribers = new Set();
+
+  const publish = (type, deviceId, data) => {
+    const event = {
+      id: String(++lastId),
+      type,
+      deviceId,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    buffer.push(event);
+    if (buffer.length > bufferSize) buffer.shift();
+
+    subscribers.forEach(subscriber => {
+      if (subscriber.deviceIds === null || subscriber.deviceIds.has(deviceId)) {
+        try {
+          subscriber.listener(event);
+        } catch (error) {
+          console.error('Error delivering event to subscriber:', error);
+        }
+      }
+    });
+
+    return event;
+  };
+
+  // Buffered events after lastEventId for the given devices (null = all devices)
+  const replay = (deviceIds, lastEventId) => {
+    const after = Number(lastEventId);
+    if (!Number.isFinite(after)) return [];
+    return buffer.filter(event =>
+      Number(event.id) > after && (deviceIds === null || deviceIds.includes(event.deviceId))
+    );
+  };
+
+  // Subscribe to events for deviceIds (null = all devices); returns a handle to change or end the subscription
+  const subscribe = (deviceIds, listener, { lastEventId } = {}) => {
+    const subscriber = {
+      deviceIds: deviceIds === null ? null : new Set(deviceIds),
+      listener
+    };
+
+    if (lastEventId !== undefined && lastEventId !== null) {
+      replay(deviceIds, lastEventId).forEach(listener);
+    }
+    subscribers.add(subscriber);
+
+    return {
+      add: (moreDeviceIds, options = {}) => {
+        if (subscriber.deviceIds === null) return;
+        moreDeviceIds.forEach(deviceId => subscriber.deviceIds.add(deviceId));
+        if (options.lastEventId !== undefined && options.lastEventId !== null) {
+          replay(moreDeviceIds, options.lastEventId).forEach(listener);
+        }
+      },
+      remove: (deviceIdsToRemove) => {
+        if (subscriber.deviceIds === null) return;
+        deviceIdsToRemove.forEach(deviceId => subscriber.deviceIds.delete(deviceId));
+      },
+      deviceIds: () => (subscriber.deviceIds === null ? null : [...subscriber.deviceIds]),
+      close: () => subscribers.delete(subscriber)
+    };
+  };
+
+  return {
+    publish,
+    subscribe,
+    subscriberCount: () => subscribers.size,
+    lastEventId: () => String(lastId)
+  };
+};
+
+module.exports = { createEventHub };
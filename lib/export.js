@@ -0,0 +1,181 @@
+// Streaming exports: records are read from storage a page at a time and written as CSV, NDJSON or XLSX
+// while they are read, so a multi-month export needs neither the whole result in memory nor a response
+// that only starts once everything has been formatted.
+const { createXlsxWriter, MAX_ROWS } = require('./xlsx');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const PAGE_SIZE = 1000;
+
+// Text output is flushed in chunks of about this many characters
+const CHUNK_SIZE = 64 * 1024;
+
+// Error code of a write to an output that closed first (the client went away)
+const EXPORT_OUTPUT_CLOSED = 'EXPORT_OUTPUT_CLOSED';
+
+const outputClosed = () => Object.assign(new Error('Export output closed'), { code: EXPORT_OUTPUT_CLOSED });
+
+// Epoch milliseconds below this are device uptime counters rather than dates (as in lib/ingestion.js)
+const EPOCH_THRESHOLD_MS = Date.UTC(2000, 0, 1);
+
+// RFC 4180: fields containing a comma, quote or line break are quoted, with quotes doubled
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Formats timestamps (ISO strings or epoch ms) as ISO 8601 in an IANA time zone, with its UTC offset at
+// that moment (e.g. 2024-03-10T03:30:00.000-04:00); UTC keeps the Z form. Returns null for an unknown zone.
+// Values that are not dates (uptime counters, unparseable strings) are returned unchanged.
+const createTimeFormatter = (timeZone = 'UTC') => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  } catch (error) {
+    return null;
+  }
+  const utc = parts.resolvedOptions().timeZone === 'UTC';
+
+  return (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number' && value < EPOCH_THRESHOLD_MS) return value;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return value;
+    if (utc) return date.toISOString();
+
+    const fields = Object.fromEntries(parts.formatToParts(date).map(part => [part.type, part.value]));
+    const local = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+    const offsetMinutes = Math.round((local - (date.getTime() - date.getUTCMilliseconds())) / 60000);
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const offset = `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+
+    return `${fields.year}-${fields.month}-${fields.day}T${fields.hour}:${fields.minute}:${fields.second}` +
+      `.${pad(date.getUTCMilliseconds(), 3)}${offset}`;
+  };
+};
+
+// Records matching any of a list of criteria (e.g. a patient's assignment segments), oldest first, read a
+// page at a time per criteria and merged by timeOf (the collection's time key). Yields { record, source }
+// with source the criteria's index in the list.
+// Each page starts at the time of the last record sent, skipping the IDs already sent at that time, so
+// records stored while an export runs are neither skipped nor sent twice and no page rescans the ones before.
+async function* streamRecords(collection, criteriaList, timeOf, pageSize = PAGE_SIZE) {
+  const cursors = criteriaList.map((criteria, source) => ({
+    criteria,
+    source,
+    lastTime: undefined,
+    // IDs of the records sent whose time is lastTime
+    sentAtLastTime: new Set(),
+    page: [],
+    done: false
+  }));
+
+  const fill = async (cursor) => {
+    if (cursor.page.length > 0 || cursor.done) return;
+    const keyset = cursor.lastTime === undefined ? {} : { start: cursor.lastTime };
+    const limit = pageSize + cursor.sentAtLastTime.size;
+    const page = await collection.query({ ...cursor.criteria, ...keyset, order: 'asc', limit });
+    cursor.page = page.filter(record => !(timeOf(record) === cursor.lastTime && cursor.sentAtLastTime.has(record.id)));
+    cursor.done = page.length < limit;
+  };
+
+  const sent = (cursor, record) => {
+    const time = timeOf(record);
+    if (time !== cursor.lastTime) {
+      cursor.lastTime = time;
+      cursor.sentAtLastTime.clear();
+    }
+    cursor.sentAtLastTime.add(record.id);
+    return record;
+  };
+
+  for (;;) {
+    for (const cursor of cursors) {
+      await fill(cursor);
+    }
+    const next = cursors
+      .filter(cursor => cursor.page.length > 0)
+      .reduce((earliest, cursor) => (!earliest || timeOf(cursor.page[0]) < timeOf(earliest.page[0]) ? cursor : earliest), null);
+    if (!next) return;
+    yield { record: sent(next, next.page.shift()), source: next.source };
+  }
+}
+
+// Write to a stream, resolving once it can take more; rejects with EXPORT_OUTPUT_CLOSED when the stream
+// closes first, which ends the export
+const writeTo = (output, chunk) => new Promise((resolve, reject) => {
+  if (output.destroyed || output.writableEnded) {
+    return reject(outputClosed());
+  }
+  if (output.write(chunk)) return resolve();
+
+  const onDrain = () => {
+    output.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    output.off('drain', onDrain);
+    reject(outputClosed());
+  };
+  output.once('drain', onDrain);
+  output.once('close', onClose);
+});
+
+// A writer for one format over an output stream: { addRow: async (values), finish: async () }, with values
+// in the order of columns (names). CSV and XLSX start with a header row; NDJSON writes one object per line.
+const createExportWriter = (format, output, { columns, sheetName }) => {
+  const write = chunk => writeTo(output, chunk);
+
+  if (format === 'xlsx') {
+    return createXlsxWriter(write, { sheetName, headers: columns });
+  }
+
+  const line = format === 'csv' ?
+    csvRow :
+    values => `${JSON.stringify(Object.fromEntries(columns.map((column, i) => [column, values[i] === undefined ? null : values[i]])))}\n`;
+  let pending = format === 'csv' ? csvRow(columns) : '';
+
+  return {
+    addRow: async (values) => {
+      pending += line(values);
+      if (pending.length >= CHUNK_SIZE) {
+        const text = pending;
+        pending = '';
+        await write(text);
+      }
+    },
+    finish: async () => {
+      if (pending.length > 0) await write(pending);
+      pending = '';
+    }
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_OUTPUT_CLOSED,
+  MAX_XLSX_ROWS: MAX_ROWS - 1,
+  csvField,
+  createTimeFormatter,
+  streamRecords,
+  writeTo,
+  createExportWriter
+};
@@ -0,0 +1,173 @@
+// HL7 FHIR R4 mapping: readings and glucose predictions become Observation resources with LOINC
+// codes and UCUM units, linked to a Device resource and to a Patient resource for the device's owner.
+// Each Observation is tagged with the provenance of its value (raw, derived, simulated or corrected).
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const PROVENANCE_TAGS = 'urn:health-monitor:provenance';
+
+// One entry per observed metric; key is the suffix of the Observation id (`<recordId>-<key>`)
+const OBSERVATION_CODES = {
+  'heart-rate': {
+    field: 'heartRate',
+    category: 'vital-signs',
+    coding: [{ system: LOINC, code: '8867-4', display: 'Heart rate' }],
+    text: 'Heart rate',
+    unit: { unit: 'beats/minute', code: '/min' }
+  },
+  spo2: {
+    field: 'spo2',
+    category: 'vital-signs',
+    coding: [
+      { system: LOINC, code: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry' },
+      { system: LOINC, code: '2708-6', display: 'Oxygen saturation in Arterial blood' }
+    ],
+    text: 'Oxygen saturation (SpO2)',
+    unit: { unit: '%', code: '%' }
+  },
+  'body-temperature': {
+    field: 'temperature',
+    category: 'vital-signs',
+    coding: [{ system: LOINC, code: '8310-5', display: 'Body temperature' }],
+    text: 'Body temperature',
+    unit: { unit: 'Cel', code: 'Cel' }
+  },
+  glucose: {
+    field: 'glucose',
+    category: 'laboratory',
+    coding: [{ system: LOINC, code: '2339-0', display: 'Glucose [Mass/volume] in Blood' }],
+    text: 'Glucose (estimated)',
+    unit: { unit: 'mg/dL', code: 'mg/dL' }
+  }
+};
+
+// Search values of the `code` parameter: LOINC codes and the id suffixes above
+const codeKeysFor = (code) => Object.keys(OBSERVATION_CODES).filter(key =>
+  key === code || OBSERVATION_CODES[key].coding.some(coding => coding.code === code || `${LOINC}|${coding.code}` === code)
+);
+
+const patientIdFor = (owner) => owner ? String(owner).replace(/[^A-Za-z0-9\-.]/g, '-').slice(0, 64) : null;
+
+const deviceResource = (deviceId, device) => ({
+  resourceType: 'Device',
+  id: deviceId,
+  identifier: [{ system: 'urn:health-monitor:device', value: deviceId }],
+  status: 'active',
+  deviceName: [{ name: device && device.name ? device.name : deviceId, type: 'user-friendly-name' }],
+  modelNumber: device && device.model ? device.model : undefined,
+  version: device && device.firmwareVersion ? [{ type: { text: 'firmware' }, value: device.firmwareVersion }] : undefined,
+  patient: device && device.owner ? { reference: `Patient/${patientIdFor(device.owner)}` } : undefined
+});
+
+const patientResource = (owner) => ({
+  resourceType: 'Patient',
+  id: patientIdFor(owner),
+  identifier: [{ system: 'urn:health-monitor:owner', value: owner }],
+  active: true
+});
+
+// Observation for one metric value; subject is the device's patient, or the device itself without an owner
+const observationResource = ({ id, key, value, effective, issued, device, deviceId, provenance, notes = [], method }) => {
+  const spec = OBSERVATION_CODES[key];
+
+  return {
+    resourceType: 'Observation',
+    id: id,
+    meta: {
+      tag: [{ system: PROVENANCE_TAGS, code: provenance, display: provenance === 'simulated' ? 'Simulated - not measured' : provenance }]
+    },
+    status: 'final',
+    category: [{
+      coding: [{ system: OBSERVATION_CATEGORY, code: spec.category }]
+    }],
+    code: { coding: spec.coding, text: spec.text },
+    subject: device && device.owner ?
+      { reference: `Patient/${patientIdFor(device.owner)}` } :
+      { reference: `Device/${deviceId}` },
+    effectiveDateTime: effective,
+    issued: issued,
+    valueQuantity: {
+      value: value,
+      unit: spec.unit.unit,
+      system: UCUM,
+      code: spec.unit.code
+    },
+    method: method ? { text: method } : undefined,
+    device: { reference: `Device/${deviceId}` },
+    note: notes.length > 0 ? notes.map(text => ({ text })) : undefined
+  };
+};
+
+// Observations of one sensor reading: one per valid vital.
+// helpers: { isValidVital(vital, record), getFieldProvenance(record, vital) }
+const readingObservations = (record, device, { isValidVital, getFieldProvenance }) => ['heart-rate', 'spo2', 'body-temperature']
+  .filter(key => isValidVital(OBSERVATION_CODES[key].field, record))
+  .map(key => {
+    const provenance = getFieldProvenance(record, OBSERVATION_CODES[key].field);
+    return observationResource({
+      id: `${record.id}-${key}`,
+      key,
+      value: record[OBSERVATION_CODES[key].field],
+      effective: record.measuredAt || record.receivedAt,
+      issued: record.receivedAt,
+      device,
+      deviceId: record.deviceId,
+      provenance,
+      notes: provenance === 'simulated' ? ['Simulated value - not measured by the sensor'] : [],
+      method: provenance === 'derived' ? 'Computed on the server from raw PPG samples' : undefined
+    });
+  });
+
+// Observation of one glucose prediction (always an estimate, never a blood measurement)
+const predictionObservation = (prediction, device) => {
+  const { modelVersion } = prediction.prediction;
+  const provenance = prediction.simulatedGlucose ? 'simulated' : 'derived';
+
+  return observationResource({
+    id: `${prediction.id}-glucose`,
+    key: 'glucose',
+    value: prediction.lastGlucose,
+    effective: prediction.timestamp,
+    issued: prediction.timestamp,
+    device,
+    deviceId: prediction.deviceId,
+    provenance,
+    notes: [provenance === 'simulated' ?
+      'Simulated value - not derived from a measurement' :
+      'Estimated from vital signs, not measured in blood'],
+    method: modelVersion ? `Estimated by glucose model ${modelVersion}` : 'Simulation'
+  });
+};
+
+// searchset Bundle; entries are { resource, mode: 'match' | 'include' }
+const searchBundle = (baseUrl, selfUrl, total, entries) => ({
+  resourceType: 'Bundle',
+  type: 'searchset',
+  timestamp: new Date().toISOString(),
+  total: total,
+  link: [{ relation: 'self', url: selfUrl }],
+  entry: entries.map(({ resource, mode }) => ({
+    fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+    resource: resource,
+    search: { mode: mode }
+  }))
+});
+
+// OperationOutcome for FHIR error responses
+const operationOutcome = (code, diagnostics) => ({
+  resourceType: 'OperationOutcome',
+  issue: [{ severity: 'error', code: code, diagnostics: diagnostics }]
+});
+
+module.exports = {
+  OBSERVATION_CODES,
+  codeKeysFor,
+  patientIdFor,
+  deviceResource,
+  patientResource,
+  readingObservations,
+  predictionObservation,
+  searchBundle,
+  operationOutcome
+};
@@ -0,0 +1,252 @@
+// Health scores: 100 minus a penalty for every vital (and the glucose estimate) outside its normal range.
+//
+// Penalties and the score bands of each status are a weight set. Weight sets are versioned and never
+// change once created, so a stored score can always be recomputed from its inputs with the version it
+// names; a new set becomes a new version. Version '1' is built in (the original fixed weights) and the
+// others, with the active choice, are saved in a state file.
+
+const fs = require('fs');
+
+// Interpretations a score is computed from, in the order factors are listed
+const SCORE_INPUTS = ['heartRate', 'spo2', 'temperature', 'glucose'];
+
+const INPUT_LABELS = {
+  heartRate: 'heartRate',
+  spo2: 'spo2',
+  temperature: 'temperature',
+  glucose: 'Glucose'
+};
+
+// Interpretation statuses that can carry a penalty ('good' never does)
+const PENALIZED_STATUSES = ['warning', 'caution', 'error'];
+
+const DEFAULT_WEIGHTS = {
+  version: '1',
+  description: 'Original weights',
+  createdAt: null,
+  // Points deducted per input and interpretation status
+  penalties: {
+    heartRate: { warning: 20, caution: 10, error: 15 },
+    spo2: { warning: 20, caution: 10, error: 15 },
+    temperature: { warning: 20, caution: 10, error: 15 },
+    glucose: { warning: 15, caution: 8, error: 0 }
+  },
+  // Lowest score of each status, highest first; the last band must start at 0
+  statusBands: [
+    { status: 'Excellent', min: 90 },
+    { status: 'Good', min: 75 },
+    { status: 'Fair', min: 60 },
+    { status: 'Poor', min: 0 }
+  ]
+};
+
+const isPenalty = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+
+// Check a weight set's penalties and statusBands; returns an error message, or null when valid
+const validateWeights = ({ penalties, statusBands }) => {
+  if (typeof penalties !== 'object' || penalties === null || Array.isArray(penalties)) {
+    return 'penalties must be an object of { input: { status: points } }';
+  }
+  const unknownInputs = Object.keys(penalties).filter(input => !SCORE_INPUTS.includes(input));
+  if (unknownInputs.length > 0) {
+    return `Unknown penalty inputs: ${unknownInputs.join(', ')} (expected ${SCORE_INPUTS.join(', ')})`;
+  }
+  for (const input of SCORE_INPUTS) {
+    const byStatus = penalties[input];
+    if (typeof byStatus !== 'object' || byStatus === null) {
+      return `penalties.${input} must be an object of { status: points }`;
+    }
+    for (const status of PENALIZED_STATUSES) {
+      if (!isPenalty(byStatus[status])) {
+        return `penalties.${input}.${status} must be a number between 0 and 100`;
+      }
+    }
+  }
+
+  if (!Array.isArray(statusBands) || statusBands.length === 0) {
+    return 'statusBands must be a non-empty array of { status, min }';
+  }
+  for (let i = 0; i < statusBands.length; i++) {
+    const band = statusBands[i];
+    if (!band || typeof band.status !== 'string' || band.status.length === 0 || !isPenalty(band.min)) {
+      return `statusBands[${i}] must be { status, min } with min between 0 and 100`;
+    }
+    if (i > 0 && band.min >= statusBands[i - 1].min) {
+      return 'statusBands must be ordered from the highest min to the lowest';
+    }
+  }
+  if (statusBands[statusBands.length - 1].min !== 0) {
+    return 'The last status band must have min 0';
+  }
+
+  return null;
+};
+
+// Score interpretations ({ input: { status, category, message } }, null for an input that was not
+// available) with a weight set. Returns { score, status, factors, contributions, weightsVersion };
+// contributions maps every input to the points it deducted (0 or negative).
+const scoreHealth = (inputs, weights = DEFAULT_WEIGHTS) => {
+  const contributions = {};
+  const factors = [];
+
+  SCORE_INPUTS.forEach(input => {
+    const interpretation = inputs[input];
+    const penalty = interpretation ? weights.penalties[input][interpretation.status] || 0 : 0;
+    contributions[input] = penalty > 0 ? -penalty : 0;
+    if (penalty > 0) {
+      factors.push(`${INPUT_LABELS[input]}: ${interpretation.message}`);
+    }
+  });
+
+  const score = Math.max(0, 100 + Object.values(contributions).reduce((sum, points) => sum + points, 0));
+  const status = weights.statusBands.find(band => score >= band.min).status;
+
+  return { score, status, factors, contributions, weightsVersion: weights.version };
+};
+
+const roundTo = (value, decimals) => +value.toFixed(decimals);
+
+const signed = (points) => `${points > 0 ? '+' : ''}${points}`;
+
+const describeInputChange = (change) => {
+  const label = INPUT_LABELS[change.input];
+  // Bucket averages have contributions but no single category
+  if (change.from.category === undefined || change.to.category === undefined) {
+    return `${label} contributed ${change.from.contribution} → ${change.to.contribution} points on average (${signed(change.delta)})`;
+  }
+  return `${label} ${change.from.category || 'not available'} → ${change.to.category || 'not available'} (${signed(change.delta)} points)`;
+};
+
+// What moved a score between two points ({ score, contributions, inputs? }): the inputs whose
+// contribution changed, largest change first, and a sentence describing them
+const explainChange = (from, to) => {
+  const categoryOf = (point, input) => {
+    if (!point.inputs) return undefined;
+    return point.inputs[input] ? point.inputs[input].category : null;
+  };
+
+  const changes = SCORE_INPUTS
+    .filter(input => (to.contributions[input] || 0) !== (from.contributions[input] || 0))
+    .map(input => ({
+      input: input,
+      delta: roundTo((to.contributions[input] || 0) - (from.contributions[input] || 0), 1),
+      from: { category: categoryOf(from, input), contribution: from.contributions[input] || 0 },
+      to: { category: categoryOf(to, input), contribution: to.contributions[input] || 0 }
+    }))
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  return {
+    changes: changes,
+    explanation: changes.length > 0 ?
+      changes.map(describeInputChange).join('; ') :
+      from.weightsVersion !== to.weightsVersion ?
+        'No input changed; the scores were computed with different weights' :
+        'No input changed'
+  };
+};
+
+// Consecutive points whose scores differ by at least minChange, with what caused each change
+const significantChanges = (points, minChange) => points.slice(1).reduce((changes, point, i) => {
+  const previous = points[i];
+  const delta = roundTo(point.score - previous.score, 1);
+  if (Math.abs(delta) < minChange) return changes;
+
+  return [...changes, {
+    from: { time: previous.time, score: previous.score, status: previous.status },
+    to: { time: point.time, score: point.score, status: point.status },
+    delta: delta,
+    ...explainChange(previous, point)
+  }];
+}, []);
+
+const createWeightRegistry = ({ stateFile, preferredVersion }) => {
+  const versions = new Map([[DEFAULT_WEIGHTS.version, DEFAULT_WEIGHTS]]);
+  let activeVersion = DEFAULT_WEIGHTS.version;
+
+  const save = () => {
+    try {
+      const custom = [...versions.values()].filter(weights => weights !== DEFAULT_WEIGHTS);
+      fs.writeFileSync(stateFile, JSON.stringify({ active: activeVersion, versions: custom }, null, 2));
+    } catch (error) {
+      console.error('Error saving health score weights:', error);
+    }
+  };
+
+  // Load saved versions and pick the active one: the saved choice, then preferredVersion, then '1'
+  const load = () => {
+    let saved = { active: null, versions: [] };
+    try {
+      if (fs.existsSync(stateFile)) saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    } catch (error) {
+      console.error('Error loading health score weights:', error);
+    }
+
+    (saved.versions || []).forEach(weights => {
+      const error = validateWeights(weights);
+      if (error) {
+        console.warn(`Skipping health score weights version ${weights.version}: ${error}`);
+        return;
+      }
+      versions.set(String(weights.version), weights);
+    });
+
+    activeVersion = [saved.active, preferredVersion].find(version => version && versions.has(String(version))) ||
+      DEFAULT_WEIGHTS.version;
+    return versions.size;
+  };
+
+  const active = () => versions.get(activeVersion);
+
+  const setActive = (version) => {
+    if (!versions.has(version)) return false;
+    activeVersion = version;
+    save();
+    return true;
+  };
+
+  // Add a weight set as the next version; penalties given for some inputs or statuses are merged over
+  // the active set. Returns { weights } or { error }.
+  const create = ({ penalties = {}, statusBands, description = null }) => {
+    const base = active();
+    const merged = {
+      penalties: typeof penalties === 'object' && penalties !== null && !Array.isArray(penalties) ?
+        Object.keys(penalties).reduce((acc, input) => ({ ...acc, [input]: { ...base.penalties[input], ...penalties[input] } }), base.penalties) :
+        penalties,
+      statusBands: statusBands === undefined ? base.statusBands : statusBands
+    };
+
+    const error = validateWeights(merged);
+    if (error) return { error };
+
+    const version = String(Math.max(...[...versions.keys()].map(Number)) + 1);
+    const weights = {
+      version: version,
+      description: description,
+      createdAt: new Date().toISOString(),
+      basedOn: base.version,
+      ...merged
+    };
+    versions.set(version, weights);
+    save();
+    return { weights };
+  };
+
+  return {
+    load,
+    active,
+    setActive,
+    create,
+    get: (version) => versions.get(String(version)) || null,
+    list: () => [...versions.values()].map(weights => ({ ...weights, active: weights.version === activeVersion }))
+  };
+};
+
+module.exports = {
+  SCORE_INPUTS,
+  DEFAULT_WEIGHTS,
+  validateWeights,
+  scoreHealth,
+  explainChange,
+  significantChanges,
+  createWeightRegistry
+};
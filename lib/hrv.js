@@ -0,0 +1,198 @@
+// Heart rate variability from beat-to-beat (inter-beat) intervals in milliseconds.
+//
+// Intervals arrive in segments: the intervals reported with one reading or found in one PPG window,
+// ending at that reading's measurement time. Successive differences are only taken within a segment,
+// and the frequency domain uses a Lomb-Scargle periodogram, which copes with the gaps between segments.
+
+// Physiologically plausible interval range (30-200 BPM)
+const MIN_INTERVAL_MS = 300;
+const MAX_INTERVAL_MS = 2000;
+
+// An interval that differs from the previous one by more than this is treated as an ectopic beat or artifact
+const MAX_SUCCESSIVE_CHANGE = 0.2;
+
+const LF_BAND = [0.04, 0.15];
+const HF_BAND = [0.15, 0.4];
+const FREQUENCY_STEP = 0.0025;
+
+const round = (value, decimals) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// Split one segment into runs of clean intervals, each { times, intervals }; the time of an
+// interval is the beat that ends it. Rejected intervals break the run.
+const cleanSegment = ({ end, intervals }) => {
+  const runs = [];
+  let run = null;
+  let rejected = 0;
+  let time = end - intervals.reduce((sum, value) => sum + value, 0);
+
+  intervals.forEach(value => {
+    time += value;
+    const previous = run ? run.intervals[run.intervals.length - 1] : null;
+    const plausible = value >= MIN_INTERVAL_MS && value <= MAX_INTERVAL_MS;
+
+    if (!plausible || (previous !== null && Math.abs(value - previous) / previous > MAX_SUCCESSIVE_CHANGE)) {
+      rejected++;
+      run = null;
+      return;
+    }
+
+    if (!run) {
+      run = { times: [], intervals: [] };
+      runs.push(run);
+    }
+    run.times.push(time);
+    run.intervals.push(value);
+  });
+
+  return { runs, rejected };
+};
+
+// Lomb-Scargle periodogram of unevenly sampled values at the given frequencies (Hz); times in seconds
+const lombScargle = (times, values, frequencies) => {
+  const avg = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const centered = values.map(value => value - avg);
+
+  return frequencies.map(frequency => {
+    const omega = 2 * Math.PI * frequency;
+    let sin2 = 0;
+    let cos2 = 0;
+    times.forEach(t => {
+      sin2 += Math.sin(2 * omega * t);
+      cos2 += Math.cos(2 * omega * t);
+    });
+    const tau = Math.atan2(sin2, cos2) / (2 * omega);
+
+    let yc = 0;
+    let ys = 0;
+    let cc = 0;
+    let ss = 0;
+    times.forEach((t, i) => {
+      const c = Math.cos(omega * (t - tau));
+      const s = Math.sin(omega * (t - tau));
+      yc += centered[i] * c;
+      ys += centered[i] * s;
+      cc += c * c;
+      ss += s * s;
+    });
+
+    return (cc > 0 ? yc * yc / cc : 0) / 2 + (ss > 0 ? ys * ys / ss : 0) / 2;
+  });
+};
+
+// LF and HF band power (normalized units) and their ratio
+const frequencyDomain = (times, values) => {
+  const frequencies = [];
+  for (let frequency = LF_BAND[0]; frequency <= HF_BAND[1] + 1e-9; frequency += FREQUENCY_STEP) {
+    frequencies.push(frequency);
+  }
+
+  const origin = times[0];
+  const power = lombScargle(times.map(t => (t - origin) / 1000), values, frequencies);
+  const bandPower = ([low, high]) => power
+    .filter((_, i) => frequencies[i] >= low && frequencies[i] < high)
+    .reduce((sum, value) => sum + value, 0);
+
+  const lf = bandPower(LF_BAND);
+  const hf = bandPower(HF_BAND);
+  if (lf + hf === 0) return null;
+
+  return {
+    lf: round(lf / (lf + hf) * 100, 1),
+    hf: round(hf / (lf + hf) * 100, 1),
+    lfHfRatio: hf > 0 ? round(lf / hf, 2) : null
+  };
+};
+
+// HRV over segments [{ end (epoch ms), intervals: [ms] }]. Time-domain metrics need minIntervals clean
+// intervals; LF/HF needs the beats to span at least minSpectralSeconds (null otherwise).
+// Returns null when there are too few clean intervals.
+const computeHrv = (segments, { minIntervals = 10, minSpectralSeconds = 120 } = {}) => {
+  const runs = [];
+  let rejected = 0;
+  segments.forEach(segment => {
+    const cleaned = cleanSegment(segment);
+    runs.push(...cleaned.runs);
+    rejected += cleaned.rejected;
+  });
+
+  const points = [].concat(...runs.map(run => run.times.map((time, i) => ({ time, interval: run.intervals[i] }))))
+    .sort((a, b) => a.time - b.time);
+  if (points.length < minIntervals) return null;
+
+  const intervals = points.map(point => point.interval);
+  const meanNN = intervals.reduce((sum, value) => sum + value, 0) / intervals.length;
+  const sdnn = Math.sqrt(intervals.reduce((sum, value) => sum + (value - meanNN) ** 2, 0) / (intervals.length - 1));
+
+  const differences = [].concat(...runs.map(run => run.intervals.slice(1).map((value, i) => value - run.intervals[i])));
+  const rmssd = differences.length > 0 ?
+    Math.sqrt(differences.reduce((sum, value) => sum + value * value, 0) / differences.length) :
+    null;
+  const pnn50 = differences.length > 0 ?
+    differences.filter(value => Math.abs(value) > 50).length / differences.length * 100 :
+    null;
+
+  const spanSeconds = (points[points.length - 1].time - points[0].time + intervals[0]) / 1000;
+  const spectrum = spanSeconds >= minSpectralSeconds ?
+    frequencyDomain(points.map(point => point.time), intervals) :
+    null;
+
+  return {
+    intervals: intervals.length,
+    rejectedIntervals: rejected,
+    spanSeconds: round(spanSeconds, 1),
+    meanNN: round(meanNN, 1),
+    meanHeartRate: round(60000 / meanNN, 1),
+    sdnn: round(sdnn, 1),
+    rmssd: rmssd !== null ? round(rmssd, 1) : null,
+    pnn50: pnn50 !== null ? round(pnn50, 1) : null,
+    lf: spectrum ? spectrum.lf : null,
+    hf: spectrum ? spectrum.hf : null,
+    lfHfRatio: spectrum ? spectrum.lfHfRatio : null
+  };
+};
+
+const HRV_UNITS = {
+  meanNN: 'ms',
+  meanHeartRate: 'BPM',
+  sdnn: 'ms',
+  rmssd: 'ms',
+  pnn50: '%',
+  lf: 'n.u.',
+  hf: 'n.u.'
+};
+
+// API shape of a stored HRV record (derived metrics of kind 'hrv'); null passes through
+const describeHrv = (record) => {
+  if (!record) return null;
+  const { metrics } = record;
+
+  return {
+    id: record.id,
+    timestamp: record.timestamp,
+    window: {
+      start: metrics.windowStart,
+      end: metrics.windowEnd,
+      seconds: metrics.windowSeconds
+    },
+    source: metrics.source,
+    intervals: metrics.intervals,
+    rejectedIntervals: metrics.rejectedIntervals,
+    meanNN: metrics.meanNN,
+    meanHeartRate: metrics.meanHeartRate,
+    sdnn: metrics.sdnn,
+    rmssd: metrics.rmssd,
+    pnn50: metrics.pnn50,
+    lf: metrics.lf,
+    hf: metrics.hf,
+    lfHfRatio: metrics.lfHfRatio,
+    units: HRV_UNITS
+  };
+};
+
+module.exports = {
+  computeHrv,
+  describeHrv
+};
@@ -0,0 +1,78 @@
+// Helpers for ingesting device readings: measurement time and deduplication keys.
+//
+// Devices send `timestamp` either as wall-clock time (ISO string or epoch milliseconds) or as an
+// uptime counter in milliseconds since boot (the ESP32 firmware does this). Uptime values can only be
+// placed on the clock when the device also reports its current uptime (`deviceTime`) when sending,
+// as buffered batches do; otherwise the arrival time is the best available measurement time.
+//
+// A retry is recognised by its dedup key: the client's idempotency key, which holds for the device's whole
+// history, or else the timestamp. Uptime timestamps repeat after every reboot, so a timestamp key only
+// matches readings that arrived within the dedup window. The payload hash tells a retry (same payload)
+// from a different reading sent under the same key (a conflict).
+
+const crypto = require('crypto');
+const { toTime, defaultTimeOf } = require('./storage/query');
+
+// Epoch milliseconds below this are treated as uptime counters rather than dates
+const EPOCH_THRESHOLD_MS = Date.UTC(2000, 0, 1);
+
+// When a reading was measured: { measuredAt (ISO), measuredAtSource: 'device-clock' | 'device-uptime' | 'received' }
+const measurementTime = (timestamp, { receivedAt, deviceTime } = {}) => {
+  if (typeof timestamp === 'string' && timestamp.trim() !== '' && isNaN(Number(timestamp))) {
+    const time = new Date(timestamp).getTime();
+    if (Number.isFinite(time)) {
+      return { measuredAt: new Date(time).toISOString(), measuredAtSource: 'device-clock' };
+    }
+  }
+
+  if (typeof timestamp === 'number' && Number.isFinite(timestamp)) {
+    if (timestamp >= EPOCH_THRESHOLD_MS) {
+      return { measuredAt: new Date(timestamp).toISOString(), measuredAtSource: 'device-clock' };
+    }
+    if (typeof deviceTime === 'number' && Number.isFinite(deviceTime) && deviceTime >= timestamp) {
+      const measured = new Date(receivedAt).getTime() - (deviceTime - timestamp);
+      return { measuredAt: new Date(measured).toISOString(), measuredAtSource: 'device-uptime' };
+    }
+  }
+
+  return { measuredAt: receivedAt, measuredAtSource: 'received' };
+};
+
+// Deduplication key within a device: the client's idempotency key, else the device timestamp
+const dedupKeyFor = (reading) => (
+  reading.idempotencyKey !== undefined && reading.idempotencyKey !== null && reading.idempotencyKey !== '' ?
+    `key:${reading.idempotencyKey}` :
+    `ts:${reading.timestamp}`
+);
+
+// Whether a dedup key comes from the timestamp (and so only holds within the dedup window)
+const isTimestampKey = (dedupKey) => dedupKey.startsWith('ts:');
+
+// JSON with object keys sorted, so equal payloads serialize the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Hash of what the device sent, leaving out the idempotency key (which may come as a header instead)
+const payloadHashFor = (reading) => {
+  const { idempotencyKey, ...payload } = reading;
+  return crypto.createHash('sha256').update(canonicalJson(payload)).digest('hex');
+};
+
+// Storage time key for sensor readings: measurement time, falling back to arrival for older records
+const readingTimeOf = (record) => {
+  const time = toTime(record.measuredAt);
+  return Number.isFinite(time) ? time : defaultTimeOf(record);
+};
+
+module.exports = {
+  measurementTime,
+  dedupKeyFor,
+  isTimestampKey,
+  payloadHashFor,
+  readingTimeOf
+};
@@ -0,0 +1,185 @@
+// Glucose models: random forest regressors exported to JSON by models/export_model.py.
+// Every export in the models directory is loaded at startup; one of them is active and used for
+// predictions. The active choice is saved so it survives restarts.
+
+const fs = require('fs');
+const path = require('path');
+
+const MODEL_FORMAT = 'random-forest-regressor/v1';
+
+// Share of the tree predictions covered by the reported range (10th to 90th percentile)
+const RANGE_COVERAGE = 0.8;
+
+const percentile = (sorted, p) => {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const round = (value, decimals = 1) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// Walk one tree; scikit-learn compares features as float32, so do the same
+const predictTree = (tree, features) => {
+  let node = 0;
+  while (tree.left[node] !== -1) {
+    node = Math.fround(features[tree.feature[node]]) <= tree.threshold[node] ? tree.left[node] : tree.right[node];
+  }
+  return tree.value[node];
+};
+
+// Read and check one JSON export; throws when the file is not a usable model
+const loadModelFile = (file) => {
+  const model = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (model.format !== MODEL_FORMAT) {
+    throw new Error(`unsupported format "${model.format}" (expected ${MODEL_FORMAT})`);
+  }
+  if (!Array.isArray(model.features) || model.features.length === 0) {
+    throw new Error('missing feature list');
+  }
+  if (!Array.isArray(model.trees) || model.trees.length === 0) {
+    throw new Error('no trees');
+  }
+  model.trees.forEach((tree, i) => {
+    const size = tree.left.length;
+    if (['right', 'feature', 'threshold', 'value'].some(field => !Array.isArray(tree[field]) || tree[field].length !== size)) {
+      throw new Error(`tree ${i} is malformed`);
+    }
+  });
+
+  return { ...model, file: path.basename(file) };
+};
+
+// Run a model on { heartRate, heartRateAvg, spo2, temperature, ... }
+const runModel = (model, inputs) => {
+  const missing = model.features.filter(feature => typeof inputs[feature] !== 'number' || !Number.isFinite(inputs[feature]));
+  if (missing.length > 0) {
+    throw new Error(`Missing numeric model inputs: ${missing.join(', ')}`);
+  }
+
+  const features = model.features.map(feature => inputs[feature]);
+  const treePredictions = model.trees.map(tree => predictTree(tree, features)).sort((a, b) => a - b);
+  const mean = treePredictions.reduce((sum, value) => sum + value, 0) / treePredictions.length;
+  const variance = treePredictions.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / treePredictions.length;
+
+  // A forest cannot extrapolate: inputs outside the training data get the prediction of the nearest edge
+  const outOfRange = model.features
+    .filter(feature => {
+      const range = model.dataRanges && model.dataRanges[feature];
+      return Array.isArray(range) && (inputs[feature] < range[0] || inputs[feature] > range[1]);
+    })
+    .map(feature => ({
+      feature: feature,
+      value: inputs[feature],
+      trainedRange: model.dataRanges[feature]
+    }));
+
+  return {
+    glucoseLevel: round(mean),
+    unit: model.unit || 'mg/dL',
+    range: {
+      low: round(percentile(treePredictions, (1 - RANGE_COVERAGE) / 2)),
+      high: round(percentile(treePredictions, 1 - (1 - RANGE_COVERAGE) / 2)),
+      coverage: RANGE_COVERAGE
+    },
+    standardDeviation: round(Math.sqrt(variance), 2),
+    trees: treePredictions.length,
+    outOfRange: outOfRange,
+    model: {
+      name: model.name,
+      version: model.version
+    }
+  };
+};
+
+// Model description without the trees
+const describeModel = (model) => {
+  const { trees, ...description } = model;
+  return {
+    ...description,
+    trees: trees.length,
+    nodes: trees.reduce((sum, tree) => sum + tree.left.length, 0)
+  };
+};
+
+const createModelRegistry = ({ modelsDir, stateFile, preferredVersion }) => {
+  const models = new Map();
+  let activeVersion = null;
+  const loadErrors = [];
+
+  const saveActive = () => {
+    try {
+      fs.writeFileSync(stateFile, JSON.stringify({ active: activeVersion }, null, 2));
+    } catch (error) {
+      console.error('Error saving active model:', error);
+    }
+  };
+
+  // (Re)load every export in modelsDir and pick the active model:
+  // the saved choice, then preferredVersion, then the newest version
+  const load = () => {
+    models.clear();
+    loadErrors.length = 0;
+
+    const files = fs.existsSync(modelsDir) ?
+      fs.readdirSync(modelsDir).filter(file => file.endsWith('.json')) :
+      [];
+
+    files.forEach(file => {
+      try {
+        const model = loadModelFile(path.join(modelsDir, file));
+        models.set(model.version, model);
+      } catch (error) {
+        loadErrors.push({ file, error: error.message });
+        console.warn(`Skipping model ${file}: ${error.message}`);
+      }
+    });
+
+    let saved = null;
+    try {
+      if (fs.existsSync(stateFile)) saved = JSON.parse(fs.readFileSync(stateFile, 'utf8')).active;
+    } catch (error) {
+      console.error('Error loading active model:', error);
+    }
+
+    const newest = [...models.keys()].sort().pop() || null;
+    activeVersion = [saved, preferredVersion].find(version => version && models.has(version)) || newest;
+    return models.size;
+  };
+
+  const active = () => (activeVersion ? models.get(activeVersion) : null);
+
+  const setActive = (version) => {
+    if (!models.has(version)) return false;
+    activeVersion = version;
+    saveActive();
+    return true;
+  };
+
+  // Predict with the active model (or a specific version); null when no model is loaded
+  const predict = (inputs, version) => {
+    const model = version ? models.get(version) : active();
+    return model ? runModel(model, inputs) : null;
+  };
+
+  return {
+    load,
+    active,
+    setActive,
+    predict,
+    get: (version) => models.get(version) || null,
+    list: () => [...models.values()].map(model => ({ ...describeModel(model), active: model.version === activeVersion })),
+    loadErrors: () => [...loadErrors]
+  };
+};
+
+module.exports = {
+  createModelRegistry,
+  describeModel,
+  runModel,
+  MODEL_FORMAT
+};
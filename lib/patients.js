@@ -0,0 +1,136 @@
+// Patients and their time-bounded device assignments.
+//
+// A device belongs to at most one patient at a time. An assignment covers [start, end): end is
+// exclusive and null while the device is still with the patient. Patient-level data is read as
+// segments, one per assignment, so a device handed to a new patient never mixes two people's readings.
+//
+// A patient's referenceProfile, customRanges and units (see lib/reference.js) apply to the devices
+// assigned to them.
+
+const { validateReferenceSettings } = require('./reference');
+
+const SEXES = ['female', 'male', 'other', 'unknown'];
+const PATIENT_FIELDS = ['name', 'dateOfBirth', 'sex', 'notes', 'referenceProfile', 'customRanges', 'units', 'owner'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validate patient fields (a complete patient after applying changes); returns an error message or null
+const validatePatient = (patient) => {
+  if (!patient.name || typeof patient.name !== 'string') {
+    return 'name is required';
+  }
+  if (patient.dateOfBirth !== null && patient.dateOfBirth !== undefined) {
+    const date = new Date(`${patient.dateOfBirth}T00:00:00Z`);
+    if (typeof patient.dateOfBirth !== 'string' || !DATE_ONLY.test(patient.dateOfBirth) || isNaN(date.getTime()) || date > new Date()) {
+      return 'dateOfBirth must be a past date as YYYY-MM-DD';
+    }
+  }
+  if (patient.sex !== null && patient.sex !== undefined && !SEXES.includes(patient.sex)) {
+    return `sex must be one of: ${SEXES.join(', ')}`;
+  }
+  if (patient.notes !== null && patient.notes !== undefined && typeof patient.notes !== 'string') {
+    return 'notes must be a string';
+  }
+  return validateReferenceSettings(patient);
+};
+
+// Age in whole years on a date, or null without a date of birth
+const ageOf = (patient, on = new Date()) => {
+  if (!patient.dateOfBirth) return null;
+  const birth = new Date(`${patient.dateOfBirth}T00:00:00Z`);
+  let age = on.getUTCFullYear() - birth.getUTCFullYear();
+  if (on.getUTCMonth() < birth.getUTCMonth() ||
+    (on.getUTCMonth() === birth.getUTCMonth() && on.getUTCDate() < birth.getUTCDate())) {
+    age--;
+  }
+  return age;
+};
+
+// API shape of a patient, with the current age
+const toPublicPatient = (patient) => ({ ...patient, age: ageOf(patient) });
+
+const toBound = (value, fallback) => (value === null || value === undefined ? fallback : new Date(value).getTime());
+
+// Whether two assignments' periods intersect
+const assignmentsOverlap = (a, b) =>
+  toBound(a.start, -Infinity) < toBound(b.end, Infinity) && toBound(b.start, -Infinity) < toBound(a.end, Infinity);
+
+// Validate an assignment's period; returns an error message or null
+const validatePeriod = ({ start, end }) => {
+  if (isNaN(new Date(start).getTime())) {
+    return 'start must be a date';
+  }
+  if (end !== null && end !== undefined) {
+    if (isNaN(new Date(end).getTime())) {
+      return 'end must be a date or null';
+    }
+    if (new Date(end) <= new Date(start)) {
+      return 'end must be after start';
+    }
+  }
+  return null;
+};
+
+// Segments [{ deviceId, start, end, assignmentId }] of a patient's assignments (epoch ms, end inclusive)
+const patientSegments = async (stores, patientId) => {
+  const assignments = await stores.deviceAssignments.query({ where: { patientId } });
+  return assignments.map(assignment => ({
+    deviceId: assignment.deviceId,
+    start: new Date(assignment.start).getTime(),
+    end: assignment.end ? new Date(assignment.end).getTime() - 1 : undefined,
+    assignmentId: assignment.id
+  }));
+};
+
+// Storage criteria for one segment combined with the caller's date range; null when they do not intersect
+const segmentCriteria = (segment, criteria) => {
+  const start = Math.max(toBound(segment.start, -Infinity), toBound(criteria.start, -Infinity));
+  const end = Math.min(toBound(segment.end, Infinity), toBound(criteria.end, Infinity));
+  if (start > end) return null;
+
+  return {
+    ...criteria,
+    deviceId: segment.deviceId,
+    start: Number.isFinite(start) ? start : undefined,
+    end: Number.isFinite(end) ? end : undefined
+  };
+};
+
+// Query a collection across segments and merge by timeOf; criteria as for collection.query
+const querySegments = async (collection, segments, criteria, timeOf) => {
+  const { order = 'asc', offset = 0, limit } = criteria;
+  // Each segment may contribute up to offset + limit records to the merged page
+  const perSegment = { offset: 0, limit: limit !== undefined && limit !== null ? offset + limit : undefined };
+
+  const lists = await Promise.all(segments.map(segment => {
+    const scoped = segmentCriteria(segment, criteria);
+    return scoped ? collection.query({ ...scoped, ...perSegment }) : [];
+  }));
+
+  const merged = [].concat(...lists)
+    .sort((a, b) => order === 'desc' ? timeOf(b) - timeOf(a) : timeOf(a) - timeOf(b));
+  return limit !== undefined && limit !== null ? merged.slice(offset, offset + limit) : merged.slice(offset);
+};
+
+// Count records across segments
+const countSegments = async (collection, segments, criteria) => {
+  const counts = await Promise.all(segments.map(segment => {
+    const scoped = segmentCriteria(segment, criteria);
+    return scoped ? collection.count(scoped) : 0;
+  }));
+  return counts.reduce((sum, count) => sum + count, 0);
+};
+
+module.exports = {
+  SEXES,
+  PATIENT_FIELDS,
+  validatePatient,
+  validatePeriod,
+  ageOf,
+  toPublicPatient,
+  assignmentsOverlap,
+  patientSegments,
+  segmentCriteria,
+  querySegments,
+  countSegments
+};
@@ -0,0 +1,142 @@
+// Minimal PDF writer for text documents: A4 pages of Helvetica text and ruled lines, no dependencies.
+//
+// A document is a list of pages, each a list of operations in points from the top-left corner:
+//   { text, x, y, size?, bold?, color? }   color is [r, g, b] in 0-1
+//   { line: [x1, y1, x2, y2], width? }
+// Text uses the standard 14 fonts with WinAnsiEncoding, so characters outside Latin-1 are replaced
+// with ASCII equivalents.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+const REPLACEMENTS = {
+  '≥': '>=',
+  '≤': '<=',
+  '→': '->',
+  '–': '-',
+  '—': '-',
+  '•': '-',
+  '‘': "'",
+  '’': "'",
+  '“': '"',
+  '”': '"',
+  '…': '...'
+};
+
+// Text as a PDF string literal in WinAnsi (Latin-1 for the characters used here)
+const pdfString = (text) => {
+  const latin1 = Array.from(String(text))
+    .map(char => REPLACEMENTS[char] || (char.charCodeAt(0) < 256 ? char : '?'))
+    .join('');
+  return `(${latin1.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)').replace(/[\r\n]/g, ' ')})`;
+};
+
+const number = (value) => +value.toFixed(2);
+
+const pageContent = (operations) => operations.map(op => {
+  if (op.line) {
+    const [x1, y1, x2, y2] = op.line;
+    return `${number(op.width || 0.5)} w ${number(x1)} ${number(PAGE_HEIGHT - y1)} m ${number(x2)} ${number(PAGE_HEIGHT - y2)} l S`;
+  }
+  const [r, g, b] = op.color || [0, 0, 0];
+  return `BT ${number(r)} ${number(g)} ${number(b)} rg /${op.bold ? 'F2' : 'F1'} ${number(op.size || 10)} Tf ` +
+    `${number(op.x)} ${number(PAGE_HEIGHT - op.y)} Td ${pdfString(op.text)} Tj ET`;
+}).join('\n');
+
+// PDF bytes of a document; info: { title, author }
+const renderPdf = (pages, { title = '', author = '' } = {}) => {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = addObject(`<< /Title ${pdfString(title)} /Author ${pdfString(author)} /Producer (VitalGlance) >>`);
+
+  const pageIds = (pages.length > 0 ? pages : [[]]).map(operations => {
+    const content = Buffer.from(pageContent(operations), 'latin1');
+    const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content.toString('latin1')}\nendstream`);
+    return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  // Offsets are byte positions, so the file is assembled in Latin-1 throughout
+  let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+// Lays out a document top to bottom, starting new pages as they fill. Returns { heading, text, row,
+// rule, space, pages }: row writes cells at column x positions.
+const createPdfLayout = ({ margin = 50, footer } = {}) => {
+  const pages = [[]];
+  let y = margin;
+  const bottom = PAGE_HEIGHT - margin;
+
+  const ensure = (height) => {
+    if (y + height <= bottom) return;
+    pages.push([]);
+    y = margin;
+  };
+  const current = () => pages[pages.length - 1];
+
+  return {
+    width: PAGE_WIDTH - 2 * margin,
+    margin,
+    heading: (text, size = 13) => {
+      ensure(size + 24);
+      y += size + 8;
+      current().push({ text, x: margin, y, size, bold: true });
+      y += 6;
+    },
+    text: (text, { size = 10, bold = false, color } = {}) => {
+      ensure(size + 4);
+      y += size + 4;
+      current().push({ text, x: margin, y, size, bold, color });
+    },
+    row: (cells, columns, { size = 9, bold = false } = {}) => {
+      ensure(size + 5);
+      y += size + 5;
+      cells.forEach((cell, i) => {
+        if (cell !== null && cell !== undefined && cell !== '') {
+          current().push({ text: String(cell), x: margin + columns[i], y, size, bold });
+        }
+      });
+    },
+    rule: () => {
+      ensure(6);
+      y += 4;
+      current().push({ line: [margin, y, PAGE_WIDTH - margin, y], width: 0.5 });
+    },
+    space: (height = 8) => {
+      y += height;
+    },
+    pages: () => pages.map((operations, i) => (footer ?
+      [...operations, { text: footer(i + 1, pages.length), x: margin, y: PAGE_HEIGHT - margin / 2, size: 8, color: [0.4, 0.4, 0.4] }] :
+      operations))
+  };
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  renderPdf,
+  createPdfLayout
+};
@@ -0,0 +1,174 @@
+// PPG signal processing for raw MAX30102 red/IR sample windows.
+// Derives heart rate, SpO2 and a confidence score on the server so the
+// algorithm can be improved without reflashing the ESP32 firmware.
+
+const MIN_WINDOW_SECONDS = 4;
+const MIN_HEART_RATE = 30;
+const MAX_HEART_RATE = 220;
+
+// Below this DC level the photodiode is mostly seeing ambient light (no finger on the sensor)
+const FINGER_DC_THRESHOLD = 50000;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const standardDeviation = (values) => {
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / values.length);
+};
+
+// Centered moving average; the window shrinks at the edges
+const movingAverage = (values, windowSize) => {
+  const half = Math.max(1, Math.floor(windowSize / 2));
+  const result = new Array(values.length);
+  let sum = 0;
+  let start = 0;
+  let end = -1;
+
+  for (let i = 0; i < values.length; i++) {
+    const from = Math.max(0, i - half);
+    const to = Math.min(values.length - 1, i + half);
+    while (end < to) sum += values[++end];
+    while (start < from) sum -= values[start++];
+    result[i] = sum / (end - start + 1);
+  }
+
+  return result;
+};
+
+// Band-pass (~0.5-5 Hz): remove the DC/baseline wander, then smooth high-frequency noise
+const bandPass = (values, sampleRate) => {
+  const baseline = movingAverage(values, Math.round(sampleRate * 1.5));
+  const detrended = values.map((value, i) => value - baseline[i]);
+  return movingAverage(detrended, Math.max(1, Math.round(sampleRate / 10)));
+};
+
+// Find pulse peaks in a filtered signal. Blood volume absorbs light, so each heartbeat
+// is a dip in the raw photodiode signal; we invert it so beats become maxima.
+const detectPeaks = (filtered, sampleRate) => {
+  const signal = filtered.map(value => -value);
+  const threshold = 0.3 * standardDeviation(signal);
+  const minDistance = Math.round(sampleRate * 60 / MAX_HEART_RATE);
+  const peaks = [];
+
+  for (let i = 1; i < signal.length - 1; i++) {
+    if (signal[i] <= threshold || signal[i] < signal[i - 1] || signal[i] < signal[i + 1]) continue;
+
+    const lastPeak = peaks[peaks.length - 1];
+    if (lastPeak !== undefined && i - lastPeak < minDistance) {
+      // Keep the taller of two peaks that are too close together
+      if (signal[i] > signal[lastPeak]) peaks[peaks.length - 1] = i;
+      continue;
+    }
+
+    peaks.push(i);
+  }
+
+  return peaks;
+};
+
+// Average peak-to-trough amplitude per beat (the AC component)
+const pulseAmplitude = (filtered, peaks) => {
+  if (peaks.length < 2) return 2 * Math.SQRT2 * standardDeviation(filtered);
+
+  const amplitudes = [];
+  for (let i = 1; i < peaks.length; i++) {
+    const beat = filtered.slice(peaks[i - 1], peaks[i] + 1);
+    amplitudes.push(Math.max(...beat) - Math.min(...beat));
+  }
+  return median(amplitudes);
+};
+
+// Maxim reference calibration curve for the MAX3010x ratio of ratios
+const ratioToSpo2 = (ratio) => -45.06 * ratio * ratio + 30.354 * ratio + 94.845;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+// Validate a window before processing; returns an error message or null
+const validateWindow = ({ red, ir, sampleRate }) => {
+  if (!Array.isArray(red) || !Array.isArray(ir)) {
+    return 'red and ir must be arrays of raw samples';
+  }
+  if (red.length !== ir.length) {
+    return 'red and ir must contain the same number of samples';
+  }
+  if (typeof sampleRate !== 'number' || !Number.isFinite(sampleRate) || sampleRate < 25 || sampleRate > 3200) {
+    return 'sampleRate must be a number between 25 and 3200 Hz';
+  }
+  if (red.length < sampleRate * MIN_WINDOW_SECONDS) {
+    return `window must contain at least ${MIN_WINDOW_SECONDS} seconds of samples (${Math.ceil(sampleRate * MIN_WINDOW_SECONDS)} at ${sampleRate} Hz)`;
+  }
+  if (![...red, ...ir].every(value => typeof value === 'number' && Number.isFinite(value))) {
+    return 'samples must be finite numbers';
+  }
+  return null;
+};
+
+// Process one window of raw samples into heart rate, SpO2 and a 0-1 confidence
+const processPpgWindow = ({ red, ir, sampleRate }) => {
+  const dcRed = mean(red);
+  const dcIr = mean(ir);
+  const fingerDetected = dcRed > FINGER_DC_THRESHOLD && dcIr > FINGER_DC_THRESHOLD;
+
+  const filteredRed = bandPass(red, sampleRate);
+  const filteredIr = bandPass(ir, sampleRate);
+
+  // IR has the better signal-to-noise ratio on the MAX30102, so beats are timed on it
+  const peaks = detectPeaks(filteredIr, sampleRate);
+  const intervals = peaks.slice(1)
+    .map((peak, i) => (peak - peaks[i]) / sampleRate)
+    .filter(seconds => seconds >= 60 / MAX_HEART_RATE && seconds <= 60 / MIN_HEART_RATE);
+
+  const heartRate = intervals.length > 0 ? 60 / median(intervals) : null;
+  const heartRateAvg = intervals.length > 0 ? 60 / mean(intervals) : null;
+
+  const acRed = pulseAmplitude(filteredRed, peaks);
+  const acIr = pulseAmplitude(filteredIr, peaks);
+  const ratio = dcRed > 0 && dcIr > 0 && acIr > 0 ? (acRed / dcRed) / (acIr / dcIr) : null;
+  const spo2 = ratio !== null ? Math.min(100, ratioToSpo2(ratio)) : null;
+  const perfusionIndex = dcIr > 0 ? acIr / dcIr * 100 : 0;
+
+  // Confidence: enough beats, regular intervals, plausible perfusion and ratio, finger on sensor
+  const expectedBeats = heartRate ? red.length / sampleRate * heartRate / 60 : 0;
+  const beatScore = intervals.length >= 3 ? clamp01(intervals.length / Math.max(1, expectedBeats - 1)) : 0;
+  const regularityScore = intervals.length >= 2 ? clamp01(1 - standardDeviation(intervals) / mean(intervals) / 0.25) : 0;
+  const perfusionScore = perfusionIndex >= 0.05 && perfusionIndex <= 20 ? 1 : 0.3;
+  const ratioScore = ratio !== null && ratio > 0.2 && ratio < 1.8 ? 1 : 0.2;
+  const confidence = fingerDetected ?
+    +(beatScore * 0.35 + regularityScore * 0.35 + perfusionScore * 0.15 + ratioScore * 0.15).toFixed(2) :
+    0;
+
+  return {
+    heartRate: heartRate !== null ? +heartRate.toFixed(1) : null,
+    heartRateAvg: heartRateAvg !== null ? +heartRateAvg.toFixed(1) : null,
+    spo2: spo2 !== null ? +spo2.toFixed(1) : null,
+    confidence,
+    fingerDetected,
+    beats: peaks.length,
+    interBeatIntervals: intervals.map(seconds => Math.round(seconds * 1000)),
+    ratio: ratio !== null ? +ratio.toFixed(4) : null,
+    perfusionIndex: +perfusionIndex.toFixed(3),
+    dc: {
+      red: Math.round(dcRed),
+      ir: Math.round(dcIr)
+    },
+    ac: {
+      red: +acRed.toFixed(1),
+      ir: +acIr.toFixed(1)
+    },
+    sampleRate,
+    samples: red.length,
+    durationSeconds: +(red.length / sampleRate).toFixed(2)
+  };
+};
+
+module.exports = {
+  validateWindow,
+  processPpgWindow,
+  FINGER_DC_THRESHOLD
+};
@@ -0,0 +1,308 @@
+// Device presence: when each device was last heard from (a reading or a heartbeat), how often it
+// reports, the state its firmware last reported, and an online / stale / offline status.
+//
+// A device's expected interval is the upload interval it has confirmed from its configuration (see
+// lib/deviceConfig.js), else the median gap between its recent contacts (defaultIntervalSeconds until it
+// has been heard from twice). It turns stale once silent for staleIntervals expected intervals
+// and offline after offlineIntervals. Every status change is published on the event hub as a 'presence'
+// event, from ingestion when a device is heard from again and from a periodic check when it goes silent.
+// Presence is kept in memory and saved to its own collection.
+
+const PRESENCE_STATUSES = ['online', 'stale', 'offline', 'unknown'];
+
+// Contacts closer together than this count as one (e.g. the readings of one batch)
+const MIN_GAP_MS = 1000;
+
+// Gaps kept for the interval estimate, readings kept for the finger detection ratio, status changes kept
+const INTERVAL_SAMPLES = 20;
+const FINGER_SAMPLES = 50;
+const HISTORY_SIZE = 20;
+
+// Silence thresholds never drop below these, so a device reporting every second is not flagged over a
+// brief network hiccup
+const MIN_STALE_SECONDS = 60;
+const MIN_OFFLINE_SECONDS = 300;
+
+// State the firmware may report in readings and heartbeats; the latest value of each is kept
+const FIRMWARE_FIELDS = ['firmwareVersion', 'calibrationComplete', 'dataQuality', 'battery', 'rssi'];
+
+// Request schema of the firmware state a heartbeat may carry (see lib/api.js)
+const FIRMWARE_STATE_FIELDS = {
+  firmwareVersion: { type: 'string', nullable: true },
+  calibrationComplete: { type: 'boolean', nullable: true },
+  fingerDetected: { type: 'boolean', nullable: true },
+  dataQuality: { type: 'string', nullable: true },
+  battery: { type: 'number', nullable: true, min: 0, max: 100, description: '%' },
+  rssi: { type: 'number', nullable: true, description: 'dBm' }
+};
+
+const roundTo = (value, digits) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const createPresenceTracker = ({
+  stores,
+  events,
+  defaultIntervalSeconds = 60,
+  staleIntervals = 2,
+  offlineIntervals = 10,
+  checkIntervalMs = 15000,
+  configuredIntervalOf = () => null
+}) => {
+  const presences = new Map();
+  // deviceId -> save in progress; a device queued in `queued` is saved once more with its latest state
+  const saving = new Map();
+  const queued = new Set();
+  let timer = null;
+
+  const load = async () => {
+    (await stores.devicePresence.query({})).forEach(presence => presences.set(presence.deviceId, presence));
+    return presences.size;
+  };
+
+  const save = (deviceId) => {
+    if (queued.has(deviceId)) return;
+    queued.add(deviceId);
+
+    const next = (saving.get(deviceId) || Promise.resolve()).then(async () => {
+      queued.delete(deviceId);
+      const presence = structuredClone(presences.get(deviceId));
+      if (!(await stores.devicePresence.update(presence.id, presence))) {
+        await stores.devicePresence.insert(presence);
+      }
+    }).catch(error => console.error(`Error saving presence of device ${deviceId}:`, error));
+
+    saving.set(deviceId, next);
+    next.then(() => {
+      if (saving.get(deviceId) === next) saving.delete(deviceId);
+    });
+  };
+
+  // Expected interval and silence thresholds of a device, in seconds
+  const thresholdsOf = (presence) => {
+    const observedSeconds = median(presence.intervals);
+    const configuredSeconds = configuredIntervalOf(presence.deviceId);
+    const expectedSeconds = configuredSeconds || (observedSeconds !== null ? observedSeconds : defaultIntervalSeconds);
+    const staleAfterSeconds = Math.max(expectedSeconds * staleIntervals, MIN_STALE_SECONDS);
+    return {
+      expectedSeconds,
+      configuredSeconds,
+      observedSeconds,
+      samples: presence.intervals.length,
+      staleAfterSeconds: roundTo(staleAfterSeconds, 1),
+      offlineAfterSeconds: roundTo(Math.max(expectedSeconds * offlineIntervals, MIN_OFFLINE_SECONDS, staleAfterSeconds), 1)
+    };
+  };
+
+  const silentSecondsOf = (presence, now) =>
+    (presence && presence.lastSeenAt ? Math.max(0, Math.round((now - Date.parse(presence.lastSeenAt)) / 1000)) : null);
+
+  // Status of a device at a time (epoch ms) from how long it has been silent
+  const statusOf = (presence, now) => {
+    const silentSeconds = silentSecondsOf(presence, now);
+    if (silentSeconds === null) return 'unknown';
+    const { staleAfterSeconds, offlineAfterSeconds } = thresholdsOf(presence);
+    if (silentSeconds > offlineAfterSeconds) return 'offline';
+    if (silentSeconds > staleAfterSeconds) return 'stale';
+    return 'online';
+  };
+
+  // Record and publish a status change; silentSeconds is how long the device had been silent
+  const changeStatus = (presence, status, now, silentSeconds) => {
+    const previousStatus = presence.status;
+    if (previousStatus === status) return false;
+
+    const at = new Date(now).toISOString();
+    const { expectedSeconds } = thresholdsOf(presence);
+    presence.status = status;
+    presence.statusChangedAt = at;
+    presence.history = [...presence.history, { status, previousStatus, at, silentSeconds }].slice(-HISTORY_SIZE);
+
+    events.publish('presence', presence.deviceId, {
+      status,
+      previousStatus,
+      lastSeenAt: presence.lastSeenAt,
+      silentSeconds,
+      expectedIntervalSeconds: expectedSeconds
+    });
+
+    if (status === 'online') {
+      if (previousStatus !== 'unknown') {
+        console.log(`Device ${presence.deviceId} is back online after ${silentSeconds}s of silence`);
+      }
+    } else {
+      console.log(`Device ${presence.deviceId} is ${status}: silent for ${silentSeconds}s (expected every ${expectedSeconds}s)`);
+    }
+    return true;
+  };
+
+  const applyFirmwareState = (presence, source, at) => {
+    const reported = FIRMWARE_FIELDS.filter(field => source[field] !== undefined && source[field] !== null);
+    reported.forEach(field => {
+      presence.firmware[field] = source[field];
+    });
+    if (typeof source.fingerDetected === 'boolean') {
+      presence.fingerDetected = [...presence.fingerDetected, source.fingerDetected].slice(-FINGER_SAMPLES);
+    }
+    if (reported.length > 0 || typeof source.fingerDetected === 'boolean') {
+      presence.firmware.reportedAt = at;
+    }
+  };
+
+  // A device was heard from at `at` (ISO time); apply(presence) records what it sent
+  const contact = (deviceId, at, apply) => {
+    const now = Date.parse(at);
+    let presence = presences.get(deviceId);
+    if (!presence) {
+      presence = {
+        id: deviceId,
+        deviceId,
+        firstSeenAt: at,
+        lastSeenAt: null,
+        lastReadingAt: null,
+        lastMeasuredAt: null,
+        lastHeartbeatAt: null,
+        lastRecordId: null,
+        readings: 0,
+        heartbeats: 0,
+        intervals: [],
+        fingerDetected: [],
+        firmware: {},
+        status: 'unknown',
+        statusChangedAt: at,
+        history: []
+      };
+      presences.set(deviceId, presence);
+    }
+
+    const previousSeen = presence.lastSeenAt ? Date.parse(presence.lastSeenAt) : null;
+    const silentSeconds = previousSeen !== null ? Math.max(0, Math.round((now - previousSeen) / 1000)) : null;
+    if (previousSeen !== null && now - previousSeen >= MIN_GAP_MS) {
+      presence.intervals = [...presence.intervals, roundTo((now - previousSeen) / 1000, 1)].slice(-INTERVAL_SAMPLES);
+    }
+    if (previousSeen === null || now > previousSeen) {
+      presence.lastSeenAt = at;
+    }
+
+    apply(presence);
+    changeStatus(presence, 'online', now, silentSeconds);
+    save(deviceId);
+  };
+
+  // A stored reading the device itself sent (not a replayed or scenario reading)
+  const recordReading = (record) => contact(record.deviceId, record.receivedAt, presence => {
+    presence.readings += 1;
+    presence.lastReadingAt = record.receivedAt;
+    presence.lastRecordId = record.id;
+    if (record.measuredAt && (!presence.lastMeasuredAt || record.measuredAt > presence.lastMeasuredAt)) {
+      presence.lastMeasuredAt = record.measuredAt;
+    }
+    applyFirmwareState(presence, record, record.receivedAt);
+  });
+
+  // A heartbeat without a reading, carrying firmware state
+  const recordHeartbeat = (deviceId, state = {}, at = new Date().toISOString()) => contact(deviceId, at, presence => {
+    presence.heartbeats += 1;
+    presence.lastHeartbeatAt = at;
+    applyFirmwareState(presence, state, at);
+  });
+
+  // Move silent devices to stale or offline; returns the number of status changes
+  const check = (now = Date.now()) => {
+    let changed = 0;
+    presences.forEach(presence => {
+      const status = statusOf(presence, now);
+      if (status !== 'online' && changeStatus(presence, status, now, silentSecondsOf(presence, now))) {
+        save(presence.deviceId);
+        changed++;
+      }
+    });
+    return changed;
+  };
+
+  // Public view of a device's presence; device is its registry entry (null when not registered)
+  const describe = (deviceId, device, { history = false, now = Date.now() } = {}) => {
+    const presence = presences.get(deviceId) || null;
+    const interval = thresholdsOf(presence || { deviceId, intervals: [] });
+    const firmware = presence ? presence.firmware : {};
+    const fingerSamples = presence ? presence.fingerDetected : [];
+
+    return {
+      deviceId,
+      name: device ? device.name : null,
+      registered: Boolean(device),
+      owner: device ? device.owner : null,
+      status: statusOf(presence, now),
+      statusChangedAt: presence ? presence.statusChangedAt : null,
+      lastSeenAt: presence ? presence.lastSeenAt : null,
+      silentSeconds: silentSecondsOf(presence, now),
+      lastReadingAt: presence ? presence.lastReadingAt : null,
+      lastMeasuredAt: presence ? presence.lastMeasuredAt : null,
+      lastHeartbeatAt: presence ? presence.lastHeartbeatAt : null,
+      interval: {
+        expectedSeconds: interval.expectedSeconds,
+        configuredSeconds: interval.configuredSeconds,
+        observedSeconds: interval.observedSeconds,
+        samples: interval.samples,
+        staleAfterSeconds: interval.staleAfterSeconds,
+        offlineAfterSeconds: interval.offlineAfterSeconds
+      },
+      firmware: {
+        version: firmware.firmwareVersion || (device ? device.firmwareVersion : null) || null,
+        calibrationComplete: firmware.calibrationComplete !== undefined ? firmware.calibrationComplete : null,
+        fingerDetectedRatio: fingerSamples.length > 0 ?
+          roundTo(fingerSamples.filter(Boolean).length / fingerSamples.length, 2) :
+          null,
+        fingerDetectedSamples: fingerSamples.length,
+        dataQuality: firmware.dataQuality !== undefined ? firmware.dataQuality : null,
+        battery: firmware.battery !== undefined ? firmware.battery : null,
+        rssi: firmware.rssi !== undefined ? firmware.rssi : null,
+        reportedAt: firmware.reportedAt || null
+      },
+      readings: presence ? presence.readings : 0,
+      heartbeats: presence ? presence.heartbeats : 0,
+      firstSeenAt: presence ? presence.firstSeenAt : null,
+      ...(history ? { history: presence ? presence.history : [] } : {})
+    };
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      try {
+        check();
+      } catch (error) {
+        console.error('Error checking device presence:', error);
+      }
+    }, checkIntervalMs);
+    timer.unref();
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    load,
+    recordReading,
+    recordHeartbeat,
+    check,
+    describe,
+    deviceIds: () => [...presences.keys()],
+    start,
+    stop,
+    settings: () => ({ defaultIntervalSeconds, staleIntervals, offlineIntervals, checkIntervalSeconds: checkIntervalMs / 1000 })
+  };
+};
+
+module.exports = {
+  PRESENCE_STATUSES,
+  FIRMWARE_STATE_FIELDS,
+  createPresenceTracker
+};
@@ -0,0 +1,111 @@
+// Signal quality of a sensor reading: a 0-100 score with the reasons behind it.
+//
+// Combines what the firmware reports (fingerDetected, calibrationComplete, dataQuality and the
+// heartRateValid/spo2Valid flags), sentinel values, raw red/IR levels, PPG confidence for
+// server-derived readings, and stability against the device's previous reading.
+
+// Raw photodiode levels below this mean the finger is not on the sensor (see lib/ppg.js)
+const MIN_SIGNAL_LEVEL = 50000;
+// Full scale of the MAX30102's 18-bit ADC; readings at the top are clipped
+const SATURATED_SIGNAL_LEVEL = 262143;
+
+// Largest plausible change from the previous reading within STABILITY_WINDOW_MS
+const STABILITY_WINDOW_MS = 5 * 60 * 1000;
+const MAX_CHANGES = {
+  heartRate: { limit: 30, unit: 'BPM', penalty: 15 },
+  spo2: { limit: 5, unit: '%', penalty: 10 },
+  temperature: { limit: 1, unit: '°C', penalty: 10 }
+};
+
+const FIRMWARE_QUALITY_PENALTIES = {
+  excellent: 0,
+  good: 0,
+  fair: 15,
+  poor: 30,
+  bad: 30
+};
+
+const QUALITY_LEVELS = [
+  { level: 'good', min: 80 },
+  { level: 'fair', min: 50 },
+  { level: 'poor', min: 0 }
+];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isSentinel = (value) => isNumber(value) && value <= 0;
+
+// Score one reading; previous is the device's preceding reading (or null).
+// Returns { score, level, reason, factors: [{ factor, penalty, message }] }
+const scoreQuality = (record, previous, { minPpgConfidence = 0.5 } = {}) => {
+  const factors = [];
+  const penalize = (factor, penalty, message) => factors.push({ factor, penalty, message });
+
+  if (record.fingerDetected === false) {
+    penalize('finger', 60, 'No finger detected on the sensor');
+  }
+  if (record.calibrationComplete === false) {
+    penalize('calibration', 25, 'Sensor calibration not complete');
+  }
+
+  const firmwareQuality = typeof record.dataQuality === 'string' ? record.dataQuality.toLowerCase() : null;
+  if (firmwareQuality && FIRMWARE_QUALITY_PENALTIES[firmwareQuality]) {
+    penalize('firmware', FIRMWARE_QUALITY_PENALTIES[firmwareQuality], `Firmware reports ${firmwareQuality} data quality`);
+  }
+
+  if (record.heartRateValid === false || isSentinel(record.heartRate)) {
+    penalize('heartRate', 15, 'Heart rate flagged invalid or missing');
+  }
+  if (record.spo2Valid === false || isSentinel(record.spo2)) {
+    penalize('spo2', 15, 'SpO2 flagged invalid or missing');
+  }
+  if (isNumber(record.temperature) && (record.temperature < 30 || record.temperature > 43)) {
+    penalize('temperature', 10, `Temperature ${record.temperature}°C is outside the body range`);
+  }
+
+  const levels = [record.red, record.ir].filter(isNumber);
+  if (levels.some(level => level < MIN_SIGNAL_LEVEL)) {
+    penalize('signal', 20, `Weak raw signal (red/IR below ${MIN_SIGNAL_LEVEL})`);
+  } else if (levels.some(level => level >= SATURATED_SIGNAL_LEVEL)) {
+    penalize('signal', 20, 'Raw signal saturated');
+  }
+
+  if (record.ppg && isNumber(record.ppg.confidence) && record.ppg.confidence < minPpgConfidence) {
+    penalize('ppg', Math.round((minPpgConfidence - record.ppg.confidence) / minPpgConfidence * 40),
+      `PPG confidence ${record.ppg.confidence} below ${minPpgConfidence}`);
+  }
+
+  // Jumps that a body cannot make between two nearby readings point at motion or a loose finger
+  const elapsed = previous ?
+    new Date(record.measuredAt || record.receivedAt) - new Date(previous.measuredAt || previous.receivedAt) :
+    null;
+  if (previous && elapsed >= 0 && elapsed <= STABILITY_WINDOW_MS) {
+    Object.keys(MAX_CHANGES).forEach(vital => {
+      const { limit, unit, penalty } = MAX_CHANGES[vital];
+      if (isNumber(record[vital]) && isNumber(previous[vital]) && !isSentinel(record[vital]) && !isSentinel(previous[vital])) {
+        const change = Math.abs(record[vital] - previous[vital]);
+        if (change > limit) {
+          penalize('stability', penalty, `${vital} changed by ${+change.toFixed(1)} ${unit} since the previous reading`);
+        }
+      }
+    });
+  }
+
+  const score = Math.max(0, 100 - factors.reduce((sum, factor) => sum + factor.penalty, 0));
+  const worst = factors.reduce((max, factor) => (!max || factor.penalty > max.penalty ? factor : max), null);
+
+  return {
+    score,
+    level: QUALITY_LEVELS.find(entry => score >= entry.min).level,
+    reason: worst ? worst.message : 'All quality checks passed',
+    factors
+  };
+};
+
+// Stored quality of a reading; older readings are scored on the fly without history
+const qualityOf = (record, options) => record.quality || scoreQuality(record, null, options);
+
+module.exports = {
+  scoreQuality,
+  qualityOf,
+  QUALITY_LEVELS
+};
@@ -0,0 +1,302 @@
+// Rate limits per device and per client, and load shedding when ingestion backs up.
+//
+// Every authenticated request spends a token from a bucket: the device's own bucket when it sent its
+// X-API-Key, otherwise the client's (the admin token or one owner token). A request whose credentials
+// are missing or refused (401 or 403) spends from its IP address's bucket instead, and once that bucket
+// is empty the address gets 429 before its credentials are even looked at. A bucket refills
+// continuously at perMinute and holds at most burst tokens, so a device may send a short burst (a batch
+// after reconnecting) but cannot sustain more than its quota. An empty bucket answers 429 with
+// Retry-After, the seconds until the next token. A device's own rateLimit ({ perMinute, burst }, set by
+// admins) replaces the device quota; perMinute 0 means unlimited. Usage is kept in memory and starts
+// over when the server restarts.
+//
+// The ingestion gate counts the readings whose requests are still being processed. Past maxPending
+// readings new ingestion requests get 503 with Retry-After instead of waiting in line. One device may
+// hold at most maxPendingPerDevice of them, so a unit stuck in a loop cannot fill the queue for every
+// other patient. A request is always admitted when nothing is pending for it, so a batch larger than
+// the limits still goes through on an idle server.
+
+// Request schema of a device's own quota (see lib/api.js)
+const RATE_LIMIT_FIELDS = {
+  perMinute: { type: 'number', required: true, min: 0, description: 'Sustained requests per minute; 0 for unlimited' },
+  burst: { type: 'integer', min: 1, description: 'Requests that may be sent at once (default: the device default burst)' }
+};
+
+// Buckets idle this long are full again and are dropped
+const IDLE_MS = 60 * 60 * 1000;
+
+const roundTo = (value, digits) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+// Who a request is charged to, once authenticated (see lib/auth.js)
+const identityOf = (req) => {
+  if (req.user) {
+    return { scope: 'client', id: req.user.role === 'admin' ? 'admin' : `token:${req.user.tokenId}` };
+  }
+  return { scope: 'device', id: req.device.deviceId, override: req.device.rateLimit };
+};
+
+// Who a request is charged to when its credentials are refused
+const addressOf = (req) => ({ scope: 'client', id: `ip:${req.ip}` });
+
+const isAuthFailure = (statusCode) => statusCode === 401 || statusCode === 403;
+
+const createRateLimiter = ({
+  deviceQuota = { perMinute: 120, burst: 30 },
+  clientQuota = { perMinute: 600, burst: 120 },
+  sweepIntervalMs = 60000
+}) => {
+  // 'device:<deviceId>' or 'client:<id>' -> { tokens, updatedAt, allowed, limited, since, lastLimitedAt }
+  const buckets = new Map();
+  let timer = null;
+
+  const quotaOf = (scope, override) => {
+    const defaults = scope === 'device' ? deviceQuota : clientQuota;
+    if (!override) return { ...defaults, source: 'default' };
+    return { perMinute: override.perMinute, burst: override.burst || defaults.burst, source: 'device' };
+  };
+
+  const unlimited = (quota) => !(quota.perMinute > 0);
+
+  // The bucket of a scope and id, refilled up to now
+  const bucketOf = (scope, id, quota, now) => {
+    const key = `${scope}:${id}`;
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: quota.burst, updatedAt: now, allowed: 0, limited: 0, since: new Date(now).toISOString(), lastLimitedAt: null };
+      buckets.set(key, bucket);
+    }
+    const refilled = bucket.tokens + ((now - bucket.updatedAt) / 60000) * quota.perMinute;
+    bucket.tokens = Math.min(quota.burst, Math.max(bucket.tokens, refilled));
+    bucket.updatedAt = now;
+    return bucket;
+  };
+
+  // Seconds until a bucket holds `tokens` tokens
+  const secondsUntil = (bucket, quota, tokens) =>
+    Math.max(0, Math.ceil(((tokens - bucket.tokens) / quota.perMinute) * 60));
+
+  // Spend a token; returns { allowed, quota, remaining, resetSeconds, retryAfterSeconds }
+  const take = (scope, id, { override = null, now = Date.now() } = {}) => {
+    const quota = quotaOf(scope, override);
+    if (unlimited(quota)) return { allowed: true, quota };
+
+    const bucket = bucketOf(scope, id, quota, now);
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+      bucket.allowed += 1;
+    } else {
+      bucket.limited += 1;
+      bucket.lastLimitedAt = new Date(now).toISOString();
+    }
+
+    return {
+      allowed,
+      quota,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: secondsUntil(bucket, quota, quota.burst),
+      retryAfterSeconds: allowed ? 0 : Math.max(1, secondsUntil(bucket, quota, 1))
+    };
+  };
+
+  // Public view of a bucket's quota and usage
+  const usageOf = (scope, id, { override = null, now = Date.now() } = {}) => {
+    const quota = quotaOf(scope, override);
+    const key = `${scope}:${id}`;
+    const bucket = unlimited(quota) ? buckets.get(key) : (buckets.has(key) ? bucketOf(scope, id, quota, now) : null);
+
+    return {
+      scope,
+      id,
+      quota: {
+        perMinute: quota.perMinute,
+        burst: unlimited(quota) ? null : quota.burst,
+        source: quota.source,
+        unlimited: unlimited(quota)
+      },
+      remaining: unlimited(quota) ? null : (bucket ? Math.floor(bucket.tokens) : quota.burst),
+      resetSeconds: !unlimited(quota) && bucket ? secondsUntil(bucket, quota, quota.burst) : 0,
+      allowed: bucket ? bucket.allowed : 0,
+      limited: bucket ? bucket.limited : 0,
+      lastLimitedAt: bucket ? bucket.lastLimitedAt : null,
+      since: bucket ? bucket.since : null
+    };
+  };
+
+  const refuse = (req, res, scope, id, result, who) => {
+    console.warn(`Rate limit: ${scope} ${id} over ${result.quota.perMinute}/min, ${req.method} ${req.originalUrl} refused`);
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    res.status(429).json({
+      error: 'Too many requests',
+      message: `${who} exceeded its quota of ${result.quota.perMinute} requests per minute (bursts of ${result.quota.burst}); retry in ${result.retryAfterSeconds}s`,
+      retryAfterSeconds: result.retryAfterSeconds,
+      quota: { scope, perMinute: result.quota.perMinute, burst: result.quota.burst }
+    });
+  };
+
+  // Middleware, run before authentication: answer 429 while the caller's address has no tokens left for
+  // refused credentials, and charge the address when this request's credentials are refused
+  const guard = (req, res, next) => {
+    if (req.rateLimitGuarded) return next();
+    req.rateLimitGuarded = true;
+
+    const { scope, id } = addressOf(req);
+    const quota = quotaOf(scope, null);
+    if (!unlimited(quota) && buckets.has(`${scope}:${id}`)) {
+      const now = Date.now();
+      const bucket = bucketOf(scope, id, quota, now);
+      if (bucket.tokens < 1) {
+        bucket.limited += 1;
+        bucket.lastLimitedAt = new Date(now).toISOString();
+        const retryAfterSeconds = Math.max(1, secondsUntil(bucket, quota, 1));
+        return refuse(req, res, scope, id, { quota, retryAfterSeconds }, 'This address');
+      }
+    }
+
+    res.once('finish', () => {
+      if (isAuthFailure(res.statusCode)) take(scope, id);
+    });
+    return next();
+  };
+
+  // Middleware, run once a request is authenticated: spend from the caller's bucket or answer 429.
+  // A request passing several auth middlewares (router.use and the route's own) is charged once.
+  const check = (req, res, next) => {
+    if (req.rateLimit) return next();
+
+    const { scope, id, override } = identityOf(req);
+    const result = take(scope, id, { override });
+    req.rateLimit = { scope, id, ...result };
+    if (result.quota.perMinute > 0) {
+      res.set({
+        'RateLimit-Limit': String(result.quota.burst),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(result.resetSeconds)
+      });
+    }
+    if (result.allowed) return next();
+
+    refuse(req, res, scope, id, result, scope === 'device' ? `Device ${id}` : 'This client');
+  };
+
+  // Drop buckets that have been idle long enough to be full again
+  const sweep = (now = Date.now()) => {
+    let dropped = 0;
+    buckets.forEach((bucket, key) => {
+      if (now - bucket.updatedAt > IDLE_MS) {
+        buckets.delete(key);
+        dropped++;
+      }
+    });
+    return dropped;
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(sweep, sweepIntervalMs);
+    timer.unref();
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    guard,
+    check,
+    take,
+    usageOf,
+    // Device IDs with a bucket (devices heard from within the last hour)
+    deviceIds: () => [...buckets.keys()].filter(key => key.startsWith('device:')).map(key => key.slice('device:'.length)),
+    sweep,
+    start,
+    stop,
+    settings: () => ({ device: deviceQuota, client: clientQuota })
+  };
+};
+
+const createIngestionGate = ({ maxPending = 1000, maxPendingPerDevice = 200, retryAfterSeconds = 5 }) => {
+  let pending = 0;
+  // deviceId -> readings pending
+  const pendingByDevice = new Map();
+  // deviceId -> { shed, lastShedAt }
+  const shedByDevice = new Map();
+  let shed = 0;
+
+  const release = (deviceId, weight) => {
+    pending -= weight;
+    const left = pendingByDevice.get(deviceId) - weight;
+    if (left > 0) pendingByDevice.set(deviceId, left);
+    else pendingByDevice.delete(deviceId);
+  };
+
+  const refuse = (res, deviceId, message) => {
+    shed += 1;
+    const device = shedByDevice.get(deviceId) || { shed: 0, lastShedAt: null };
+    shedByDevice.set(deviceId, { shed: device.shed + 1, lastShedAt: new Date().toISOString() });
+    console.warn(`Ingestion backed up (${pending} readings pending): request from ${deviceId} shed`);
+
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(503).json({
+      error: 'Server busy',
+      message: message,
+      retryAfterSeconds: retryAfterSeconds
+    });
+  };
+
+  // Middleware for an ingestion route: admit a request carrying weightOf(req) readings until its response
+  // is sent, or answer 503
+  const admit = (weightOf = () => 1) => {
+    const middleware = (req, res, next) => {
+      const deviceId = req.device ? req.device.deviceId : (req.body && req.body.deviceId);
+      const weight = Math.max(1, weightOf(req));
+      const devicePending = pendingByDevice.get(deviceId) || 0;
+
+      if (pending > 0 && pending + weight > maxPending) {
+        return refuse(res, deviceId, `Ingestion is backed up with ${pending} readings waiting to be stored; retry in ${retryAfterSeconds}s`);
+      }
+      if (devicePending > 0 && devicePending + weight > maxPendingPerDevice) {
+        return refuse(res, deviceId, `Device ${deviceId} already has ${devicePending} readings waiting to be stored; retry in ${retryAfterSeconds}s`);
+      }
+
+      pending += weight;
+      pendingByDevice.set(deviceId, devicePending + weight);
+      res.once('close', () => release(deviceId, weight));
+      next();
+    };
+    // Documented as a 503 response (see lib/api.js)
+    middleware.shedsLoad = true;
+    return middleware;
+  };
+
+  // Queue state, overall and for one device
+  const describe = (deviceId) => {
+    const device = shedByDevice.get(deviceId) || { shed: 0, lastShedAt: null };
+    return {
+      pending: pendingByDevice.get(deviceId) || 0,
+      maxPending: maxPendingPerDevice,
+      shed: device.shed,
+      lastShedAt: device.lastShedAt
+    };
+  };
+
+  return {
+    admit,
+    describe,
+    status: () => ({
+      pending,
+      maxPending,
+      maxPendingPerDevice,
+      utilization: roundTo(pending / maxPending, 2),
+      devices: pendingByDevice.size,
+      shed
+    })
+  };
+};
+
+module.exports = {
+  RATE_LIMIT_FIELDS,
+  createRateLimiter,
+  createIngestionGate
+};
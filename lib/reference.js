@@ -0,0 +1,416 @@
+// Reference ranges and display units.
+//
+// A reference-range profile holds the thresholds vitals and glucose are interpreted with. Built-in
+// profiles cover adults, children by age band, older adults and pregnancy; 'pediatric' picks the age
+// band from the patient's age, and 'custom' applies a device's or patient's own thresholds on top of
+// a base profile. Devices and patients choose a profile (referenceProfile, customRanges) and a unit
+// preference (units: { glucose, temperature }); a patient's choice wins over the device's.
+//
+// Thresholds and stored values are always in canonical units (BPM, %, °C, mg/dL). Responses convert
+// to the preferred units (mg/dL or mmol/L, °C or °F) when they are built.
+//
+// The built-in thresholds follow commonly published ranges; review them with a clinician before
+// relying on them for a study.
+
+const ADULT_THRESHOLDS = {
+  // < low: Low, <= normalMax: Normal, <= elevatedMax: Elevated, above: High
+  heartRate: { low: 60, normalMax: 100, elevatedMax: 120 },
+  // < lowNormalMin: Low, < normalMin: Low Normal, otherwise Normal
+  spo2: { lowNormalMin: 90, normalMin: 95 },
+  // < hypothermia: Hypothermia, <= normalMax: Normal, <= mildFeverMax: Mild Fever, <= feverMax: Fever, above: High Fever
+  temperature: { hypothermia: 35, normalMax: 37.2, mildFeverMax: 38, feverMax: 39 },
+  // < low: Low, < prediabetes: Normal, < diabetes: Prediabetes, otherwise Diabetes (fasting)
+  glucose: { low: 70, prediabetes: 100, diabetes: 126 }
+};
+
+// Threshold names of each metric, in ascending order
+const THRESHOLD_ORDER = Object.keys(ADULT_THRESHOLDS).reduce((order, metric) => ({
+  ...order,
+  [metric]: Object.keys(ADULT_THRESHOLDS[metric])
+}), {});
+
+// Built-in profiles; thresholds not listed are the adult ones
+const PROFILES = {
+  adult: {
+    description: 'Adults',
+    thresholds: {}
+  },
+  'pediatric-infant': {
+    description: 'Children under 1 year',
+    ages: { from: 0, to: 1 },
+    thresholds: {
+      heartRate: { low: 100, normalMax: 160, elevatedMax: 180 },
+      temperature: { hypothermia: 36, normalMax: 37.5, mildFeverMax: 37.9, feverMax: 39 }
+    }
+  },
+  'pediatric-toddler': {
+    description: 'Children aged 1-2',
+    ages: { from: 1, to: 3 },
+    thresholds: {
+      heartRate: { low: 90, normalMax: 150, elevatedMax: 170 },
+      temperature: { hypothermia: 35, normalMax: 37.5, mildFeverMax: 37.9, feverMax: 39 }
+    }
+  },
+  'pediatric-child': {
+    description: 'Children aged 3-11',
+    ages: { from: 3, to: 12 },
+    thresholds: {
+      heartRate: { low: 70, normalMax: 120, elevatedMax: 140 },
+      temperature: { hypothermia: 35, normalMax: 37.5, mildFeverMax: 37.9, feverMax: 39 }
+    }
+  },
+  'pediatric-adolescent': {
+    description: 'Adolescents aged 12-17',
+    ages: { from: 12, to: 18 },
+    thresholds: {
+      heartRate: { low: 60, normalMax: 100, elevatedMax: 120 },
+      temperature: { hypothermia: 35, normalMax: 37.5, mildFeverMax: 37.9, feverMax: 39 }
+    }
+  },
+  elderly: {
+    description: 'Adults aged 65 and over',
+    thresholds: {
+      spo2: { lowNormalMin: 90, normalMin: 94 },
+      temperature: { hypothermia: 35, normalMax: 37.2, mildFeverMax: 37.8, feverMax: 39 }
+    }
+  },
+  pregnancy: {
+    description: 'Pregnancy (fasting glucose cut-offs for gestational diabetes screening)',
+    thresholds: {
+      heartRate: { low: 60, normalMax: 110, elevatedMax: 130 },
+      glucose: { low: 70, prediabetes: 92, diabetes: 126 }
+    }
+  }
+};
+
+const DEFAULT_PROFILE = 'adult';
+// Profile of 'pediatric' when the patient's age is not known
+const DEFAULT_PEDIATRIC_PROFILE = 'pediatric-child';
+const PROFILE_NAMES = [...Object.keys(PROFILES), 'pediatric', 'custom'];
+
+const UNITS = {
+  glucose: ['mg/dL', 'mmol/L'],
+  temperature: ['°C', '°F']
+};
+const DEFAULT_UNITS = { glucose: 'mg/dL', temperature: '°C' };
+
+const UNIT_ALIASES = {
+  glucose: { 'mg/dl': 'mg/dL', mgdl: 'mg/dL', 'mmol/l': 'mmol/L', mmol: 'mmol/L' },
+  temperature: { c: '°C', '°c': '°C', celsius: '°C', f: '°F', '°f': '°F', fahrenheit: '°F' }
+};
+
+// mg/dL per mmol/L of glucose
+const GLUCOSE_MGDL_PER_MMOL = 18.016;
+
+// Normalized unit ('mmol/L', '°F', ...) for a metric, or null when not recognized
+const unitOf = (metric, value) =>
+  (typeof value === 'string' && UNIT_ALIASES[metric][value.trim().toLowerCase()]) || null;
+
+const mergeThresholds = (base, overrides = {}) => Object.keys(base).reduce((merged, metric) => ({
+  ...merged,
+  [metric]: { ...base[metric], ...(overrides[metric] || {}) }
+}), {});
+
+// Validate the reference settings of a device or patient (after applying changes); returns an error message or null
+const validateReferenceSettings = ({ referenceProfile, customRanges, units }) => {
+  if (referenceProfile !== null && referenceProfile !== undefined && !PROFILE_NAMES.includes(referenceProfile)) {
+    return `referenceProfile must be one of: ${PROFILE_NAMES.join(', ')}`;
+  }
+
+  if (customRanges !== null && customRanges !== undefined) {
+    if (referenceProfile !== 'custom') {
+      return 'customRanges only apply to the custom referenceProfile';
+    }
+    if (typeof customRanges !== 'object' || Array.isArray(customRanges)) {
+      return 'customRanges must be an object';
+    }
+    const { base = DEFAULT_PROFILE, ...overrides } = customRanges;
+    if (!PROFILES[base]) {
+      return `customRanges.base must be one of: ${Object.keys(PROFILES).join(', ')}`;
+    }
+    for (const metric of Object.keys(overrides)) {
+      if (!THRESHOLD_ORDER[metric] || typeof overrides[metric] !== 'object' || overrides[metric] === null) {
+        return `customRanges may set: base, ${Object.keys(THRESHOLD_ORDER).join(', ')}`;
+      }
+      for (const name of Object.keys(overrides[metric])) {
+        if (!THRESHOLD_ORDER[metric].includes(name)) {
+          return `customRanges.${metric} may set: ${THRESHOLD_ORDER[metric].join(', ')}`;
+        }
+        if (typeof overrides[metric][name] !== 'number' || !Number.isFinite(overrides[metric][name])) {
+          return `customRanges.${metric}.${name} must be a number`;
+        }
+      }
+    }
+    const thresholds = mergeThresholds(mergeThresholds(ADULT_THRESHOLDS, PROFILES[base].thresholds), overrides);
+    const unordered = Object.keys(THRESHOLD_ORDER).find(metric =>
+      THRESHOLD_ORDER[metric].some((name, i) => i > 0 && thresholds[metric][name] <= thresholds[metric][THRESHOLD_ORDER[metric][i - 1]])
+    );
+    if (unordered) {
+      return `customRanges.${unordered} thresholds must increase in the order ${THRESHOLD_ORDER[unordered].join(', ')}`;
+    }
+  } else if (referenceProfile === 'custom') {
+    return 'customRanges is required for the custom referenceProfile';
+  }
+
+  if (units !== null && units !== undefined) {
+    if (typeof units !== 'object' || Array.isArray(units)) {
+      return 'units must be an object';
+    }
+    for (const metric of Object.keys(units)) {
+      if (!UNITS[metric]) {
+        return `units may set: ${Object.keys(UNITS).join(', ')}`;
+      }
+      if (!unitOf(metric, units[metric])) {
+        return `units.${metric} must be one of: ${UNITS[metric].join(', ')}`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Request schema of the reference settings of a device or patient (see lib/api.js); validateReferenceSettings
+// checks them together
+const REFERENCE_SETTING_FIELDS = {
+  referenceProfile: { type: 'string', nullable: true, values: PROFILE_NAMES, description: 'Default: by the patient\'s age' },
+  customRanges: { type: 'object', nullable: true, description: 'Thresholds over a base profile, for the custom profile: { base?, <vital>: { <threshold>: value } }' },
+  units: { type: 'object', nullable: true, description: '{ glucose?, temperature? } units of responses' }
+};
+
+const profileForAge = (age) => {
+  const name = Object.keys(PROFILES).find(key => PROFILES[key].ages && age >= PROFILES[key].ages.from && age < PROFILES[key].ages.to);
+  return name || DEFAULT_PROFILE;
+};
+
+// Reference ranges and units in effect: the patient's settings, then the device's, then the defaults.
+// age is the patient's age in years (null when unknown). Returns
+// { profile: { name, requested, description, thresholds }, units: { glucose, temperature } }
+const resolveReference = ({ device = null, patient = null, age = null, defaultUnits = DEFAULT_UNITS } = {}) => {
+  const owner = [patient, device].find(entity => entity && entity.referenceProfile);
+  const requested = owner ? owner.referenceProfile : DEFAULT_PROFILE;
+
+  let name = requested;
+  let overrides = {};
+  if (requested === 'pediatric') {
+    name = age !== null && age < 18 ? profileForAge(age) : DEFAULT_PEDIATRIC_PROFILE;
+  } else if (requested === 'custom') {
+    const { base = DEFAULT_PROFILE, ...custom } = owner.customRanges || {};
+    name = base;
+    overrides = custom;
+  }
+
+  const units = Object.keys(UNITS).reduce((resolved, metric) => {
+    const preferred = [patient, device]
+      .map(entity => entity && entity.units ? unitOf(metric, entity.units[metric]) : null)
+      .find(Boolean);
+    return { ...resolved, [metric]: preferred || defaultUnits[metric] };
+  }, {});
+
+  return {
+    profile: {
+      name: requested === 'custom' ? 'custom' : name,
+      requested: requested,
+      basedOn: requested === 'custom' ? name : undefined,
+      description: requested === 'custom' ? `Custom ranges based on ${name}` : PROFILES[name].description,
+      thresholds: mergeThresholds(mergeThresholds(ADULT_THRESHOLDS, PROFILES[name].thresholds), overrides)
+    },
+    units: units
+  };
+};
+
+// Units with ?glucoseUnit= and ?temperatureUnit= applied; null when a value is not recognized
+const unitsFromQuery = (query, units) => {
+  const overrides = { glucose: query.glucoseUnit, temperature: query.temperatureUnit };
+  const invalid = Object.keys(overrides).some(metric => overrides[metric] !== undefined && !unitOf(metric, overrides[metric]));
+  if (invalid) return null;
+
+  return Object.keys(units).reduce((resolved, metric) => ({
+    ...resolved,
+    [metric]: overrides[metric] !== undefined ? unitOf(metric, overrides[metric]) : units[metric]
+  }), {});
+};
+
+// Convert a canonical value (mg/dL, °C) to a unit; null and undefined pass through
+const convertGlucose = (value, unit) => {
+  if (typeof value !== 'number') return value;
+  return unit === 'mmol/L' ? +(value / GLUCOSE_MGDL_PER_MMOL).toFixed(1) : value;
+};
+
+// Temperatures a body sensor cannot read (the firmware's sentinels of 0 and below, or hotter than this)
+// are invalid and pass through unconverted, so they stay recognizable in every unit
+const MAX_SENSOR_TEMPERATURE = 60;
+
+const convertTemperature = (value, unit) => {
+  if (typeof value !== 'number' || value <= 0 || value > MAX_SENSOR_TEMPERATURE) return value;
+  return unit === '°F' ? +(value * 9 / 5 + 32).toFixed(1) : value;
+};
+
+// Difference between two glucose values (scales, no offset) and between two temperatures
+const convertGlucoseDelta = convertGlucose;
+const convertTemperatureDelta = (value, unit) => {
+  if (typeof value !== 'number') return value;
+  return unit === '°F' ? +(value * 9 / 5).toFixed(1) : value;
+};
+
+// Glucose category bounds as text in a unit: { normal: '70-99 mg/dL', prediabetes: '100-125 mg/dL', diabetes: '≥126 mg/dL' }
+const glucoseStandards = (thresholds, unit) => {
+  const { low, prediabetes, diabetes } = thresholds.glucose;
+  // Upper bound of a range that ends just below a threshold, at the unit's precision
+  const below = (value) => unit === 'mmol/L' ?
+    +(convertGlucose(value, unit) - 0.1).toFixed(1) :
+    (Number.isInteger(value) ? value - 1 : `<${value}`);
+
+  return {
+    normal: `${convertGlucose(low, unit)}-${below(prediabetes)} ${unit}`,
+    prediabetes: `${convertGlucose(prediabetes, unit)}-${below(diabetes)} ${unit}`,
+    diabetes: `≥${convertGlucose(diabetes, unit)} ${unit}`
+  };
+};
+
+// Normal ranges of every metric as text, e.g. { heartRate: 'Normal range (60-100 BPM)', ... }
+const normalRanges = (thresholds, units) => {
+  const standards = glucoseStandards(thresholds, units.glucose);
+  const { hypothermia, normalMax } = thresholds.temperature;
+  return {
+    glucose: `Normal fasting range (${standards.normal})`,
+    heartRate: `Normal range (${thresholds.heartRate.low}-${thresholds.heartRate.normalMax} BPM)`,
+    spo2: `Normal range (${thresholds.spo2.normalMin}-100%)`,
+    temperature: `Normal range (${convertTemperature(hypothermia, units.temperature)}-${convertTemperature(normalMax, units.temperature)}${units.temperature})`
+  };
+};
+
+// API shape of resolved reference ranges, in the given units
+const describeReference = (profile, units) => ({
+  profile: profile.name,
+  requestedProfile: profile.requested,
+  basedOn: profile.basedOn,
+  description: profile.description,
+  normalRanges: normalRanges(profile.thresholds, units),
+  glucoseStandards: glucoseStandards(profile.thresholds, units.glucose),
+  units: units
+});
+
+// Interpret a glucose level (mg/dL) against a profile's thresholds
+const interpretGlucose = (glucoseLevel, thresholds = ADULT_THRESHOLDS) => {
+  const { low, prediabetes, diabetes } = thresholds.glucose;
+  if (glucoseLevel < low) {
+    return { category: 'Low (Hypoglycemia)', status: 'warning', message: 'Below normal - consult healthcare provider' };
+  } else if (glucoseLevel < prediabetes) {
+    return { category: 'Normal', status: 'good', message: 'Normal fasting glucose level' };
+  } else if (glucoseLevel < diabetes) {
+    return { category: 'Prediabetes', status: 'caution', message: 'Prediabetic range - monitor closely' };
+  }
+  return { category: 'Diabetes', status: 'warning', message: 'Diabetic range - consult healthcare provider immediately' };
+};
+
+// Interpret vital signs against a profile's thresholds (pass null for a vital without a valid reading)
+const interpretVitals = (hr, spo2, temp, thresholds = ADULT_THRESHOLDS) => {
+  const interpretations = {};
+  const heartRate = thresholds.heartRate;
+  const oxygen = thresholds.spo2;
+  const temperature = thresholds.temperature;
+
+  // Heart Rate interpretation
+  if (hr === null || hr === undefined) {
+    interpretations.heartRate = { status: 'error', message: 'No valid heart rate reading from sensor', category: 'No Reading' };
+  } else if (hr === 0) {
+    interpretations.heartRate = { status: 'error', message: 'Sensor not detecting heartbeat', category: 'No Reading' };
+  } else if (hr < heartRate.low) {
+    interpretations.heartRate = { status: 'caution', message: 'Below normal range (bradycardia)', category: 'Low' };
+  } else if (hr <= heartRate.normalMax) {
+    interpretations.heartRate = { status: 'good', message: 'Normal heart rate', category: 'Normal' };
+  } else if (hr <= heartRate.elevatedMax) {
+    interpretations.heartRate = { status: 'caution', message: 'Slightly elevated', category: 'Elevated' };
+  } else {
+    interpretations.heartRate = { status: 'warning', message: 'High heart rate (tachycardia)', category: 'High' };
+  }
+
+  // SpO2 interpretation
+  if (spo2 === null || spo2 === undefined) {
+    interpretations.spo2 = { status: 'error', message: 'No valid SpO2 reading from sensor', category: 'No Reading' };
+  } else if (spo2 >= oxygen.normalMin) {
+    interpretations.spo2 = { status: 'good', message: 'Normal oxygen saturation', category: 'Normal' };
+  } else if (spo2 >= oxygen.lowNormalMin) {
+    interpretations.spo2 = { status: 'caution', message: 'Below normal range', category: 'Low Normal' };
+  } else {
+    interpretations.spo2 = { status: 'warning', message: 'Low oxygen saturation - seek medical attention', category: 'Low' };
+  }
+
+  // Temperature interpretation (Celsius)
+  if (temp === null || temp === undefined) {
+    interpretations.temperature = { status: 'error', message: 'No valid temperature reading from sensor', category: 'No Reading' };
+  } else if (temp < temperature.hypothermia) {
+    interpretations.temperature = { status: 'warning', message: 'Below normal body temperature', category: 'Hypothermia' };
+  } else if (temp <= temperature.normalMax) {
+    interpretations.temperature = { status: 'good', message: 'Normal body temperature', category: 'Normal' };
+  } else if (temp <= temperature.mildFeverMax) {
+    interpretations.temperature = { status: 'caution', message: 'Slightly elevated temperature', category: 'Mild Fever' };
+  } else if (temp <= temperature.feverMax) {
+    interpretations.temperature = { status: 'warning', message: 'Moderate fever', category: 'Fever' };
+  } else {
+    interpretations.temperature = { status: 'warning', message: 'High fever - seek medical attention', category: 'High Fever' };
+  }
+
+  return interpretations;
+};
+
+// A sensor reading with its temperatures in a unit
+const readingInUnits = (record, units) => {
+  if (units.temperature === '°C') return record;
+
+  const converted = { ...record, temperature: convertTemperature(record.temperature, units.temperature) };
+  ['lastValues', 'originalValues'].forEach(field => {
+    if (record[field] && record[field].temperature !== undefined) {
+      converted[field] = { ...record[field], temperature: convertTemperature(record[field].temperature, units.temperature) };
+    }
+  });
+  if (record.variations && record.variations.temperature !== undefined) {
+    converted.variations = { ...record.variations, temperature: convertTemperatureDelta(record.variations.temperature, units.temperature) };
+  }
+  return converted;
+};
+
+// A glucose prediction record with its glucose values in a unit (the model input stays as submitted)
+const predictionInUnits = (record, units) => {
+  if (units.glucose === 'mg/dL') return record;
+
+  const { prediction } = record;
+  return {
+    ...record,
+    lastGlucose: convertGlucose(record.lastGlucose, units.glucose),
+    previousGlucose: convertGlucose(record.previousGlucose, units.glucose),
+    glucoseVariation: convertGlucoseDelta(record.glucoseVariation, units.glucose),
+    prediction: {
+      ...prediction,
+      glucoseLevel: convertGlucose(prediction.glucoseLevel, units.glucose),
+      range: prediction.range ? {
+        ...prediction.range,
+        low: convertGlucose(prediction.range.low, units.glucose),
+        high: convertGlucose(prediction.range.high, units.glucose)
+      } : prediction.range,
+      standardDeviation: convertGlucoseDelta(prediction.standardDeviation, units.glucose)
+    }
+  };
+};
+
+module.exports = {
+  PROFILES,
+  PROFILE_NAMES,
+  UNITS,
+  DEFAULT_UNITS,
+  REFERENCE_SETTING_FIELDS,
+  unitOf,
+  validateReferenceSettings,
+  resolveReference,
+  unitsFromQuery,
+  convertGlucose,
+  convertTemperature,
+  convertTemperatureDelta,
+  glucoseStandards,
+  normalRanges,
+  describeReference,
+  interpretGlucose,
+  interpretVitals,
+  readingInUnits,
+  predictionInUnits
+};
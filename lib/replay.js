@@ -0,0 +1,239 @@
+// Replay of recorded sessions: readings captured earlier (a JSON file such as sensor_data.json, or
+// readings already stored) are sent through the ingestion pipeline again, in their original order and
+// with their original inter-arrival gaps divided by the playback speed.
+//
+// Replays live in memory and end with the process. Each replayed reading gets its own idempotency key,
+// so a session can be replayed onto the device it was recorded from without being taken for duplicates.
+
+// Fields the server assigned when the reading was first ingested; the replay sends what the device sent
+const SERVER_FIELDS = [
+  'id', 'receivedAt', 'measuredAt', 'measuredAtSource', 'dedupKey', 'payloadHash', 'idempotencyKey', 'ingestionMode',
+  'provenance', 'fieldProvenance', 'simulatedHealthy', 'lastValues', 'originalValues', 'quality', 'anomaly',
+  'derivedMetricsId', 'scenario', 'replay'
+];
+
+// Epoch milliseconds below this are device uptime counters rather than dates (as in lib/ingestion.js)
+const EPOCH_THRESHOLD_MS = Date.UTC(2000, 0, 1);
+
+// When a recorded reading arrived: receivedAt, else its measurement time, else its timestamp (ms)
+const arrivalOf = (record) => {
+  const candidates = [record.receivedAt, record.measuredAt, record.timestamp];
+  for (const value of candidates) {
+    const time = typeof value === 'number' ? value : new Date(value).getTime();
+    if (value !== undefined && value !== null && Number.isFinite(time)) return time;
+  }
+  return null;
+};
+
+// Speed is a multiple of real time (1 = real time, 10 = ten times faster) or 'max' for no delays
+const parseSpeed = (value) => {
+  if (value === undefined || value === null || value === '') return 1;
+  if (value === 'max') return 'max';
+  const speed = Number(value);
+  return Number.isFinite(speed) && speed > 0 ? speed : null;
+};
+
+// The body the device sent for a recorded reading: server fields removed, values the server replaced
+// (corrected or simulated ingestion) restored from originalValues, and the device ID remapped
+const toDeviceReading = (record, deviceMap) => {
+  const reading = { ...record, ...(record.originalValues || {}) };
+  SERVER_FIELDS.forEach(field => delete reading[field]);
+  if (deviceMap[reading.deviceId] !== undefined) {
+    reading.deviceId = deviceMap[reading.deviceId];
+  }
+  return reading;
+};
+
+// Move a wall-clock timestamp by offsetMs, keeping its form (ISO string or epoch ms); uptime counters
+// are left alone since the pipeline places them at the replayed arrival anyway
+const shiftTimestamp = (timestamp, offsetMs) => {
+  if (typeof timestamp === 'number') {
+    return timestamp >= EPOCH_THRESHOLD_MS ? timestamp + offsetMs : timestamp;
+  }
+  const time = new Date(timestamp).getTime();
+  return typeof timestamp === 'string' && isNaN(Number(timestamp)) && Number.isFinite(time) ?
+    new Date(time + offsetMs).toISOString() :
+    timestamp;
+};
+
+// ingest: async (reading, { receivedAt }) => { status: 'accepted' | 'duplicate' | 'conflict' | 'rejected', ... }
+const createReplayManager = ({ ingest }) => {
+  const replays = new Map();
+
+  const describe = (replay) => ({
+    id: replay.id,
+    state: replay.state,
+    source: replay.source,
+    speed: replay.speed,
+    deviceMap: replay.deviceMap,
+    shiftTimestamps: replay.shiftTimestamps,
+    total: replay.readings.length,
+    sent: replay.position,
+    remaining: replay.readings.length - replay.position,
+    outcomes: replay.outcomes,
+    lastError: replay.lastError,
+    // How far into the recorded session playback is (the original arrival time of the last reading sent)
+    sessionStart: replay.arrivals[0] !== null ? new Date(replay.arrivals[0]).toISOString() : null,
+    sessionPosition: replay.position > 0 && replay.arrivals[replay.position - 1] !== null ?
+      new Date(replay.arrivals[replay.position - 1]).toISOString() :
+      null,
+    createdAt: replay.createdAt,
+    startedAt: replay.startedAt,
+    finishedAt: replay.finishedAt
+  });
+
+  // Delay before reading i at the replay's speed; readings without an arrival time follow immediately
+  const delayBefore = (replay, i) => {
+    if (i === 0 || replay.speed === 'max') return 0;
+    const previous = replay.arrivals[i - 1];
+    const current = replay.arrivals[i];
+    if (previous === null || current === null) return 0;
+    return Math.max(0, current - previous) / replay.speed;
+  };
+
+  const sendNext = async (replay) => {
+    replay.timer = null;
+    if (replay.state !== 'running') return;
+
+    const index = replay.position;
+    const record = replay.readings[index];
+    const receivedAt = new Date().toISOString();
+    const reading = toDeviceReading(record, replay.deviceMap);
+
+    if (replay.shiftTimestamps && replay.arrivals[index] !== null && reading.timestamp !== undefined) {
+      reading.timestamp = shiftTimestamp(reading.timestamp, Date.now() - replay.arrivals[index]);
+    }
+    reading.idempotencyKey = `replay:${replay.id}:${index}`;
+    reading.replay = { id: replay.id, index: index, sourceRecordId: record.id || null };
+
+    replay.inFlight = true;
+    try {
+      const outcome = await ingest(reading, { receivedAt });
+      replay.outcomes[outcome.status] += 1;
+      if (outcome.status === 'rejected') {
+        replay.lastError = { index, error: outcome.error, details: outcome.validationErrors || outcome.missingFields || null };
+      }
+    } catch (error) {
+      replay.outcomes.failed += 1;
+      replay.lastError = { index, error: error.message, details: null };
+      console.error(`Replay ${replay.id}: reading ${index} failed:`, error);
+    }
+    replay.inFlight = false;
+
+    replay.position += 1;
+    if (replay.state === 'stopped') return;
+    if (replay.position >= replay.readings.length) {
+      replay.state = 'completed';
+      replay.finishedAt = new Date().toISOString();
+      console.log(`Replay ${replay.id} completed: ${JSON.stringify(replay.outcomes)}`);
+      return;
+    }
+
+    // Paused while the reading was being ingested: the whole gap to the next one is still ahead
+    if (replay.state === 'paused') {
+      replay.remainingMs = delayBefore(replay, replay.position);
+      return;
+    }
+    schedule(replay, delayBefore(replay, replay.position));
+  };
+
+  const schedule = (replay, delayMs) => {
+    replay.dueAt = Date.now() + delayMs;
+    // As fast as possible still yields to other requests between readings
+    replay.timer = delayMs > 0 ?
+      setTimeout(() => sendNext(replay), delayMs) :
+      setImmediate(() => sendNext(replay));
+    if (delayMs > 0) replay.timer.unref();
+  };
+
+  const clearTimer = (replay) => {
+    if (!replay.timer) return;
+    clearTimeout(replay.timer);
+    clearImmediate(replay.timer);
+    replay.timer = null;
+  };
+
+  // Start replaying recorded readings; options: { source, speed, deviceMap, shiftTimestamps }
+  const start = (readings, { source, speed = 1, deviceMap = {}, shiftTimestamps = true }) => {
+    const replay = {
+      id: Date.now() + Math.random().toString(36).substr(2, 9),
+      state: 'running',
+      source: source,
+      speed: speed,
+      deviceMap: deviceMap,
+      shiftTimestamps: shiftTimestamps,
+      readings: readings,
+      arrivals: readings.map(arrivalOf),
+      position: 0,
+      outcomes: { accepted: 0, duplicate: 0, conflict: 0, rejected: 0, failed: 0 },
+      lastError: null,
+      timer: null,
+      inFlight: false,
+      dueAt: null,
+      remainingMs: null,
+      createdAt: new Date().toISOString(),
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+
+    replays.set(replay.id, replay);
+    schedule(replay, 0);
+    console.log(`Replay ${replay.id} started: ${readings.length} readings from ${JSON.stringify(source)} at speed ${speed}`);
+    return describe(replay);
+  };
+
+  // Pause keeps the time left until the next reading, so resuming continues the original timing
+  const pause = (id) => {
+    const replay = replays.get(id);
+    if (!replay) return null;
+    if (replay.state !== 'running') return { error: `Replay is ${replay.state}` };
+
+    // A reading being ingested right now finishes; the next one waits for resume
+    replay.remainingMs = replay.dueAt !== null ? Math.max(0, replay.dueAt - Date.now()) : 0;
+    clearTimer(replay);
+    replay.state = 'paused';
+    return { replay: describe(replay) };
+  };
+
+  const resume = (id) => {
+    const replay = replays.get(id);
+    if (!replay) return null;
+    if (replay.state !== 'paused') return { error: `Replay is ${replay.state}` };
+
+    replay.state = 'running';
+    // A reading still being ingested schedules the next one itself when it finishes
+    if (!replay.inFlight) schedule(replay, replay.remainingMs || 0);
+    replay.remainingMs = null;
+    return { replay: describe(replay) };
+  };
+
+  const stop = (id) => {
+    const replay = replays.get(id);
+    if (!replay) return null;
+    if (replay.state === 'stopped' || replay.state === 'completed') return { error: `Replay is already ${replay.state}` };
+
+    clearTimer(replay);
+    replay.state = 'stopped';
+    replay.finishedAt = new Date().toISOString();
+    console.log(`Replay ${replay.id} stopped after ${replay.position} of ${replay.readings.length} readings`);
+    return { replay: describe(replay) };
+  };
+
+  return {
+    start,
+    pause,
+    resume,
+    stop,
+    get: (id) => (replays.has(id) ? describe(replays.get(id)) : null),
+    list: () => [...replays.values()].map(describe),
+    stopAll: () => [...replays.keys()].forEach(id => {
+      const replay = replays.get(id);
+      if (replay.state === 'running' || replay.state === 'paused') stop(id);
+    })
+  };
+};
+
+module.exports = {
+  parseSpeed,
+  createReplayManager
+};
@@ -0,0 +1,532 @@
+// Daily and weekly health reports per device or patient: vital ranges and time in range, the glucose
+// distribution, alerts raised and the health score trend over a period, stored for retrieval and rendered
+// as printable HTML or PDF.
+//
+// Periods are UTC days and Monday-to-Sunday UTC weeks, like the 1d buckets of lib/aggregate.js. A report
+// is generated once per subject and period by the scheduler (for the latest completed period) or on
+// request; generating it again replaces the stored one.
+const { interpretVitals, interpretGlucose, convertGlucose, convertTemperature, normalRanges } = require('./reference');
+const { INTERVALS, summarizeValues, aggregateBuckets } = require('./aggregate');
+const { readingTimeOf } = require('./ingestion');
+const { patientSegments, segmentCriteria } = require('./patients');
+const { streamRecords } = require('./export');
+const { renderPdf, createPdfLayout } = require('./pdf');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REPORT_PERIODS = {
+  daily: { label: 'Daily', days: 1, trendInterval: '1h' },
+  weekly: { label: 'Weekly', days: 7, trendInterval: '1d' }
+};
+
+const VITALS = ['heartRate', 'spo2', 'temperature'];
+
+// Interpretation categories from lowest to highest (see interpretVitals and interpretGlucose)
+const CATEGORY_ORDER = {
+  heartRate: ['Low', 'Normal', 'Elevated', 'High'],
+  spo2: ['Low', 'Low Normal', 'Normal'],
+  temperature: ['Hypothermia', 'Normal', 'Mild Fever', 'Fever', 'High Fever'],
+  glucose: ['Low (Hypoglycemia)', 'Normal', 'Prediabetes', 'Diabetes']
+};
+
+const LABELS = {
+  heartRate: 'Heart rate',
+  spo2: 'SpO2',
+  temperature: 'Temperature',
+  glucose: 'Glucose'
+};
+
+// Alerts listed in full in a report; the counts cover all of them
+const MAX_LISTED_ALERTS = 50;
+
+// A health score moving less than this over the period is reported as stable
+const STABLE_SCORE_CHANGE = 5;
+
+const derivedTimeOf = (record) => new Date(record.timestamp).getTime();
+
+const roundTo = (value, decimals) => (value === null ? null : +value.toFixed(decimals));
+
+// The period containing a time (epoch ms): { start, end } with end exclusive
+const periodContaining = (period, time) => {
+  const day = Math.floor(time / DAY_MS) * DAY_MS;
+  const start = period === 'weekly' ? day - ((new Date(day).getUTCDay() + 6) % 7) * DAY_MS : day;
+  return { start, end: start + REPORT_PERIODS[period].days * DAY_MS };
+};
+
+// The latest period that had ended by a time
+const lastCompletedPeriod = (period, time) => periodContaining(period, periodContaining(period, time).start - 1);
+
+// Share of each category among counted values, in CATEGORY_ORDER
+const distribution = (metric, counts, total) => CATEGORY_ORDER[metric].map(category => ({
+  category,
+  count: counts.get(category) || 0,
+  percent: total > 0 ? roundTo((counts.get(category) || 0) / total * 100, 1) : null
+}));
+
+const increment = (counts, key) => counts.set(key, (counts.get(key) || 0) + 1);
+
+// Summary of a vital's (or glucose's) values in a unit, with the share of values in each category.
+// Readings arrive at a steady rate, so the share of readings stands for the share of time in range.
+const summarizeMetric = (metric, { values, categories, excluded }, convert, unit) => {
+  const summary = summarizeValues(values.map(convert));
+  const timeInRange = distribution(metric, categories, values.length);
+  return {
+    unit,
+    count: values.length,
+    excluded,
+    min: summary.min,
+    max: summary.max,
+    mean: summary.mean,
+    percentiles: summary.percentiles,
+    inRangePercent: values.length > 0 ? timeInRange.find(entry => entry.category === 'Normal').percent : null,
+    timeInRange
+  };
+};
+
+// stores; referenceFor: async ({ deviceId | patient, at }) => reference (see index.js);
+// isReliableVital: (vital, record) => boolean; schedule: periods generated automatically (e.g. ['daily', 'weekly']);
+// checkIntervalMs: how often the scheduler looks for completed periods without a report
+const createReportService = ({ stores, referenceFor, isReliableVital, schedule = [], checkIntervalMs = 60 * 60 * 1000 }) => {
+  let timer = null;
+  let lastRun = null;
+
+  // Who a report is about: { subject, owner, criteriaFor(bounds), reference(at) } or { error, status }
+  const resolveSubject = async ({ deviceId, patientId }) => {
+    if (patientId) {
+      const patient = await stores.patients.get(String(patientId));
+      if (!patient) return { status: 404, error: 'Patient not found' };
+      const segments = await patientSegments(stores, patient.id);
+      return {
+        subject: { key: `patient:${patient.id}`, type: 'patient', deviceId: null, patientId: patient.id, name: patient.name },
+        owner: patient.owner || null,
+        criteriaFor: bounds => segments
+          .map(segment => segmentCriteria(segment, { start: bounds.start, end: bounds.end - 1 }))
+          .filter(Boolean),
+        reference: at => referenceFor({ patient, at })
+      };
+    }
+
+    const device = await stores.devices.get(String(deviceId));
+    if (!device) return { status: 404, error: 'Device not found' };
+    return {
+      subject: { key: `device:${device.deviceId}`, type: 'device', deviceId: device.deviceId, patientId: null, name: device.name || device.deviceId },
+      owner: device.owner || null,
+      criteriaFor: bounds => [{ deviceId: device.deviceId, start: bounds.start, end: bounds.end - 1 }],
+      reference: at => referenceFor({ deviceId: device.deviceId, at })
+    };
+  };
+
+  // Statistics of one subject over one period
+  const summarize = async (criteriaList, bounds, { thresholds }, units, period) => {
+    const vitals = VITALS.reduce((acc, vital) => ({ ...acc, [vital]: { values: [], categories: new Map(), excluded: 0 } }), {});
+    const deviceIds = new Set();
+    let readings = 0;
+
+    for await (const { record } of streamRecords(stores.sensorData, criteriaList, readingTimeOf)) {
+      readings += 1;
+      deviceIds.add(record.deviceId);
+      const reliable = VITALS.map(vital => (isReliableVital(vital, record) ? record[vital] : null));
+      const interpretations = interpretVitals(...reliable, thresholds);
+      VITALS.forEach((vital, i) => {
+        if (reliable[i] === null) {
+          vitals[vital].excluded += 1;
+          return;
+        }
+        vitals[vital].values.push(reliable[i]);
+        increment(vitals[vital].categories, interpretations[vital].category);
+      });
+    }
+
+    const glucose = { values: [], categories: new Map(), excluded: 0 };
+    let simulatedGlucose = 0;
+    for await (const { record } of streamRecords(stores.glucosePredictions, criteriaList, derivedTimeOf)) {
+      deviceIds.add(record.deviceId);
+      glucose.values.push(record.lastGlucose);
+      increment(glucose.categories, interpretGlucose(record.lastGlucose, thresholds).category);
+      if (record.simulatedGlucose) simulatedGlucose += 1;
+    }
+
+    const alertLists = await Promise.all(criteriaList.map(criteria => stores.alerts.query({ ...criteria, order: 'asc' })));
+    const alerts = [].concat(...alertLists).sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const countBy = field => alerts.reduce((counts, alert) => ({ ...counts, [alert[field]]: (counts[alert[field]] || 0) + 1 }), {});
+
+    const scores = [];
+    const scoreCriteria = criteriaList.map(criteria => ({ ...criteria, where: { kind: 'health-score' } }));
+    for await (const { record } of streamRecords(stores.derivedMetrics, scoreCriteria, derivedTimeOf)) {
+      scores.push({ time: derivedTimeOf(record), values: { score: record.metrics.score } });
+    }
+    const scoreSummary = summarizeValues(scores.map(sample => sample.values.score));
+    const trend = scores.length > 0 ? aggregateBuckets(scores, {
+      start: bounds.start,
+      end: bounds.end - 1,
+      intervalMs: INTERVALS[REPORT_PERIODS[period].trendInterval],
+      metrics: { score: { decimals: 1 } },
+      percentiles: []
+    }).map(bucket => ({ start: bucket.start, end: bucket.end, count: bucket.score.count, average: bucket.score.mean })) : [];
+    const filled = trend.filter(bucket => bucket.count > 0);
+    const change = filled.length > 1 ? roundTo(filled[filled.length - 1].average - filled[0].average, 1) : null;
+
+    return {
+      deviceIds: [...deviceIds].sort(),
+      readings: readings,
+      vitals: VITALS.reduce((acc, vital) => ({
+        ...acc,
+        [vital]: vital === 'temperature' ?
+          summarizeMetric(vital, vitals[vital], value => convertTemperature(value, units.temperature), units.temperature) :
+          summarizeMetric(vital, vitals[vital], value => value, vital === 'heartRate' ? 'BPM' : '%')
+      }), {}),
+      glucose: {
+        ...summarizeMetric('glucose', glucose, value => convertGlucose(value, units.glucose), units.glucose),
+        simulated: simulatedGlucose
+      },
+      alerts: {
+        total: alerts.length,
+        bySeverity: countBy('severity'),
+        byMetric: countBy('metric'),
+        open: alerts.filter(alert => alert.state === 'open').length,
+        items: alerts.slice(0, MAX_LISTED_ALERTS).map(alert => ({
+          id: alert.id,
+          createdAt: alert.createdAt,
+          deviceId: alert.deviceId,
+          ruleName: alert.ruleName,
+          metric: alert.metric,
+          severity: alert.severity,
+          state: alert.state,
+          message: alert.message
+        }))
+      },
+      healthScore: {
+        count: scoreSummary.count,
+        average: scoreSummary.mean,
+        min: scoreSummary.min,
+        max: scoreSummary.max,
+        change: change,
+        direction: change === null ? null : Math.abs(change) < STABLE_SCORE_CHANGE ? 'stable' : change > 0 ? 'improving' : 'declining',
+        trendInterval: REPORT_PERIODS[period].trendInterval,
+        trend: trend
+      }
+    };
+  };
+
+  const findReport = async (subjectKey, period, periodStart) => {
+    const [existing] = await stores.reports.query({ where: { subjectKey, period, periodStart }, limit: 1 });
+    return existing || null;
+  };
+
+  // Generate (or regenerate) the report of a subject for a period. target: { deviceId | patientId, period,
+  // date (a time inside the period; default: the latest completed period), trigger, skipEmpty }.
+  // Resolves to { report, created } or { error, status }; report is null when skipEmpty and there was no data.
+  const generate = async ({ deviceId, patientId, period, date, trigger = 'manual', skipEmpty = false }) => {
+    const resolved = await resolveSubject({ deviceId, patientId });
+    if (resolved.error) return resolved;
+
+    const bounds = date !== undefined ? periodContaining(period, new Date(date).getTime()) : lastCompletedPeriod(period, Date.now());
+    const reference = await resolved.reference(new Date(bounds.end - 1));
+    const { units } = reference;
+    const summary = await summarize(resolved.criteriaFor(bounds), bounds, reference.profile, units, period);
+    if (skipEmpty && summary.readings === 0 && summary.glucose.count === 0) {
+      return { report: null, created: false };
+    }
+
+    const { deviceIds, ...statistics } = summary;
+    const periodStart = new Date(bounds.start).toISOString();
+    const now = new Date().toISOString();
+    const fields = {
+      subjectKey: resolved.subject.key,
+      subjectType: resolved.subject.type,
+      deviceId: resolved.subject.deviceId,
+      patientId: resolved.subject.patientId,
+      subjectName: resolved.subject.name,
+      owner: resolved.owner,
+      period: period,
+      periodStart: periodStart,
+      periodEnd: new Date(bounds.end).toISOString(),
+      timeZone: 'UTC',
+      deviceIds: deviceIds,
+      referenceProfile: reference.profile.name,
+      units: units,
+      normalRanges: normalRanges(reference.profile.thresholds, units),
+      summary: statistics,
+      trigger: trigger,
+      generatedAt: now
+    };
+
+    const existing = await findReport(fields.subjectKey, period, periodStart);
+    if (existing) {
+      return { report: await stores.reports.update(existing.id, fields), created: false };
+    }
+    const report = { id: Date.now() + Math.random().toString(36).substr(2, 9), ...fields, createdAt: now };
+    await stores.reports.insert(report);
+    return { report, created: true };
+  };
+
+  // Scheduled job: a report for every device and patient with data in the latest completed period of
+  // each scheduled kind that does not have one yet
+  const runDue = async () => {
+    const startedAt = new Date();
+    let generated = 0;
+    const subjects = [
+      ...(await stores.devices.query({})).map(device => ({ deviceId: device.deviceId, key: `device:${device.deviceId}` })),
+      ...(await stores.patients.query({})).map(patient => ({ patientId: patient.id, key: `patient:${patient.id}` }))
+    ];
+
+    for (const period of schedule) {
+      const periodStart = new Date(lastCompletedPeriod(period, startedAt.getTime()).start).toISOString();
+      for (const { key, ...target } of subjects) {
+        if (await findReport(key, period, periodStart)) continue;
+        const { report } = await generate({ ...target, period, trigger: 'scheduled', skipEmpty: true });
+        if (report) generated += 1;
+      }
+    }
+
+    lastRun = { startedAt: startedAt.toISOString(), finishedAt: new Date().toISOString(), generated };
+    if (generated > 0) {
+      console.log(`Reports: generated ${generated} scheduled report(s)`);
+    }
+    return lastRun;
+  };
+
+  const start = () => {
+    if (schedule.length === 0 || timer) return;
+    const run = () => runDue().catch(error => console.error('Error generating scheduled reports:', error));
+    run();
+    timer = setInterval(run, checkIntervalMs);
+    timer.unref();
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    generate,
+    runDue,
+    start,
+    stop,
+    status: () => ({
+      schedule: schedule,
+      running: Boolean(timer),
+      checkIntervalMinutes: checkIntervalMs / 60000,
+      lastRun: lastRun
+    })
+  };
+};
+
+// Report without its summary, for lists
+const describeReport = ({ summary, normalRanges: ranges, ...report }) => ({
+  ...report,
+  readings: summary.readings,
+  alerts: summary.alerts.total,
+  averageHealthScore: summary.healthScore.average
+});
+
+const formatNumber = (value, unit = '') => (value === null || value === undefined ? '-' : `${value}${unit ? ` ${unit}` : ''}`);
+
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${value}%`);
+
+const dateOnly = (iso) => iso.slice(0, 10);
+
+// "Weekly report, 2026-10-12 to 2026-10-18 (UTC)"
+const periodTitle = (report) => {
+  const last = new Date(new Date(report.periodEnd).getTime() - DAY_MS).toISOString();
+  return report.period === 'daily' ?
+    `${REPORT_PERIODS[report.period].label} report, ${dateOnly(report.periodStart)} (UTC)` :
+    `${REPORT_PERIODS[report.period].label} report, ${dateOnly(report.periodStart)} to ${dateOnly(last)} (UTC)`;
+};
+
+const subjectTitle = (report) => (report.subjectType === 'patient' ?
+  `Patient: ${report.subjectName}` :
+  `Device: ${report.subjectName}${report.subjectName !== report.deviceId ? ` (${report.deviceId})` : ''}`);
+
+const trendLabel = (report, bucket) => (report.summary.healthScore.trendInterval === '1d' ?
+  dateOnly(bucket.start) :
+  `${bucket.start.slice(11, 16)}`);
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Health score trend as an inline SVG line (0-100)
+const trendSvg = (trend) => {
+  const points = trend.map((bucket, i) => ({ i, average: bucket.average })).filter(point => point.average !== null);
+  if (points.length < 2) return '';
+  const width = 600;
+  const height = 120;
+  const x = i => (trend.length > 1 ? (i / (trend.length - 1)) * width : 0);
+  const y = score => height - (score / 100) * height;
+  return `<svg class="trend" viewBox="-5 -5 ${width + 10} ${height + 10}" preserveAspectRatio="none">` +
+    `<line x1="0" y1="${y(75)}" x2="${width}" y2="${y(75)}" class="band"/>` +
+    `<polyline points="${points.map(point => `${roundTo(x(point.i), 1)},${roundTo(y(point.average), 1)}`).join(' ')}"/>` +
+    '</svg>';
+};
+
+// Printable HTML of a report (A4, one page for a typical week)
+const renderReportHtml = (report) => {
+  const { summary } = report;
+  const metrics = [...VITALS, 'glucose'];
+  const metricSummary = metric => (metric === 'glucose' ? summary.glucose : summary.vitals[metric]);
+
+  const vitalRows = metrics.map(metric => {
+    const stats = metricSummary(metric);
+    return `<tr><th>${LABELS[metric]}</th><td>${formatNumber(stats.min)} - ${formatNumber(stats.max)} ${escapeHtml(stats.unit)}</td>` +
+      `<td>${formatNumber(stats.mean)}</td><td>${stats.count}</td><td>${escapeHtml(report.normalRanges[metric])}</td>` +
+      `<td class="num">${formatPercent(stats.inRangePercent)}</td></tr>`;
+  }).join('');
+
+  const categoryTable = metric => {
+    const stats = metricSummary(metric);
+    return `<table class="categories"><caption>${LABELS[metric]}</caption>` +
+      stats.timeInRange.map(entry => `<tr><td>${escapeHtml(entry.category)}</td><td class="num">${formatPercent(entry.percent)}</td>` +
+        `<td class="bar"><span style="width:${entry.percent || 0}%"></span></td></tr>`).join('') +
+      '</table>';
+  };
+
+  const alertRows = summary.alerts.items.map(alert => `<tr><td>${escapeHtml(alert.createdAt.slice(0, 16).replace('T', ' '))}</td>` +
+    `<td>${escapeHtml(alert.severity || '')}</td><td>${escapeHtml(alert.message)}</td><td>${escapeHtml(alert.state)}</td></tr>`).join('');
+
+  const score = summary.healthScore;
+  const trendRows = score.trend.filter(bucket => bucket.count > 0)
+    .map(bucket => `<tr><td>${trendLabel(report, bucket)}</td><td class="num">${formatNumber(bucket.average)}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(periodTitle(report))} - ${escapeHtml(report.subjectName)}</title>
+<style>
+  @page { size: A4; margin: 15mm; }
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 11px; color: #222; max-width: 800px; margin: 0 auto; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  h2 { font-size: 13px; border-bottom: 1px solid #999; margin: 18px 0 6px; padding-bottom: 2px; }
+  .meta { color: #555; margin: 0; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #ddd; vertical-align: top; }
+  .num { text-align: right; }
+  .grid { display: flex; gap: 12px; flex-wrap: wrap; }
+  .grid table { width: 180px; }
+  caption { text-align: left; font-weight: bold; padding: 2px 0; }
+  .bar { width: 60px; }
+  .bar span { display: block; height: 8px; background: #4a7bb7; }
+  .trend { width: 100%; height: 120px; }
+  .trend polyline { fill: none; stroke: #4a7bb7; stroke-width: 2; }
+  .trend .band { stroke: #ccc; stroke-dasharray: 4 4; }
+  .notes { border: 1px solid #999; height: 90px; }
+  @media print { body { max-width: none; } h2 { break-after: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(periodTitle(report))}</h1>
+<p class="meta">${escapeHtml(subjectTitle(report))} &middot; Reference ranges: ${escapeHtml(report.referenceProfile)} &middot; ${summary.readings} readings from ${report.deviceIds.length} device(s)</p>
+<p class="meta">Generated ${escapeHtml(report.generatedAt.slice(0, 16).replace('T', ' '))} UTC</p>
+
+<h2>Vital signs</h2>
+<table>
+<tr><th></th><th>Range</th><th>Average</th><th>Readings</th><th>Normal range</th><th class="num">In range</th></tr>
+${vitalRows}
+</table>
+
+<h2>Time in range</h2>
+<div class="grid">${metrics.map(categoryTable).join('')}</div>
+${summary.glucose.simulated > 0 ? `<p class="meta">${summary.glucose.simulated} of ${summary.glucose.count} glucose values are simulated estimates.</p>` : ''}
+
+<h2>Health score</h2>
+<p>Average ${formatNumber(score.average)} (lowest ${formatNumber(score.min)}, highest ${formatNumber(score.max)})${score.direction ? `, ${score.direction} (${score.change > 0 ? '+' : ''}${score.change} over the period)` : ''}</p>
+${trendSvg(score.trend)}
+${trendRows ? `<table><tr><th>${score.trendInterval === '1d' ? 'Day' : 'Hour (UTC)'}</th><th class="num">Average score</th></tr>${trendRows}</table>` : ''}
+
+<h2>Alerts (${summary.alerts.total}${summary.alerts.open > 0 ? `, ${summary.alerts.open} still open` : ''})</h2>
+${alertRows ? `<table><tr><th>Time (UTC)</th><th>Severity</th><th>Alert</th><th>State</th></tr>${alertRows}</table>` : '<p>No alerts were raised in this period.</p>'}
+${summary.alerts.total > summary.alerts.items.length ? `<p class="meta">Showing the first ${summary.alerts.items.length} of ${summary.alerts.total} alerts.</p>` : ''}
+
+<h2>Notes</h2>
+<div class="notes"></div>
+</body>
+</html>
+`;
+};
+
+// PDF of a report, laid out like the HTML sheet
+const renderReportPdf = (report) => {
+  const { summary } = report;
+  const layout = createPdfLayout({ footer: (page, pages) => `${periodTitle(report)} - ${report.subjectName} - page ${page} of ${pages}` });
+  const metrics = [...VITALS, 'glucose'];
+  const metricSummary = metric => (metric === 'glucose' ? summary.glucose : summary.vitals[metric]);
+
+  layout.heading(periodTitle(report), 16);
+  layout.text(`${subjectTitle(report)} - Reference ranges: ${report.referenceProfile} - ${summary.readings} readings from ${report.deviceIds.length} device(s)`);
+  layout.text(`Generated ${report.generatedAt.slice(0, 16).replace('T', ' ')} UTC`, { size: 8, color: [0.4, 0.4, 0.4] });
+
+  layout.heading('Vital signs');
+  const vitalColumns = [0, 80, 190, 250, 305, 450];
+  layout.row(['', 'Range', 'Average', 'Readings', 'Normal range', 'In range'], vitalColumns, { bold: true });
+  layout.rule();
+  metrics.forEach(metric => {
+    const stats = metricSummary(metric);
+    layout.row([
+      LABELS[metric],
+      `${formatNumber(stats.min)} - ${formatNumber(stats.max)} ${stats.unit}`,
+      formatNumber(stats.mean),
+      stats.count,
+      report.normalRanges[metric].replace(/^Normal (fasting )?range /, ''),
+      formatPercent(stats.inRangePercent)
+    ], vitalColumns);
+  });
+
+  layout.heading('Time in range');
+  metrics.forEach(metric => {
+    const stats = metricSummary(metric);
+    layout.text(`${LABELS[metric]}: ${stats.timeInRange.map(entry => `${entry.category} ${formatPercent(entry.percent)}`).join(', ')}`, { size: 9 });
+  });
+  if (summary.glucose.simulated > 0) {
+    layout.text(`${summary.glucose.simulated} of ${summary.glucose.count} glucose values are simulated estimates.`, { size: 8 });
+  }
+
+  const score = summary.healthScore;
+  layout.heading('Health score');
+  layout.text(`Average ${formatNumber(score.average)} (lowest ${formatNumber(score.min)}, highest ${formatNumber(score.max)})` +
+    `${score.direction ? `, ${score.direction} (${score.change > 0 ? '+' : ''}${score.change} over the period)` : ''}`);
+  const filled = score.trend.filter(bucket => bucket.count > 0);
+  if (filled.length > 0) {
+    const trendColumns = [0, 90];
+    layout.row([score.trendInterval === '1d' ? 'Day' : 'Hour (UTC)', 'Average score'], trendColumns, { bold: true });
+    layout.rule();
+    filled.forEach(bucket => layout.row([trendLabel(report, bucket), formatNumber(bucket.average)], trendColumns));
+  }
+
+  layout.heading(`Alerts (${summary.alerts.total}${summary.alerts.open > 0 ? `, ${summary.alerts.open} still open` : ''})`);
+  if (summary.alerts.items.length === 0) {
+    layout.text('No alerts were raised in this period.');
+  } else {
+    const alertColumns = [0, 80, 135, 445];
+    layout.row(['Time (UTC)', 'Severity', 'Alert', 'State'], alertColumns, { bold: true });
+    layout.rule();
+    summary.alerts.items.forEach(alert => layout.row([
+      alert.createdAt.slice(5, 16).replace('T', ' '),
+      alert.severity || '',
+      alert.message.length > 60 ? `${alert.message.slice(0, 57)}...` : alert.message,
+      alert.state
+    ], alertColumns));
+    if (summary.alerts.total > summary.alerts.items.length) {
+      layout.text(`Showing the first ${summary.alerts.items.length} of ${summary.alerts.total} alerts.`, { size: 8 });
+    }
+  }
+
+  layout.heading('Notes');
+  layout.space(80);
+  layout.rule();
+
+  return renderPdf(layout.pages(), { title: `${periodTitle(report)} - ${report.subjectName}`, author: 'VitalGlance' });
+};
+
+module.exports = {
+  REPORT_PERIODS,
+  periodContaining,
+  lastCompletedPeriod,
+  createReportService,
+  describeReport,
+  renderReportHtml,
+  renderReportPdf
+};
@@ -0,0 +1,219 @@
+// Record types and their schemas. Each type lives in its own collection and is validated on write:
+//   sensorReading     - one reading from a device (measured, derived from a PPG window, or simulated)
+//   glucosePrediction - one glucose estimate from the active model (or the legacy simulation, or a simulator scenario)
+//   derivedMetrics    - metrics the server computed from readings, e.g. PPG signal quality, HRV, health scores
+//
+// Field spec: { type, required, nullable, values, min, max, items, fields }. Types are string, number,
+// integer, boolean, object, array, isoDate (ISO 8601 string), date (any string Date can parse),
+// timestamp (epoch number or ISO string) and any (not checked); items is the type of every element of
+// an array and fields the specs of an object's own fields. Request schemas (lib/api.js) use the same specs.
+
+const PROVENANCES = ['raw', 'derived', 'simulated', 'corrected'];
+
+const RECORD_SCHEMAS = {
+  sensorReading: {
+    collection: 'sensor_data',
+    // Firmware may send extra metadata (dataQuality, calibrationComplete, ...), which is kept
+    additionalFields: true,
+    fields: {
+      id: { type: 'string', required: true },
+      deviceId: { type: 'string', required: true },
+      timestamp: { type: 'timestamp', required: true },
+      receivedAt: { type: 'isoDate', required: true },
+      measuredAt: { type: 'isoDate' },
+      measuredAtSource: { type: 'string', values: ['device-clock', 'device-uptime', 'received'] },
+      dedupKey: { type: 'string' },
+      payloadHash: { type: 'string' },
+      idempotencyKey: { type: 'string' },
+      heartRate: { type: 'number', nullable: true },
+      heartRateAvg: { type: 'number', nullable: true },
+      heartRateValid: { type: 'boolean' },
+      spo2: { type: 'number', nullable: true },
+      spo2Valid: { type: 'boolean' },
+      temperature: { type: 'number', nullable: true },
+      red: { type: 'number', nullable: true },
+      ir: { type: 'number', nullable: true },
+      fingerDetected: { type: 'boolean' },
+      // Battery level (%) and signal strength (dBm), kept as the device's latest state (see lib/presence.js)
+      battery: { type: 'number', nullable: true },
+      rssi: { type: 'number', nullable: true },
+      ingestionMode: { type: 'string', values: ['raw', 'simulated', 'corrected'] },
+      provenance: { type: 'string', required: true, values: PROVENANCES },
+      fieldProvenance: { type: 'object', required: true },
+      simulatedHealthy: { type: 'boolean' },
+      lastValues: { type: 'object' },
+      originalValues: { type: 'object' },
+      interBeatIntervals: { type: 'array', items: 'number' },
+      quality: { type: 'object' },
+      anomaly: { type: 'object', nullable: true },
+      scenario: { type: 'object' },
+      replay: { type: 'object' },
+      ppg: { type: 'object' },
+      derivedMetricsId: { type: 'string' }
+    }
+  },
+
+  glucosePrediction: {
+    collection: 'glucose_predictions',
+    additionalFields: false,
+    fields: {
+      id: { type: 'string', required: true },
+      deviceId: { type: 'string', required: true },
+      timestamp: { type: 'isoDate', required: true },
+      input: { type: 'object', required: true },
+      prediction: { type: 'object', required: true },
+      lastGlucose: { type: 'number', required: true, min: 0 },
+      previousGlucose: { type: 'number', nullable: true },
+      glucoseVariation: { type: 'number', nullable: true },
+      medicalStandards: { type: 'object' },
+      referenceProfile: { type: 'string' },
+      simulatedGlucose: { type: 'boolean', required: true },
+      sourceRecordId: { type: 'string', nullable: true },
+      scenario: { type: 'object' }
+    }
+  },
+
+  derivedMetrics: {
+    collection: 'derived_metrics',
+    additionalFields: false,
+    fields: {
+      id: { type: 'string', required: true },
+      deviceId: { type: 'string', required: true },
+      timestamp: { type: 'isoDate', required: true },
+      kind: { type: 'string', required: true },
+      sourceRecordId: { type: 'string', nullable: true },
+      metrics: { type: 'object', required: true },
+      createdAt: { type: 'isoDate', required: true }
+    }
+  }
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+const matchesType = (type, value) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'isoDate':
+      return typeof value === 'string' && ISO_DATE.test(value) && !isNaN(new Date(value).getTime());
+    case 'date':
+      return typeof value === 'string' && !isNaN(new Date(value).getTime());
+    case 'timestamp':
+      return (typeof value === 'number' && Number.isFinite(value)) ||
+        (typeof value === 'string' && !isNaN(new Date(value).getTime()));
+    case 'any':
+      return true;
+    default:
+      return false;
+  }
+};
+
+const TYPE_NAMES = {
+  integer: 'an integer',
+  isoDate: 'an ISO 8601 date',
+  date: 'a date',
+  timestamp: 'epoch milliseconds or an ISO 8601 time',
+  array: 'an array',
+  object: 'an object'
+};
+
+// Validate a value against a field spec; returns [{ field, message }] (empty when valid)
+const validateValue = (field, spec, value) => {
+  if (value === undefined) {
+    return spec.required ? [{ field, message: 'is required' }] : [];
+  }
+  if (value === null) {
+    return spec.nullable ? [] : [{ field, message: 'must not be null' }];
+  }
+  if (!matchesType(spec.type, value)) {
+    return [{ field, message: `must be ${TYPE_NAMES[spec.type] || `a ${spec.type}`}` }];
+  }
+
+  const errors = [];
+  if (spec.items && !value.every(item => matchesType(spec.items, item))) {
+    errors.push({ field, message: `must contain only ${spec.items} values` });
+  }
+  if (spec.values && !spec.values.includes(value)) {
+    errors.push({ field, message: `must be one of: ${spec.values.join(', ')}` });
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    errors.push({ field, message: `must be at least ${spec.min}` });
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    errors.push({ field, message: `must be at most ${spec.max}` });
+  }
+  if (spec.fields) {
+    errors.push(...validateFields(spec.fields, value, { additionalFields: spec.additionalFields !== false, prefix: `${field}.` }));
+  }
+  return errors;
+};
+
+// Validate an object's fields against their specs; fields without a spec are errors unless additionalFields
+const validateFields = (fields, object, { additionalFields = true, prefix = '' } = {}) => {
+  const errors = Object.keys(fields)
+    .flatMap(field => validateValue(`${prefix}${field}`, fields[field], object[field]));
+
+  if (!additionalFields) {
+    Object.keys(object)
+      .filter(field => !fields[field])
+      .forEach(field => errors.push({ field: `${prefix}${field}`, message: 'is not part of the schema' }));
+  }
+
+  return errors;
+};
+
+// Validate a record against its type; returns [{ field, message }] (empty when valid)
+const validateRecord = (type, record) => {
+  const schema = RECORD_SCHEMAS[type];
+  if (!schema) throw new Error(`Unknown record type: ${type}`);
+  return validateFields(schema.fields, record, { additionalFields: schema.additionalFields });
+};
+
+const describeErrors = (errors) => errors.map(error => `${error.field} ${error.message}`).join('; ');
+
+// Wrap a storage collection so inserts and updates are validated against a record type
+const typedCollection = (collection, type) => {
+  const check = (record) => {
+    const errors = validateRecord(type, record);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid ${type} record: ${describeErrors(errors)}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+  };
+
+  return {
+    ...collection,
+    recordType: type,
+    insert: async (record) => {
+      check(record);
+      return collection.insert(record);
+    },
+    update: async (id, changes) => {
+      const existing = await collection.get(id);
+      if (existing) check({ ...existing, ...changes, id });
+      return collection.update(id, changes);
+    }
+  };
+};
+
+module.exports = {
+  PROVENANCES,
+  RECORD_SCHEMAS,
+  matchesType,
+  validateValue,
+  validateFields,
+  validateRecord,
+  describeErrors,
+  typedCollection
+};
@@ -0,0 +1,262 @@
+// Scenario simulator: synthetic time series for virtual devices, for testing alerts, anomaly detection
+// and UIs against the warning paths that healthy simulation never reaches.
+//
+// A scenario shapes the vitals (and glucose) of a virtual subject over the run; the subject's resting
+// values and all measurement noise come from a seeded generator, so the same scenario, seed and
+// parameters always produce the same values. Readings look like MAX30102 + temperature sensor firmware
+// output: integer SpO2, sentinels and validity flags when the finger is off the sensor.
+
+const SENSOR_SENTINEL = -999;
+
+const MINUTE_MS = 60 * 1000;
+
+// Deterministic 32-bit generator (mulberry32); returns floats in [0, 1)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Seeds may be numbers or strings. Strings other than whole numbers are hashed (FNV-1a) so any label can
+// name a run; seed=42 in a query string is the same run as "seed": 42 in a body.
+const seedOf = (seed) => {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return Math.floor(seed) >>> 0;
+  if (/^\d+$/.test(String(seed))) return Number(seed) >>> 0;
+  let hash = 0x811C9DC5;
+  String(seed).split('').forEach(char => {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  });
+  return hash;
+};
+
+// Normally distributed noise (Box-Muller) from a uniform generator
+const gaussian = (random, sd) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v) * sd;
+};
+
+const round = (value, decimals) => +value.toFixed(decimals);
+
+// 0 before `from`, 1 after `to` (fractions of the run), smooth in between
+const ramp = (progress, from, to) => {
+  if (progress <= from) return 0;
+  if (progress >= to) return 1;
+  const x = (progress - from) / (to - from);
+  return x * x * (3 - 2 * x);
+};
+
+const between = (progress, from, to) => progress >= from && progress < to;
+
+// Hour of the day (UTC, fractional) of a sample
+const hourOf = (time) => {
+  const date = new Date(time);
+  return date.getUTCHours() + date.getUTCMinutes() / 60;
+};
+
+// Each scenario returns how the subject differs from their resting values at a point of the run:
+// { heartRate, spo2, temperature, glucose } offsets, and detached: true while the sensor is off the finger.
+// ctx: { progress (0-1), time (epoch ms), subject, random }
+const SCENARIOS = {
+  'fever-onset': {
+    description: 'Temperature climbs to about 39 °C from a third of the way in, with heart rate rising about 10 BPM per degree',
+    defaultDurationMinutes: 360,
+    defaultIntervalSeconds: 60,
+    shape: ({ progress, subject }) => {
+      const temperature = ramp(progress, 0.3, 0.8) * (subject.feverPeak - subject.temperature);
+      return { temperature, heartRate: temperature * 10, spo2: -ramp(progress, 0.5, 0.9) };
+    }
+  },
+
+  'gradual-hypoxia': {
+    description: 'SpO2 drifts from normal down to the mid 80s over the run while heart rate rises to compensate',
+    defaultDurationMinutes: 240,
+    defaultIntervalSeconds: 60,
+    shape: ({ progress, subject }) => {
+      const drop = ramp(progress, 0.1, 0.95) * (subject.spo2 - 85);
+      return { spo2: -drop, heartRate: drop * 1.8 };
+    }
+  },
+
+  'tachycardia-episode': {
+    description: 'A sudden run of 140-160 BPM in the middle of the run that ends as abruptly as it started',
+    defaultDurationMinutes: 120,
+    defaultIntervalSeconds: 30,
+    shape: ({ progress, subject }) => (between(progress, 0.4, 0.6) ?
+      { heartRate: subject.episodeRate - subject.heartRate, spo2: -1 } :
+      {})
+  },
+
+  hypoglycemia: {
+    description: 'Glucose falls to about 55 mg/dL, with the adrenergic response (faster heart, sweating) below 70, and recovers after treatment',
+    defaultDurationMinutes: 180,
+    defaultIntervalSeconds: 60,
+    shape: ({ progress, subject }) => {
+      const fall = ramp(progress, 0.1, 0.6) * (subject.glucose - 55);
+      const recovery = ramp(progress, 0.7, 0.9) * 35;
+      const glucose = -fall + recovery;
+      const level = subject.glucose + glucose;
+      const adrenergic = level < 70 ? (70 - level) / 15 : 0;
+      return { glucose, heartRate: adrenergic * 20, temperature: -adrenergic * 0.3 };
+    }
+  },
+
+  'sensor-detachment': {
+    description: 'Normal vitals, then an intermittent contact that loses the finger for a quarter of the run before it is put back',
+    defaultDurationMinutes: 60,
+    defaultIntervalSeconds: 15,
+    shape: ({ progress, random }) => ({
+      detached: between(progress, 0.5, 0.75) || (between(progress, 0.4, 0.5) && random() < 0.4)
+    })
+  },
+
+  'day-night-cycle': {
+    description: 'A day of normal physiology: lower heart rate and temperature asleep (UTC night), activity bursts and meal glucose peaks by day',
+    defaultDurationMinutes: 24 * 60,
+    defaultIntervalSeconds: 300,
+    shape: ({ time, random }) => {
+      const hour = hourOf(time);
+      const asleep = hour < 6 || hour >= 23;
+      const active = hour >= 9 && hour < 18 && random() < 0.15;
+      // Core temperature is lowest around 04:00 and highest around 18:00
+      const temperature = 0.3 * Math.cos((hour - 18) / 24 * 2 * Math.PI);
+      // Glucose peaks about 45 minutes after breakfast, lunch and dinner
+      const glucose = [8, 13, 19].reduce((sum, meal) => {
+        const since = hour - meal;
+        return since > 0 && since < 3 ? sum + 40 * Math.exp(-Math.pow(since - 0.75, 2) / 0.5) : sum;
+      }, 0);
+      return {
+        heartRate: asleep ? -12 : active ? 25 + random() * 20 : 0,
+        spo2: asleep ? -1 : 0,
+        temperature,
+        glucose
+      };
+    }
+  }
+};
+
+// Resting values of a virtual subject
+const createSubject = (random) => ({
+  heartRate: 62 + random() * 16,
+  spo2: 97 + random() * 2,
+  temperature: 36.5 + random() * 0.4,
+  glucose: 85 + random() * 12,
+  feverPeak: 38.8 + random() * 0.6,
+  episodeRate: 140 + random() * 20
+});
+
+// Scenario parameters with their defaults; returns { options } or { error }
+const resolveOptions = (name, { seed, start, durationMinutes, intervalSeconds } = {}) => {
+  const scenario = SCENARIOS[name];
+  if (!scenario) {
+    return { error: `scenario must be one of: ${Object.keys(SCENARIOS).join(', ')}` };
+  }
+
+  const duration = durationMinutes !== undefined ? Number(durationMinutes) : scenario.defaultDurationMinutes;
+  if (!Number.isFinite(duration) || duration <= 0) {
+    return { error: 'durationMinutes must be a positive number' };
+  }
+
+  const interval = intervalSeconds !== undefined ? Number(intervalSeconds) : scenario.defaultIntervalSeconds;
+  if (!Number.isFinite(interval) || interval < 1) {
+    return { error: 'intervalSeconds must be a number of at least 1' };
+  }
+
+  // Runs end now unless they are given a start
+  const startTime = start !== undefined ? new Date(start).getTime() : Date.now() - duration * MINUTE_MS;
+  if (!Number.isFinite(startTime)) {
+    return { error: 'start must be a date' };
+  }
+
+  return {
+    options: {
+      scenario: name,
+      seed: seed !== undefined && seed !== null && seed !== '' ? seed : Math.floor(Math.random() * 4294967296),
+      start: startTime,
+      durationMinutes: duration,
+      intervalSeconds: interval,
+      steps: Math.floor(duration * 60 / interval) + 1
+    }
+  };
+};
+
+// Readings of one run ({ scenario, seed, start, durationMinutes, intervalSeconds, steps } from resolveOptions).
+// Returns [{ step, reading, glucose }] where reading is the body a device would post and glucose is in mg/dL.
+const generateSeries = ({ scenario, seed, start, intervalSeconds, steps }) => {
+  const random = createRandom(seedOf(seed));
+  const subject = createSubject(random);
+  const { shape } = SCENARIOS[scenario];
+  const recentRates = [];
+
+  return Array.from({ length: steps }, (unused, step) => {
+    const time = start + step * intervalSeconds * 1000;
+    const progress = steps > 1 ? step / (steps - 1) : 0;
+    const offsets = shape({ progress, time, subject, random });
+
+    const heartRate = Math.round(subject.heartRate + (offsets.heartRate || 0) + gaussian(random, 2));
+    recentRates.push(heartRate);
+    if (recentRates.length > 4) recentRates.shift();
+
+    const temperature = round(subject.temperature + (offsets.temperature || 0) + gaussian(random, 0.05), 2);
+    const glucose = round(Math.max(40, subject.glucose + (offsets.glucose || 0) + gaussian(random, 1.5)), 1);
+    const timestamp = new Date(time).toISOString();
+
+    if (offsets.detached) {
+      recentRates.length = 0;
+      return {
+        step,
+        reading: {
+          timestamp,
+          heartRate: SENSOR_SENTINEL,
+          heartRateAvg: SENSOR_SENTINEL,
+          heartRateValid: false,
+          spo2: SENSOR_SENTINEL,
+          spo2Valid: false,
+          temperature: round(25 + random() * 3, 2),
+          red: Math.round(2000 + random() * 1500),
+          ir: Math.round(1500 + random() * 1500),
+          fingerDetected: false
+        },
+        glucose: null
+      };
+    }
+
+    return {
+      step,
+      reading: {
+        timestamp,
+        heartRate,
+        heartRateAvg: Math.round(recentRates.reduce((sum, rate) => sum + rate, 0) / recentRates.length),
+        heartRateValid: true,
+        spo2: Math.min(100, Math.round(subject.spo2 + (offsets.spo2 || 0) + gaussian(random, 0.5))),
+        spo2Valid: true,
+        temperature,
+        red: Math.round(90000 + gaussian(random, 3000)),
+        ir: Math.round(100000 + gaussian(random, 3000)),
+        fingerDetected: true
+      },
+      glucose
+    };
+  });
+};
+
+// Scenario list for clients
+const describeScenarios = () => Object.keys(SCENARIOS).map(name => ({
+  name,
+  description: SCENARIOS[name].description,
+  defaultDurationMinutes: SCENARIOS[name].defaultDurationMinutes,
+  defaultIntervalSeconds: SCENARIOS[name].defaultIntervalSeconds
+}));
+
+module.exports = {
+  SCENARIOS,
+  describeScenarios,
+  resolveOptions,
+  generateSeries
+};
@@ -0,0 +1,81 @@
+// Storage layer.
+// Every driver exposes named collections with the same async interface:
+//   insert(record)           -> record
+//   get(id)                  -> record | null
+//   update(id, changes)      -> updated record | null
+//   query(criteria)          -> records
+//   count(criteria)          -> number
+//   delete(criteria)         -> number of deleted records
+// Criteria: { id, deviceId, deviceIds, start, end, where, filter, order: 'asc' | 'desc', limit, offset }.
+// deviceId and time (start/end) are indexed; `where` is field equality; `filter` is an arbitrary predicate.
+// Collections opened with { lookupFields: ['dedupKey'] } also index those fields, so a `where` on one of
+// them reads only the matching records.
+
+const path = require('path');
+const { createJsonStorage } = require('./jsonStore');
+const { createSqliteStorage } = require('./sqliteStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+
+const createStorage = ({ driver = 'json', dataDir, sqliteFile, retentionDays = 0 }) => {
+  let backend;
+  if (driver === 'json') {
+    backend = createJsonStorage({ dataDir });
+  } else if (driver === 'sqlite') {
+    backend = createSqliteStorage({ file: sqliteFile || path.join(dataDir, 'vitalglance.sqlite') });
+  } else {
+    throw new Error(`Unknown storage driver "${driver}", expected json or sqlite`);
+  }
+
+  // Collections opened with { retention: true } are pruned by age
+  const retained = new Map();
+  let retentionTimer = null;
+
+  const applyRetention = async () => {
+    if (!(retentionDays > 0)) return 0;
+
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+    let removed = 0;
+
+    for (const [name, collection] of retained) {
+      const count = await collection.delete({ end: cutoff.getTime() - 1 });
+      if (count > 0) {
+        console.log(`Retention: removed ${count} ${name} records older than ${cutoff.toISOString()}`);
+      }
+      removed += count;
+    }
+
+    return removed;
+  };
+
+  return {
+    driver: backend.driver,
+    retentionDays,
+
+    init: async () => {
+      await backend.init();
+      if (retentionDays > 0) {
+        retentionTimer = setInterval(() => {
+          applyRetention().catch(error => console.error('Error applying retention:', error));
+        }, RETENTION_INTERVAL_MS);
+        retentionTimer.unref();
+      }
+    },
+
+    collection: async (name, options = {}) => {
+      const collection = await backend.collection(name, options);
+      if (options.retention) retained.set(name, collection);
+      return collection;
+    },
+
+    applyRetention,
+
+    close: async () => {
+      if (retentionTimer) clearInterval(retentionTimer);
+      await backend.close();
+    }
+  };
+};
+
+module.exports = { createStorage };
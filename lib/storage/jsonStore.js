@@ -0,0 +1,279 @@
+// JSON file storage driver.
+// Each collection is kept in memory, indexed by id and by deviceId/time, and written
+// back to <dataDir>/<collection>.json asynchronously so saves never block ingestion.
+
+const fs = require('fs');
+const path = require('path');
+const { toTime, defaultTimeOf, matchesWhere, paginate } = require('./query');
+
+const FLUSH_DELAY_MS = 1000;
+const WRITE_CHUNK_SIZE = 500;
+
+// First index whose time is >= time (entries are sorted by time)
+const lowerBound = (entries, time) => {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (entries[mid].time < time) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+// First index whose time is > time
+const upperBound = (entries, time) => {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (entries[mid].time <= time) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+// Insert keeping time order; records with equal times keep insertion order
+const insertSorted = (entries, entry) => {
+  if (entries.length === 0 || entries[entries.length - 1].time <= entry.time) {
+    entries.push(entry);
+  } else {
+    entries.splice(upperBound(entries, entry.time), 0, entry);
+  }
+};
+
+const removeEntry = (entries, entry) => {
+  const index = entries.indexOf(entry);
+  if (index !== -1) entries.splice(index, 1);
+};
+
+// Write a JSON array in chunks, yielding to the event loop between them
+const writeJsonArray = async (file, records) => {
+  const tempFile = `${file}.tmp`;
+  const handle = await fs.promises.open(tempFile, 'w');
+
+  try {
+    await handle.write('[\n');
+    for (let i = 0; i < records.length; i += WRITE_CHUNK_SIZE) {
+      const chunk = records.slice(i, i + WRITE_CHUNK_SIZE)
+        .map(record => JSON.stringify(record, null, 2).replace(/^/gm, '  '))
+        .join(',\n');
+      await handle.write(chunk + (i + WRITE_CHUNK_SIZE < records.length ? ',\n' : '\n'));
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    await handle.write(']\n');
+  } finally {
+    await handle.close();
+  }
+
+  await fs.promises.rename(tempFile, file);
+};
+
+const createJsonCollection = (file, options = {}) => {
+  const timeOf = options.timeOf || defaultTimeOf;
+  let entries = [];
+  const byId = new Map();
+  const byDevice = new Map();
+  // lookup field -> value -> entries with that value
+  const byField = new Map((options.lookupFields || []).map(field => [field, new Map()]));
+
+  let flushTimer = null;
+  let writing = Promise.resolve();
+  let dirty = false;
+
+  const index = (record) => {
+    const entry = { time: timeOf(record), record };
+    insertSorted(entries, entry);
+    byId.set(record.id, entry);
+
+    if (!byDevice.has(record.deviceId)) byDevice.set(record.deviceId, []);
+    insertSorted(byDevice.get(record.deviceId), entry);
+
+    byField.forEach((values, field) => {
+      const value = record[field];
+      if (value === undefined || value === null) return;
+      if (!values.has(value)) values.set(value, []);
+      insertSorted(values.get(value), entry);
+    });
+    return entry;
+  };
+
+  const unindex = (entry) => {
+    byId.delete(entry.record.id);
+    const deviceEntries = byDevice.get(entry.record.deviceId);
+    if (deviceEntries) {
+      removeEntry(deviceEntries, entry);
+      if (deviceEntries.length === 0) byDevice.delete(entry.record.deviceId);
+    }
+
+    byField.forEach((values, field) => {
+      const valueEntries = values.get(entry.record[field]);
+      if (!valueEntries) return;
+      removeEntry(valueEntries, entry);
+      if (valueEntries.length === 0) values.delete(entry.record[field]);
+    });
+  };
+
+  const flush = () => {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (!dirty) return writing;
+
+    dirty = false;
+    const snapshot = entries.map(entry => entry.record);
+    writing = writing
+      .then(() => writeJsonArray(file, snapshot))
+      .catch(error => console.error(`Error saving ${path.basename(file)}:`, error));
+    return writing;
+  };
+
+  const scheduleFlush = () => {
+    dirty = true;
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+      flushTimer.unref();
+    }
+  };
+
+  // Candidate entries for a query, narrowed by device and time range using the indexes
+  const select = ({ id, deviceId, deviceIds, start, end, where, filter } = {}) => {
+    if (id !== undefined) {
+      const entry = byId.get(id);
+      return entry && (!where || matchesWhere(entry.record, where)) && (!filter || filter(entry.record)) ? [entry] : [];
+    }
+
+    // A lookup field in `where` narrows to its few matching entries, then the device criteria apply
+    const lookupField = where && [...byField.keys()]
+      .find(field => where[field] !== undefined && where[field] !== null && !Array.isArray(where[field]));
+
+    let sources;
+    if (lookupField) {
+      const matching = byField.get(lookupField).get(where[lookupField]) || [];
+      sources = [matching.filter(entry => (deviceIds ?
+        deviceIds.includes(entry.record.deviceId) :
+        deviceId === undefined || entry.record.deviceId === deviceId))];
+    } else if (deviceIds) {
+      sources = deviceIds.map(device => byDevice.get(device) || []);
+    } else if (deviceId !== undefined) {
+      sources = [byDevice.get(deviceId) || []];
+    } else {
+      sources = [entries];
+    }
+
+    const startTime = toTime(start);
+    const endTime = toTime(end);
+    const selected = [];
+
+    sources.forEach(source => {
+      const from = startTime !== undefined ? lowerBound(source, startTime) : 0;
+      const to = endTime !== undefined ? upperBound(source, endTime) : source.length;
+      for (let i = from; i < to; i++) {
+        const entry = source[i];
+        if (where && !matchesWhere(entry.record, where)) continue;
+        if (filter && !filter(entry.record)) continue;
+        selected.push(entry);
+      }
+    });
+
+    // Results merged from several devices need re-sorting (stable, so ties keep insertion order)
+    if (sources.length > 1) selected.sort((a, b) => a.time - b.time);
+    return selected;
+  };
+
+  return {
+    load: async () => {
+      let sourceFile = file;
+      if (!fs.existsSync(file) && options.seedFile && fs.existsSync(options.seedFile)) {
+        sourceFile = options.seedFile;
+      }
+      if (!fs.existsSync(sourceFile)) return;
+
+      const records = JSON.parse(await fs.promises.readFile(sourceFile, 'utf8'));
+      entries = [];
+      byId.clear();
+      byDevice.clear();
+      byField.forEach(values => values.clear());
+      records.forEach(index);
+
+      if (sourceFile !== file) {
+        console.log(`Imported ${records.length} records into ${path.basename(file)} from ${path.basename(sourceFile)}`);
+        scheduleFlush();
+      }
+    },
+
+    insert: async (record) => {
+      if (byId.has(record.id)) {
+        throw new Error(`Record ${record.id} already exists`);
+      }
+      index(record);
+      scheduleFlush();
+      return record;
+    },
+
+    get: async (id) => {
+      const entry = byId.get(id);
+      return entry ? entry.record : null;
+    },
+
+    update: async (id, changes) => {
+      const entry = byId.get(id);
+      if (!entry) return null;
+
+      unindex(entry);
+      removeEntry(entries, entry);
+      const updated = index({ ...entry.record, ...changes, id });
+      scheduleFlush();
+      return updated.record;
+    },
+
+    query: async (criteria = {}) => {
+      const selected = select(criteria).map(entry => entry.record);
+      if (criteria.order === 'desc') selected.reverse();
+      return paginate(selected, criteria);
+    },
+
+    count: async (criteria = {}) => select(criteria).length,
+
+    delete: async (criteria = {}) => {
+      const selected = select(criteria);
+      if (selected.length === 0) return 0;
+
+      const removed = new Set(selected);
+      selected.forEach(unindex);
+      entries = entries.filter(entry => !removed.has(entry));
+      scheduleFlush();
+      return selected.length;
+    },
+
+    flush
+  };
+};
+
+const createJsonStorage = ({ dataDir }) => {
+  const collections = new Map();
+
+  return {
+    driver: 'json',
+
+    init: async () => {
+      await fs.promises.mkdir(dataDir, { recursive: true });
+    },
+
+    collection: async (name, options = {}) => {
+      if (!collections.has(name)) {
+        const collection = createJsonCollection(path.join(dataDir, `${name}.json`), options);
+        await collection.load();
+        collections.set(name, collection);
+      }
+      return collections.get(name);
+    },
+
+    close: async () => {
+      await Promise.all([...collections.values()].map(collection => collection.flush()));
+    }
+  };
+};
+
+module.exports = { createJsonStorage };
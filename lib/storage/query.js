@@ -0,0 +1,42 @@
+// Helpers shared by the storage drivers
+
+// Convert a Date, ISO string or epoch milliseconds to epoch milliseconds
+const toTime = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  return new Date(value).getTime();
+};
+
+// Default time key: server receive time, falling back to creation time or an ISO timestamp
+const defaultTimeOf = (record) => {
+  const time = toTime(record.receivedAt || record.createdAt || record.timestamp);
+  return Number.isFinite(time) ? time : Date.now();
+};
+
+// Read a (possibly dotted) field from a record
+const getField = (record, field) => field.split('.')
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), record);
+
+// Equality match on every field of a where object; arrays match any of their values
+const matchesWhere = (record, where) => Object.keys(where).every(field => {
+  const expected = where[field];
+  const actual = getField(record, field);
+  if (Array.isArray(expected)) return expected.includes(actual);
+  if (expected === null) return actual === undefined || actual === null;
+  return actual === expected;
+});
+
+// Apply offset/limit to an already ordered result
+const paginate = (records, { offset = 0, limit } = {}) => {
+  const start = offset > 0 ? offset : 0;
+  return limit !== undefined && limit !== null ? records.slice(start, start + limit) : records.slice(start);
+};
+
+module.exports = {
+  toTime,
+  defaultTimeOf,
+  getField,
+  matchesWhere,
+  paginate
+};
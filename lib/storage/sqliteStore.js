@@ -0,0 +1,213 @@
+// SQLite storage driver (better-sqlite3).
+// Each collection is a table holding the record as JSON plus indexed id, deviceId and time columns, and a
+// column per lookup field indexed with deviceId.
+
+const fs = require('fs');
+const path = require('path');
+const { toTime, defaultTimeOf, paginate } = require('./query');
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const FIELD_PATH = /^[A-Za-z0-9_.]+$/;
+
+// better-sqlite3 cannot bind booleans; JSON booleans come back from json_extract as 1/0
+const toParam = (value) => (typeof value === 'boolean' ? (value ? 1 : 0) : value);
+
+// Build the WHERE clause for a query; filter functions are applied afterwards in JS. Lookup fields are
+// read from their own columns.
+const buildWhere = ({ id, deviceId, deviceIds, start, end, where }, lookupFields = []) => {
+  const clauses = [];
+  const params = [];
+
+  if (id !== undefined) {
+    clauses.push('id = ?');
+    params.push(id);
+  }
+  if (deviceIds) {
+    clauses.push(`deviceId IN (${deviceIds.map(() => '?').join(', ') || 'NULL'})`);
+    params.push(...deviceIds);
+  } else if (deviceId !== undefined) {
+    clauses.push('deviceId = ?');
+    params.push(deviceId);
+  }
+  if (toTime(start) !== undefined) {
+    clauses.push('time >= ?');
+    params.push(toTime(start));
+  }
+  if (toTime(end) !== undefined) {
+    clauses.push('time <= ?');
+    params.push(toTime(end));
+  }
+
+  Object.keys(where || {}).forEach(field => {
+    if (!FIELD_PATH.test(field)) {
+      throw new Error(`Invalid field name in query: ${field}`);
+    }
+    const expected = where[field];
+    const column = lookupFields.includes(field) ? field : `json_extract(data, '$.${field}')`;
+
+    if (expected === null) {
+      clauses.push(`${column} IS NULL`);
+    } else if (Array.isArray(expected)) {
+      clauses.push(`${column} IN (${expected.map(() => '?').join(', ') || 'NULL'})`);
+      params.push(...expected.map(toParam));
+    } else {
+      clauses.push(`${column} = ?`);
+      params.push(toParam(expected));
+    }
+  });
+
+  return {
+    sql: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+};
+
+const createSqliteCollection = (db, table, options = {}) => {
+  const timeOf = options.timeOf || defaultTimeOf;
+  const lookupFields = options.lookupFields || [];
+  lookupFields.forEach(field => {
+    if (!IDENTIFIER.test(field) || ['id', 'deviceId', 'time', 'data'].includes(field)) {
+      throw new Error(`Invalid lookup field: ${field}`);
+    }
+  });
+
+  const isNew = !db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ${table} (
+      id TEXT PRIMARY KEY,
+      deviceId TEXT,
+      time INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS ${table}_device_time ON ${table} (deviceId, time);
+    CREATE INDEX IF NOT EXISTS ${table}_time ON ${table} (time);
+  `);
+
+  // Lookup columns have no type affinity, so they compare like the json_extract values they replace;
+  // tables created before a field became a lookup field get the column filled from the stored records
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+  lookupFields.forEach(field => {
+    if (!columns.includes(field)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${field}`);
+      db.exec(`UPDATE ${table} SET ${field} = json_extract(data, '$.${field}')`);
+    }
+    db.exec(`CREATE INDEX IF NOT EXISTS ${table}_device_${field} ON ${table} (deviceId, ${field})`);
+  });
+
+  const lookupColumns = lookupFields.map(field => `, ${field}`).join('');
+  const insertStatement = db.prepare(`INSERT INTO ${table} (id, deviceId, time, data${lookupColumns}) VALUES (?, ?, ?, ?${lookupFields.map(() => ', ?').join('')})`);
+  const getStatement = db.prepare(`SELECT data FROM ${table} WHERE id = ?`);
+  const replaceStatement = db.prepare(`UPDATE ${table} SET deviceId = ?, time = ?, data = ?${lookupFields.map(field => `, ${field} = ?`).join('')} WHERE id = ?`);
+
+  const lookupValues = (record) => lookupFields.map(field => (record[field] === undefined ? null : toParam(record[field])));
+
+  const insertRecord = (record) => {
+    insertStatement.run(String(record.id), record.deviceId === undefined ? null : record.deviceId, timeOf(record), JSON.stringify(record), ...lookupValues(record));
+  };
+
+  // Import a legacy JSON file the first time the table is created
+  if (isNew && options.seedFile && fs.existsSync(options.seedFile)) {
+    const records = JSON.parse(fs.readFileSync(options.seedFile, 'utf8'));
+    db.transaction(() => records.forEach(insertRecord))();
+    console.log(`Imported ${records.length} records into ${table} from ${path.basename(options.seedFile)}`);
+  }
+
+  const select = (criteria) => {
+    const { sql, params } = buildWhere(criteria, lookupFields);
+    const direction = criteria.order === 'desc' ? 'DESC' : 'ASC';
+    let statement = `SELECT data FROM ${table}${sql} ORDER BY time ${direction}, rowid ${direction}`;
+
+    // Without a JS filter the database can paginate directly
+    if (!criteria.filter && criteria.limit !== undefined && criteria.limit !== null) {
+      statement += ' LIMIT ? OFFSET ?';
+      params.push(criteria.limit, criteria.offset > 0 ? criteria.offset : 0);
+    }
+
+    const records = db.prepare(statement).all(...params).map(row => JSON.parse(row.data));
+    return criteria.filter ? paginate(records.filter(criteria.filter), criteria) : records;
+  };
+
+  return {
+    insert: async (record) => {
+      insertRecord(record);
+      return record;
+    },
+
+    get: async (id) => {
+      const row = getStatement.get(String(id));
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    update: async (id, changes) => {
+      const row = getStatement.get(String(id));
+      if (!row) return null;
+
+      const updated = { ...JSON.parse(row.data), ...changes, id };
+      replaceStatement.run(updated.deviceId === undefined ? null : updated.deviceId, timeOf(updated), JSON.stringify(updated), ...lookupValues(updated), String(id));
+      return updated;
+    },
+
+    query: async (criteria = {}) => select(criteria),
+
+    count: async (criteria = {}) => {
+      if (criteria.filter) {
+        return select({ ...criteria, limit: undefined, offset: undefined }).length;
+      }
+      const { sql, params } = buildWhere(criteria, lookupFields);
+      return db.prepare(`SELECT COUNT(*) AS count FROM ${table}${sql}`).get(...params).count;
+    },
+
+    delete: async (criteria = {}) => {
+      if (criteria.filter) {
+        const ids = select({ ...criteria, limit: undefined, offset: undefined }).map(record => String(record.id));
+        const deleteStatement = db.prepare(`DELETE FROM ${table} WHERE id = ?`);
+        db.transaction(() => ids.forEach(id => deleteStatement.run(id)))();
+        return ids.length;
+      }
+      const { sql, params } = buildWhere(criteria, lookupFields);
+      return db.prepare(`DELETE FROM ${table}${sql}`).run(...params).changes;
+    },
+
+    flush: async () => {}
+  };
+};
+
+const createSqliteStorage = ({ file }) => {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('STORAGE_DRIVER=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  let db = null;
+  const collections = new Map();
+
+  return {
+    driver: 'sqlite',
+
+    init: async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      db = new Database(file);
+      db.pragma('journal_mode = WAL');
+    },
+
+    collection: async (name, options = {}) => {
+      if (!IDENTIFIER.test(name)) {
+        throw new Error(`Invalid collection name: ${name}`);
+      }
+      if (!collections.has(name)) {
+        collections.set(name, createSqliteCollection(db, name, options));
+      }
+      return collections.get(name);
+    },
+
+    close: async () => {
+      if (db) db.close();
+      db = null;
+    }
+  };
+};
+
+module.exports = { createSqliteStorage };
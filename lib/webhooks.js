@@ -0,0 +1,120 @@
+// Webhook delivery: POST a JSON payload to a URL, retrying with exponential backoff.
+// Deliveries run in the background; onAttempt is told about every attempt so callers can record progress.
+//
+// URLs that users register (alert rule webhooks) are public-only: they may not name or resolve to loopback,
+// private, link-local or other internal addresses, so the server cannot be pointed at its own network.
+// Operator-configured URLs (ALERT_WEBHOOK_URLS) may be internal.
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+const INTERNAL_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => INTERNAL_RANGES.addSubnet(address, prefix, 'ipv4'));
+// IPv4-mapped addresses count as internal rather than being unwrapped
+[['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => INTERNAL_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Whether an IP address is loopback, private, link-local, multicast or reserved
+const isInternalAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && INTERNAL_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Whether a URL's host names an internal address (IP literals and localhost; names are checked on delivery)
+const hasInternalHost = (url) => {
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isInternalAddress(host);
+};
+
+// Refuses to connect a public-only delivery to a name resolving to an internal address
+const publicLookup = (hostname, options, callback) => dns.lookup(hostname, options, (error, address, family) => {
+  if (error) return callback(error);
+  const addresses = Array.isArray(address) ? address : [{ address, family }];
+  const internal = addresses.find(entry => isInternalAddress(entry.address));
+  if (internal) {
+    return callback(Object.assign(new Error(`Webhook host ${hostname} resolves to an internal address (${internal.address})`), { permanent: true }));
+  }
+  callback(null, address, family);
+});
+
+const postJson = (url, payload, timeoutMs, { publicOnly = false } = {}) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  if (publicOnly && hasInternalHost(target)) {
+    return reject(Object.assign(new Error(`Webhook host ${target.hostname} is an internal address`), { permanent: true }));
+  }
+  const client = target.protocol === 'https:' ? https : http;
+  const body = JSON.stringify(payload);
+
+  const request = client.request(target, {
+    method: 'POST',
+    ...(publicOnly ? { lookup: publicLookup } : {}),
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'vitals-alerts/1.0'
+    },
+    timeout: timeoutMs
+  }, (response) => {
+    response.resume();
+    response.on('end', () => {
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        resolve(response.statusCode);
+      } else {
+        reject(new Error(`Webhook responded with HTTP ${response.statusCode}`));
+      }
+    });
+  });
+
+  request.on('timeout', () => request.destroy(new Error(`Webhook timed out after ${timeoutMs} ms`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+// An http(s) URL; publicOnly also rejects URLs whose host is an internal address
+const isWebhookUrl = (value, { publicOnly = false } = {}) => {
+  try {
+    const url = new URL(value);
+    return (url.protocol === 'http:' || url.protocol === 'https:') && !(publicOnly && hasInternalHost(url));
+  } catch (error) {
+    return false;
+  }
+};
+
+const createWebhookDispatcher = ({ maxAttempts = 5, baseDelayMs = 2000, timeoutMs = 10000 } = {}) => {
+  // Deliver payload to url; onAttempt({ attempt, status, error, final }) after each try. The outcome of
+  // the POST is settled (and the retry scheduled) before onAttempt runs, so a failure to record an attempt
+  // neither causes another delivery nor goes unhandled.
+  const deliver = (url, payload, onAttempt = () => {}, { publicOnly = false } = {}) => {
+    const record = (attempt) => Promise.resolve()
+      .then(() => onAttempt(attempt))
+      .catch(error => console.error(`Error recording webhook delivery to ${url}:`, error));
+
+    const attemptDelivery = async (attempt) => {
+      let statusCode;
+      try {
+        statusCode = await postJson(url, payload, timeoutMs, { publicOnly });
+      } catch (error) {
+        // Internal addresses are refused for good rather than retried
+        const final = attempt >= maxAttempts || Boolean(error.permanent);
+        console.error(`Webhook delivery to ${url} failed (attempt ${attempt}/${maxAttempts}): ${error.message}`);
+        if (!final) {
+          // 2s, 4s, 8s, ... between attempts
+          setTimeout(() => attemptDelivery(attempt + 1), baseDelayMs * Math.pow(2, attempt - 1)).unref();
+        }
+        return record({ attempt, status: final ? 'failed' : 'retrying', error: error.message, final });
+      }
+      return record({ attempt, status: 'delivered', statusCode, final: true });
+    };
+
+    attemptDelivery(1);
+  };
+
+  return { deliver, maxAttempts };
+};
+
+module.exports = { createWebhookDispatcher, isWebhookUrl, isInternalAddress };
@@ -0,0 +1,128 @@
+// WebSocket equivalent of the SSE stream, on /api/ws.
+// Authenticate with "Authorization: Bearer <token>" or ?access_token=, then send
+//   { "type": "subscribe", "deviceIds": ["..."], "lastEventId": "..." }
+//   { "type": "unsubscribe", "deviceIds": ["..."] }
+// Events arrive as { "type": "event", "event": { id, type, deviceId, timestamp, data } }.
+
+const { WebSocketServer } = require('ws');
+
+const PING_INTERVAL_MS = 30000;
+
+const attachWebSocketServer = ({ server, auth, stores, events, path = '/api/ws' }) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (request, socket, head) => {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname !== path) {
+      socket.destroy();
+      return;
+    }
+
+    let user = null;
+    try {
+      const match = (request.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+      user = await auth.resolveToken(match ? match[1] : url.searchParams.get('access_token'));
+    } catch (error) {
+      console.error('Error authenticating WebSocket client:', error);
+    }
+
+    if (!user) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(request, socket, head, ws => wss.emit('connection', ws, url, user));
+  });
+
+  wss.on('connection', (ws, url, user) => {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    const send = (message) => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+    };
+
+    // Starts with no devices; the client subscribes explicitly
+    const subscription = events.subscribe([], event => send({ type: 'event', event }));
+
+    // Split requested devices into the ones this user may access and the rest
+    const authorize = async (deviceIds) => {
+      const allowed = [];
+      const denied = [];
+      for (const deviceId of deviceIds) {
+        const device = await stores.devices.get(deviceId);
+        (auth.canAccessDevice(user, device) ? allowed : denied).push(deviceId);
+      }
+      return { allowed, denied };
+    };
+
+    const subscribeTo = async (deviceIds, lastEventId) => {
+      if (!Array.isArray(deviceIds) || deviceIds.length === 0) {
+        send({ type: 'error', error: 'deviceIds must be a non-empty array' });
+        return;
+      }
+      const { allowed, denied } = await authorize(deviceIds.map(String));
+      subscription.add(allowed, { lastEventId });
+      send({ type: 'subscribed', deviceIds: subscription.deviceIds(), denied });
+    };
+
+    ws.on('message', async (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        send({ type: 'error', error: 'Messages must be JSON' });
+        return;
+      }
+
+      try {
+        if (message.type === 'subscribe') {
+          await subscribeTo(message.deviceIds, message.lastEventId);
+        } else if (message.type === 'unsubscribe') {
+          subscription.remove((message.deviceIds || []).map(String));
+          send({ type: 'subscribed', deviceIds: subscription.deviceIds(), denied: [] });
+        } else if (message.type === 'ping') {
+          send({ type: 'pong', lastEventId: events.lastEventId() });
+        } else {
+          send({ type: 'error', error: `Unknown message type: ${message.type}` });
+        }
+      } catch (error) {
+        console.error('Error handling WebSocket message:', error);
+        send({ type: 'error', error: error.message });
+      }
+    });
+
+    ws.on('close', () => subscription.close());
+
+    send({ type: 'welcome', role: user.role, lastEventId: events.lastEventId() });
+
+    // Devices may also be given on the URL: /api/ws?devices=a,b&lastEventId=...
+    const initialDevices = url.searchParams.get('devices');
+    if (initialDevices) {
+      subscribeTo(initialDevices.split(',').map(id => id.trim()).filter(Boolean), url.searchParams.get('lastEventId') || undefined)
+        .catch(error => console.error('Error subscribing WebSocket client:', error));
+    }
+  });
+
+  // Drop connections that stopped answering pings
+  const pingTimer = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, PING_INTERVAL_MS);
+  pingTimer.unref();
+
+  wss.on('close', () => clearInterval(pingTimer));
+
+  return wss;
+};
+
+module.exports = { attachWebSocketServer };
@@ -0,0 +1,216 @@
+// Streaming XLSX writer: a workbook with one worksheet of inline-string and number cells, written as it
+// is produced so exports of any length never sit in memory.
+//
+// An .xlsx file is a zip of XML parts. The worksheet's size is unknown until the last row, so its zip entry
+// uses a data descriptor (sizes and CRC after the data). The XML is deflated in chunks with a sync flush
+// each; the chunks concatenate into one valid deflate stream and the last one finishes it.
+const zlib = require('zlib');
+
+// Excel's row limit, header row included
+const MAX_ROWS = 1048576;
+
+const CHUNK_SIZE = 64 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (unused, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// CRC-32 of a buffer, continuing from a previous CRC
+const crc32 = (buffer, previous = 0) => {
+  let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Text allowed in XML 1.0, escaped
+const xmlText = (value) => String(value)
+  .replace(/[^\t\n\r\u0020-\uD7FF\uD800-\uDFFF\uE000-\uFFFD]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// One cell: numbers and booleans keep their type, everything else is an inline string
+const cellXml = (value) => {
+  if (value === null || value === undefined || value === '') return '<c/>';
+  if (typeof value === 'number') return Number.isFinite(value) ? `<c><v>${value}</v></c>` : '<c/>';
+  if (typeof value === 'boolean') return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `<c t="inlineStr"><is><t xml:space="preserve">${xmlText(text)}</t></is></c>`;
+};
+
+const rowXml = (values) => `<row>${values.map(cellXml).join('')}</row>`;
+
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_RELS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const NS_DOC_RELS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const packageParts = (sheetName) => [
+  ['[Content_Types].xml', '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '</Types>'],
+  ['_rels/.rels', `<Relationships xmlns="${NS_RELS}">` +
+    `<Relationship Id="rId1" Type="${NS_DOC_RELS}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>'],
+  ['xl/workbook.xml', `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_DOC_RELS}">` +
+    `<sheets><sheet name="${xmlText(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>'],
+  ['xl/_rels/workbook.xml.rels', `<Relationships xmlns="${NS_RELS}">` +
+    `<Relationship Id="rId1" Type="${NS_DOC_RELS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+    '</Relationships>']
+];
+
+// DOS date and time fields of a zip entry
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Bit 3: sizes and CRC follow the data; bit 11: UTF-8 names
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const METHOD_DEFLATE = 8;
+
+// write: async (buffer) => void, resolving once the output can take more (see writeTo in lib/export.js).
+// Returns { addRow: async (values), finish: async () }; headers are the first row.
+const createXlsxWriter = (write, { sheetName = 'Sheet1', headers }) => {
+  const modified = dosDateTime(new Date());
+  const entries = [];
+  let offset = 0;
+  let rows = 0;
+  let pending = '';
+  let sheet = null;
+
+  const emit = async (buffer) => {
+    offset += buffer.length;
+    await write(buffer);
+  };
+
+  const localHeader = (name, { flags, crc = 0, compressedSize = 0, size = 0 }) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034B50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(flags, 6);
+    header.writeUInt16LE(METHOD_DEFLATE, 8);
+    header.writeUInt16LE(modified.time, 10);
+    header.writeUInt16LE(modified.date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressedSize, 18);
+    header.writeUInt32LE(size, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+    return Buffer.concat([header, nameBuffer]);
+  };
+
+  const centralHeader = (entry) => {
+    const nameBuffer = Buffer.from(entry.name, 'utf8');
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014B50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(entry.flags, 8);
+    header.writeUInt16LE(METHOD_DEFLATE, 10);
+    header.writeUInt16LE(modified.time, 12);
+    header.writeUInt16LE(modified.date, 14);
+    header.writeUInt32LE(entry.crc, 16);
+    header.writeUInt32LE(entry.compressedSize, 20);
+    header.writeUInt32LE(entry.size, 24);
+    header.writeUInt16LE(nameBuffer.length, 28);
+    header.writeUInt32LE(entry.offset, 42);
+    return Buffer.concat([header, nameBuffer]);
+  };
+
+  // A small part known in full
+  const addPart = async (name, xml) => {
+    const data = Buffer.from(XML_DECLARATION + xml, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const entry = { name, flags: FLAG_UTF8, offset, crc: crc32(data), compressedSize: compressed.length, size: data.length };
+    entries.push(entry);
+    await emit(localHeader(name, entry));
+    await emit(compressed);
+  };
+
+  const writeSheetChunk = async (text, last) => {
+    const data = Buffer.from(text, 'utf8');
+    const compressed = zlib.deflateRawSync(data, last ? {} : { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    sheet.crc = crc32(data, sheet.crc);
+    sheet.size += data.length;
+    sheet.compressedSize += compressed.length;
+    await emit(compressed);
+  };
+
+  const start = async () => {
+    for (const [name, xml] of packageParts(sheetName)) {
+      await addPart(name, xml);
+    }
+    sheet = { name: 'xl/worksheets/sheet1.xml', flags: FLAG_DATA_DESCRIPTOR | FLAG_UTF8, offset, crc: 0, compressedSize: 0, size: 0 };
+    entries.push(sheet);
+    await emit(localHeader(sheet.name, sheet));
+    pending = `${XML_DECLARATION}<worksheet xmlns="${NS_MAIN}"><sheetData>`;
+  };
+
+  const addRow = async (values) => {
+    if (!sheet) await start();
+    if (rows >= MAX_ROWS) {
+      throw new Error(`XLSX worksheets hold at most ${MAX_ROWS} rows`);
+    }
+    rows += 1;
+    pending += rowXml(values);
+    if (pending.length >= CHUNK_SIZE) {
+      const text = pending;
+      pending = '';
+      await writeSheetChunk(text, false);
+    }
+  };
+
+  const finish = async () => {
+    if (!sheet) await start();
+    await writeSheetChunk(`${pending}</sheetData></worksheet>`, true);
+    pending = '';
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074B50, 0);
+    descriptor.writeUInt32LE(sheet.crc, 4);
+    descriptor.writeUInt32LE(sheet.compressedSize, 8);
+    descriptor.writeUInt32LE(sheet.size, 12);
+    await emit(descriptor);
+
+    const directoryOffset = offset;
+    const directory = Buffer.concat(entries.map(centralHeader));
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await emit(Buffer.concat([directory, end]));
+  };
+
+  return {
+    addRow: async (values) => {
+      if (rows === 0 && headers) await addRow(headers);
+      await addRow(values);
+    },
+    finish: async () => {
+      if (rows === 0 && headers) await addRow(headers);
+      await finish();
+    }
+  };
+};
+
+module.exports = {
+  MAX_ROWS,
+  crc32,
+  createXlsxWriter
+};
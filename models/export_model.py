@@ -0,0 +1,156 @@
+#!/usr/bin/env python3
+"""Export a pickled scikit-learn RandomForestRegressor to the JSON format loaded by lib/models.js.
+
+Usage: python3 models/export_model.py models/glucose_prediction_model_<version>.pkl
+
+Writes glucose_prediction_model_<version>.json next to the pickle, combining the trees with the
+feature metadata from <name>_metadata.pkl. Neither scikit-learn nor numpy is required: the pickle
+is read with stand-in classes and the numpy buffers are decoded with struct.
+"""
+
+import datetime
+import json
+import os
+import pickle
+import re
+import struct
+import sys
+
+FORMAT = 'random-forest-regressor/v1'
+
+
+class Stub:
+    """Stand-in for any class referenced by the pickle; keeps constructor args and state."""
+
+    def __init__(self, *args, **kwargs):
+        self.args = args
+        self.state = None
+
+    def __setstate__(self, state):
+        self.state = state
+
+
+class DType(Stub):
+    def __setstate__(self, state):
+        self.state = state
+        # (version, byteorder, subarray, names, fields, elsize, alignment, flags)
+        self.names = state[3]
+        self.fields = state[4]
+
+    @property
+    def code(self):
+        return self.args[0]
+
+
+class NDArray(Stub):
+    def __setstate__(self, state):
+        # (version, shape, dtype, is_fortran, raw bytes or object list)
+        _, self.shape, self.dtype, _, raw = state
+        self.values = decode(self.dtype, raw)
+
+
+def decode(dtype, raw):
+    if isinstance(raw, list):
+        return raw
+    code = dtype.code
+    if code.startswith('V'):
+        return decode_records(dtype, raw)
+    fmt = {'f8': 'd', 'i8': 'q', 'u1': 'B', 'b1': '?'}[code]
+    size = struct.calcsize(fmt)
+    return [struct.unpack_from('<' + fmt, raw, i)[0] for i in range(0, len(raw), size)]
+
+
+def decode_records(dtype, raw):
+    size = int(dtype.code[1:])
+    records = []
+    for start in range(0, len(raw), size):
+        record = {}
+        for name in dtype.names:
+            field_dtype, offset = dtype.fields[name][:2]
+            fmt = {'f8': 'd', 'i8': 'q', 'u1': 'B'}[field_dtype.code]
+            record[name] = struct.unpack_from('<' + fmt, raw, start + offset)[0]
+        records.append(record)
+    return records
+
+
+def scalar(dtype, raw):
+    return decode(dtype, raw)[0]
+
+
+class Unpickler(pickle.Unpickler):
+    def find_class(self, module, name):
+        if module.startswith('numpy') and name == 'dtype':
+            return DType
+        if module.startswith('numpy') and name == 'ndarray':
+            return NDArray
+        if module.startswith('numpy') and name == '_reconstruct':
+            return lambda cls, shape, dtype: cls()
+        if module.startswith('numpy') and name == 'scalar':
+            return scalar
+        return type(name, (Stub,), {'__module__': module})
+
+
+def load(path):
+    with open(path, 'rb') as handle:
+        return Unpickler(handle).load()
+
+
+def export_tree(estimator):
+    tree = estimator.state['tree_']
+    nodes = tree.state['nodes'].values
+    values = tree.state['values'].values
+    return {
+        'left': [node['left_child'] for node in nodes],
+        'right': [node['right_child'] for node in nodes],
+        'feature': [node['feature'] for node in nodes],
+        'threshold': [round(node['threshold'], 10) for node in nodes],
+        'value': [round(value, 10) for value in values],
+        'samples': [node['n_node_samples'] for node in nodes]
+    }
+
+
+def plain(value):
+    if isinstance(value, dict):
+        return {key: plain(item) for key, item in value.items()}
+    if isinstance(value, (list, tuple)):
+        return [plain(item) for item in value]
+    return value
+
+
+def main(model_path):
+    forest = load(model_path)
+    base = model_path[:-len('.pkl')]
+    metadata_path = base + '_metadata.pkl'
+    metadata = plain(load(metadata_path)) if os.path.exists(metadata_path) else {}
+
+    version = re.search(r'(\d{8}_\d{6})', os.path.basename(model_path))
+    state = forest.state
+    export = {
+        'format': FORMAT,
+        'name': os.path.basename(base),
+        'version': version.group(1) if version else os.path.basename(base),
+        'modelType': type(forest).__name__,
+        'target': metadata.get('target_variable', 'glucoseLevel'),
+        'unit': 'mg/dL',
+        'features': metadata.get('feature_names') or state['feature_names_in_'].values,
+        'trainingSamples': metadata.get('training_samples'),
+        'testSamples': metadata.get('test_samples'),
+        'trainingDate': metadata.get('training_date'),
+        'dataRanges': metadata.get('data_ranges'),
+        'sklearnVersion': state.get('_sklearn_version'),
+        'exportedAt': datetime.datetime.now(datetime.timezone.utc).isoformat(timespec='seconds'),
+        'source': os.path.basename(model_path),
+        'trees': [export_tree(estimator) for estimator in state['estimators_']]
+    }
+
+    output_path = base + '.json'
+    with open(output_path, 'w') as handle:
+        json.dump(export, handle, separators=(',', ':'))
+        handle.write('\n')
+    print(f'Exported {len(export["trees"])} trees ({", ".join(export["features"])}) to {output_path}')
+
+
+if __name__ == '__main__':
+    if len(sys.argv) != 2:
+        sys.exit(__doc__)
+    main(sys.argv[1])
@@ -0,0 +1,409 @@
+// Alert rules and the alerts they raise (open -> acknowledged -> resolved)
+const { createApiRouter, PAGINATION_QUERY, DATE_RANGE_QUERY } = require('../lib/api');
+const { validateRule, describeCondition, OPERATORS, ALERT_METRICS, ALERT_SEVERITIES, ALERT_STATES } = require('../lib/alerts');
+const { isWebhookUrl } = require('../lib/webhooks');
+
+const RULE_FIELDS = ['name', 'deviceId', 'metric', 'operator', 'threshold', 'category', 'status',
+  'consecutive', 'severity', 'webhooks', 'autoResolve', 'enabled'];
+
+// Rule body schema; a rule's condition is one of operator with threshold, category, or status (checked
+// by validateRule on the rule as it would be stored)
+const RULE_BODY = {
+  name: { type: 'string' },
+  deviceId: { type: 'string', nullable: true, description: 'Default: every device of the rule\'s owner' },
+  metric: { type: 'string', values: ALERT_METRICS },
+  operator: { type: 'string', nullable: true, values: Object.keys(OPERATORS) },
+  threshold: { type: 'number', nullable: true },
+  category: { type: 'any', nullable: true, description: 'Interpretation category, or an array of them' },
+  status: { type: 'string', nullable: true, values: ['good', 'caution', 'warning', 'error'] },
+  consecutive: { type: 'integer', min: 1, max: 1000, description: 'Readings in a row that must match (default 1)' },
+  severity: { type: 'string', values: ALERT_SEVERITIES },
+  webhooks: {
+    type: 'array',
+    items: 'string',
+    description: 'http(s) URLs of public hosts notified when an alert opens or resolves (not localhost, private or link-local addresses)'
+  },
+  autoResolve: { type: 'boolean' },
+  enabled: { type: 'boolean' },
+  owner: { type: 'string', nullable: true, description: 'Admins only; ignored for owners' }
+};
+
+const NOTE_BODY = { fields: { note: { type: 'string', nullable: true } } };
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+const withDescription = (rule) => ({ ...rule, description: describeCondition(rule) });
+
+// Who performed an action, as stored on the alert
+const actorOf = (user) => (user.role === 'admin' ? 'admin' : user.owner);
+
+const createAlertsRouter = ({ stores, auth, alerts }) => {
+  const router = createApiRouter();
+
+  router.use(auth.requireUser);
+
+  const canManageRule = (user, rule) => user.role === 'admin' || (rule.owner && rule.owner === user.owner);
+
+  // Validate a rule body; owners may only target their own devices. Returns an error response or null.
+  const checkRule = async (req, res, rule) => {
+    const error = validateRule(rule);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid alert rule', message: error });
+    }
+
+    // Internal receivers are configured by the operator in ALERT_WEBHOOK_URLS, never through the API
+    const invalidUrls = rule.webhooks.filter(url => !isWebhookUrl(url, { publicOnly: true }));
+    if (invalidUrls.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid alert rule',
+        message: 'webhooks must be http(s) URLs of public hosts, not localhost, private or link-local addresses',
+        invalidUrls: invalidUrls
+      });
+    }
+
+    if (rule.deviceId) {
+      const device = await stores.devices.get(rule.deviceId);
+      if (!auth.canAccessDevice(req.user, device)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: `Not authorized for device ${rule.deviceId}`,
+          deviceId: rule.deviceId
+        });
+      }
+    }
+    return null;
+  };
+
+  // GET /api/alerts/rules - rules the caller manages
+  router.get('/rules', { summary: 'Alert rules the caller manages', query: { deviceId: { type: 'string' } } }, async (req, res) => {
+    try {
+      const where = req.user.role === 'admin' ? undefined : { owner: req.user.owner };
+      const rules = await stores.alertRules.query({
+        where,
+        filter: req.query.deviceId ? rule => rule.deviceId === req.query.deviceId : undefined,
+        order: 'asc'
+      });
+
+      res.json({
+        success: true,
+        count: rules.length,
+        rules: rules.map(withDescription)
+      });
+
+    } catch (error) {
+      console.error('Error listing alert rules:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // POST /api/alerts/rules - create a rule (owners: for one of their devices, or all of them without deviceId)
+  router.post('/rules', {
+    summary: 'Create an alert rule',
+    body: {
+      fields: {
+        ...RULE_BODY,
+        name: { ...RULE_BODY.name, required: true },
+        metric: { ...RULE_BODY.metric, required: true }
+      }
+    }
+  }, async (req, res) => {
+    try {
+      const body = req.body;
+      const now = new Date().toISOString();
+      const rule = {
+        id: Date.now() + Math.random().toString(36).substr(2, 9),
+        deviceId: null,
+        consecutive: 1,
+        severity: 'warning',
+        webhooks: [],
+        autoResolve: true,
+        enabled: true,
+        ...pick(body, RULE_FIELDS),
+        // Admin rules without owner apply to every device
+        owner: req.user.role === 'admin' ? body.owner || null : req.user.owner,
+        createdBy: actorOf(req.user),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const rejected = await checkRule(req, res, rule);
+      if (rejected) return rejected;
+
+      await stores.alertRules.insert(rule);
+
+      console.log(`Created alert rule "${rule.name}" (${describeCondition(rule)}) for ${rule.deviceId || (rule.owner ? `devices of ${rule.owner}` : 'all devices')}`);
+
+      res.status(201).json({
+        success: true,
+        rule: withDescription(rule)
+      });
+
+    } catch (error) {
+      console.error('Error creating alert rule:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Load :ruleId and check the caller may manage it
+  const loadRule = async (req, res, next) => {
+    const rule = await stores.alertRules.get(req.params.ruleId);
+    if (!rule || !canManageRule(req.user, rule)) {
+      return res.status(404).json({
+        error: 'Alert rule not found',
+        ruleId: req.params.ruleId
+      });
+    }
+    req.rule = rule;
+    next();
+  };
+
+  // GET /api/alerts/rules/:ruleId
+  router.get('/rules/:ruleId', { summary: 'An alert rule' }, loadRule, (req, res) => {
+    res.json({
+      success: true,
+      rule: withDescription(req.rule)
+    });
+  });
+
+  // PUT /api/alerts/rules/:ruleId - change a rule; omitted fields keep their value
+  router.put('/rules/:ruleId', { summary: 'Change an alert rule; omitted fields keep their value', body: { fields: RULE_BODY } }, loadRule, async (req, res) => {
+    try {
+      const changes = pick(req.body, RULE_FIELDS);
+      const rule = { ...req.rule, ...changes };
+
+      // Switching condition type replaces the previous condition
+      if (changes.operator !== undefined) {
+        rule.category = null;
+        rule.status = null;
+      } else if (changes.category !== undefined) {
+        rule.operator = null;
+        rule.threshold = null;
+        rule.status = null;
+      } else if (changes.status !== undefined) {
+        rule.operator = null;
+        rule.threshold = null;
+        rule.category = null;
+      }
+
+      const rejected = await checkRule(req, res, rule);
+      if (rejected) return rejected;
+
+      const updated = await stores.alertRules.update(rule.id, {
+        ...rule,
+        updatedAt: new Date().toISOString()
+      });
+
+      res.json({
+        success: true,
+        rule: withDescription(updated)
+      });
+
+    } catch (error) {
+      console.error('Error updating alert rule:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // DELETE /api/alerts/rules/:ruleId - alerts already raised by the rule are kept
+  router.delete('/rules/:ruleId', { summary: 'Delete an alert rule; alerts it raised are kept' }, loadRule, async (req, res) => {
+    try {
+      await stores.alertRules.delete({ id: req.rule.id });
+      alerts.forgetRule(req.rule.id);
+
+      res.json({
+        success: true,
+        message: `Alert rule "${req.rule.name}" deleted`
+      });
+
+    } catch (error) {
+      console.error('Error deleting alert rule:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/alerts - alerts for the caller's devices, newest first
+  router.get('/', {
+    summary: 'Alerts of the caller\'s devices, newest first',
+    query: {
+      deviceId: { type: 'string' },
+      state: { type: 'list', values: ALERT_STATES },
+      severity: { type: 'string', values: ALERT_SEVERITIES },
+      ruleId: { type: 'string' },
+      metric: { type: 'string', values: ALERT_METRICS },
+      ...DATE_RANGE_QUERY,
+      ...PAGINATION_QUERY
+    }
+  }, async (req, res) => {
+    try {
+      const {
+        limit = 100,
+        offset = 0,
+        deviceId,
+        state,
+        severity,
+        ruleId,
+        metric,
+        startDate,
+        endDate
+      } = req.query;
+
+      const scope = await auth.deviceScope(req.user, deviceId);
+      if (!scope) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: `Not authorized for device ${deviceId}`,
+          deviceId: deviceId
+        });
+      }
+
+      const states = state ? state.split(',') : null;
+
+      const where = {};
+      if (states) where.state = states;
+      if (severity) where.severity = severity;
+      if (ruleId) where.ruleId = ruleId;
+      if (metric) where.metric = metric;
+
+      const criteria = {
+        ...scope,
+        where,
+        start: startDate ? new Date(startDate) : undefined,
+        end: endDate ? new Date(endDate) : undefined
+      };
+
+      const total = await stores.alerts.count(criteria);
+      const results = await stores.alerts.query({
+        ...criteria,
+        order: 'desc',
+        offset: parseInt(offset),
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        success: true,
+        alerts: results,
+        pagination: {
+          total: total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          hasMore: parseInt(offset) + parseInt(limit) < total
+        },
+        filters: {
+          deviceId: deviceId || null,
+          state: states,
+          severity: severity || null,
+          ruleId: ruleId || null,
+          metric: metric || null
+        }
+      });
+
+    } catch (error) {
+      console.error('Error listing alerts:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Load :alertId and check the caller may access its device
+  const loadAlert = async (req, res, next) => {
+    const alert = await stores.alerts.get(req.params.alertId);
+    const device = alert ? await stores.devices.get(alert.deviceId) : null;
+    if (!alert || !auth.canAccessDevice(req.user, device)) {
+      return res.status(404).json({
+        error: 'Alert not found',
+        alertId: req.params.alertId
+      });
+    }
+    req.alert = alert;
+    next();
+  };
+
+  // GET /api/alerts/:alertId - one alert with its webhook delivery log
+  router.get('/:alertId', { summary: 'An alert with its webhook delivery log' }, loadAlert, (req, res) => {
+    res.json({
+      success: true,
+      alert: req.alert
+    });
+  });
+
+  // POST /api/alerts/:alertId/acknowledge - someone is looking at it
+  router.post('/:alertId/acknowledge', { summary: 'Acknowledge an open alert', body: NOTE_BODY, status: 200 }, loadAlert, async (req, res) => {
+    try {
+      if (req.alert.state !== 'open') {
+        return res.status(409).json({
+          error: `Alert is already ${req.alert.state}`,
+          alertId: req.alert.id,
+          state: req.alert.state
+        });
+      }
+
+      const alert = await alerts.acknowledge(req.alert.id, {
+        by: actorOf(req.user),
+        note: req.body.note || null
+      });
+
+      res.json({
+        success: true,
+        alert: alert
+      });
+
+    } catch (error) {
+      console.error('Error acknowledging alert:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // POST /api/alerts/:alertId/resolve - close an open or acknowledged alert
+  router.post('/:alertId/resolve', { summary: 'Resolve an open or acknowledged alert', body: NOTE_BODY, status: 200 }, loadAlert, async (req, res) => {
+    try {
+      if (req.alert.state === 'resolved') {
+        return res.status(409).json({
+          error: 'Alert is already resolved',
+          alertId: req.alert.id,
+          state: req.alert.state
+        });
+      }
+
+      const alert = await alerts.resolve(req.alert.id, {
+        by: actorOf(req.user),
+        note: req.body.note || null
+      });
+
+      res.json({
+        success: true,
+        alert: alert
+      });
+
+    } catch (error) {
+      console.error('Error resolving alert:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAlertsRouter;
@@ -0,0 +1,108 @@
+// Anomalies per device: readings that deviate from the device's own baseline, and the baseline itself.
+// Readings are scored while they are ingested (record.anomaly); baselines are derived metrics of kind 'baseline'.
+const { createApiRouter, PAGINATION_QUERY, DATE_RANGE_QUERY } = require('../lib/api');
+const { ANOMALY_LEVELS } = require('../lib/baseline');
+
+// Readings at or above this score are listed by default (the 'unusual' level)
+const DEFAULT_MIN_SCORE = ANOMALY_LEVELS.find(entry => entry.level === 'unusual').min;
+
+const describeAnomaly = (record) => ({
+  recordId: record.id,
+  measuredAt: record.measuredAt || record.receivedAt,
+  ...record.anomaly
+});
+
+const createAnomaliesRouter = ({ stores, auth }) => {
+  const router = createApiRouter();
+
+  // GET /api/anomalies/:deviceId - scored readings at or above minScore, newest first
+  router.get('/:deviceId', {
+    summary: 'Readings far from the device\'s baseline, newest first',
+    query: {
+      minScore: { type: 'number', min: 0, description: `Deviation from the baseline in spreads (default ${DEFAULT_MIN_SCORE})` },
+      ...DATE_RANGE_QUERY,
+      ...PAGINATION_QUERY
+    }
+  }, auth.requireDeviceAccess, async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const { startDate, endDate, limit = 100, offset = 0 } = req.query;
+      const minScore = req.query.minScore !== undefined ? Number(req.query.minScore) : DEFAULT_MIN_SCORE;
+
+      const criteria = {
+        deviceId,
+        start: startDate ? new Date(startDate) : undefined,
+        end: endDate ? new Date(endDate) : undefined,
+        filter: record => Boolean(record.anomaly) && record.anomaly.status === 'scored' && record.anomaly.score >= minScore
+      };
+
+      const total = await stores.sensorData.count(criteria);
+      const records = await stores.sensorData.query({
+        ...criteria,
+        order: 'desc',
+        offset: parseInt(offset),
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        success: true,
+        deviceId: deviceId,
+        minScore: minScore,
+        data: records.map(describeAnomaly),
+        pagination: {
+          total: total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          hasMore: parseInt(offset) + parseInt(limit) < total
+        }
+      });
+
+    } catch (error) {
+      console.error('Error fetching anomalies:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/anomalies/:deviceId/baseline - the most recently learned baseline
+  router.get('/:deviceId/baseline', { summary: 'The most recently learned baseline' }, auth.requireDeviceAccess, async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const [latest] = await stores.derivedMetrics.query({ deviceId, where: { kind: 'baseline' }, order: 'desc', limit: 1 });
+
+      if (!latest) {
+        return res.status(404).json({
+          error: 'No baseline found',
+          message: `Device ${deviceId} has not sent any measured readings to learn a baseline from`,
+          deviceId: deviceId
+        });
+      }
+
+      const { samples, vitals, days, windowStart, windowEnd } = latest.metrics;
+      res.json({
+        success: true,
+        deviceId: deviceId,
+        baseline: {
+          id: latest.id,
+          learnedAt: latest.timestamp,
+          window: { start: windowStart, end: windowEnd, days: days },
+          samples: samples,
+          vitals: vitals
+        }
+      });
+
+    } catch (error) {
+      console.error('Error fetching baseline:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAnomaliesRouter;
@@ -0,0 +1,143 @@
+// Device groups: configuration shared by every device whose `group` names the group (see
+// lib/deviceConfig.js). Groups span owners, so they are managed by admins.
+const { createApiRouter } = require('../lib/api');
+const { isValidGroupName, validateSettings } = require('../lib/deviceConfig');
+
+const createDeviceGroupsRouter = ({ stores, auth, deviceConfig }) => {
+  const router = createApiRouter();
+
+  // Middleware: a valid :group name
+  const checkGroupName = (req, res, next) => {
+    if (!isValidGroupName(req.params.group)) {
+      return res.status(400).json({
+        error: 'Invalid group',
+        message: 'group must be 1-64 letters, digits, dots, dashes or underscores'
+      });
+    }
+    next();
+  };
+
+  const membersOf = async (group) => stores.devices.query({ where: { group } });
+
+  // GET /api/device-groups - groups that have devices or settings, with their member count and settings version
+  router.get('/', { summary: 'Device groups with their member count and settings version' }, auth.requireAdmin, async (req, res) => {
+    try {
+      const devices = await stores.devices.query({ filter: device => Boolean(device.group) });
+      const names = [...new Set([...devices.map(device => device.group), ...deviceConfig.groups()])].sort();
+
+      res.json({
+        success: true,
+        count: names.length,
+        groups: names.map(group => {
+          const overrides = deviceConfig.overridesOf('group', group);
+          return {
+            group,
+            devices: devices.filter(device => device.group === group).length,
+            version: overrides ? overrides.version : null,
+            settings: overrides ? overrides.settings : {}
+          };
+        })
+      });
+
+    } catch (error) {
+      console.error('Error listing device groups:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/device-groups/:group/config - the group's settings and the devices inheriting them
+  router.get('/:group/config', { summary: 'Settings of a group and the devices inheriting them' }, auth.requireAdmin, checkGroupName, async (req, res) => {
+    try {
+      const members = await membersOf(req.params.group);
+      res.json({
+        success: true,
+        group: req.params.group,
+        overrides: deviceConfig.overridesOf('group', req.params.group),
+        devices: members.map(device => device.deviceId)
+      });
+
+    } catch (error) {
+      console.error('Error reading group configuration:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // PUT /api/device-groups/:group/config - store a new version of the group's settings. Body:
+  // { settings, note? }; the configuration of every member device is resolved again right away
+  router.put('/:group/config', {
+    summary: 'Store a new version of a group\'s settings',
+    body: {
+      fields: {
+        settings: { type: 'object', required: true, description: 'Settings to override; null clears a field so it is inherited' },
+        note: { type: 'string', nullable: true }
+      }
+    }
+  }, auth.requireAdmin, checkGroupName, async (req, res) => {
+    try {
+      const { settings, note } = req.body;
+      const validationError = validateSettings(settings);
+      if (validationError) {
+        return res.status(400).json({
+          error: 'Invalid configuration',
+          message: validationError
+        });
+      }
+
+      const overrides = await deviceConfig.saveOverrides('group', req.params.group, settings, {
+        note: note || null,
+        by: 'admin'
+      });
+      const members = await membersOf(req.params.group);
+      const devices = members.map(device => {
+        const config = deviceConfig.resolve(device);
+        return { deviceId: device.deviceId, version: config.version, pending: config.pending };
+      });
+
+      console.log(`Group ${req.params.group} settings version ${overrides.version} stored (${devices.length} devices)`);
+
+      res.json({
+        success: true,
+        group: req.params.group,
+        overrides: overrides,
+        devices: devices
+      });
+
+    } catch (error) {
+      console.error('Error updating group configuration:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/device-groups/:group/config/versions - every stored version of the group's settings
+  router.get('/:group/config/versions', { summary: 'Stored versions of a group\'s settings' }, auth.requireAdmin, checkGroupName, async (req, res) => {
+    try {
+      const versions = await deviceConfig.versions('group', req.params.group);
+      res.json({
+        success: true,
+        group: req.params.group,
+        count: versions.length,
+        versions: versions
+      });
+
+    } catch (error) {
+      console.error('Error listing group configuration versions:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createDeviceGroupsRouter;
@@ -0,0 +1,510 @@
+// Device registry: registration, metadata and API key rotation, plus presence (last seen, reporting
+// interval, firmware state and online/stale/offline status, see lib/presence.js), heartbeats, the
+// configuration delivered to the firmware (see lib/deviceConfig.js) and rate limit usage (see lib/rateLimit.js)
+const { createApiRouter } = require('../lib/api');
+const { issueDeviceKey, toPublicDevice } = require('../lib/auth');
+const { REFERENCE_SETTING_FIELDS, validateReferenceSettings } = require('../lib/reference');
+const { PRESENCE_STATUSES, FIRMWARE_STATE_FIELDS } = require('../lib/presence');
+const { ACK_STATUSES, isValidGroupName, validateSettings } = require('../lib/deviceConfig');
+const { RATE_LIMIT_FIELDS } = require('../lib/rateLimit');
+
+// referenceProfile, customRanges and units choose the device's reference ranges (see lib/reference.js);
+// group picks the group configuration the device inherits; rateLimit replaces the default device quota
+const EDITABLE_FIELDS = ['name', 'model', 'firmwareVersion', 'referenceProfile', 'customRanges', 'units'];
+const ADMIN_EDITABLE_FIELDS = [...EDITABLE_FIELDS, 'owner', 'group', 'rateLimit'];
+
+const DEVICE_BODY = {
+  name: { type: 'string' },
+  model: { type: 'string', nullable: true },
+  firmwareVersion: { type: 'string', nullable: true },
+  ...REFERENCE_SETTING_FIELDS,
+  owner: { type: 'string', nullable: true, description: 'Admins only' },
+  group: { type: 'string', nullable: true, description: 'Admins only; the group configuration the device inherits' },
+  rateLimit: {
+    type: 'object',
+    nullable: true,
+    fields: RATE_LIMIT_FIELDS,
+    additionalFields: false,
+    description: 'Admins only; the device\'s own quota, null for the default'
+  }
+};
+
+const CONFIG_BODY = {
+  fields: {
+    settings: { type: 'object', required: true, description: 'Settings to override; null clears a field so it is inherited' },
+    note: { type: 'string', nullable: true }
+  }
+};
+
+const actorOf = (user) => (user.role === 'admin' ? 'admin' : user.owner);
+
+const invalidGroup = (res) => res.status(400).json({
+  error: 'Invalid group',
+  message: 'group must be null or 1-64 letters, digits, dots, dashes or underscores'
+});
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+const createDevicesRouter = ({ stores, auth, presence, deviceConfig, rateLimiter, ingestionGate }) => {
+  const router = createApiRouter();
+
+  // Rate limit quota and usage of a device, with its readings in the ingestion queue
+  const quotaOf = (deviceId, device) => {
+    const { scope, id, ...usage } = rateLimiter.usageOf('device', deviceId, { override: device ? device.rateLimit : null });
+    return { deviceId, ...usage, ingestion: ingestionGate.describe(deviceId) };
+  };
+
+  // POST /api/devices - register a device and issue its API key (admin)
+  router.post('/', {
+    summary: 'Register a device and issue its API key',
+    body: { fields: { deviceId: { type: 'string', required: true }, ...DEVICE_BODY } },
+    response: { description: 'The API key, shown only once', fields: { apiKey: { type: 'string' } } }
+  }, auth.requireAdmin, async (req, res) => {
+    try {
+      const { deviceId } = req.body;
+
+      if (!deviceId) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          missingFields: ['deviceId']
+        });
+      }
+
+      if (await stores.devices.get(deviceId)) {
+        return res.status(409).json({
+          error: 'Device already registered',
+          deviceId: deviceId
+        });
+      }
+
+      const { apiKey, ...keyFields } = issueDeviceKey();
+      const now = new Date().toISOString();
+      const device = {
+        id: deviceId,
+        deviceId: deviceId,
+        name: deviceId,
+        model: null,
+        firmwareVersion: null,
+        owner: null,
+        group: null,
+        referenceProfile: null,
+        customRanges: null,
+        units: null,
+        ...pick(req.body, ADMIN_EDITABLE_FIELDS),
+        ...keyFields,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const referenceError = validateReferenceSettings(device);
+      if (referenceError) {
+        return res.status(400).json({ error: 'Invalid reference settings', message: referenceError });
+      }
+      if (device.group !== null && !isValidGroupName(device.group)) {
+        return invalidGroup(res);
+      }
+
+      await stores.devices.insert(device);
+
+      console.log(`Registered device ${deviceId} (owner: ${device.owner || 'none'})`);
+
+      res.status(201).json({
+        success: true,
+        device: toPublicDevice(device),
+        apiKey: apiKey,
+        message: 'Store this API key on the device; it cannot be retrieved again'
+      });
+
+    } catch (error) {
+      console.error('Error registering device:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/devices - list devices (admin: all, owner: their own)
+  router.get('/', { summary: 'Registered devices (owners: their own)' }, auth.requireUser, async (req, res) => {
+    try {
+      const where = req.user.role === 'admin' ? undefined : { owner: req.user.owner };
+      const devices = await stores.devices.query({ where });
+
+      res.json({
+        success: true,
+        count: devices.length,
+        devices: devices.map(toPublicDevice)
+      });
+
+    } catch (error) {
+      console.error('Error listing devices:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/devices/status - fleet view: presence of every device (admin: all, including devices that
+  // send data without being registered; owner: their own), ?status=online|stale|offline|unknown
+  router.get('/status', {
+    summary: 'Fleet status: presence of every device',
+    query: { status: { type: 'string', values: PRESENCE_STATUSES } }
+  }, auth.requireUser, async (req, res) => {
+    try {
+      const { status } = req.query;
+
+      const where = req.user.role === 'admin' ? undefined : { owner: req.user.owner };
+      const registered = new Map((await stores.devices.query({ where })).map(device => [device.deviceId, device]));
+      const deviceIds = req.user.role === 'admin' ?
+        [...new Set([...registered.keys(), ...presence.deviceIds()])] :
+        [...registered.keys()];
+
+      const now = Date.now();
+      const fleet = deviceIds.sort().map(deviceId => presence.describe(deviceId, registered.get(deviceId) || null, { now }));
+      const devices = status ? fleet.filter(device => device.status === status) : fleet;
+
+      res.json({
+        success: true,
+        generatedAt: new Date(now).toISOString(),
+        count: devices.length,
+        counts: PRESENCE_STATUSES.reduce((counts, value) => ({
+          ...counts,
+          [value]: fleet.filter(device => device.status === value).length
+        }), {}),
+        settings: presence.settings(),
+        devices: devices
+      });
+
+    } catch (error) {
+      console.error('Error building fleet status:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/devices/quotas - rate limit quota and usage of every device (admin: all, including devices
+  // that send data without being registered; owner: their own), with the state of the ingestion queue
+  router.get('/quotas', { summary: 'Rate limit quota and usage of every device' }, auth.requireUser, async (req, res) => {
+    try {
+      const where = req.user.role === 'admin' ? undefined : { owner: req.user.owner };
+      const registered = new Map((await stores.devices.query({ where })).map(device => [device.deviceId, device]));
+      const deviceIds = req.user.role === 'admin' ?
+        [...new Set([...registered.keys(), ...rateLimiter.deviceIds()])] :
+        [...registered.keys()];
+
+      const devices = deviceIds.sort().map(deviceId => quotaOf(deviceId, registered.get(deviceId) || null));
+
+      res.json({
+        success: true,
+        generatedAt: new Date().toISOString(),
+        count: devices.length,
+        limitedDevices: devices.filter(device => device.limited > 0).length,
+        settings: rateLimiter.settings(),
+        ingestionQueue: ingestionGate.status(),
+        devices: devices
+      });
+
+    } catch (error) {
+      console.error('Error listing device quotas:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // POST /api/devices/heartbeat - a device reports it is alive without a reading. Body: { deviceId,
+  // firmwareVersion?, calibrationComplete?, fingerDetected?, dataQuality?, battery?, rssi? }
+  router.post('/heartbeat', {
+    summary: 'Report that a device is alive without a reading',
+    body: { fields: { deviceId: { type: 'string', required: true }, ...FIRMWARE_STATE_FIELDS } },
+    status: 200
+  }, auth.requireDeviceKeyOrUser, (req, res) => {
+    const { deviceId } = req.body;
+
+    presence.recordHeartbeat(deviceId, req.body);
+
+    res.json({
+      success: true,
+      deviceId: deviceId,
+      presence: presence.describe(deviceId, req.device),
+      config: deviceConfig.pendingFor(req.device)
+    });
+  });
+
+  // GET /api/devices/:deviceId - device details
+  router.get('/:deviceId', { summary: 'A registered device' }, auth.requireDeviceAccess, async (req, res) => {
+    if (!req.device) {
+      return res.status(404).json({
+        error: 'Device not registered',
+        deviceId: req.params.deviceId
+      });
+    }
+
+    res.json({
+      success: true,
+      device: toPublicDevice(req.device)
+    });
+  });
+
+  // GET /api/devices/:deviceId/status - presence of one device with its recent status changes
+  router.get('/:deviceId/status', { summary: 'Presence of a device with its recent status changes' }, auth.requireDeviceAccess, (req, res) => {
+    if (!req.device && !presence.deviceIds().includes(req.params.deviceId)) {
+      return res.status(404).json({
+        error: 'Device not found',
+        message: 'The device is not registered and has not sent data',
+        deviceId: req.params.deviceId
+      });
+    }
+
+    res.json({
+      success: true,
+      presence: presence.describe(req.params.deviceId, req.device, { history: true })
+    });
+  });
+
+  // GET /api/devices/:deviceId/quota - the device's rate limit quota and usage; the device may check
+  // its own with its X-API-Key (which spends from the same quota)
+  router.get('/:deviceId/quota', { summary: 'Rate limit quota and usage of a device' }, auth.requireDeviceKeyOrAccess, (req, res) => {
+    res.json({
+      success: true,
+      quota: quotaOf(req.params.deviceId, req.device)
+    });
+  });
+
+  const notRegistered = (req, res) => res.status(404).json({
+    error: 'Device not registered',
+    deviceId: req.params.deviceId
+  });
+
+  // GET /api/devices/:deviceId/config - the device's resolved configuration (settings with where each comes
+  // from, version, acknowledgement) and its own overrides; the device itself may fetch it with X-API-Key
+  router.get('/:deviceId/config', { summary: 'Resolved configuration of a device and its own overrides' }, auth.requireDeviceKeyOrAccess, (req, res) => {
+    if (!req.device) return notRegistered(req, res);
+
+    res.json({
+      success: true,
+      deviceId: req.params.deviceId,
+      config: deviceConfig.resolve(req.device),
+      overrides: deviceConfig.overridesOf('device', req.params.deviceId)
+    });
+  });
+
+  // PUT /api/devices/:deviceId/config - store a new version of the device's own settings. Body:
+  // { settings, note? }; fields left out (or null) are inherited from the device's group or the defaults
+  router.put('/:deviceId/config', { summary: 'Store a new version of a device\'s own settings', body: CONFIG_BODY }, auth.requireDeviceAccess, async (req, res) => {
+    try {
+      if (!req.device) return notRegistered(req, res);
+
+      const { settings, note } = req.body;
+      const validationError = validateSettings(settings);
+      if (validationError) {
+        return res.status(400).json({
+          error: 'Invalid configuration',
+          message: validationError
+        });
+      }
+
+      const overrides = await deviceConfig.saveOverrides('device', req.params.deviceId, settings, {
+        note: note || null,
+        by: actorOf(req.user)
+      });
+      const config = deviceConfig.resolve(req.device);
+
+      console.log(`Device ${req.params.deviceId} settings version ${overrides.version} stored (configuration version ${config.version})`);
+
+      res.json({
+        success: true,
+        deviceId: req.params.deviceId,
+        config: config,
+        overrides: overrides
+      });
+
+    } catch (error) {
+      console.error('Error updating device configuration:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/devices/:deviceId/config/versions - every stored version of the device's own settings
+  router.get('/:deviceId/config/versions', { summary: 'Stored versions of a device\'s own settings' }, auth.requireDeviceAccess, async (req, res) => {
+    try {
+      if (!req.device) return notRegistered(req, res);
+
+      const versions = await deviceConfig.versions('device', req.params.deviceId);
+      res.json({
+        success: true,
+        deviceId: req.params.deviceId,
+        count: versions.length,
+        versions: versions
+      });
+
+    } catch (error) {
+      console.error('Error listing device configuration versions:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // POST /api/devices/:deviceId/config/ack - the device reports the configuration version it applied.
+  // Body: { version, status?: 'applied' | 'failed', message? }
+  router.post('/:deviceId/config/ack', {
+    summary: 'Report the configuration version a device applied, or failed to apply',
+    body: {
+      fields: {
+        version: { type: 'integer', required: true, min: 1 },
+        status: { type: 'string', values: ACK_STATUSES, description: 'Default: applied' },
+        message: { type: 'string', nullable: true }
+      }
+    },
+    status: 200
+  }, auth.requireDeviceKeyOrAccess, (req, res) => {
+    if (!req.device) return notRegistered(req, res);
+
+    const { version, status = 'applied', message } = req.body;
+    const outcome = deviceConfig.acknowledge(req.device, {
+      version,
+      status,
+      message: message || null
+    });
+    if (outcome.error) {
+      return res.status(outcome.status).json({
+        error: 'Unknown configuration version',
+        message: outcome.error
+      });
+    }
+
+    res.json({
+      success: true,
+      deviceId: req.params.deviceId,
+      config: outcome.config
+    });
+  });
+
+  // PATCH /api/devices/:deviceId - update metadata (only admins may change the owner)
+  router.patch('/:deviceId', { summary: 'Update a device\'s metadata', body: { fields: DEVICE_BODY } }, auth.requireDeviceAccess, async (req, res) => {
+    try {
+      if (!req.device) {
+        return res.status(404).json({
+          error: 'Device not registered',
+          deviceId: req.params.deviceId
+        });
+      }
+
+      const allowedFields = req.user.role === 'admin' ? ADMIN_EDITABLE_FIELDS : EDITABLE_FIELDS;
+      const rejectedFields = Object.keys(req.body).filter(field => !allowedFields.includes(field));
+
+      if (rejectedFields.length > 0) {
+        return res.status(400).json({
+          error: 'Fields cannot be updated',
+          rejectedFields: rejectedFields,
+          allowedFields: allowedFields
+        });
+      }
+
+      const changes = pick(req.body, allowedFields);
+      const referenceError = validateReferenceSettings({ ...req.device, ...changes });
+      if (referenceError) {
+        return res.status(400).json({ error: 'Invalid reference settings', message: referenceError });
+      }
+      if (changes.group !== undefined && changes.group !== null && !isValidGroupName(changes.group)) {
+        return invalidGroup(res);
+      }
+
+      const device = await stores.devices.update(req.params.deviceId, {
+        ...changes,
+        updatedAt: new Date().toISOString()
+      });
+
+      res.json({
+        success: true,
+        device: toPublicDevice(device)
+      });
+
+    } catch (error) {
+      console.error('Error updating device:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // DELETE /api/devices/:deviceId - unregister a device; its stored readings are kept (admin)
+  router.delete('/:deviceId', { summary: 'Unregister a device; its readings are kept' }, auth.requireAdmin, async (req, res) => {
+    try {
+      const deleted = await stores.devices.delete({ id: req.params.deviceId });
+
+      if (deleted === 0) {
+        return res.status(404).json({
+          error: 'Device not registered',
+          deviceId: req.params.deviceId
+        });
+      }
+
+      console.log(`Unregistered device ${req.params.deviceId}`);
+
+      res.json({
+        success: true,
+        message: `Device ${req.params.deviceId} unregistered; its API key no longer works`,
+        deviceId: req.params.deviceId
+      });
+
+    } catch (error) {
+      console.error('Error deleting device:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // POST /api/devices/:deviceId/rotate-key - issue a new API key, invalidating the old one
+  router.post('/:deviceId/rotate-key', { summary: 'Issue a new API key, invalidating the old one', status: 200 }, auth.requireDeviceAccess, async (req, res) => {
+    try {
+      if (!req.device) {
+        return res.status(404).json({
+          error: 'Device not registered',
+          deviceId: req.params.deviceId
+        });
+      }
+
+      const { apiKey, ...keyFields } = issueDeviceKey();
+      const device = await stores.devices.update(req.params.deviceId, {
+        ...keyFields,
+        updatedAt: new Date().toISOString()
+      });
+
+      console.log(`Rotated API key for device ${req.params.deviceId}`);
+
+      res.json({
+        success: true,
+        device: toPublicDevice(device),
+        apiKey: apiKey,
+        message: 'The previous key is no longer valid'
+      });
+
+    } catch (error) {
+      console.error('Error rotating device key:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createDevicesRouter;
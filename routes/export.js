@@ -0,0 +1,363 @@
+// Streaming exports of readings and glucose predictions as CSV, NDJSON or XLSX (see lib/export.js).
+// Rows are written while they are read from storage, optionally gzipped, with timestamps in a chosen
+// time zone, units as for the rest of the API and categories from each device's reference ranges.
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { createApiRouter, DATE_RANGE_QUERY, UNITS_QUERY } = require('../lib/api');
+const { readingTimeOf } = require('../lib/ingestion');
+const { patientSegments, segmentCriteria } = require('../lib/patients');
+const { UNITS, unitsFromQuery, convertGlucose, convertTemperature, interpretGlucose, interpretVitals } = require('../lib/reference');
+const { EXPORT_FORMATS, EXPORT_OUTPUT_CLOSED, MAX_XLSX_ROWS, createTimeFormatter, streamRecords, createExportWriter } = require('../lib/export');
+
+// Columns of the original CSV export, which GET /api/sensor-data/export/csv keeps: [header, column]
+const LEGACY_CSV_COLUMNS = [
+  ['id', 'id'], ['deviceId', 'deviceId'], ['timestamp', 'timestamp'], ['receivedAt', 'receivedAt'],
+  ['heartRate', 'heartRate'], ['heartRateAvg', 'heartRateAvg'], ['spo2', 'spo2'], ['temperature', 'temperature'],
+  ['red', 'red'], ['ir', 'ir'], ['fingerDetected', 'fingerDetected'], ['heartRateValid', 'heartRateValid'],
+  ['spo2Valid', 'spo2Valid'], ['lastGlucose', 'lastGlucose'], ['provenance', 'provenance'],
+  ['heartRateProvenance', 'heartRateProvenance'], ['spo2Provenance', 'spo2Provenance'],
+  ['temperatureProvenance', 'temperatureProvenance'], ['simulatedHealthy', 'simulatedHealthy'],
+  ['variationApplied', 'variationApplied'], ['medicalStandardCompliant', 'glucoseCategory'],
+  ['temperatureUnit', 'temperatureUnit'], ['glucoseUnit', 'glucoseUnit']
+];
+
+const VITALS = ['heartRate', 'spo2', 'temperature'];
+
+const FLAG_VALUES = ['true', 'false', '1', '0'];
+
+const parseFlag = (value) => value === 'true' || value === '1';
+
+// Device and patient IDs as they may appear in a file name
+const fileSafe = (value) => String(value).replace(/[^A-Za-z0-9._-]/g, '_');
+
+// readingQuality: (record) => { score, level } (see lib/quality.js)
+const createExportRouter = ({ stores, auth, referenceFor, isValidVital, isReliableVital, getProvenance, getFieldProvenance, readingQuality }) => {
+  const router = createApiRouter();
+
+  // Category of a vital under the reading's reference ranges; 'No Reading' when it is not reliable
+  const vitalCategory = (vital, record, { reference }) => {
+    const values = VITALS.map(name => (name === vital && isReliableVital(vital, record) ? record[vital] : null));
+    return interpretVitals(...values, reference.profile.thresholds)[vital].category;
+  };
+
+  // Column name -> (record, ctx) => value. ctx: { units, reference, formatTime, patientId }
+  const COLUMNS = {
+    readings: {
+      id: record => record.id,
+      deviceId: record => record.deviceId,
+      patientId: (record, ctx) => ctx.patientId,
+      timestamp: (record, ctx) => ctx.formatTime(record.timestamp),
+      measuredAt: (record, ctx) => ctx.formatTime(record.measuredAt),
+      measuredAtSource: record => record.measuredAtSource,
+      receivedAt: (record, ctx) => ctx.formatTime(record.receivedAt),
+      heartRate: record => record.heartRate,
+      heartRateAvg: record => record.heartRateAvg,
+      heartRateValid: record => record.heartRateValid,
+      spo2: record => record.spo2,
+      spo2Valid: record => record.spo2Valid,
+      // Sentinels and other invalid temperatures are exported as sent, not converted
+      temperature: (record, ctx) => (isValidVital('temperature', record) ?
+        convertTemperature(record.temperature, ctx.units.temperature) :
+        record.temperature),
+      temperatureUnit: (record, ctx) => ctx.units.temperature,
+      red: record => record.red,
+      ir: record => record.ir,
+      fingerDetected: record => record.fingerDetected,
+      ingestionMode: record => record.ingestionMode,
+      provenance: record => getProvenance(record),
+      heartRateProvenance: record => getFieldProvenance(record, 'heartRate'),
+      spo2Provenance: record => getFieldProvenance(record, 'spo2'),
+      temperatureProvenance: record => getFieldProvenance(record, 'temperature'),
+      simulatedHealthy: record => getProvenance(record) === 'simulated',
+      variationApplied: record => Boolean(record.lastValues),
+      qualityScore: record => readingQuality(record).score,
+      qualityLevel: record => readingQuality(record).level,
+      anomalyScore: record => (record.anomaly ? record.anomaly.score : null),
+      anomalyLevel: record => (record.anomaly ? record.anomaly.level : null),
+      heartRateCategory: (record, ctx) => vitalCategory('heartRate', record, ctx),
+      spo2Category: (record, ctx) => vitalCategory('spo2', record, ctx),
+      temperatureCategory: (record, ctx) => vitalCategory('temperature', record, ctx),
+      referenceProfile: (record, ctx) => ctx.reference.profile.name,
+      // Glucose carried on readings stored before predictions had their own collection
+      lastGlucose: (record, ctx) => (typeof record.lastGlucose === 'number' ? convertGlucose(record.lastGlucose, ctx.units.glucose) : null),
+      glucoseCategory: (record, ctx) => (typeof record.lastGlucose === 'number' ?
+        interpretGlucose(record.lastGlucose, ctx.reference.profile.thresholds).category :
+        null),
+      glucoseUnit: (record, ctx) => ctx.units.glucose
+    },
+
+    predictions: {
+      id: record => record.id,
+      deviceId: record => record.deviceId,
+      patientId: (record, ctx) => ctx.patientId,
+      timestamp: (record, ctx) => ctx.formatTime(record.timestamp),
+      glucose: (record, ctx) => convertGlucose(record.lastGlucose, ctx.units.glucose),
+      glucoseUnit: (record, ctx) => ctx.units.glucose,
+      // Category, status and profile as interpreted when the estimate was made
+      category: record => record.prediction.category,
+      status: record => record.prediction.status,
+      rangeLow: (record, ctx) => (record.prediction.range ? convertGlucose(record.prediction.range.low, ctx.units.glucose) : null),
+      rangeHigh: (record, ctx) => (record.prediction.range ? convertGlucose(record.prediction.range.high, ctx.units.glucose) : null),
+      standardDeviation: (record, ctx) => convertGlucose(record.prediction.standardDeviation, ctx.units.glucose),
+      source: record => record.prediction.source,
+      modelVersion: record => record.prediction.modelVersion,
+      previousGlucose: (record, ctx) => convertGlucose(record.previousGlucose, ctx.units.glucose),
+      glucoseVariation: (record, ctx) => convertGlucose(record.glucoseVariation, ctx.units.glucose),
+      simulatedGlucose: record => record.simulatedGlucose,
+      referenceProfile: record => record.referenceProfile,
+      heartRate: record => record.input.heartRate,
+      heartRateAvg: record => record.input.heartRateAvg,
+      spo2: record => record.input.spo2,
+      temperature: (record, ctx) => convertTemperature(record.input.temperature, ctx.units.temperature),
+      temperatureUnit: (record, ctx) => ctx.units.temperature,
+      sourceRecordId: record => record.sourceRecordId,
+      scenario: record => (record.scenario ? record.scenario.name : null)
+    }
+  };
+
+  const EXPORT_TYPES = {
+    readings: { storeName: 'sensorData', timeOf: readingTimeOf, sheetName: 'Readings', fileLabel: 'sensor_readings' },
+    predictions: { storeName: 'glucosePredictions', timeOf: record => new Date(record.timestamp).getTime(), sheetName: 'Glucose predictions', fileLabel: 'glucose_predictions' }
+  };
+
+  // Filters and presentation shared by both export endpoints
+  const EXPORT_QUERY = {
+    deviceId: { type: 'string' },
+    patientId: { type: 'string', description: 'Readings of the patient\'s devices while assigned to them' },
+    ...DATE_RANGE_QUERY,
+    timeZone: { type: 'string', description: 'IANA time zone of timestamps (default UTC)' },
+    gzip: { type: 'string', values: FLAG_VALUES, description: 'Compress the file' },
+    ...UNITS_QUERY
+  };
+
+  // Resolve the query into an export plan: { plan } or { status, body } to respond with
+  const planExport = async (req, { format, type, columns }) => {
+    const { deviceId, patientId, startDate, endDate, timeZone = 'UTC' } = req.query;
+
+    if (deviceId && patientId) {
+      return { status: 400, body: { error: 'Invalid filters', message: 'Filter by deviceId or patientId, not both' } };
+    }
+
+    const start = startDate ? new Date(startDate) : undefined;
+    const end = endDate ? new Date(endDate) : undefined;
+    if (start && end && start > end) {
+      return { status: 400, body: { error: 'Invalid date range', message: 'startDate must not be after endDate' } };
+    }
+
+    const formatTime = createTimeFormatter(String(timeZone));
+    if (!formatTime) {
+      return { status: 400, body: { error: 'Invalid timeZone', message: 'timeZone must be an IANA time zone such as UTC or Europe/Berlin' } };
+    }
+
+    const gzip = parseFlag(req.query.gzip);
+
+    const catalogue = COLUMNS[type];
+    const requested = columns || (req.query.columns && req.query.columns !== 'all' ?
+      String(req.query.columns).split(',').map(column => column.trim()).filter(Boolean).map(column => [column, column]) :
+      Object.keys(catalogue).map(column => [column, column]));
+    const unknown = requested.filter(([, column]) => !catalogue[column]).map(([, column]) => column);
+    if (requested.length === 0 || unknown.length > 0) {
+      return {
+        status: 400,
+        body: {
+          error: 'Invalid columns',
+          message: unknown.length > 0 ? `Unknown columns: ${unknown.join(', ')}` : 'columns must name at least one column',
+          availableColumns: Object.keys(catalogue)
+        }
+      };
+    }
+
+    // Which records: one criteria per device scope, or one per assignment of the patient
+    let criteriaList;
+    let patient = null;
+    if (patientId) {
+      patient = await stores.patients.get(String(patientId));
+      if (!patient && req.user.role === 'admin') {
+        return { status: 404, body: { error: 'Patient not found', patientId: patientId } };
+      }
+      if (!auth.canAccessPatient(req.user, patient)) {
+        return { status: 403, body: { error: 'Access denied', message: `Not authorized for patient ${patientId}`, patientId: patientId } };
+      }
+      const segments = await patientSegments(stores, patient.id);
+      criteriaList = segments.map(segment => segmentCriteria(segment, { start, end })).filter(Boolean);
+    } else {
+      const scope = await auth.deviceScope(req.user, deviceId);
+      if (!scope) {
+        return { status: 403, body: { error: 'Access denied', message: `Not authorized for device ${deviceId}`, deviceId: deviceId } };
+      }
+      criteriaList = [{ ...scope, start, end }];
+    }
+
+    // One unit per column: the patient's or device's preference, the defaults across devices
+    const baseReference = await referenceFor(patient ? { patient } : { deviceId });
+    const units = unitsFromQuery(req.query, baseReference.units);
+    if (!units) {
+      return {
+        status: 400,
+        body: {
+          error: 'Invalid units',
+          message: `glucoseUnit must be one of: ${UNITS.glucose.join(', ')}; temperatureUnit must be one of: ${UNITS.temperature.join(', ')}`
+        }
+      };
+    }
+
+    const collection = stores[EXPORT_TYPES[type].storeName];
+    if (format === 'xlsx') {
+      const counts = await Promise.all(criteriaList.map(criteria => collection.count(criteria)));
+      const total = counts.reduce((sum, count) => sum + count, 0);
+      if (total > MAX_XLSX_ROWS) {
+        return {
+          status: 400,
+          body: {
+            error: 'Too many rows',
+            message: `${total} records match, an XLSX worksheet holds at most ${MAX_XLSX_ROWS}; narrow the date range or use CSV or NDJSON`
+          }
+        };
+      }
+    }
+
+    return {
+      plan: {
+        format,
+        type,
+        gzip,
+        collection,
+        criteriaList,
+        columns: requested,
+        patient,
+        units,
+        formatTime,
+        baseReference,
+        subject: patient ? `patient_${fileSafe(patient.id)}` : deviceId ? fileSafe(deviceId) : 'all'
+      }
+    };
+  };
+
+  // Stream an export to the response. emptyIsNotFound answers 404 when nothing matches instead of an
+  // export with only a header row (the original CSV endpoint's behaviour).
+  const sendExport = async (req, res, options) => {
+    const { plan, status, body } = await planExport(req, options);
+    if (!plan) {
+      return res.status(status).json(body);
+    }
+
+    const { format, type, gzip, collection, criteriaList, columns, patient, units, formatTime } = plan;
+    const { timeOf, sheetName, fileLabel } = EXPORT_TYPES[type];
+    const catalogue = COLUMNS[type];
+
+    const records = streamRecords(collection, criteriaList, timeOf);
+    // The first record is read before responding, so an empty export or a storage error can still be
+    // answered with a status code
+    let next = await records.next();
+    if (next.done && options.emptyIsNotFound) {
+      return res.status(404).json({ error: 'No data to export' });
+    }
+
+    // Each device's current reference ranges; a patient's apply to all of their devices
+    const references = new Map();
+    const referenceOf = async (deviceId) => {
+      if (patient) return plan.baseReference;
+      if (!references.has(deviceId)) references.set(deviceId, await referenceFor({ deviceId }));
+      return references.get(deviceId);
+    };
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const fileName = `${options.filePrefix || `${fileLabel}_${plan.subject}`}_${Date.now()}.${extension}${gzip ? '.gz' : ''}`;
+    res.setHeader('Content-Type', gzip ? 'application/gzip' : contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    let output = res;
+    const finished = new Promise(resolve => {
+      if (gzip) {
+        output = zlib.createGzip();
+        pipeline(output, res, () => resolve());
+      } else {
+        res.once('close', resolve);
+      }
+    });
+
+    const writer = createExportWriter(format, output, { columns: columns.map(([header]) => header), sheetName });
+    let rows = 0;
+    try {
+      while (!next.done) {
+        const { record } = next.value;
+        const ctx = { units, formatTime, patientId: patient ? patient.id : null, reference: await referenceOf(record.deviceId) };
+        await writer.addRow(columns.map(([, column]) => catalogue[column](record, ctx)));
+        rows += 1;
+        next = await records.next();
+      }
+      await writer.finish();
+      output.end();
+      await finished;
+      if (!res.writableFinished) {
+        console.warn(`Export of ${type} for ${plan.subject} ended early: the client disconnected`);
+        return;
+      }
+      console.log(`Exported ${rows} ${type} as ${format}${gzip ? ' (gzip)' : ''} for ${plan.subject}`);
+    } catch (error) {
+      // Headers are out, so the only way left to signal failure is to cut the response short
+      if (error.code !== EXPORT_OUTPUT_CLOSED) console.error('Error streaming export:', error);
+      await records.return();
+      output.destroy();
+      res.destroy();
+    }
+  };
+
+  const handle = (options) => async (req, res) => {
+    try {
+      await sendExport(req, res, options(req));
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  };
+
+  // GET /api/export - ?format=csv|ndjson|xlsx (csv), type=readings|predictions (readings), deviceId= or patientId=,
+  // startDate=, endDate=, columns=a,b,c (all), timeZone= (UTC), gzip=true, glucoseUnit=, temperatureUnit=
+  router.get('/export', {
+    summary: 'Stream readings or glucose predictions as CSV, NDJSON or XLSX',
+    query: {
+      format: { type: 'string', values: Object.keys(EXPORT_FORMATS), description: 'Default: csv' },
+      type: { type: 'string', values: Object.keys(EXPORT_TYPES), description: 'Default: readings' },
+      columns: { type: 'list', description: 'Columns to include (default all; see /api/export/columns)' },
+      ...EXPORT_QUERY
+    },
+    response: { description: 'The export file', content: Object.values(EXPORT_FORMATS).map(entry => entry.contentType.split(';')[0]) }
+  }, auth.requireUser, handle(req => ({
+    format: req.query.format || 'csv',
+    type: req.query.type || 'readings'
+  })));
+
+  // GET /api/export/columns - the columns each export type offers
+  router.get('/export/columns', { summary: 'Columns each export type offers' }, auth.requireUser, (req, res) => {
+    res.json({
+      success: true,
+      formats: Object.keys(EXPORT_FORMATS),
+      types: Object.keys(EXPORT_TYPES).reduce((types, type) => ({ ...types, [type]: Object.keys(COLUMNS[type]) }), {})
+    });
+  });
+
+  // GET /api/sensor-data/export/csv - the original readings CSV, now streamed (same filters as /api/export)
+  router.get('/sensor-data/export/csv', {
+    summary: 'Readings as the original CSV export',
+    query: EXPORT_QUERY,
+    response: { description: 'CSV file', content: ['text/csv'] }
+  }, auth.requireUser, handle(() => ({
+    format: 'csv',
+    type: 'readings',
+    columns: LEGACY_CSV_COLUMNS,
+    filePrefix: 'medical_standard_sensor_data',
+    emptyIsNotFound: true
+  })));
+
+  return router;
+};
+
+module.exports = createExportRouter;
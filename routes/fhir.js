@@ -0,0 +1,309 @@
+// HL7 FHIR R4 read and search endpoints for partner systems (application/fhir+json).
+// Observations are built on request from readings and glucose predictions; see lib/fhir.js.
+const { createApiRouter } = require('../lib/api');
+const {
+  OBSERVATION_CODES,
+  codeKeysFor,
+  patientIdFor,
+  deviceResource,
+  patientResource,
+  readingObservations,
+  predictionObservation,
+  searchBundle,
+  operationOutcome
+} = require('../lib/fhir');
+
+const FHIR_JSON = 'application/fhir+json';
+const DEFAULT_COUNT = 100;
+const MAX_COUNT = 1000;
+const SIMULATED_MODES = ['exclude', 'include', 'only'];
+
+// Range covered by a FHIR date search value: ge/gt/le/lt/eq prefix, and eq spans the value's precision
+// (a day for 2025-06-29, a month for 2025-06); returns { start, end } in epoch ms or null when invalid
+const dateRange = (value) => {
+  const match = String(value).match(/^(eq|ge|gt|le|lt)?(\d{4}(-\d{2}(-\d{2}(T.+)?)?)?)$/);
+  if (!match) return null;
+
+  const [, prefix = 'eq', date] = match;
+  const from = new Date(date.length === 4 ? `${date}-01-01` : date.length === 7 ? `${date}-01` : date);
+  if (isNaN(from.getTime())) return null;
+
+  const to = new Date(from);
+  if (date.length === 4) to.setUTCFullYear(to.getUTCFullYear() + 1);
+  else if (date.length === 7) to.setUTCMonth(to.getUTCMonth() + 1);
+  else if (date.length === 10) to.setUTCDate(to.getUTCDate() + 1);
+  else to.setTime(to.getTime() + 1);
+
+  switch (prefix) {
+    case 'ge': return { start: from.getTime() };
+    case 'gt': return { start: to.getTime() };
+    case 'le': return { end: to.getTime() - 1 };
+    case 'lt': return { end: from.getTime() - 1 };
+    default: return { start: from.getTime(), end: to.getTime() - 1 };
+  }
+};
+
+// Search parameters are checked against the route's schema; an invalid search gets an OperationOutcome
+const invalidSearch = (res, errors) => res.status(400).type(FHIR_JSON).json(operationOutcome(
+  'invalid',
+  errors.map(error => `${error.field} ${error.message}`).join('; ')
+));
+
+const FHIR_RESPONSE = { description: 'FHIR resource', content: [FHIR_JSON] };
+
+// Strip the resource type from a reference search value ("Device/d1" -> "d1")
+const referenceId = (value, type) => String(value).replace(new RegExp(`^(.*/)?${type}/`), '');
+
+// helpers: { isValidVital, getFieldProvenance } from the ingestion code
+const createFhirRouter = ({ stores, auth, isValidVital, getFieldProvenance }) => {
+  const router = createApiRouter();
+
+  const send = (res, status, resource) => res.status(status).type(FHIR_JSON).json(resource);
+
+  const baseUrlOf = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+  const sendError = (res, label, error) => {
+    console.error(`Error serving FHIR ${label}:`, error);
+    send(res, 500, operationOutcome('exception', error.message));
+  };
+
+  // Registered devices the caller may read, as { deviceId: device }
+  const accessibleDevices = async (user) => {
+    const deviceIds = await auth.accessibleDeviceIds(user);
+    const devices = await stores.devices.query(deviceIds === null ? {} : { where: { id: deviceIds } });
+    return devices.reduce((map, device) => ({ ...map, [device.id]: device }), {});
+  };
+
+  // Observations of the given devices, newest first
+  const collectObservations = async (devices, { start, end, codeKeys, simulated }) => {
+    const deviceIds = Object.keys(devices);
+    if (deviceIds.length === 0) return [];
+
+    const readings = codeKeys.some(key => key !== 'glucose') ?
+      await stores.sensorData.query({ deviceIds, start, end }) :
+      [];
+    const predictions = codeKeys.includes('glucose') ?
+      await stores.glucosePredictions.query({ deviceIds, start, end }) :
+      [];
+
+    const observations = [
+      ...[].concat(...readings.map(record => readingObservations(record, devices[record.deviceId], { isValidVital, getFieldProvenance }))),
+      ...predictions.map(prediction => predictionObservation(prediction, devices[prediction.deviceId]))
+    ];
+
+    return observations
+      .filter(observation => codeKeys.includes(observation.id.slice(observation.id.indexOf('-') + 1)))
+      .filter(observation => {
+        const isSimulated = observation.meta.tag[0].code === 'simulated';
+        return simulated === 'include' || (simulated === 'only' ? isSimulated : !isSimulated);
+      })
+      .sort((a, b) => new Date(b.effectiveDateTime) - new Date(a.effectiveDateTime));
+  };
+
+  // GET /api/fhir/metadata - capability statement
+  router.get('/metadata', { summary: 'FHIR capability statement', response: FHIR_RESPONSE }, (req, res) => {
+    send(res, 200, {
+      resourceType: 'CapabilityStatement',
+      status: 'active',
+      date: new Date().toISOString(),
+      kind: 'instance',
+      fhirVersion: '4.0.1',
+      format: [FHIR_JSON, 'json'],
+      rest: [{
+        mode: 'server',
+        security: { description: 'Bearer token (admin or device owner) in the Authorization header' },
+        resource: [
+          {
+            type: 'Observation',
+            interaction: [{ code: 'read' }, { code: 'search-type' }],
+            searchParam: [
+              { name: 'patient', type: 'reference' },
+              { name: 'device', type: 'reference' },
+              { name: 'date', type: 'date' },
+              { name: 'code', type: 'token' },
+              { name: 'simulated', type: 'token', documentation: 'exclude (default), include or only' }
+            ]
+          },
+          { type: 'Device', interaction: [{ code: 'read' }, { code: 'search-type' }], searchParam: [{ name: 'patient', type: 'reference' }] },
+          { type: 'Patient', interaction: [{ code: 'read' }, { code: 'search-type' }] }
+        ]
+      }]
+    });
+  });
+
+  // GET /api/fhir/Observation - searchset Bundle (?patient=&device=&date=ge...&date=le...&code=&_count=&_offset=&simulated=)
+  router.get('/Observation', {
+    summary: 'Search Observations of vitals and glucose (searchset Bundle)',
+    query: {
+      patient: { type: 'string', description: 'Patient reference' },
+      device: { type: 'string', description: 'Device reference' },
+      date: { type: 'string', repeatable: true, description: 'Date with an optional ge, gt, le, lt or eq prefix' },
+      code: { type: 'string', description: 'Comma-separated LOINC codes or system|code tokens' },
+      simulated: { type: 'string', values: SIMULATED_MODES, description: 'Observations of simulated values (default exclude)' },
+      _count: { type: 'integer', min: 0, description: `Page size (default ${DEFAULT_COUNT}, at most ${MAX_COUNT})` },
+      _offset: { type: 'integer', min: 0 }
+    },
+    response: FHIR_RESPONSE,
+    invalid: invalidSearch
+  }, auth.requireUser, async (req, res) => {
+    try {
+      const { patient, device, code, simulated = 'exclude', _count = DEFAULT_COUNT, _offset = 0 } = req.query;
+
+      let start;
+      let end;
+      for (const value of [].concat(req.query.date || [])) {
+        const range = dateRange(value);
+        if (!range) {
+          return send(res, 400, operationOutcome('invalid', `Invalid date search value: ${value}`));
+        }
+        if (range.start !== undefined) start = Math.max(start === undefined ? -Infinity : start, range.start);
+        if (range.end !== undefined) end = Math.min(end === undefined ? Infinity : end, range.end);
+      }
+
+      const codeKeys = code ? [].concat(...String(code).split(',').map(codeKeysFor)) : Object.keys(OBSERVATION_CODES);
+      const count = Math.min(Math.max(parseInt(_count) || DEFAULT_COUNT, 0), MAX_COUNT);
+      const offset = Math.max(parseInt(_offset) || 0, 0);
+
+      let devices = await accessibleDevices(req.user);
+      if (device) {
+        const id = referenceId(device, 'Device');
+        devices = devices[id] ? { [id]: devices[id] } : {};
+      }
+      if (patient) {
+        const id = referenceId(patient, 'Patient');
+        devices = Object.keys(devices)
+          .filter(deviceId => patientIdFor(devices[deviceId].owner) === id)
+          .reduce((map, deviceId) => ({ ...map, [deviceId]: devices[deviceId] }), {});
+      }
+
+      const observations = await collectObservations(devices, { start, end, codeKeys, simulated });
+      const page = observations.slice(offset, offset + count);
+
+      // Devices and patients referenced by the page are included once each
+      const pageDeviceIds = [...new Set(page.map(observation => observation.device.reference.split('/')[1]))];
+      const owners = [...new Set(pageDeviceIds.map(deviceId => devices[deviceId].owner).filter(Boolean))];
+      const entries = [
+        ...page.map(resource => ({ resource, mode: 'match' })),
+        ...pageDeviceIds.map(deviceId => ({ resource: deviceResource(deviceId, devices[deviceId]), mode: 'include' })),
+        ...owners.map(owner => ({ resource: patientResource(owner), mode: 'include' }))
+      ];
+
+      const bundle = searchBundle(baseUrlOf(req), `${baseUrlOf(req)}${req.url}`, observations.length, entries);
+      if (offset + count < observations.length) {
+        const next = new URLSearchParams();
+        Object.keys(req.query)
+          .filter(name => name !== '_offset' && name !== '_count')
+          .forEach(name => [].concat(req.query[name]).forEach(value => next.append(name, value)));
+        next.set('_count', String(count));
+        next.set('_offset', String(offset + count));
+        bundle.link.push({ relation: 'next', url: `${baseUrlOf(req)}/Observation?${next}` });
+      }
+
+      send(res, 200, bundle);
+
+    } catch (error) {
+      sendError(res, 'Observation search', error);
+    }
+  });
+
+  // GET /api/fhir/Observation/:id - one Observation (`<recordId>-<code>`)
+  router.get('/Observation/:id', { summary: 'An Observation (<recordId>-<code>)', response: FHIR_RESPONSE }, auth.requireUser, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const separator = id.indexOf('-');
+      const recordId = id.slice(0, separator);
+      const key = id.slice(separator + 1);
+
+      const record = separator > 0 ?
+        await (key === 'glucose' ? stores.glucosePredictions : stores.sensorData).get(recordId) :
+        null;
+      const devices = record ? await accessibleDevices(req.user) : {};
+
+      const observation = record && devices[record.deviceId] ?
+        (key === 'glucose' ?
+          [predictionObservation(record, devices[record.deviceId])] :
+          readingObservations(record, devices[record.deviceId], { isValidVital, getFieldProvenance })
+        ).find(resource => resource.id === id) :
+        null;
+
+      if (!observation) {
+        return send(res, 404, operationOutcome('not-found', `Observation/${id} not found`));
+      }
+
+      send(res, 200, observation);
+
+    } catch (error) {
+      sendError(res, 'Observation read', error);
+    }
+  });
+
+  // GET /api/fhir/Device - registered devices the caller may read (?patient=)
+  router.get('/Device', {
+    summary: 'Search devices',
+    query: { patient: { type: 'string', description: 'Patient reference' } },
+    response: FHIR_RESPONSE,
+    invalid: invalidSearch
+  }, auth.requireUser, async (req, res) => {
+    try {
+      const devices = Object.values(await accessibleDevices(req.user))
+        .filter(device => !req.query.patient || patientIdFor(device.owner) === referenceId(req.query.patient, 'Patient'));
+
+      send(res, 200, searchBundle(baseUrlOf(req), `${baseUrlOf(req)}${req.url}`, devices.length,
+        devices.map(device => ({ resource: deviceResource(device.id, device), mode: 'match' }))));
+
+    } catch (error) {
+      sendError(res, 'Device search', error);
+    }
+  });
+
+  // GET /api/fhir/Device/:id
+  router.get('/Device/:id', { summary: 'A device', response: FHIR_RESPONSE }, auth.requireUser, async (req, res) => {
+    try {
+      const device = (await accessibleDevices(req.user))[req.params.id];
+
+      if (!device) {
+        return send(res, 404, operationOutcome('not-found', `Device/${req.params.id} not found`));
+      }
+
+      send(res, 200, deviceResource(device.id, device));
+
+    } catch (error) {
+      sendError(res, 'Device read', error);
+    }
+  });
+
+  // GET /api/fhir/Patient - owners of the devices the caller may read
+  router.get('/Patient', { summary: 'Search patients (owners of the caller\'s devices)', response: FHIR_RESPONSE }, auth.requireUser, async (req, res) => {
+    try {
+      const owners = [...new Set(Object.values(await accessibleDevices(req.user)).map(device => device.owner).filter(Boolean))];
+
+      send(res, 200, searchBundle(baseUrlOf(req), `${baseUrlOf(req)}${req.url}`, owners.length,
+        owners.map(owner => ({ resource: patientResource(owner), mode: 'match' }))));
+
+    } catch (error) {
+      sendError(res, 'Patient search', error);
+    }
+  });
+
+  // GET /api/fhir/Patient/:id
+  router.get('/Patient/:id', { summary: 'A patient', response: FHIR_RESPONSE }, auth.requireUser, async (req, res) => {
+    try {
+      const owner = Object.values(await accessibleDevices(req.user))
+        .map(device => device.owner)
+        .find(candidate => candidate && patientIdFor(candidate) === req.params.id);
+
+      if (!owner) {
+        return send(res, 404, operationOutcome('not-found', `Patient/${req.params.id} not found`));
+      }
+
+      send(res, 200, patientResource(owner));
+
+    } catch (error) {
+      sendError(res, 'Patient read', error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createFhirRouter;
@@ -0,0 +1,227 @@
+// Health score history per device, and the versioned weights scores are computed with.
+// A score is stored for every reading as a derived metrics record of kind 'health-score', together with
+// the interpretations it was computed from, so any score can be recomputed with any weights version.
+const { createApiRouter, DATE_RANGE_QUERY } = require('../lib/api');
+const { INTERVALS, aggregateBuckets } = require('../lib/aggregate');
+const { SCORE_INPUTS, scoreHealth, explainChange, significantChanges } = require('../lib/healthScore');
+
+// Score changes of at least this many points are reported by default (one caution penalty)
+const DEFAULT_MIN_CHANGE = 10;
+
+// History covers the last 7 days unless a range is given
+const DEFAULT_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const MAX_BUCKETS = 2000;
+
+const BUCKET_METRICS = ['score', ...SCORE_INPUTS].reduce((metrics, name) => ({ ...metrics, [name]: { decimals: 1 } }), {});
+
+// One stored score as a history point, recomputed when weights (another version) are given
+const toPoint = (record, weights) => {
+  const { inputs, referenceProfile, provenance } = record.metrics;
+  const scored = weights ? scoreHealth(inputs, weights) : record.metrics;
+
+  return {
+    time: record.timestamp,
+    recordId: record.sourceRecordId,
+    score: scored.score,
+    status: scored.status,
+    weightsVersion: scored.weightsVersion,
+    contributions: scored.contributions,
+    factors: scored.factors,
+    inputs: inputs,
+    referenceProfile: referenceProfile,
+    provenance: provenance
+  };
+};
+
+// Bucket averages of the score and of every input's contribution; empty buckets have null scores
+const toBuckets = (points, { start, end, intervalMs }) => aggregateBuckets(
+  points.map(point => ({
+    time: new Date(point.time).getTime(),
+    values: { score: point.score, ...point.contributions }
+  })),
+  { start, end, intervalMs, metrics: BUCKET_METRICS, percentiles: [] }
+).map(bucket => ({
+  time: bucket.start,
+  end: bucket.end,
+  count: bucket.score.count,
+  score: bucket.score.mean,
+  min: bucket.score.min,
+  max: bucket.score.max,
+  contributions: SCORE_INPUTS.reduce((contributions, input) => ({ ...contributions, [input]: bucket[input].mean }), {})
+}));
+
+const createHealthScoreRouter = ({ stores, auth, weights }) => {
+  const router = createApiRouter();
+
+  // GET /api/health-score/weights - every weights version and the active one
+  router.get('/weights', { summary: 'Every weights version and the active one' }, auth.requireUser, (req, res) => {
+    res.json({
+      success: true,
+      active: weights.active().version,
+      versions: weights.list()
+    });
+  });
+
+  // POST /api/health-score/weights - add a weights version (admin); activated unless activate is false.
+  // Body: { description?, penalties?: { input: { warning, caution, error } }, statusBands?: [{ status, min }] }
+  // with penalties merged over the active version's.
+  router.post('/weights', {
+    summary: 'Add a weights version',
+    body: {
+      fields: {
+        description: { type: 'string' },
+        penalties: { type: 'object', description: 'Per input: { warning, caution, error } points, merged over the active version\'s' },
+        statusBands: { type: 'array', items: 'object', description: '[{ status, min }]' },
+        activate: { type: 'boolean', description: 'Activate the new version (default true)' }
+      }
+    }
+  }, auth.requireAdmin, (req, res) => {
+    const { activate = true, ...spec } = req.body;
+    const { weights: created, error } = weights.create(spec);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid weights',
+        message: error
+      });
+    }
+
+    if (activate !== false) {
+      weights.setActive(created.version);
+    }
+    console.log(`Health score weights version ${created.version} created${activate !== false ? ' and activated' : ''}`);
+
+    res.status(201).json({
+      success: true,
+      weights: created,
+      active: weights.active().version
+    });
+  });
+
+  // PUT /api/health-score/weights/active - switch the weights new scores are computed with (admin)
+  router.put('/weights/active', {
+    summary: 'Switch the weights new scores are computed with',
+    body: { fields: { version: { type: 'any', required: true, description: 'Weights version (string or number)' } } }
+  }, auth.requireAdmin, (req, res) => {
+    const { version } = req.body;
+
+    if (!version) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missingFields: ['version']
+      });
+    }
+
+    if (!weights.setActive(String(version))) {
+      return res.status(404).json({
+        error: 'Weights not found',
+        version: version,
+        availableVersions: weights.list().map(entry => entry.version)
+      });
+    }
+
+    console.log(`Health scores now use weights version ${weights.active().version}`);
+    res.json({
+      success: true,
+      active: weights.active().version
+    });
+  });
+
+  // GET /api/health-score/:deviceId/history - score trend, contributions and significant changes.
+  // ?startDate=&endDate= (last 7 days by default), ?interval= to average into buckets, ?minChange= points,
+  // ?weightsVersion= to recompute every score with one version instead of the one it was stored with.
+  router.get('/:deviceId/history', {
+    summary: 'Score trend, vital contributions and significant changes',
+    query: {
+      ...DATE_RANGE_QUERY,
+      interval: { type: 'string', values: Object.keys(INTERVALS), description: 'Average scores into buckets of this size' },
+      minChange: { type: 'number', min: 0, description: `Smallest score change reported, in points (default ${DEFAULT_MIN_CHANGE})` },
+      weightsVersion: { type: 'string', description: 'Recompute every score with this weights version' },
+      limit: { type: 'integer', min: 1, description: 'Newest scores to use (default 1000)' }
+    }
+  }, auth.requireDeviceAccess, async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const { interval, limit = 1000 } = req.query;
+
+      const end = new Date(req.query.endDate || Date.now()).getTime();
+      const start = new Date(req.query.startDate || end - DEFAULT_RANGE_MS).getTime();
+      if (!Number.isFinite(start) || !Number.isFinite(end) || start > end) {
+        return res.status(400).json({
+          error: 'Invalid time range',
+          message: 'startDate and endDate must be dates with startDate before endDate'
+        });
+      }
+
+      const intervalMs = interval ? INTERVALS[interval] : null;
+      if (intervalMs && Math.floor(end / intervalMs) - Math.floor(start / intervalMs) + 1 > MAX_BUCKETS) {
+        return res.status(400).json({
+          error: 'Too many buckets',
+          message: `At most ${MAX_BUCKETS} buckets; use a larger interval or a shorter range`
+        });
+      }
+
+      const minChange = req.query.minChange !== undefined ? Number(req.query.minChange) : DEFAULT_MIN_CHANGE;
+
+      const rescoreWith = req.query.weightsVersion !== undefined ? weights.get(req.query.weightsVersion) : null;
+      if (req.query.weightsVersion !== undefined && !rescoreWith) {
+        return res.status(404).json({
+          error: 'Weights not found',
+          version: req.query.weightsVersion,
+          availableVersions: weights.list().map(entry => entry.version)
+        });
+      }
+
+      // The newest scores up to limit, oldest first
+      const criteria = { deviceId, where: { kind: 'health-score' }, start, end };
+      const total = await stores.derivedMetrics.count(criteria);
+      const records = await stores.derivedMetrics.query({ ...criteria, order: 'desc', limit: parseInt(limit) });
+      const points = records.reverse().map(record => toPoint(record, rescoreWith));
+
+      const series = intervalMs ?
+        toBuckets(points, { start, end, intervalMs }) :
+        points;
+      const scored = series.filter(point => point.score !== null);
+
+      const first = scored[0];
+      const last = scored[scored.length - 1];
+      const scores = scored.map(point => point.score);
+
+      res.json({
+        success: true,
+        deviceId: deviceId,
+        start: new Date(start).toISOString(),
+        end: new Date(end).toISOString(),
+        interval: interval || null,
+        weightsVersion: rescoreWith ? rescoreWith.version : 'as stored',
+        activeWeightsVersion: weights.active().version,
+        summary: {
+          count: points.length,
+          total: total,
+          latest: last ? { time: last.time, score: last.score, status: last.status || null } : null,
+          average: scores.length > 0 ? +(scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(1) : null,
+          min: scores.length > 0 ? Math.min(...scores) : null,
+          max: scores.length > 0 ? Math.max(...scores) : null,
+          change: first && last && first !== last ?
+            { from: first.time, to: last.time, delta: +(last.score - first.score).toFixed(1), ...explainChange(first, last) } :
+            null
+        },
+        minChange: minChange,
+        significantChanges: significantChanges(scored, minChange),
+        [intervalMs ? 'buckets' : 'points']: series
+      });
+
+    } catch (error) {
+      console.error('Error fetching health score history:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createHealthScoreRouter;
@@ -0,0 +1,86 @@
+// Heart rate variability per device: the latest rolling window and its history.
+// HRV records are derived metrics of kind 'hrv', written while readings are ingested.
+const { createApiRouter, PAGINATION_QUERY, DATE_RANGE_QUERY } = require('../lib/api');
+const { describeHrv } = require('../lib/hrv');
+
+const createHrvRouter = ({ stores, auth }) => {
+  const router = createApiRouter();
+
+  // GET /api/hrv/:deviceId - HRV over the latest window
+  router.get('/:deviceId', { summary: 'HRV over the latest window' }, auth.requireDeviceAccess, async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const [latest] = await stores.derivedMetrics.query({ deviceId, where: { kind: 'hrv' }, order: 'desc', limit: 1 });
+
+      if (!latest) {
+        return res.status(404).json({
+          error: 'No HRV data found',
+          message: `Device ${deviceId} has not sent enough beat-to-beat intervals (interBeatIntervals or PPG windows) for HRV`,
+          deviceId: deviceId
+        });
+      }
+
+      res.json({
+        success: true,
+        deviceId: deviceId,
+        hrv: describeHrv(latest)
+      });
+
+    } catch (error) {
+      console.error('Error fetching HRV:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/hrv/:deviceId/history - one entry per computed window, newest first
+  router.get('/:deviceId/history', {
+    summary: 'HRV of every computed window, newest first',
+    query: { ...DATE_RANGE_QUERY, ...PAGINATION_QUERY }
+  }, auth.requireDeviceAccess, async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const { startDate, endDate, limit = 100, offset = 0 } = req.query;
+
+      const criteria = {
+        deviceId,
+        where: { kind: 'hrv' },
+        start: startDate ? new Date(startDate) : undefined,
+        end: endDate ? new Date(endDate) : undefined
+      };
+
+      const total = await stores.derivedMetrics.count(criteria);
+      const records = await stores.derivedMetrics.query({
+        ...criteria,
+        order: 'desc',
+        offset: parseInt(offset),
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        success: true,
+        deviceId: deviceId,
+        data: records.map(describeHrv),
+        pagination: {
+          total: total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          hasMore: parseInt(offset) + parseInt(limit) < total
+        }
+      });
+
+    } catch (error) {
+      console.error('Error fetching HRV history:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createHrvRouter;
@@ -0,0 +1,96 @@
+// Glucose models: list what is loaded and switch the active model
+const { createApiRouter } = require('../lib/api');
+const { describeModel } = require('../lib/models');
+
+const createModelsRouter = ({ auth, models }) => {
+  const router = createApiRouter();
+
+  // GET /api/models - loaded models and the active one
+  router.get('/', { summary: 'Loaded glucose models and the active one' }, auth.requireUser, (req, res) => {
+    const active = models.active();
+
+    res.json({
+      success: true,
+      active: active ? { name: active.name, version: active.version } : null,
+      count: models.list().length,
+      models: models.list(),
+      loadErrors: models.loadErrors(),
+      message: active ? undefined : 'No glucose model loaded - predictions fall back to simulation'
+    });
+  });
+
+  // PUT /api/models/active - switch the model used for predictions (admin)
+  router.put('/active', {
+    summary: 'Switch the model used for predictions',
+    body: { fields: { version: { type: 'any', required: true, description: 'Model version (string or number)' } } }
+  }, auth.requireAdmin, (req, res) => {
+    const { version } = req.body;
+
+    if (!version) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missingFields: ['version']
+      });
+    }
+
+    if (!models.setActive(String(version))) {
+      return res.status(404).json({
+        error: 'Model not found',
+        version: version,
+        availableVersions: models.list().map(model => model.version)
+      });
+    }
+
+    const active = models.active();
+    console.log(`Active glucose model switched to ${active.name} (version ${active.version})`);
+
+    res.json({
+      success: true,
+      active: { name: active.name, version: active.version },
+      message: `Glucose predictions now use model ${active.version}`
+    });
+  });
+
+  // POST /api/models/reload - pick up newly exported models (admin)
+  router.post('/reload', { summary: 'Load newly exported models', status: 200 }, auth.requireAdmin, (req, res) => {
+    try {
+      const count = models.load();
+      const active = models.active();
+
+      res.json({
+        success: true,
+        count: count,
+        active: active ? { name: active.name, version: active.version } : null,
+        loadErrors: models.loadErrors()
+      });
+
+    } catch (error) {
+      console.error('Error reloading models:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/models/:version - one model's metadata
+  router.get('/:version', { summary: 'One model\'s metadata' }, auth.requireUser, (req, res) => {
+    const model = models.get(req.params.version);
+
+    if (!model) {
+      return res.status(404).json({
+        error: 'Model not found',
+        version: req.params.version
+      });
+    }
+
+    res.json({
+      success: true,
+      model: { ...describeModel(model), active: models.active() === model }
+    });
+  });
+
+  return router;
+};
+
+module.exports = createModelsRouter;
@@ -0,0 +1,392 @@
+// Patients and the devices assigned to them over time
+const { createApiRouter } = require('../lib/api');
+const { REFERENCE_SETTING_FIELDS } = require('../lib/reference');
+const {
+  SEXES,
+  PATIENT_FIELDS,
+  validatePatient,
+  validatePeriod,
+  toPublicPatient,
+  assignmentsOverlap
+} = require('../lib/patients');
+
+const OWNER_EDITABLE_FIELDS = PATIENT_FIELDS.filter(field => field !== 'owner');
+
+const PATIENT_BODY = {
+  name: { type: 'string' },
+  dateOfBirth: { type: 'string', nullable: true, description: 'YYYY-MM-DD' },
+  sex: { type: 'string', nullable: true, values: SEXES },
+  notes: { type: 'string', nullable: true },
+  ...REFERENCE_SETTING_FIELDS,
+  owner: { type: 'string', nullable: true, description: 'Admins only' }
+};
+
+const PERIOD_FIELDS = {
+  start: { type: 'timestamp', description: 'Default: now' },
+  end: { type: 'timestamp', nullable: true, description: 'null while the device is with the patient' }
+};
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+const createPatientsRouter = ({ stores, auth }) => {
+  const router = createApiRouter();
+
+  // Assignment changes run one at a time so two requests cannot both pass the overlap check
+  let assignmentLock = Promise.resolve();
+  const withAssignmentLock = (task) => {
+    const result = assignmentLock.then(task);
+    assignmentLock = result.catch(() => {});
+    return result;
+  };
+
+  // Other assignments of the same device that overlap a period
+  const conflictingAssignments = async (deviceId, period, excludeId) => {
+    const assignments = await stores.deviceAssignments.query({ deviceId });
+    return assignments.filter(assignment => assignment.id !== excludeId && assignmentsOverlap(assignment, period));
+  };
+
+  // POST /api/patients - create a patient (owners create patients they own; admins may set owner)
+  router.post('/', {
+    summary: 'Create a patient (owners create patients they own)',
+    body: { fields: { ...PATIENT_BODY, name: { ...PATIENT_BODY.name, required: true } } }
+  }, auth.requireUser, async (req, res) => {
+    try {
+      const allowedFields = req.user.role === 'admin' ? PATIENT_FIELDS : OWNER_EDITABLE_FIELDS;
+      const now = new Date().toISOString();
+      const patient = {
+        id: Date.now() + Math.random().toString(36).substr(2, 9),
+        name: null,
+        dateOfBirth: null,
+        sex: null,
+        notes: null,
+        referenceProfile: null,
+        customRanges: null,
+        units: null,
+        owner: req.user.role === 'admin' ? null : req.user.owner,
+        ...pick(req.body, allowedFields),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const error = validatePatient(patient);
+      if (error) {
+        return res.status(400).json({ error: 'Invalid patient', message: error });
+      }
+
+      await stores.patients.insert(patient);
+
+      console.log(`Created patient ${patient.id} (owner: ${patient.owner || 'none'})`);
+
+      res.status(201).json({
+        success: true,
+        patient: toPublicPatient(patient)
+      });
+
+    } catch (error) {
+      console.error('Error creating patient:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/patients - list patients (admin: all, owner: their own)
+  router.get('/', { summary: 'Patients (owners: their own)' }, auth.requireUser, async (req, res) => {
+    try {
+      const where = req.user.role === 'admin' ? undefined : { owner: req.user.owner };
+      const patients = await stores.patients.query({ where });
+
+      res.json({
+        success: true,
+        count: patients.length,
+        patients: patients.map(toPublicPatient)
+      });
+
+    } catch (error) {
+      console.error('Error listing patients:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/patients/:patientId - patient details with their device assignments
+  router.get('/:patientId', { summary: 'A patient with their device assignments' }, auth.requirePatientAccess, async (req, res) => {
+    try {
+      const assignments = await stores.deviceAssignments.query({ where: { patientId: req.patient.id } });
+
+      res.json({
+        success: true,
+        patient: toPublicPatient(req.patient),
+        devices: assignments
+      });
+
+    } catch (error) {
+      console.error('Error fetching patient:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // PATCH /api/patients/:patientId - update demographics and notes (only admins may change the owner)
+  router.patch('/:patientId', { summary: 'Update a patient', body: { fields: PATIENT_BODY } }, auth.requirePatientAccess, async (req, res) => {
+    try {
+      const allowedFields = req.user.role === 'admin' ? PATIENT_FIELDS : OWNER_EDITABLE_FIELDS;
+      const rejectedFields = Object.keys(req.body).filter(field => !allowedFields.includes(field));
+
+      if (rejectedFields.length > 0) {
+        return res.status(400).json({
+          error: 'Fields cannot be updated',
+          rejectedFields: rejectedFields,
+          allowedFields: allowedFields
+        });
+      }
+
+      const changes = pick(req.body, allowedFields);
+      const error = validatePatient({ ...req.patient, ...changes });
+      if (error) {
+        return res.status(400).json({ error: 'Invalid patient', message: error });
+      }
+
+      const patient = await stores.patients.update(req.patient.id, {
+        ...changes,
+        updatedAt: new Date().toISOString()
+      });
+
+      res.json({
+        success: true,
+        patient: toPublicPatient(patient)
+      });
+
+    } catch (error) {
+      console.error('Error updating patient:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // DELETE /api/patients/:patientId - delete a patient and their assignments; readings are kept (admin)
+  router.delete('/:patientId', { summary: 'Delete a patient and their assignments; readings are kept' }, auth.requireAdmin, async (req, res) => {
+    try {
+      const deleted = await stores.patients.delete({ id: req.params.patientId });
+
+      if (deleted === 0) {
+        return res.status(404).json({
+          error: 'Patient not found',
+          patientId: req.params.patientId
+        });
+      }
+
+      const deletedAssignments = await stores.deviceAssignments.delete({ where: { patientId: req.params.patientId } });
+
+      console.log(`Deleted patient ${req.params.patientId} and ${deletedAssignments} device assignments`);
+
+      res.json({
+        success: true,
+        patientId: req.params.patientId,
+        deletedAssignments: deletedAssignments
+      });
+
+    } catch (error) {
+      console.error('Error deleting patient:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/patients/:patientId/devices - the patient's device assignments, newest first
+  router.get('/:patientId/devices', { summary: 'Device assignments of a patient, newest first' }, auth.requirePatientAccess, async (req, res) => {
+    try {
+      const assignments = (await stores.deviceAssignments.query({ where: { patientId: req.patient.id } }))
+        .sort((a, b) => new Date(b.start) - new Date(a.start));
+      const now = Date.now();
+
+      res.json({
+        success: true,
+        patientId: req.patient.id,
+        count: assignments.length,
+        assignments: assignments.map(assignment => ({
+          ...assignment,
+          active: new Date(assignment.start).getTime() <= now && (!assignment.end || new Date(assignment.end).getTime() > now)
+        }))
+      });
+
+    } catch (error) {
+      console.error('Error listing device assignments:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // POST /api/patients/:patientId/devices - assign a device for a period ({ deviceId, start?, end? });
+  // start defaults to now and end to null (open). 409 when the device is with someone else then.
+  router.post('/:patientId/devices', {
+    summary: 'Assign a device to a patient for a period',
+    body: { fields: { deviceId: { type: 'string', required: true }, ...PERIOD_FIELDS } }
+  }, auth.requirePatientAccess, async (req, res) => {
+    try {
+      const { deviceId, start = new Date().toISOString(), end = null } = req.body;
+
+      const periodError = validatePeriod({ start, end });
+      if (periodError) {
+        return res.status(400).json({ error: 'Invalid assignment', message: periodError });
+      }
+
+      const device = await stores.devices.get(deviceId);
+      if (!device) {
+        return res.status(404).json({
+          error: 'Device not registered',
+          deviceId: deviceId
+        });
+      }
+      if (!auth.canAccessDevice(req.user, device)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: `Not authorized for device ${deviceId}`,
+          deviceId: deviceId
+        });
+      }
+
+      const outcome = await withAssignmentLock(async () => {
+        const period = {
+          start: new Date(start).toISOString(),
+          end: end === null ? null : new Date(end).toISOString()
+        };
+        const conflicts = await conflictingAssignments(deviceId, period);
+        if (conflicts.length > 0) {
+          return { conflicts };
+        }
+
+        const assignment = {
+          id: Date.now() + Math.random().toString(36).substr(2, 9),
+          patientId: req.patient.id,
+          deviceId: deviceId,
+          ...period,
+          createdAt: new Date().toISOString()
+        };
+        await stores.deviceAssignments.insert(assignment);
+        return { assignment };
+      });
+
+      if (outcome.conflicts) {
+        return res.status(409).json({
+          error: 'Device already assigned',
+          message: `Device ${deviceId} is assigned to another period that overlaps; end that assignment first`,
+          conflicts: outcome.conflicts
+        });
+      }
+
+      console.log(`Assigned device ${deviceId} to patient ${req.patient.id} from ${outcome.assignment.start}${outcome.assignment.end ? ` to ${outcome.assignment.end}` : ''}`);
+
+      res.status(201).json({
+        success: true,
+        assignment: outcome.assignment
+      });
+
+    } catch (error) {
+      console.error('Error assigning device:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // PATCH /api/patients/:patientId/devices/:assignmentId - change the period, e.g. { end } when a device is returned
+  router.patch('/:patientId/devices/:assignmentId', {
+    summary: 'Change the period of a device assignment',
+    body: { fields: PERIOD_FIELDS, additionalFields: false }
+  }, auth.requirePatientAccess, async (req, res) => {
+    try {
+      const existing = await stores.deviceAssignments.get(req.params.assignmentId);
+      if (!existing || existing.patientId !== req.patient.id) {
+        return res.status(404).json({
+          error: 'Assignment not found',
+          assignmentId: req.params.assignmentId
+        });
+      }
+
+      const { start = existing.start, end = existing.end } = req.body;
+      const periodError = validatePeriod({ start, end });
+      if (periodError) {
+        return res.status(400).json({ error: 'Invalid assignment', message: periodError });
+      }
+
+      const outcome = await withAssignmentLock(async () => {
+        const period = {
+          start: new Date(start).toISOString(),
+          end: end === null ? null : new Date(end).toISOString()
+        };
+        const conflicts = await conflictingAssignments(existing.deviceId, period, existing.id);
+        if (conflicts.length > 0) {
+          return { conflicts };
+        }
+        return { assignment: await stores.deviceAssignments.update(existing.id, period) };
+      });
+
+      if (outcome.conflicts) {
+        return res.status(409).json({
+          error: 'Device already assigned',
+          message: `Device ${existing.deviceId} is assigned to another period that overlaps`,
+          conflicts: outcome.conflicts
+        });
+      }
+
+      res.json({
+        success: true,
+        assignment: outcome.assignment
+      });
+
+    } catch (error) {
+      console.error('Error updating device assignment:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // DELETE /api/patients/:patientId/devices/:assignmentId - remove an assignment made in error
+  router.delete('/:patientId/devices/:assignmentId', { summary: 'Remove a device assignment made in error' }, auth.requirePatientAccess, async (req, res) => {
+    try {
+      const existing = await stores.deviceAssignments.get(req.params.assignmentId);
+      if (!existing || existing.patientId !== req.patient.id) {
+        return res.status(404).json({
+          error: 'Assignment not found',
+          assignmentId: req.params.assignmentId
+        });
+      }
+
+      await stores.deviceAssignments.delete({ id: existing.id });
+
+      res.json({
+        success: true,
+        assignmentId: existing.id
+      });
+
+    } catch (error) {
+      console.error('Error deleting device assignment:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createPatientsRouter;
@@ -0,0 +1,101 @@
+// Read endpoints for a typed record collection (glucose predictions, derived metrics)
+const { createApiRouter, PAGINATION_QUERY, DATE_RANGE_QUERY } = require('../lib/api');
+
+// storeName: key in stores; filters: extra equality filters accepted as query parameters;
+// present: optional async (records, query) => records, e.g. to convert units; query: specs of
+// further query parameters that present reads
+const createRecordsRouter = ({ stores, auth, storeName, label, filters = [], present, query = {} }) => {
+  const router = createApiRouter();
+
+  const QUERY = {
+    ...DATE_RANGE_QUERY,
+    ...Object.fromEntries(filters.map(field => [field, { type: 'string' }])),
+    ...PAGINATION_QUERY,
+    ...query
+  };
+
+  // Criteria shared by both endpoints: date range and the extra filters
+  const criteriaFrom = (query) => {
+    const where = {};
+    filters.forEach(field => {
+      if (query[field] !== undefined) where[field] = String(query[field]);
+    });
+
+    return {
+      start: query.startDate ? new Date(query.startDate) : undefined,
+      end: query.endDate ? new Date(query.endDate) : undefined,
+      where: Object.keys(where).length > 0 ? where : undefined
+    };
+  };
+
+  const sendPage = async (req, res, criteria) => {
+    const { limit = 100, offset = 0 } = req.query;
+    const collection = stores[storeName];
+
+    const total = await collection.count(criteria);
+    const data = await collection.query({
+      ...criteria,
+      order: 'desc',
+      offset: parseInt(offset),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      recordType: collection.recordType,
+      data: present ? await present(data, req.query) : data,
+      pagination: {
+        total: total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + parseInt(limit) < total
+      }
+    });
+  };
+
+  // GET / - records of every device the caller may access (?deviceId= to narrow)
+  router.get('/', {
+    summary: `Stored ${label}, newest first`,
+    query: { deviceId: { type: 'string', description: 'Only this device (default: every device the caller can reach)' }, ...QUERY }
+  }, auth.requireUser, async (req, res) => {
+    try {
+      const { deviceId } = req.query;
+
+      const scope = await auth.deviceScope(req.user, deviceId);
+      if (!scope) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: `Not authorized for device ${deviceId}`,
+          deviceId: deviceId
+        });
+      }
+
+      await sendPage(req, res, { ...scope, ...criteriaFrom(req.query) });
+
+    } catch (error) {
+      console.error(`Error fetching ${label}:`, error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /device/:deviceId - records of one device
+  router.get('/device/:deviceId', { summary: `Stored ${label} of a device, newest first`, query: QUERY }, auth.requireDeviceAccess, async (req, res) => {
+    try {
+      await sendPage(req, res, { deviceId: req.params.deviceId, ...criteriaFrom(req.query) });
+
+    } catch (error) {
+      console.error(`Error fetching ${label} for device:`, error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createRecordsRouter;
@@ -0,0 +1,192 @@
+// Replays of recorded sessions through the ingestion pipeline (admin); see lib/replay.js.
+// Sessions come from a JSON file of readings in the replay directory (sensor_data.json is one) or from
+// readings already stored for a device.
+const { createApiRouter } = require('../lib/api');
+const fs = require('fs');
+const path = require('path');
+const { parseSpeed } = require('../lib/replay');
+
+const createReplaysRouter = ({ stores, auth, replays, replayDir, maxReadings }) => {
+  const router = createApiRouter();
+
+  // Readings of a source, oldest first; resolves to { readings, source } or { error }
+  const loadSource = async (source) => {
+    if (source.file !== undefined) {
+      const file = String(source.file);
+      // Only plain file names, so a replay cannot read outside the replay directory
+      if (path.basename(file) !== file || !file.endsWith('.json')) {
+        return { error: 'source.file must be the name of a .json file in the replay directory' };
+      }
+      const fullPath = path.join(replayDir, file);
+      if (!fs.existsSync(fullPath)) {
+        return { error: `Replay file ${file} not found`, status: 404 };
+      }
+
+      let readings;
+      try {
+        readings = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+      } catch (error) {
+        return { error: `Replay file ${file} is not valid JSON: ${error.message}` };
+      }
+      if (!Array.isArray(readings) || readings.some(reading => typeof reading !== 'object' || reading === null)) {
+        return { error: `Replay file ${file} must contain an array of readings` };
+      }
+      return { readings, source: { file } };
+    }
+
+    if (source.deviceId !== undefined) {
+      const start = source.startDate ? new Date(source.startDate) : undefined;
+      const end = source.endDate ? new Date(source.endDate) : undefined;
+      if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+        return { error: 'source.startDate and source.endDate must be dates' };
+      }
+
+      const readings = await stores.sensorData.query({ deviceId: String(source.deviceId), start, end });
+      return {
+        readings,
+        source: {
+          deviceId: String(source.deviceId),
+          startDate: start ? start.toISOString() : null,
+          endDate: end ? end.toISOString() : null
+        }
+      };
+    }
+
+    return { error: 'source must be { file } or { deviceId, startDate?, endDate? }' };
+  };
+
+  const replayNotFound = (res, id) => res.status(404).json({
+    error: 'Replay not found',
+    replayId: id
+  });
+
+  // GET /api/replays - every replay since the server started
+  router.get('/', { summary: 'Every replay since the server started' }, auth.requireAdmin, (req, res) => {
+    const list = replays.list();
+    res.json({
+      success: true,
+      count: list.length,
+      replays: list
+    });
+  });
+
+  // POST /api/replays - start a replay.
+  // Body: { source: { file } | { deviceId, startDate?, endDate? }, speed?: number | 'max', deviceMap?: { from: to },
+  //         shiftTimestamps?: boolean (default true: device-clock timestamps move to the replayed arrival) }
+  router.post('/', {
+    summary: 'Start a replay',
+    body: {
+      fields: {
+        source: {
+          type: 'object',
+          required: true,
+          description: '{ file } or { deviceId, startDate?, endDate? }',
+          fields: {
+            file: { type: 'string', description: 'A .json file of readings in the replay directory' },
+            deviceId: { type: 'string', description: 'Replay the readings stored for this device' },
+            startDate: { type: 'date' },
+            endDate: { type: 'date' }
+          }
+        },
+        speed: { type: 'any', description: 'Multiple of real time (default 1), or "max"' },
+        deviceMap: { type: 'object', description: 'Recorded device IDs to the device IDs to replay them as' },
+        shiftTimestamps: { type: 'boolean', description: 'Move device-clock timestamps to the replayed arrival (default true)' }
+      }
+    }
+  }, auth.requireAdmin, async (req, res) => {
+    try {
+      const { source, deviceMap = {}, shiftTimestamps = true } = req.body;
+
+      const speed = parseSpeed(req.body.speed);
+      if (speed === null) {
+        return res.status(400).json({
+          error: 'Invalid speed',
+          message: 'speed must be a positive multiple of real time (1 = real time) or "max"'
+        });
+      }
+
+      if (Object.values(deviceMap).some(deviceId => typeof deviceId !== 'string' || deviceId === '')) {
+        return res.status(400).json({
+          error: 'Invalid deviceMap',
+          message: 'deviceMap must map recorded device IDs to the device IDs to replay them as'
+        });
+      }
+
+      const loaded = await loadSource(source);
+      if (loaded.error) {
+        return res.status(loaded.status || 400).json({
+          error: loaded.status === 404 ? 'Replay source not found' : 'Invalid replay source',
+          message: loaded.error
+        });
+      }
+
+      if (loaded.readings.length === 0) {
+        return res.status(400).json({
+          error: 'Invalid replay source',
+          message: 'The source has no readings to replay'
+        });
+      }
+
+      if (loaded.readings.length > maxReadings) {
+        return res.status(400).json({
+          error: 'Too many readings',
+          message: `${loaded.readings.length} readings in the source, at most ${maxReadings} per replay; narrow the date range`
+        });
+      }
+
+      const replay = replays.start(loaded.readings, { source: loaded.source, speed, deviceMap, shiftTimestamps });
+
+      res.status(201).json({
+        success: true,
+        replay: replay
+      });
+
+    } catch (error) {
+      console.error('Error starting replay:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/replays/:replayId - progress and outcome counts
+  router.get('/:replayId', { summary: 'Progress and outcome counts of a replay' }, auth.requireAdmin, (req, res) => {
+    const replay = replays.get(req.params.replayId);
+    if (!replay) {
+      return replayNotFound(res, req.params.replayId);
+    }
+
+    res.json({
+      success: true,
+      replay: replay
+    });
+  });
+
+  // POST /api/replays/:replayId/pause | resume | stop
+  ['pause', 'resume', 'stop'].forEach(action => {
+    router.post(`/:replayId/${action}`, { summary: `${action.charAt(0).toUpperCase()}${action.slice(1)} a replay`, status: 200 }, auth.requireAdmin, (req, res) => {
+      const result = replays[action](req.params.replayId);
+      if (!result) {
+        return replayNotFound(res, req.params.replayId);
+      }
+
+      if (result.error) {
+        return res.status(409).json({
+          error: `Replay cannot ${action}`,
+          message: result.error,
+          replayId: req.params.replayId
+        });
+      }
+
+      res.json({
+        success: true,
+        replay: result.replay
+      });
+    });
+  });
+
+  return router;
+};
+
+module.exports = createReplaysRouter;
@@ -0,0 +1,244 @@
+// Daily and weekly health reports per device or patient (see lib/reports.js): stored reports, on-demand
+// generation, and the printable HTML and PDF of each.
+const { createApiRouter, PAGINATION_QUERY, DATE_RANGE_QUERY } = require('../lib/api');
+const { REPORT_PERIODS, describeReport, renderReportHtml, renderReportPdf } = require('../lib/reports');
+
+const DEFAULT_LIMIT = 100;
+
+// File name of a report download, e.g. report_device-1_weekly_2026-10-12.pdf
+const fileNameOf = (report, extension) =>
+  `report_${String(report.deviceId || report.patientId).replace(/[^A-Za-z0-9._-]/g, '_')}_${report.period}_${report.periodStart.slice(0, 10)}.${extension}`;
+
+const createReportsRouter = ({ stores, auth, reports }) => {
+  const router = createApiRouter();
+
+  // Whether a user may read a report: access to its device or patient as they are now
+  const canAccessReport = async (user, report) => {
+    if (user.role === 'admin') return true;
+    if (report.patientId) {
+      return auth.canAccessPatient(user, await stores.patients.get(report.patientId));
+    }
+    return auth.canAccessDevice(user, await stores.devices.get(report.deviceId));
+  };
+
+  // Middleware: loads :reportId into req.report when the caller may read it
+  const loadReport = async (req, res, next) => {
+    try {
+      const report = await stores.reports.get(req.params.reportId);
+      if (!report || !(await canAccessReport(req.user, report))) {
+        return res.status(404).json({
+          error: 'Report not found',
+          reportId: req.params.reportId
+        });
+      }
+      req.report = report;
+      next();
+    } catch (error) {
+      console.error('Error loading report:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  };
+
+  // Check access to the device or patient named in a request; responds and returns false when denied
+  const checkSubjectAccess = async (req, res, { deviceId, patientId }) => {
+    if (patientId) {
+      const patient = await stores.patients.get(String(patientId));
+      if (!patient && req.user.role === 'admin') {
+        res.status(404).json({ error: 'Patient not found', patientId: patientId });
+        return false;
+      }
+      if (!auth.canAccessPatient(req.user, patient)) {
+        res.status(403).json({ error: 'Access denied', message: `Not authorized for patient ${patientId}`, patientId: patientId });
+        return false;
+      }
+      return true;
+    }
+
+    const device = await stores.devices.get(String(deviceId));
+    if (!device && req.user.role === 'admin') {
+      res.status(404).json({ error: 'Device not found', deviceId: deviceId });
+      return false;
+    }
+    if (!auth.canAccessDevice(req.user, device)) {
+      res.status(403).json({ error: 'Access denied', message: `Not authorized for device ${deviceId}`, deviceId: deviceId });
+      return false;
+    }
+    return true;
+  };
+
+  // GET /api/reports - stored reports, newest period first, without their summaries
+  // (?deviceId=|patientId=&period=daily|weekly&startDate=&endDate= on the period start, limit=, offset=)
+  router.get('/', {
+    summary: 'Stored reports, newest period first, without their summaries',
+    query: {
+      deviceId: { type: 'string' },
+      patientId: { type: 'string' },
+      period: { type: 'string', values: Object.keys(REPORT_PERIODS) },
+      ...DATE_RANGE_QUERY,
+      ...PAGINATION_QUERY
+    }
+  }, auth.requireUser, async (req, res) => {
+    try {
+      const { deviceId, patientId, period, startDate, endDate } = req.query;
+      const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : DEFAULT_LIMIT;
+      const offset = req.query.offset !== undefined ? parseInt(req.query.offset) : 0;
+
+      if ((deviceId || patientId) && !(await checkSubjectAccess(req, res, { deviceId, patientId }))) {
+        return;
+      }
+
+      const where = {};
+      if (deviceId) where.subjectKey = `device:${deviceId}`;
+      if (patientId) where.subjectKey = `patient:${patientId}`;
+      if (period) where.period = period;
+
+      // Owners see reports of the devices and patients they have now
+      let filter;
+      if (req.user.role !== 'admin' && !deviceId && !patientId) {
+        const deviceIds = new Set(await auth.accessibleDeviceIds(req.user));
+        const patientIds = new Set((await stores.patients.query({ where: { owner: req.user.owner } })).map(patient => patient.id));
+        filter = report => (report.patientId ? patientIds.has(report.patientId) : deviceIds.has(report.deviceId));
+      }
+
+      const criteria = {
+        where: Object.keys(where).length > 0 ? where : undefined,
+        filter: filter,
+        start: startDate ? new Date(startDate) : undefined,
+        end: endDate ? new Date(endDate) : undefined
+      };
+      const total = await stores.reports.count(criteria);
+      const found = await stores.reports.query({ ...criteria, order: 'desc', limit, offset });
+
+      res.json({
+        success: true,
+        reports: found.map(describeReport),
+        pagination: {
+          total: total,
+          limit: limit,
+          offset: offset,
+          hasMore: offset + limit < total
+        }
+      });
+
+    } catch (error) {
+      console.error('Error listing reports:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // POST /api/reports - generate a report now. Body: { deviceId | patientId, period, date? } where date is
+  // any time in the period (default: the latest completed period); an existing report is replaced.
+  router.post('/', {
+    summary: 'Generate a report now, replacing an existing one',
+    body: {
+      fields: {
+        deviceId: { type: 'string', description: 'The device to report on (or patientId)' },
+        patientId: { type: 'string', description: 'The patient to report on (or deviceId)' },
+        period: { type: 'string', required: true, values: Object.keys(REPORT_PERIODS) },
+        date: { type: 'timestamp', description: 'Any time in the period (default: the latest completed period)' }
+      }
+    },
+    response: { description: 'Generated (201), or replaced an existing report (200)' }
+  }, auth.requireUser, async (req, res) => {
+    try {
+      const { deviceId, patientId, period, date } = req.body;
+
+      if (!deviceId && !patientId) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          missingFields: ['deviceId or patientId']
+        });
+      }
+      if (deviceId && patientId) {
+        return res.status(400).json({
+          error: 'Invalid report subject',
+          message: 'Give deviceId or patientId, not both'
+        });
+      }
+      if (!(await checkSubjectAccess(req, res, { deviceId, patientId }))) {
+        return;
+      }
+
+      const { report, created, error, status } = await reports.generate({ deviceId, patientId, period, date, trigger: 'manual' });
+      if (error) {
+        return res.status(status || 400).json({ error: error });
+      }
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        created: created,
+        report: report
+      });
+
+    } catch (error) {
+      console.error('Error generating report:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/reports/schedule - scheduled periods and the last run (admin)
+  router.get('/schedule', { summary: 'Scheduled periods and the last run' }, auth.requireAdmin, (req, res) => {
+    res.json({
+      success: true,
+      ...reports.status()
+    });
+  });
+
+  // POST /api/reports/schedule/run - run the scheduled job now (admin)
+  router.post('/schedule/run', { summary: 'Run the scheduled job now', status: 200 }, auth.requireAdmin, async (req, res) => {
+    try {
+      const run = await reports.runDue();
+      res.json({
+        success: true,
+        run: run
+      });
+    } catch (error) {
+      console.error('Error running scheduled reports:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/reports/:reportId - a report with its summary
+  router.get('/:reportId', { summary: 'A report with its summary' }, auth.requireUser, loadReport, (req, res) => {
+    res.json({
+      success: true,
+      report: req.report
+    });
+  });
+
+  // GET /api/reports/:reportId/html - printable sheet (?download=true to save it as a file)
+  router.get('/:reportId/html', {
+    summary: 'Printable report sheet',
+    query: { download: { type: 'boolean', description: 'Save it as a file' } },
+    response: { content: ['text/html'] }
+  }, auth.requireUser, loadReport, (req, res) => {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    if (req.query.download === 'true') {
+      res.setHeader('Content-Disposition', `attachment; filename="${fileNameOf(req.report, 'html')}"`);
+    }
+    res.send(renderReportHtml(req.report));
+  });
+
+  // GET /api/reports/:reportId/pdf
+  router.get('/:reportId/pdf', { summary: 'Report as PDF', response: { content: ['application/pdf'] } }, auth.requireUser, loadReport, (req, res) => {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileNameOf(req.report, 'pdf')}"`);
+    res.send(renderReportPdf(req.report));
+  });
+
+  return router;
+};
+
+module.exports = createReportsRouter;
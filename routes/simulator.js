@@ -0,0 +1,211 @@
+// Scenario simulator: named synthetic scenarios written for virtual devices (see lib/simulator.js).
+// Readings go through the normal ingestion pipeline (alerts, anomalies, health scores and live events
+// included) or, in bulk mode, are stored directly. Only virtual devices receive simulated data; they are
+// registered by the first run that names them and always ingest in raw mode so scenario values are kept.
+const { createApiRouter } = require('../lib/api');
+const { issueDeviceKey, toPublicDevice } = require('../lib/auth');
+const { SCENARIOS, describeScenarios, resolveOptions, generateSeries } = require('../lib/simulator');
+
+const RUN_MODES = ['pipeline', 'bulk'];
+
+const MAX_DEVICES = 50;
+
+// Options shared by previews and runs (see resolveOptions in lib/simulator.js)
+const RUN_OPTIONS = {
+  start: { type: 'date', description: 'First reading (default: the run ends now)' },
+  durationMinutes: { type: 'number', min: 0, description: 'Default: the scenario\'s' },
+  intervalSeconds: { type: 'number', min: 1, description: 'Default: the scenario\'s' }
+};
+
+// writeStep: async (step, { deviceId, scenario, bulk }) => ingestion outcome (see writeSimulatedStep in index.js)
+// useRawIngestion: (deviceId) => void; maxReadings: readings one run may write across its devices
+const createSimulatorRouter = ({ stores, auth, writeStep, useRawIngestion, maxReadings }) => {
+  const router = createApiRouter();
+
+  // Register a virtual device, or check that an existing one is virtual; resolves to { device, created }
+  const prepareDevice = async (deviceId, { owner, scenario }) => {
+    const existing = await stores.devices.get(deviceId);
+    if (existing) {
+      return existing.virtual ? { device: existing, created: false } : { device: null, created: false };
+    }
+
+    // Simulated readings are written on the server, so the key is never handed out
+    const { apiKey, ...keyFields } = issueDeviceKey();
+    const now = new Date().toISOString();
+    const device = {
+      id: deviceId,
+      deviceId: deviceId,
+      name: `Virtual device (${scenario})`,
+      model: 'virtual',
+      firmwareVersion: null,
+      owner: owner || null,
+      referenceProfile: null,
+      customRanges: null,
+      units: null,
+      virtual: true,
+      ...keyFields,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await stores.devices.insert(device);
+    useRawIngestion(deviceId);
+    console.log(`Registered virtual device ${deviceId} for the ${scenario} scenario`);
+    return { device, created: true };
+  };
+
+  // GET /api/simulator/scenarios - available scenarios and their default length and spacing
+  router.get('/scenarios', { summary: 'Available scenarios and their default length and spacing' }, auth.requireUser, (req, res) => {
+    res.json({
+      success: true,
+      modes: RUN_MODES,
+      scenarios: describeScenarios()
+    });
+  });
+
+  // GET /api/simulator/scenarios/:name/preview - the series a run would write (?seed=&start=&durationMinutes=&intervalSeconds=)
+  router.get('/scenarios/:name/preview', {
+    summary: 'The series a run would write',
+    params: { name: { type: 'string', values: Object.keys(SCENARIOS) } },
+    query: { seed: { type: 'string' }, ...RUN_OPTIONS }
+  }, auth.requireUser, (req, res) => {
+    const { options, error } = resolveOptions(req.params.name, req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid scenario options', message: error });
+    }
+
+    if (options.steps > maxReadings) {
+      return res.status(400).json({
+        error: 'Too many readings',
+        message: `${options.steps} readings requested, at most ${maxReadings}; use a longer interval or a shorter duration`
+      });
+    }
+
+    res.json({
+      success: true,
+      scenario: options.scenario,
+      seed: options.seed,
+      start: new Date(options.start).toISOString(),
+      intervalSeconds: options.intervalSeconds,
+      count: options.steps,
+      series: generateSeries(options).map(({ step, reading, glucose }) => ({ step, ...reading, glucose }))
+    });
+  });
+
+  // POST /api/simulator/runs - write a scenario for one or more virtual devices (admin).
+  // Body: { scenario, deviceId?, devices?, seed?, start?, durationMinutes?, intervalSeconds?, mode?, owner? }.
+  // With devices > 1 the devices are <deviceId>-1..n, each seeded from the run's seed.
+  router.post('/runs', {
+    summary: 'Write a scenario for one or more virtual devices',
+    body: {
+      fields: {
+        scenario: { type: 'string', required: true, values: Object.keys(SCENARIOS) },
+        deviceId: { type: 'string', description: 'Virtual device, or the prefix of several (default sim-<scenario>)' },
+        devices: { type: 'integer', min: 1, max: MAX_DEVICES, description: 'Devices <deviceId>-1..n, each seeded from the run\'s seed' },
+        seed: { type: 'any', description: 'String or number; runs with the same seed write the same series' },
+        start: { type: 'timestamp', description: 'First reading (default: the run ends now)' },
+        durationMinutes: RUN_OPTIONS.durationMinutes,
+        intervalSeconds: RUN_OPTIONS.intervalSeconds,
+        mode: { type: 'string', values: RUN_MODES, description: 'pipeline (default) ingests every reading; bulk stores them directly' },
+        owner: { type: 'string', description: 'Owner of devices the run registers' }
+      }
+    }
+  }, auth.requireAdmin, async (req, res) => {
+    try {
+      const { scenario, mode = 'pipeline', owner } = req.body;
+
+      const { options, error } = resolveOptions(scenario, req.body);
+      if (error) {
+        return res.status(400).json({ error: 'Invalid scenario options', message: error });
+      }
+
+      const deviceCount = req.body.devices !== undefined ? req.body.devices : 1;
+
+      if (options.steps * deviceCount > maxReadings) {
+        return res.status(400).json({
+          error: 'Too many readings',
+          message: `${options.steps * deviceCount} readings requested, at most ${maxReadings} per run; use a longer interval, a shorter duration or fewer devices`
+        });
+      }
+
+      const baseId = String(req.body.deviceId || `sim-${scenario}`);
+      const targets = deviceCount === 1 ?
+        [{ deviceId: baseId, seed: options.seed }] :
+        Array.from({ length: deviceCount }, (unused, i) => ({ deviceId: `${baseId}-${i + 1}`, seed: `${options.seed}/${i + 1}` }));
+
+      // Check every device before writing anything
+      const prepared = [];
+      for (const target of targets) {
+        const { device, created } = await prepareDevice(target.deviceId, { owner, scenario });
+        if (!device) {
+          return res.status(409).json({
+            error: 'Device is not virtual',
+            message: `${target.deviceId} is a registered physical device; simulated data is only written to virtual devices`,
+            deviceId: target.deviceId
+          });
+        }
+        prepared.push({ ...target, device, created });
+      }
+
+      const runId = Date.now() + Math.random().toString(36).substr(2, 9);
+      const results = [];
+
+      for (const target of prepared) {
+        const series = generateSeries({ ...options, seed: target.seed });
+        const readings = { accepted: 0, duplicate: 0, conflict: 0, rejected: 0 };
+        let glucosePredictions = 0;
+        let previousGlucose = null;
+
+        for (const step of series) {
+          const outcome = await writeStep({ ...step, previousGlucose }, {
+            deviceId: target.deviceId,
+            scenario: { name: scenario, runId, seed: String(target.seed), step: step.step },
+            bulk: mode === 'bulk'
+          });
+          readings[outcome.status] += 1;
+          if (outcome.prediction) glucosePredictions += 1;
+          if (step.glucose !== null) previousGlucose = step.glucose;
+        }
+
+        results.push({
+          deviceId: target.deviceId,
+          seed: String(target.seed),
+          created: target.created,
+          device: toPublicDevice(target.device),
+          readings: readings,
+          glucosePredictions: glucosePredictions
+        });
+      }
+
+      console.log(`Simulator run ${runId}: ${scenario} (${mode}, seed ${options.seed}) wrote ${options.steps} steps for ${prepared.length} virtual device(s)`);
+
+      res.status(201).json({
+        success: true,
+        run: {
+          id: runId,
+          scenario: scenario,
+          mode: mode,
+          seed: String(options.seed),
+          start: new Date(options.start).toISOString(),
+          end: new Date(options.start + (options.steps - 1) * options.intervalSeconds * 1000).toISOString(),
+          durationMinutes: options.durationMinutes,
+          intervalSeconds: options.intervalSeconds,
+          steps: options.steps,
+          devices: results
+        },
+        message: 'Run again with the same scenario, seed, start and options to reproduce these values'
+      });
+
+    } catch (error) {
+      console.error('Error running simulator scenario:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createSimulatorRouter;
@@ -0,0 +1,96 @@
+// Server-Sent Events: live readings, glucose predictions, interpretation changes and alerts
+const { createApiRouter } = require('../lib/api');
+
+const HEARTBEAT_MS = 25000;
+
+const STREAM_QUERY = {
+  access_token: { type: 'string', description: 'Bearer token, for clients that cannot send headers (EventSource)' },
+  lastEventId: { type: 'string', description: 'Resume after this event (or the Last-Event-ID header)' }
+};
+
+const STREAM_RESPONSE = { description: 'Event stream', content: ['text/event-stream'] };
+
+const parseDeviceList = (value) => (value ? String(value).split(',').map(id => id.trim()).filter(Boolean) : null);
+
+const createStreamRouter = ({ stores, auth, events }) => {
+  const router = createApiRouter();
+
+  // EventSource cannot send headers, so tokens may come as ?access_token=
+  router.use((req, res, next) => {
+    req.allowQueryToken = true;
+    next();
+  });
+
+  // Stream events for deviceIds (null = every device) until the client disconnects
+  const openStream = (req, res, deviceIds) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const send = (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Resume after a reconnect: browsers send Last-Event-ID automatically
+    const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+    const subscription = events.subscribe(deviceIds, send, { lastEventId });
+
+    res.write(`: subscribed to ${deviceIds === null ? 'all devices' : deviceIds.join(', ')}\n\n`);
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      subscription.close();
+    });
+  };
+
+  // GET /api/stream?devices=a,b - several devices; without devices: every device the caller may access
+  router.get('/', {
+    summary: 'Live events of several devices',
+    query: { devices: { type: 'list', description: 'Device IDs (default: every device the caller can reach)' }, ...STREAM_QUERY },
+    response: STREAM_RESPONSE
+  }, auth.requireUser, async (req, res) => {
+    try {
+      let deviceIds = parseDeviceList(req.query.devices);
+
+      if (deviceIds) {
+        for (const deviceId of deviceIds) {
+          const device = await stores.devices.get(deviceId);
+          if (!auth.canAccessDevice(req.user, device)) {
+            return res.status(403).json({
+              error: 'Access denied',
+              message: `Not authorized for device ${deviceId}`,
+              deviceId: deviceId
+            });
+          }
+        }
+      } else {
+        deviceIds = await auth.accessibleDeviceIds(req.user);
+      }
+
+      openStream(req, res, deviceIds);
+
+    } catch (error) {
+      console.error('Error opening event stream:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/stream/:deviceId - one device
+  router.get('/:deviceId', { summary: 'Live events of one device', query: STREAM_QUERY, response: STREAM_RESPONSE }, auth.requireDeviceAccess, (req, res) => {
+    openStream(req, res, [req.params.deviceId]);
+  });
+
+  return router;
+};
+
+module.exports = createStreamRouter;
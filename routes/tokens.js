@@ -0,0 +1,118 @@
+// Owner tokens: bearer tokens that give a person access to the devices they own
+const { createApiRouter } = require('../lib/api');
+const { issueOwnerToken } = require('../lib/auth');
+
+const toPublicToken = (record) => {
+  const { tokenHash, ...publicToken } = record;
+  return publicToken;
+};
+
+const createTokensRouter = ({ stores, auth }) => {
+  const router = createApiRouter();
+
+  router.use(auth.requireAdmin);
+
+  // POST /api/tokens - issue a token for an owner
+  router.post('/', {
+    summary: 'Issue an owner token',
+    body: {
+      fields: {
+        owner: { type: 'string', required: true },
+        label: { type: 'string', nullable: true }
+      }
+    },
+    response: { description: 'The token, shown only once', fields: { token: { type: 'string' } } }
+  }, async (req, res) => {
+    try {
+      const { owner, label } = req.body;
+
+      if (!owner) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          missingFields: ['owner']
+        });
+      }
+
+      const { token, ...tokenFields } = issueOwnerToken();
+      const record = {
+        id: Date.now() + Math.random().toString(36).substr(2, 9),
+        owner: owner,
+        label: label || null,
+        ...tokenFields,
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+      };
+
+      await stores.ownerTokens.insert(record);
+
+      console.log(`Issued owner token ${record.tokenPrefix}… for ${owner}`);
+
+      res.status(201).json({
+        success: true,
+        token: token,
+        tokenInfo: toPublicToken(record),
+        message: 'Store this token securely; it cannot be retrieved again'
+      });
+
+    } catch (error) {
+      console.error('Error issuing owner token:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /api/tokens - list issued tokens (without secrets)
+  router.get('/', { summary: 'Issued tokens, without their secrets', query: { owner: { type: 'string' } } }, async (req, res) => {
+    try {
+      const { owner } = req.query;
+      const tokens = await stores.ownerTokens.query({ where: owner ? { owner } : undefined });
+
+      res.json({
+        success: true,
+        count: tokens.length,
+        tokens: tokens.map(toPublicToken)
+      });
+
+    } catch (error) {
+      console.error('Error listing owner tokens:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // DELETE /api/tokens/:tokenId - revoke a token
+  router.delete('/:tokenId', { summary: 'Revoke a token' }, async (req, res) => {
+    try {
+      const record = await stores.ownerTokens.get(req.params.tokenId);
+
+      if (!record) {
+        return res.status(404).json({
+          error: 'Token not found',
+          tokenId: req.params.tokenId
+        });
+      }
+
+      await stores.ownerTokens.update(record.id, { revokedAt: new Date().toISOString() });
+
+      res.json({
+        success: true,
+        message: `Token ${record.tokenPrefix}… for ${record.owner} revoked`
+      });
+
+    } catch (error) {
+      console.error('Error revoking owner token:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createTokensRouter;
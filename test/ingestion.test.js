@@ -0,0 +1,155 @@
+// Ingestion of readings, deduplication in particular (see lib/ingestion.js and the ingestion routes in index.js)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { dedupKeyFor, isTimestampKey, payloadHashFor } = require('../lib/ingestion');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+// Timestamp keys hold for 1.2 seconds in the server started below
+const DEDUP_WINDOW_MINUTES = 0.02;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+describe('dedup keys', () => {
+  it('prefers the idempotency key over the timestamp', () => {
+    assert.strictEqual(dedupKeyFor({ timestamp: 1000 }), 'ts:1000');
+    assert.strictEqual(dedupKeyFor({ timestamp: 1000, idempotencyKey: 'abc' }), 'key:abc');
+    assert.strictEqual(dedupKeyFor({ timestamp: 1000, idempotencyKey: '' }), 'ts:1000');
+    assert.strictEqual(isTimestampKey('ts:1000'), true);
+    assert.strictEqual(isTimestampKey('key:ts:1000'), false);
+  });
+
+  it('hashes the payload regardless of key order and idempotency key', () => {
+    const hash = payloadHashFor({ deviceId: 'd', timestamp: 1, heartRate: 70, extra: { b: 1, a: 2 } });
+    assert.strictEqual(payloadHashFor({ extra: { a: 2, b: 1 }, heartRate: 70, timestamp: 1, deviceId: 'd', idempotencyKey: 'k' }), hash);
+    assert.notStrictEqual(payloadHashFor({ deviceId: 'd', timestamp: 1, heartRate: 71, extra: { b: 1, a: 2 } }), hash);
+  });
+});
+
+describe('ingestion', () => {
+  let dataDir;
+  let server;
+  let base;
+  let apiKey;
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vitalglance-ingestion-'));
+    const port = await freePort();
+    base = `http://127.0.0.1:${port}`;
+
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+      env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, ADMIN_TOKEN, DEDUP_WINDOW_MINUTES: String(DEDUP_WINDOW_MINUTES) },
+      stdio: 'ignore'
+    });
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        if ((await fetch(`${base}/health`)).ok) break;
+      } catch (error) {
+        if (attempt >= 100) throw error;
+      }
+      await sleep(100);
+    }
+
+    const registered = await fetch(`${base}/api/devices`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', authorization: `Bearer ${ADMIN_TOKEN}` },
+      body: JSON.stringify({ deviceId: 'dedup-1' })
+    });
+    apiKey = (await registered.json()).apiKey;
+  });
+
+  after(async () => {
+    if (server.exitCode === null) {
+      const exited = new Promise(resolve => server.once('exit', resolve));
+      server.kill('SIGTERM');
+      await exited;
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const post = async (url, body) => {
+    const response = await fetch(`${base}${url}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-api-key': apiKey },
+      body: JSON.stringify({ deviceId: 'dedup-1', ...body })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('answers a resent reading with the stored record', async () => {
+    const first = await post('/api/sensor-data', { timestamp: 1000, heartRate: 70, spo2: 97 });
+    assert.strictEqual(first.status, 201);
+
+    const resent = await post('/api/sensor-data', { spo2: 97, heartRate: 70, timestamp: 1000 });
+    assert.strictEqual(resent.status, 200);
+    assert.strictEqual(resent.body.duplicate, true);
+    assert.strictEqual(resent.body.recordId, first.body.recordId);
+  });
+
+  it('answers 409 for a different reading under a key already used', async () => {
+    const first = await post('/api/sensor-data', { timestamp: 2000, heartRate: 70 });
+    const conflict = await post('/api/sensor-data', { timestamp: 2000, heartRate: 120 });
+    assert.strictEqual(conflict.status, 409);
+    assert.strictEqual(conflict.body.dedupKey, 'ts:2000');
+    assert.strictEqual(conflict.body.recordId, first.body.recordId);
+
+    await post('/api/sensor-data', { timestamp: 3000, heartRate: 70, idempotencyKey: 'reading-1' });
+    const reused = await post('/api/sensor-data', { timestamp: 3001, heartRate: 70, idempotencyKey: 'reading-1' });
+    assert.strictEqual(reused.status, 409);
+  });
+
+  it('reports duplicates and conflicts per reading in a batch', async () => {
+    const batch = await post('/api/sensor-data/batch', {
+      readings: [
+        { timestamp: 4000, heartRate: 60 },
+        { timestamp: 4000, heartRate: 60 },
+        { timestamp: 4000, heartRate: 61 },
+        { timestamp: 1000, heartRate: 70, spo2: 97 }
+      ]
+    });
+    assert.strictEqual(batch.status, 201);
+    assert.deepStrictEqual(batch.body.results.map(result => result.status), ['accepted', 'duplicate', 'conflict', 'duplicate']);
+    assert.strictEqual(batch.body.accepted, 1);
+    assert.strictEqual(batch.body.duplicates, 2);
+    assert.strictEqual(batch.body.conflicts, 1);
+  });
+
+  it('stores and scores a reading whose average heart rate is null', async () => {
+    const stored = await post('/api/sensor-data', { timestamp: 7000, heartRate: 72, heartRateAvg: null, spo2: 97, temperature: 36.8 });
+    assert.strictEqual(stored.status, 201);
+
+    const health = await fetch(`${base}/api/health-data/dedup-1`, { headers: { authorization: `Bearer ${ADMIN_TOKEN}` } });
+    assert.strictEqual(health.status, 200);
+    assert.strictEqual((await health.json()).vitals.heartRate.average, 72);
+  });
+
+  it('holds timestamp keys only within the dedup window, idempotency keys for good', async () => {
+    const keyed = await post('/api/sensor-data', { timestamp: 5000, heartRate: 70, idempotencyKey: 'reading-2' });
+    await post('/api/sensor-data', { timestamp: 6000, heartRate: 70 });
+    await sleep(DEDUP_WINDOW_MINUTES * 60000 + 300);
+
+    const sameTimestamp = await post('/api/sensor-data', { timestamp: 6000, heartRate: 90 });
+    assert.strictEqual(sameTimestamp.status, 201);
+    assert.strictEqual(sameTimestamp.body.duplicate, false);
+
+    const sameKey = await post('/api/sensor-data', { timestamp: 5000, heartRate: 70, idempotencyKey: 'reading-2' });
+    assert.strictEqual(sameKey.status, 200);
+    assert.strictEqual(sameKey.body.recordId, keyed.body.recordId);
+  });
+});
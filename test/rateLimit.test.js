@@ -0,0 +1,183 @@
+// Authentication and rate limiting of requests (see lib/auth.js and lib/rateLimit.js)
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createStorage } = require('../lib/storage');
+const { createAuth, issueDeviceKey, issueOwnerToken } = require('../lib/auth');
+const { createRateLimiter } = require('../lib/rateLimit');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+describe('rate limiter', () => {
+  const limiter = createRateLimiter({ deviceQuota: { perMinute: 60, burst: 2 } });
+
+  it('allows a burst, then refuses until a token has refilled', () => {
+    const now = Date.now();
+    assert.strictEqual(limiter.take('device', 'burst', { now }).allowed, true);
+    assert.strictEqual(limiter.take('device', 'burst', { now }).allowed, true);
+
+    const refused = limiter.take('device', 'burst', { now });
+    assert.strictEqual(refused.allowed, false);
+    assert.strictEqual(refused.retryAfterSeconds, 1);
+
+    assert.strictEqual(limiter.take('device', 'burst', { now: now + 1000 }).allowed, true);
+    assert.strictEqual(limiter.take('device', 'burst', { now: now + 1000 }).allowed, false);
+
+    const usage = limiter.usageOf('device', 'burst', { now: now + 1000 });
+    assert.strictEqual(usage.allowed, 3);
+    assert.strictEqual(usage.limited, 2);
+  });
+
+  it('applies a device\'s own quota, where 0 per minute is unlimited', () => {
+    for (let i = 0; i < 10; i++) {
+      assert.strictEqual(limiter.take('device', 'unlimited', { override: { perMinute: 0 } }).allowed, true);
+    }
+
+    const override = { perMinute: 60, burst: 3 };
+    const results = [1, 2, 3, 4].map(() => limiter.take('device', 'own', { override }).allowed);
+    assert.deepStrictEqual(results, [true, true, true, false]);
+    assert.strictEqual(limiter.usageOf('device', 'own', { override }).quota.source, 'device');
+  });
+
+  it('drops buckets that have been idle for an hour', () => {
+    const sweeper = createRateLimiter({});
+    sweeper.take('device', 'idle');
+    assert.deepStrictEqual(sweeper.deviceIds(), ['idle']);
+    assert.strictEqual(sweeper.sweep(Date.now() + 2 * 60 * 60 * 1000), 1);
+    assert.deepStrictEqual(sweeper.deviceIds(), []);
+  });
+});
+
+describe('authenticated requests', () => {
+  let dataDir;
+  let storage;
+  let server;
+  let base;
+  let rateLimiter;
+  let deviceKey;
+  let ownerToken;
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vitalglance-auth-'));
+    storage = createStorage({ driver: 'json', dataDir });
+    await storage.init();
+    const stores = {
+      devices: await storage.collection('devices', { timeOf: () => 0 }),
+      ownerTokens: await storage.collection('ownerTokens', { timeOf: () => 0 }),
+      patients: await storage.collection('patients', { timeOf: () => 0 })
+    };
+
+    const { apiKey, ...keyFields } = issueDeviceKey();
+    deviceKey = apiKey;
+    await stores.devices.insert({ id: 'dev-1', deviceId: 'dev-1', owner: 'alice', ...keyFields });
+    await stores.devices.insert({ id: 'dev-2', deviceId: 'dev-2', owner: 'bob', ...issueDeviceKey() });
+
+    const { token, ...tokenFields } = issueOwnerToken();
+    ownerToken = token;
+    await stores.ownerTokens.insert({ id: 'tok-1', owner: 'alice', ...tokenFields });
+
+    rateLimiter = createRateLimiter({
+      deviceQuota: { perMinute: 1, burst: 3 },
+      clientQuota: { perMinute: 1, burst: 3 }
+    });
+    const auth = createAuth({ adminToken: ADMIN_TOKEN, stores, rateLimiter });
+
+    const app = express();
+    app.use(express.json());
+    app.get('/me', auth.requireUser, (req, res) => res.json({ user: req.user }));
+    app.get('/devices/:deviceId', auth.requireDeviceAccess, (req, res) => res.json({ deviceId: req.device.deviceId }));
+    app.post('/readings', auth.requireDeviceKey, (req, res) => res.status(201).json({ deviceId: req.device.deviceId }));
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await storage.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  // Every test starts with full buckets
+  beforeEach(() => {
+    rateLimiter.sweep(Date.now() + 2 * 60 * 60 * 1000);
+  });
+
+  const get = (url, token) => fetch(`${base}${url}`, { headers: token ? { authorization: `Bearer ${token}` } : {} });
+
+  const postReading = (deviceId, apiKey) => fetch(`${base}/readings`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...(apiKey ? { 'x-api-key': apiKey } : {}) },
+    body: JSON.stringify({ deviceId })
+  });
+
+  const statuses = async (count, send) => {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+      results.push((await send()).status);
+    }
+    return results;
+  };
+
+  it('resolves admin and owner tokens and refuses others', async () => {
+    assert.deepStrictEqual((await (await get('/me', ADMIN_TOKEN)).json()).user, { role: 'admin' });
+    assert.deepStrictEqual((await (await get('/me', ownerToken)).json()).user, { role: 'owner', owner: 'alice', tokenId: 'tok-1' });
+    assert.strictEqual((await get('/me')).status, 401);
+  });
+
+  it('limits owners to their own devices', async () => {
+    assert.strictEqual((await get('/devices/dev-1', ownerToken)).status, 200);
+    assert.strictEqual((await get('/devices/dev-2', ownerToken)).status, 403);
+    assert.strictEqual((await get('/devices/dev-2', ADMIN_TOKEN)).status, 200);
+  });
+
+  it('accepts a device only with its own current key', async () => {
+    assert.strictEqual((await postReading('dev-1', deviceKey)).status, 201);
+    assert.strictEqual((await postReading(undefined, deviceKey)).status, 400);
+    assert.strictEqual((await postReading('dev-2', deviceKey)).status, 401);
+    assert.strictEqual((await postReading('dev-1')).status, 401);
+    assert.strictEqual((await postReading('unknown', deviceKey)).status, 403);
+  });
+
+  it('charges each client and device its own bucket', async () => {
+    assert.deepStrictEqual(await statuses(4, () => get('/me', ADMIN_TOKEN)), [200, 200, 200, 429]);
+    assert.deepStrictEqual(await statuses(4, () => get('/me', ownerToken)), [200, 200, 200, 429]);
+    assert.deepStrictEqual(await statuses(4, () => postReading('dev-1', deviceKey)), [201, 201, 201, 429]);
+
+    const refused = await get('/me', ADMIN_TOKEN);
+    assert.strictEqual(refused.headers.get('retry-after'), '60');
+    assert.strictEqual((await refused.json()).quota.scope, 'client');
+  });
+
+  it('charges refused credentials to the caller\'s address, then refuses it before authenticating', async () => {
+    const sends = [
+      () => get('/me', 'not-a-token'),
+      () => get('/me'),
+      () => postReading('unknown', deviceKey)
+    ];
+    const results = [];
+    for (const send of sends) {
+      results.push((await send()).status);
+    }
+    assert.deepStrictEqual(results, [401, 401, 403]);
+
+    assert.strictEqual((await get('/me', 'not-a-token')).status, 429);
+    assert.strictEqual((await get('/me', ADMIN_TOKEN)).status, 429);
+
+    const usage = rateLimiter.usageOf('client', 'ip:127.0.0.1');
+    assert.strictEqual(usage.allowed, 3);
+    assert.strictEqual(usage.limited, 2);
+  });
+
+  it('does not charge the address for accepted requests', async () => {
+    await get('/me', ADMIN_TOKEN);
+    await postReading('dev-1', deviceKey);
+    assert.strictEqual(rateLimiter.usageOf('client', 'ip:127.0.0.1').allowed, 0);
+  });
+});
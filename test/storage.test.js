@@ -0,0 +1,116 @@
+// Query semantics every storage driver shares (see lib/storage/index.js)
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+const hasSqlite = (() => {
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+const DRIVERS = hasSqlite ? ['json', 'sqlite'] : ['json'];
+
+const timeOf = (record) => record.time;
+
+const ids = (records) => records.map(record => record.id);
+
+for (const driver of DRIVERS) {
+  describe(`${driver} storage`, () => {
+    let dataDir;
+    let storage;
+    let readings;
+
+    const open = async (options = {}) => {
+      storage = createStorage({ driver, dataDir });
+      await storage.init();
+      readings = await storage.collection('readings', { timeOf, ...options });
+    };
+
+    beforeEach(async () => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vitalglance-storage-'));
+      await open({ lookupFields: ['dedupKey'] });
+
+      // Inserted out of time order; r3 and r4 share a time
+      await readings.insert({ id: 'r1', deviceId: 'a', time: 3000, heartRate: 70, dedupKey: 'ts:3' });
+      await readings.insert({ id: 'r2', deviceId: 'a', time: 1000, heartRate: 80, dedupKey: 'ts:1' });
+      await readings.insert({ id: 'r3', deviceId: 'b', time: 2000, heartRate: 90, dedupKey: 'ts:2' });
+      await readings.insert({ id: 'r4', deviceId: 'a', time: 2000, heartRate: 70, dedupKey: 'key:x' });
+      await readings.insert({ id: 'r5', deviceId: 'c', time: 4000, heartRate: null, dedupKey: 'ts:4' });
+    });
+
+    afterEach(async () => {
+      await storage.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('returns records oldest first, keeping insertion order for equal times', async () => {
+      assert.deepStrictEqual(ids(await readings.query()), ['r2', 'r3', 'r4', 'r1', 'r5']);
+      assert.deepStrictEqual(ids(await readings.query({ order: 'desc' })), ['r5', 'r1', 'r4', 'r3', 'r2']);
+    });
+
+    it('gets, narrows by device and pages with limit and offset', async () => {
+      assert.strictEqual((await readings.get('r3')).heartRate, 90);
+      assert.strictEqual(await readings.get('missing'), null);
+      assert.deepStrictEqual(ids(await readings.query({ deviceId: 'a' })), ['r2', 'r4', 'r1']);
+      assert.deepStrictEqual(ids(await readings.query({ deviceIds: ['b', 'c'] })), ['r3', 'r5']);
+      assert.deepStrictEqual(ids(await readings.query({ deviceIds: [] })), []);
+      assert.deepStrictEqual(ids(await readings.query({ order: 'desc', limit: 2, offset: 1 })), ['r1', 'r4']);
+    });
+
+    it('includes both ends of a time range, given as epoch ms, ISO strings or dates', async () => {
+      assert.deepStrictEqual(ids(await readings.query({ start: 2000, end: 3000 })), ['r3', 'r4', 'r1']);
+      assert.deepStrictEqual(ids(await readings.query({ start: new Date(2000).toISOString(), end: new Date(2000) })), ['r3', 'r4']);
+      assert.deepStrictEqual(ids(await readings.query({ deviceId: 'a', start: 2500 })), ['r1']);
+    });
+
+    it('matches where fields by equality, arrays as any of, null as missing', async () => {
+      assert.deepStrictEqual(ids(await readings.query({ where: { heartRate: 70 } })), ['r4', 'r1']);
+      assert.deepStrictEqual(ids(await readings.query({ where: { heartRate: [80, 90] } })), ['r2', 'r3']);
+      assert.deepStrictEqual(ids(await readings.query({ where: { heartRate: null } })), ['r5']);
+      assert.deepStrictEqual(ids(await readings.query({ where: { heartRate: 70 }, filter: record => record.time > 2500 })), ['r1']);
+    });
+
+    it('looks up indexed fields together with the other criteria', async () => {
+      assert.deepStrictEqual(ids(await readings.query({ where: { dedupKey: 'key:x' } })), ['r4']);
+      assert.deepStrictEqual(ids(await readings.query({ deviceId: 'b', where: { dedupKey: 'key:x' } })), []);
+      assert.deepStrictEqual(ids(await readings.query({ deviceIds: ['a'], where: { dedupKey: 'ts:1' }, end: 500 })), []);
+
+      await readings.update('r4', { dedupKey: 'key:y' });
+      assert.deepStrictEqual(ids(await readings.query({ where: { dedupKey: 'key:x' } })), []);
+      assert.deepStrictEqual(ids(await readings.query({ deviceId: 'a', where: { dedupKey: 'key:y' } })), ['r4']);
+    });
+
+    it('counts, updates and deletes by the same criteria', async () => {
+      assert.strictEqual(await readings.count({ deviceId: 'a' }), 3);
+      assert.strictEqual(await readings.count({ where: { heartRate: 70 }, limit: 1 }), 2);
+
+      const updated = await readings.update('r2', { time: 5000, heartRate: 85 });
+      assert.strictEqual(updated.heartRate, 85);
+      assert.strictEqual(await readings.update('missing', { heartRate: 1 }), null);
+      assert.deepStrictEqual(ids(await readings.query({ deviceId: 'a' })), ['r4', 'r1', 'r2']);
+
+      assert.strictEqual(await readings.delete({ end: 2000 }), 2);
+      assert.deepStrictEqual(ids(await readings.query()), ['r1', 'r5', 'r2']);
+      assert.strictEqual(await readings.delete({ deviceId: 'nobody' }), 0);
+    });
+
+    it('refuses a second record with the same id', async () => {
+      await assert.rejects(readings.insert({ id: 'r1', deviceId: 'a', time: 1 }));
+    });
+
+    it('keeps records across a restart', async () => {
+      await storage.close();
+      await open({ lookupFields: ['dedupKey'] });
+      assert.deepStrictEqual(ids(await readings.query({ deviceId: 'a' })), ['r2', 'r4', 'r1']);
+      assert.deepStrictEqual(ids(await readings.query({ where: { dedupKey: 'ts:2' } })), ['r3']);
+    });
+  });
+}